@@ -1,61 +1,42 @@
-// Store context per tab for better reliability
-const contextByTab = new Map();
+import { agentScheduler } from './lib/agent-scheduler.js';
+import { storageBudget } from './lib/storage-budget.js';
+import { tabContexts } from './lib/state-sync.js';
+
+// Context per tab lives in chrome.storage.session, so it survives the worker being evicted.
+// Panels ask for the active tab of their own window; there is no shared "latest" context.
 
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   const type = msg?.type;
   const tabId = sender?.tab?.id;
 
   if (type === 'CONTEXT_UPDATE') {
-    const ctx = msg.ctx;
-    if (tabId) {
-      console.log(`[HintHopper BG] Storing context for tab ${tabId}`, {
-        title: ctx.title,
-        testsCount: ctx.tests?.length || 0,
-        codeLength: ctx.userCode?.length || 0,
-        ruleHints: ctx.ruleHints || ''
-      });
-      contextByTab.set(tabId, ctx);
-    }
-    // Also keep global for backward compatibility
-    contextByTab.set('global', ctx);
-    
-    // Broadcast to all panels
-    console.log('[HintHopper BG] Broadcasting context update to panels');
-    chrome.runtime.sendMessage({ type: 'CONTEXT_PUSH', ctx }).catch((error) => {
-      console.log('[HintHopper BG] Error broadcasting context (expected if no panel is open):', error?.message);
-      // Ignore errors if no panel is listening
+    storeContext(sender?.tab, msg.ctx).then(() => {
+      if (sendResponse) sendResponse({ success: true });
     });
-    
-    if (sendResponse) sendResponse({ success: true });
     return true; // Keep channel open for async response
   }
 
   if (type === 'CONTEXT_GET' || type === 'CONTEXT_REQUEST') {
-    console.log(`[HintHopper BG] Received context request from ${tabId ? 'tab ' + tabId : 'panel'}`);
-    
-    let ctx = null;
-    if (tabId && contextByTab.has(tabId)) {
-      ctx = contextByTab.get(tabId);
-      console.log(`[HintHopper BG] Found context for tab ${tabId}`);
-    } else if (contextByTab.has('global')) {
-      ctx = contextByTab.get('global');
-      console.log('[HintHopper BG] Using global context (no tab match)');
-    }
-    
-    if (ctx) {
-      console.log('[HintHopper BG] Returning context:', {
-        title: ctx.title,
-        testsCount: ctx.tests?.length || 0,
-        codeLength: ctx.userCode?.length || 0,
-        ruleHints: ctx.ruleHints || ''
-      });
-    } else {
-      console.log('[HintHopper BG] No context available');
-    }
+    // Content scripts ask for their own tab, panels name the tab they show
+    const wantedTabId = msg.tabId ?? tabId ?? null;
+    console.log(`[HintHopper BG] Received context request for ${wantedTabId ? 'tab ' + wantedTabId : 'the active tab'}`);
     
-    if (sendResponse) {
-      sendResponse({ ctx });
-    }
+    findContext(wantedTabId).then((ctx) => {
+      if (ctx) {
+        console.log('[HintHopper BG] Returning context:', {
+          title: ctx.title,
+          testsCount: ctx.tests?.length || 0,
+          codeLength: ctx.userCode?.length || 0,
+          ruleHints: ctx.ruleHints || ''
+        });
+      } else {
+        console.log('[HintHopper BG] No context available');
+      }
+      
+      if (sendResponse) {
+        sendResponse({ ctx });
+      }
+    });
     return true;
   }
 
@@ -64,25 +45,24 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     chrome.runtime.sendMessage({ type: 'DEBUG_TUTOR', debugPayload: msg.debugPayload }).catch(() => {});
   }
   
-  // Handle test pass events
-  if (type === 'TEST_PASSED' && msg.hintId) {
-    console.log(`[HintHopper BG] Received test pass for hint ${msg.hintId}`);
-    
-    // Add any A/B testing metadata that was provided
-    const payload = { 
-      type: 'TEST_PASSED', 
-      hintId: msg.hintId 
-    };
-    
-    if (msg.abTesting) {
-      payload.abTesting = msg.abTesting;
+  // Struggle level changes come from the panel's struggle detector
+  if (type === 'STRUGGLE_LEVEL_CHANGED' && msg.level === 'active') {
+    agentScheduler.handleEvent('struggle_active', { level: msg.level }).catch((error) => {
+      console.warn('[HintHopper BG] Agent trigger failed:', error?.message);
+    });
+  }
+  
+  // Content scripts report each test that turns green; one agent trigger per run
+  if (type === 'TEST_PASSED') {
+    if (!msg.batch || msg.batch.index === 0) {
+      agentScheduler.handleEvent('test_passed', { hintId: msg.hintId || null, test: msg.test?.text || null }).catch((error) => {
+        console.warn('[HintHopper BG] Agent trigger failed:', error?.message);
+      });
     }
     
-    // Relay to panel to track in outcome tracker
-    chrome.runtime.sendMessage(payload).catch((err) => {
-      console.log('[HintHopper BG] Error relaying test pass (expected if no panel is open):', err?.message);
-      // Ignore errors if no panel is listening
-    });
+    // Panels get the same message straight from the content script and track the outcome;
+    // relaying it here as well would count every pass twice
+    console.log(`[HintHopper BG] Test passed in tab ${tabId}${msg.hintId ? ` after hint ${msg.hintId}` : ''}:`, msg.test?.text || '');
   }
   
   return false;
@@ -90,11 +70,84 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 
 // Clean up context when tab is closed
 chrome.tabs.onRemoved.addListener((tabId) => {
-  contextByTab.delete(tabId);
+  tabContexts.remove(tabId).catch(() => {});
 });
 
+async function storeContext(tab, ctx) {
+  const tabId = tab?.id;
+  if (!tabId || !ctx) return;
+  
+  // A different challenge title means the learner moved on in this tab - wake event agents
+  const previousCtx = await tabContexts.get(tabId);
+  if (ctx.title && previousCtx?.title !== ctx.title) {
+    agentScheduler.handleEvent('challenge_changed', { title: ctx.title, url: ctx.url, topic: ctx.title }).catch((error) => {
+      console.warn('[HintHopper BG] Agent trigger failed:', error?.message);
+    });
+  }
+  
+  console.log(`[HintHopper BG] Storing context for tab ${tabId}`, {
+    title: ctx.title,
+    testsCount: ctx.tests?.length || 0,
+    codeLength: ctx.userCode?.length || 0,
+    ruleHints: ctx.ruleHints || ''
+  });
+  const stored = { ...ctx, windowId: tab.windowId, tabTitle: tab.title || '' };
+  await tabContexts.set(tabId, stored);
+  
+  // Broadcast to all panels; each one keeps only its own window's active tab
+  chrome.runtime.sendMessage({ type: 'CONTEXT_PUSH', ctx: { ...stored, tabId }, tabId, windowId: tab.windowId }).catch((error) => {
+    console.log('[HintHopper BG] Error broadcasting context (expected if no panel is open):', error?.message);
+    // Ignore errors if no panel is listening
+  });
+}
+
+async function findContext(tabId) {
+  if (!tabId) {
+    // Old callers without a tab id get the tab the learner is looking at
+    const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    tabId = tab?.id;
+  }
+  const ctx = tabId ? await tabContexts.get(tabId) : null;
+  if (ctx) {
+    console.log(`[HintHopper BG] Found context for tab ${tabId}`);
+  }
+  return ctx;
+}
+
 chrome.runtime.onInstalled.addListener(() => {
   console.log("HintHopper installed - Version 0.2.0 (auto-refresh enabled)");
+  agentScheduler.syncAlarms().catch(() => {});
+  storageBudget.scheduleCompaction().catch(() => {});
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  agentScheduler.syncAlarms().catch(() => {});
+  storageBudget.scheduleCompaction().catch(() => {});
+});
+
+// Warn before writes from background agent runs hit the storage quota
+storageBudget.init();
+
+// The service worker may have been stopped in the middle of a background agent run
+agentScheduler.resumeInterrupted().catch((error) => {
+  console.warn('[HintHopper BG] Could not resume agent runs:', error?.message);
+});
+
+// Scheduled agents and history compaction
+chrome.alarms.onAlarm.addListener((alarm) => {
+  agentScheduler.handleAlarm(alarm).catch((error) => {
+    console.warn('[HintHopper BG] Scheduled agent failed:', error?.message);
+  });
+  storageBudget.handleAlarm(alarm).catch((error) => {
+    console.warn('[HintHopper BG] History compaction failed:', error?.message);
+  });
+});
+
+// Re-book alarms whenever agents are saved, deployed or removed
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.agent_builder_agents) {
+    agentScheduler.syncAlarms().catch(() => {});
+  }
 });
 
 // Open side panel when extension icon is clicked
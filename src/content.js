@@ -87,13 +87,14 @@ const send = () => {
 
 // throttle sends to avoid flooding
 let scheduled = false;
+
+// Hint shown most recently on this page; passes after it are credited to it
 let lastHintId = null;
 
-// Store test status to detect passes
-let lastTestStatus = {
-  failingCount: 0,
-  passingCount: 0
-};
+// Last settled status (pass/fail) per test id on the current page.
+// Pending and vanished tests keep their old status, so a re-run that
+// briefly clears the list doesn't report the same tests again.
+let testBaseline = null;
 
 // Auto-detect DOM changes and send updates
 function schedule() { 
@@ -107,50 +108,55 @@ function schedule() {
   } 
 };
 
-// Check for test passes to track outcomes
+// Report each test that turned green since the last check
 function checkForTestPasses() {
-  if (!lastHintId) return; // No hint to track against
+  const adapters = window.__trailNoteAdapters;
+  if (!adapters) return;
   
-  const tests = document.querySelectorAll('[class*="test"], [class*="pass"], [class*="fail"], [class*="error"]');
-  let passingCount = 0;
-  let failingCount = 0;
+  const results = adapters.getTestResults();
   
-  tests.forEach(test => {
-    const text = test.textContent?.toLowerCase() || '';
-    // Check for pass/fail indicators
-    if (text.includes('pass') || text.includes('success') || test.classList.contains('pass')) {
-      passingCount++;
-    } else if (text.includes('fail') || text.includes('error') || test.classList.contains('fail')) {
-      failingCount++;
-    }
-  });
+  // New page: remember what's already there, report nothing
+  if (!testBaseline || testBaseline.url !== location.href) {
+    testBaseline = { url: location.href, statuses: new Map() };
+    results.forEach(r => { if (r.status !== 'pending') testBaseline.statuses.set(r.id, r.status); });
+    lastHintId = null;
+    return;
+  }
   
-  // If there are more passing tests than before, report a pass
-  if (passingCount > lastTestStatus.passingCount || failingCount < lastTestStatus.failingCount) {
-    console.log('[HintHopper] Detected a test pass! Previous passing tests:', lastTestStatus.passingCount, 
-               'Current:', passingCount, 'Hint ID:', lastHintId);
-    
-    // Report the pass to the background script
+  const passed = results.filter(r => r.status === 'pass' && testBaseline.statuses.get(r.id) !== 'pass');
+  results.forEach(r => { if (r.status !== 'pending') testBaseline.statuses.set(r.id, r.status); });
+  if (passed.length === 0) return;
+  
+  const active = adapters.getActiveAdapter();
+  const batch = { id: Date.now(), size: passed.length };
+  console.log(`[HintHopper] ${passed.length} test(s) passed`, passed.map(r => r.text), 'Hint ID:', lastHintId);
+  
+  passed.forEach((test, index) => {
     chrome.runtime.sendMessage({
       type: 'TEST_PASSED',
-      hintId: lastHintId
+      hintId: lastHintId,
+      test: { id: test.id, text: test.text },
+      platform: active?.platform.id || null,
+      conceptId: active?.adapter.getConceptId() || null,
+      url: location.pathname,
+      batch: { ...batch, index }
     }, () => {
       const err = chrome.runtime.lastError;
-      if (err) {
+      if (err && !IGNORABLE_RUNTIME_ERRORS.test(err.message || '')) {
         console.warn('[HintHopper] Error reporting test pass:', err.message);
       }
     });
-    
-    // Clear the hint ID so we don't double-count
-    lastHintId = null;
-  }
-  
-  // Update the test status
-  lastTestStatus = { passingCount, failingCount };
+  });
 }
 
-// initial send
-send();
+// initial send, once imported selector packs are loaded
+(window.__trailNoteAdapters?.packsReady || Promise.resolve()).then(() => {
+  send();
+  checkForTestPasses();
+});
+
+// re-capture when a selector pack is imported or removed
+window.__trailNoteAdapters?.onPacksChanged(schedule);
 
 // watch for DOM changes (SPA navigation)
 const mo = new MutationObserver(schedule);
@@ -213,6 +219,25 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     return true; // Keep the channel open for async response
   }
   
+  // Selector diagnostics for the Settings view
+  if (msg?.type === 'ADAPTER_DIAGNOSTICS') {
+    sendResponse({ diagnostics: window.__trailNoteAdapters?.diagnose() || null });
+    return;
+  }
+  
+  // Current editor code, for comparing with the code a hint was given for
+  if (msg?.type === 'GET_CODE') {
+    const adapters = window.__trailNoteAdapters;
+    sendResponse({ code: adapters ? (adapters.getCode().code || '').trim() : null });
+    return;
+  }
+  
+  // Debug mode: sanitized page snapshot for adapter fixtures
+  if (msg?.type === 'CAPTURE_FIXTURE') {
+    sendResponse({ fixture: window.__trailNoteAdapters?.captureFixture() || null });
+    return;
+  }
+  
   // Handle test success reporting
   if (msg?.type === 'TRACK_TEST_PASS' && msg?.hintId) {
     console.log('[HintHopper] Tracking test pass for hint ID:', msg.hintId);
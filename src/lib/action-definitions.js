@@ -7,6 +7,8 @@
 import { store } from './storage.js';
 import { nlu } from './nlu.js';
 import { conceptGraph } from './concept-graph.js';
+import { notesRepository, noteToText } from './notes-repository.js';
+import { searchIndex } from './search-index.js';
 
 // Action categories for organization
 const ACTION_CATEGORIES = {
@@ -15,6 +17,50 @@ const ACTION_CATEGORIES = {
   OUTPUT: 'output'     // Save/display information
 };
 
+/**
+ * Flow control steps
+ * These sit in an agent's action list next to regular actions:
+ * - if:       { type: 'if', condition, then: [steps], else: [steps] }
+ * - for_each: { type: 'for_each', items: '${action_0.found_items}', as: 'item', actions: [steps] }
+ * - exit:     { type: 'exit', condition (optional), message }
+ */
+export const FLOW_STEPS = {
+  if: {
+    type: 'if',
+    name: 'If',
+    description: 'Only run some steps when a condition is true',
+    blocks: ['then', 'else']
+  },
+  for_each: {
+    type: 'for_each',
+    name: 'For Each',
+    description: 'Repeat steps for every item in a list',
+    blocks: ['actions']
+  },
+  exit: {
+    type: 'exit',
+    name: 'Stop',
+    description: 'Finish the agent early',
+    blocks: []
+  }
+};
+
+/**
+ * Operators for flow conditions: { left, operator, right }
+ * needsRight: false means the operator only looks at the left value
+ */
+export const CONDITION_OPERATORS = {
+  equals: { label: 'is', needsRight: true },
+  not_equals: { label: 'is not', needsRight: true },
+  gt: { label: 'is more than', needsRight: true },
+  gte: { label: 'is at least', needsRight: true },
+  lt: { label: 'is less than', needsRight: true },
+  lte: { label: 'is at most', needsRight: true },
+  contains: { label: 'contains', needsRight: true },
+  is_empty: { label: 'is empty', needsRight: false },
+  not_empty: { label: 'is not empty', needsRight: false }
+};
+
 /**
  * Base action structure
  * All actions follow this pattern for consistency
@@ -29,9 +75,88 @@ const ACTION_SCHEMA = {
   execute: null     // The function to run
 };
 
+// Limits on what is sent to the LLM per action
+const MAX_LLM_INPUT_CHARS = 6000;
+const MAX_LLM_ITEMS = 30;
+
+/**
+ * Heuristic helpers - used when no LLM is configured and as mock output
+ */
+function itemToText(item) {
+  if (typeof item === 'string') return item;
+  if (item.fields) return noteToText(item);
+  return `${item.problem || ''} ${item.insight || ''} ${item.body || ''} ${item.name || ''}`;
+}
+
+function heuristicSummary(content, style) {
+  const sentences = content.split(/[.!?]+/).filter(s => s.trim().length > 10);
+  
+  if (style === 'bullet points') {
+    const bullets = sentences.slice(0, 5).map(s => `• ${s.trim()}`);
+    return bullets.join('\n');
+  } else if (style === 'one paragraph') {
+    return sentences.slice(0, 3).join('. ').trim() + '.';
+  }
+  
+  // key takeaways
+  const keywords = content.toLowerCase().match(/\b[a-z]{4,}\b/g) || [];
+  const uniqueKeywords = [...new Set(keywords)].slice(0, 5);
+  return `Key concepts: ${uniqueKeywords.join(', ')}`;
+}
+
+async function heuristicPatterns(items, texts) {
+  // Find common keywords
+  await nlu.init();
+  const allKeywords = {};
+  
+  for (const text of texts) {
+    const keywords = nlu.extractKeywords?.(text) || {};
+    for (const [word, score] of Object.entries(keywords)) {
+      allKeywords[word] = (allKeywords[word] || 0) + score;
+    }
+  }
+  
+  // Sort by frequency
+  const patterns = Object.entries(allKeywords)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 10)
+    .map(([word, score]) => ({ term: word, frequency: Math.round(score * 100) / 100 }));
+  
+  // Create simple clusters
+  const clusters = {};
+  for (const pattern of patterns.slice(0, 5)) {
+    clusters[pattern.term] = items.filter((item, idx) => 
+      texts[idx].toLowerCase().includes(pattern.term)
+    ).slice(0, 3);
+  }
+  
+  return { patterns, clusters };
+}
+
+function questionTemplates(topic) {
+  // Generate questions based on topic keywords
+  const keywords = topic.toLowerCase().split(/\s+/).filter(w => w.length > 3);
+  const subject = keywords[0] || 'this';
+  
+  return [
+    `How does ${subject} relate to what you already know?`,
+    `What would happen if ${subject} was different?`,
+    `Why is ${subject} important?`,
+    `What are the practical applications of ${subject}?`,
+    `What misconceptions might someone have about ${subject}?`,
+    `How would you explain ${subject} to a beginner?`,
+    `What are the prerequisites for understanding ${subject}?`,
+    `What are common mistakes when learning ${subject}?`
+  ];
+}
+
 /**
  * Available Actions for Agents
  * These are the building blocks non-coders use to create agents
+ *
+ * idempotent: whether running the action twice has the same effect as once.
+ * A resumed run redoes the step it was interrupted on; actions marked false
+ * are not applied again if they already ran (see AgentExecutor journal).
  */
 export const ACTIONS = {
   
@@ -52,32 +177,23 @@ export const ACTIONS = {
       { id: 'query', type: 'text', label: 'What are you looking for?', placeholder: 'e.g., "notes about flexbox"' }
     ],
     outputs: ['found_items', 'count'],
+    idempotent: true,
     async execute(params, context) {
       const { query } = params;
       
-      // Get all notes from storage
-      const notes = await store.get('hinthopper:notes', []);
+      // Get all notes from the repository
+      const notes = await notesRepository.list();
       
       if (!query || query.trim() === '') {
         return { found_items: notes, count: notes.length };
       }
       
-      // Use NLU to find relevant notes
-      await nlu.init();
-      const results = [];
-      
-      for (const note of notes) {
-        const noteText = `${note.problem || ''} ${note.insight || ''} ${note.body || ''}`;
-        const similarity = nlu.calculateSimilarity?.(query, noteText) || 
-          (noteText.toLowerCase().includes(query.toLowerCase()) ? 0.8 : 0);
-        
-        if (similarity > 0.3) {
-          results.push({ ...note, relevance: similarity });
-        }
-      }
-      
-      // Sort by relevance
-      results.sort((a, b) => b.relevance - a.relevance);
+      // Ranked by the search index (BM25, plus embeddings when enabled)
+      const byId = new Map(notes.map(note => [note.id, note]));
+      const hits = await searchIndex.search(query, { types: ['note'], limit: 50 });
+      const results = hits
+        .filter(hit => byId.has(hit.sourceId))
+        .map(hit => ({ ...byId.get(hit.sourceId), relevance: hit.score }));
       
       return { found_items: results, count: results.length };
     }
@@ -95,6 +211,7 @@ export const ACTIONS = {
       { id: 'concept', type: 'text', label: 'Concept to explore (optional)', placeholder: 'e.g., "flexbox" or leave empty for all' }
     ],
     outputs: ['concepts', 'relationships'],
+    idempotent: true,
     async execute(params, context) {
       const { concept } = params;
       
@@ -131,9 +248,12 @@ export const ACTIONS = {
     category: ACTION_CATEGORIES.INPUT,
     inputs: [],
     outputs: ['context'],
+    idempotent: true,
     async execute(params, context) {
-      // Context is passed from the agent executor
-      return { context: context || null };
+      // Context is passed from the agent executor (minus the LLM capability and step id)
+      if (!context) return { context: null };
+      const { llm, stepId, ...current } = context;
+      return { context: current };
     }
   },
   
@@ -153,7 +273,8 @@ export const ACTIONS = {
       { id: 'content', type: 'text', label: 'Content to summarize', placeholder: 'Paste or reference content' },
       { id: 'style', type: 'select', label: 'Summary style', options: ['bullet points', 'one paragraph', 'key takeaways'] }
     ],
-    outputs: ['summary'],
+    outputs: ['summary', 'generatedBy'],
+    idempotent: true,
     async execute(params, context) {
       const { content, style = 'bullet points' } = params;
       
@@ -161,20 +282,23 @@ export const ACTIONS = {
         return { summary: 'No content provided to summarize.' };
       }
       
-      // For now, use simple extraction (LLM integration happens at executor level)
-      const sentences = content.split(/[.!?]+/).filter(s => s.trim().length > 10);
+      const text = typeof content === 'string' ? content : JSON.stringify(content);
+      const fallback = heuristicSummary(text, style);
       
-      if (style === 'bullet points') {
-        const bullets = sentences.slice(0, 5).map(s => `• ${s.trim()}`);
-        return { summary: bullets.join('\n') };
-      } else if (style === 'one paragraph') {
-        return { summary: sentences.slice(0, 3).join('. ').trim() + '.' };
-      } else {
-        // key takeaways
-        const keywords = content.toLowerCase().match(/\b[a-z]{4,}\b/g) || [];
-        const uniqueKeywords = [...new Set(keywords)].slice(0, 5);
-        return { summary: `Key concepts: ${uniqueKeywords.join(', ')}` };
+      if (context?.llm?.available) {
+        const response = await context.llm.complete({
+          prompt: `Summarize the following study material as ${style}. ` +
+            `Use "• " bullets for bullet points and key takeaways.\n\n${text.slice(0, MAX_LLM_INPUT_CHARS)}`,
+          mock: fallback
+        });
+        
+        if (response?.text?.trim()) {
+          return { summary: response.text.trim(), generatedBy: response.provider };
+        }
       }
+      
+      // Offline fallback: simple extraction
+      return { summary: fallback, generatedBy: 'heuristic' };
     }
   },
   
@@ -189,7 +313,8 @@ export const ACTIONS = {
     inputs: [
       { id: 'items', type: 'array', label: 'Items to analyze', placeholder: 'Usually from a previous action' }
     ],
-    outputs: ['patterns', 'clusters'],
+    outputs: ['patterns', 'clusters', 'generatedBy'],
+    idempotent: true,
     async execute(params, context) {
       const { items } = params;
       
@@ -198,37 +323,53 @@ export const ACTIONS = {
       }
       
       // Extract text from items
-      const texts = items.map(item => {
-        if (typeof item === 'string') return item;
-        return `${item.problem || ''} ${item.insight || ''} ${item.body || ''} ${item.name || ''}`;
-      });
-      
-      // Find common keywords
-      await nlu.init();
-      const allKeywords = {};
-      
-      for (const text of texts) {
-        const keywords = nlu.extractKeywords?.(text) || {};
-        for (const [word, score] of Object.entries(keywords)) {
-          allKeywords[word] = (allKeywords[word] || 0) + score;
+      const texts = items.map(itemToText);
+      const fallback = await heuristicPatterns(items, texts);
+      
+      if (context?.llm?.available) {
+        const numbered = texts
+          .slice(0, MAX_LLM_ITEMS)
+          .map((text, idx) => `[${idx}] ${text.trim().slice(0, 300)}`)
+          .join('\n');
+        
+        const response = await context.llm.complete({
+          prompt: 'Find up to 10 recurring themes across these study notes. ' +
+            'Reply as {"patterns": [{"term": "short theme name", "items": [indexes of matching notes]}]}, ' +
+            'most common theme first.\n\n' + numbered,
+          json: true,
+          mock: {
+            patterns: fallback.patterns.map(p => ({
+              term: p.term,
+              items: texts.map((t, idx) => (t.toLowerCase().includes(p.term) ? idx : -1)).filter(idx => idx >= 0)
+            }))
+          }
+        });
+        
+        const llmPatterns = Array.isArray(response?.data?.patterns) ? response.data.patterns : [];
+        if (llmPatterns.length > 0) {
+          const patterns = [];
+          const clusters = {};
+          
+          for (const pattern of llmPatterns.slice(0, 10)) {
+            if (!pattern?.term) continue;
+            const term = String(pattern.term).toLowerCase();
+            const indexes = (Array.isArray(pattern.items) ? pattern.items : [])
+              .filter(idx => Number.isInteger(idx) && idx >= 0 && idx < items.length);
+            
+            patterns.push({ term, frequency: indexes.length });
+            if (patterns.length <= 5) {
+              clusters[term] = indexes.map(idx => items[idx]).slice(0, 3);
+            }
+          }
+          
+          if (patterns.length > 0) {
+            return { patterns, clusters, generatedBy: response.provider };
+          }
         }
       }
       
-      // Sort by frequency
-      const patterns = Object.entries(allKeywords)
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 10)
-        .map(([word, score]) => ({ term: word, frequency: Math.round(score * 100) / 100 }));
-      
-      // Create simple clusters
-      const clusters = {};
-      for (const pattern of patterns.slice(0, 5)) {
-        clusters[pattern.term] = items.filter((item, idx) => 
-          texts[idx].toLowerCase().includes(pattern.term)
-        ).slice(0, 3);
-      }
-      
-      return { patterns, clusters };
+      // Offline fallback: keyword frequency
+      return { ...fallback, generatedBy: 'heuristic' };
     }
   },
   
@@ -244,7 +385,8 @@ export const ACTIONS = {
       { id: 'topic', type: 'text', label: 'Topic or content', placeholder: 'What should questions be about?' },
       { id: 'count', type: 'number', label: 'How many questions?', default: 3 }
     ],
-    outputs: ['questions'],
+    outputs: ['questions', 'generatedBy'],
+    idempotent: true,
     async execute(params, context) {
       const { topic, count = 3 } = params;
       
@@ -252,25 +394,35 @@ export const ACTIONS = {
         return { questions: ['What would you like to explore?'] };
       }
       
-      // Generate questions based on topic keywords
-      const keywords = topic.toLowerCase().split(/\s+/).filter(w => w.length > 3);
-      
-      const questionTemplates = [
-        `How does ${keywords[0] || 'this'} relate to what you already know?`,
-        `What would happen if ${keywords[0] || 'this'} was different?`,
-        `Why is ${keywords[0] || 'this'} important?`,
-        `What are the practical applications of ${keywords[0] || 'this'}?`,
-        `What misconceptions might someone have about ${keywords[0] || 'this'}?`,
-        `How would you explain ${keywords[0] || 'this'} to a beginner?`,
-        `What are the prerequisites for understanding ${keywords[0] || 'this'}?`,
-        `What are common mistakes when learning ${keywords[0] || 'this'}?`
-      ];
+      const topicText = typeof topic === 'string' ? topic : JSON.stringify(topic);
+      const wanted = Math.max(1, Number(count) || 3);
+      const templates = questionTemplates(topicText);
+      
+      if (context?.llm?.available) {
+        const response = await context.llm.complete({
+          prompt: `Write ${wanted} short, thought-provoking questions that help a learner ` +
+            `check their understanding of this topic. Do not answer them. ` +
+            `Reply as {"questions": ["..."]}.\n\nTopic:\n${topicText.slice(0, MAX_LLM_INPUT_CHARS)}`,
+          json: true,
+          // Mock mode keeps template order so runs are repeatable
+          mock: { questions: templates.slice(0, wanted) }
+        });
+        
+        const questions = (response?.data?.questions || [])
+          .filter(q => typeof q === 'string' && q.trim())
+          .map(q => q.trim())
+          .slice(0, wanted);
+        
+        if (questions.length > 0) {
+          return { questions, generatedBy: response.provider };
+        }
+      }
       
-      // Shuffle and pick
-      const shuffled = questionTemplates.sort(() => Math.random() - 0.5);
-      const questions = shuffled.slice(0, Math.min(count, questionTemplates.length));
+      // Offline fallback: shuffle and pick templates
+      const shuffled = templates.sort(() => Math.random() - 0.5);
+      const questions = shuffled.slice(0, Math.min(wanted, templates.length));
       
-      return { questions };
+      return { questions, generatedBy: 'heuristic' };
     }
   },
   
@@ -292,6 +444,7 @@ export const ACTIONS = {
       { id: 'tags', type: 'text', label: 'Tags (optional)', placeholder: '#topic #category' }
     ],
     outputs: ['saved', 'id'],
+    idempotent: false, // Adds a new note every time
     async execute(params, context) {
       const { title, content, tags } = params;
       
@@ -299,21 +452,26 @@ export const ACTIONS = {
         return { saved: false, id: null };
       }
       
-      const notes = await store.get('hinthopper:notes', []);
+      // Saved before the run was interrupted - don't add it twice
+      if (context?.stepId) {
+        const notes = await notesRepository.list();
+        const existing = notes.find(n => n.agentStepId === context.stepId);
+        if (existing) {
+          return { saved: true, id: existing.id };
+        }
+      }
       
-      const newNote = {
-        id: `note_${Date.now()}`,
-        problem: title || 'Agent-generated note',
-        insight: content.substring(0, 120),
+      const newNote = await notesRepository.create({
+        title: title || 'Agent-generated note',
         body: content,
         tags: tags || '',
-        conceptId: null,
-        createdAt: Date.now(),
-        source: 'agent'
-      };
-      
-      notes.push(newNote);
-      await store.set('hinthopper:notes', notes);
+        fields: {
+          problem: title || 'Agent-generated note',
+          insight: content.substring(0, 120)
+        },
+        source: 'agent',
+        agentStepId: context?.stepId || null
+      });
       
       return { saved: true, id: newNote.id };
     }
@@ -331,7 +489,8 @@ export const ACTIONS = {
       { id: 'message', type: 'textarea', label: 'Message to display', placeholder: 'What should the user see?' },
       { id: 'format', type: 'select', label: 'Format', options: ['text', 'list', 'table'] }
     ],
-    outputs: ['displayed'],
+    outputs: ['displayed', 'output'],
+    idempotent: true,
     async execute(params, context) {
       const { message, format = 'text' } = params;
       
@@ -362,6 +521,7 @@ export const ACTIONS = {
       { id: 'relatedTo', type: 'text', label: 'Related to (optional)', placeholder: 'Other concepts this connects to' }
     ],
     outputs: ['updated', 'conceptId'],
+    idempotent: true, // Writes the concept under a fixed id, so a repeat overwrites it
     async execute(params, context) {
       const { conceptName, description, relatedTo } = params;
       
@@ -432,4 +592,4 @@ export function validateActionParams(actionId, params) {
   return { valid: errors.length === 0, errors };
 }
 
-export default { ACTIONS, getAction, getAllActions, getActionsByCategory, validateActionParams };
+export default { ACTIONS, FLOW_STEPS, CONDITION_OPERATORS, getAction, getAllActions, getActionsByCategory, validateActionParams };
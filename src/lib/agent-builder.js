@@ -6,12 +6,17 @@
 import { store } from './storage.js';
 import { getTemplate, getAllTemplates, createFromTemplate, validateTemplate } from './agent-templates.js';
 import { getAllActions, getActionsByCategory } from './action-definitions.js';
-import { agentExecutor } from './agent-executor.js';
+import { agentExecutor, compactTrace } from './agent-executor.js';
+import { createBundle, previewImport } from './agent-bundle.js';
+import { migrateContextReferences } from './agent-expressions.js';
 
 // Store keys
 const AGENTS_KEY = 'agent_builder_agents';
 const DEPLOYED_KEY = 'agent_builder_deployed';
 
+// Only the most recent runs keep their step-by-step trace (for replay)
+const TRACE_HISTORY_LIMIT = 20;
+
 /**
  * Agent Builder Service
  * Handles agent creation, modification, deployment, and lifecycle
@@ -23,7 +28,7 @@ export const agentBuilder = {
    */
   async init() {
     // Ensure storage keys exist
-    const agents = await store.get(AGENTS_KEY, {});
+    const agents = await this._loadAgents();
     if (!agents || Object.keys(agents).length === 0) {
       // Seed with default templates
       const templates = getAllTemplates();
@@ -38,17 +43,54 @@ export const agentBuilder = {
       }
       
       await store.set(AGENTS_KEY, seedAgents);
+    } else {
+      // Keep untouched template agents in step with their template's flow
+      let refreshed = false;
+      for (const agent of Object.values(agents)) {
+        const template = agent.isTemplate && !agent.modifiedAt ? getTemplate(agent.id) : null;
+        if (template && JSON.stringify(template.actions) !== JSON.stringify(agent.actions)) {
+          agent.actions = JSON.parse(JSON.stringify(template.actions));
+          refreshed = true;
+        }
+      }
+      if (refreshed) {
+        await store.set(AGENTS_KEY, agents);
+      }
     }
     
     console.log('[AgentBuilder] Initialized');
     return true;
   },
-  
+
+  /**
+   * Stored agents, with flows saved before typed references brought up to date
+   * Agents copied from the old templates read user input as ${context.x}; they are
+   * rewritten to ${userInput.x} (and saved) the first time any context reads them.
+   */
+  async _loadAgents() {
+    const agents = await store.get(AGENTS_KEY, {});
+    let migrated = 0;
+
+    for (const agent of Object.values(agents || {})) {
+      const { value, rewritten } = migrateContextReferences(agent.actions || []);
+      if (rewritten.length > 0) {
+        agent.actions = value;
+        migrated++;
+      }
+    }
+
+    if (migrated > 0) {
+      await store.set(AGENTS_KEY, agents);
+      console.log(`[AgentBuilder] Rewrote \${context.x} references in ${migrated} agents`);
+    }
+    return agents;
+  },
+
   /**
    * Get all available agents (templates + custom)
    */
   async getAllAgents() {
-    const agents = await store.get(AGENTS_KEY, {});
+    const agents = await this._loadAgents();
     return Object.values(agents);
   },
   
@@ -56,7 +98,7 @@ export const agentBuilder = {
    * Get a specific agent by ID
    */
   async getAgent(agentId) {
-    const agents = await store.get(AGENTS_KEY, {});
+    const agents = await this._loadAgents();
     return agents[agentId] || null;
   },
   
@@ -87,7 +129,7 @@ export const agentBuilder = {
     }
     
     // Save to storage
-    const agents = await store.get(AGENTS_KEY, {});
+    const agents = await this._loadAgents();
     agents[agent.id] = agent;
     await store.set(AGENTS_KEY, agents);
     
@@ -99,7 +141,7 @@ export const agentBuilder = {
    * Update an existing agent
    */
   async updateAgent(agentId, updates) {
-    const agents = await store.get(AGENTS_KEY, {});
+    const agents = await this._loadAgents();
     
     if (!agents[agentId]) {
       throw new Error(`Agent not found: ${agentId}`);
@@ -128,7 +170,7 @@ export const agentBuilder = {
    * Delete an agent
    */
   async deleteAgent(agentId) {
-    const agents = await store.get(AGENTS_KEY, {});
+    const agents = await this._loadAgents();
     
     if (!agents[agentId]) {
       return false;
@@ -190,7 +232,7 @@ export const agentBuilder = {
    * Run an agent
    * @param {string} agentId - The agent to run
    * @param {Object} input - User input/context
-   * @param {Object} callbacks - Progress callbacks
+   * @param {Object} callbacks - Progress callbacks (and breakpoints, see AgentExecutor.execute)
    */
   async runAgent(agentId, input = {}, callbacks = {}) {
     const agent = await this.getAgent(agentId);
@@ -215,11 +257,48 @@ export const agentBuilder = {
     const result = await agentExecutor.execute(agent, context, callbacks);
     
     // Track execution
-    await this._trackExecution(agentId, result);
+    await this._trackExecution(agentId, result, { input });
     
     return result;
   },
   
+  /**
+   * A run the panel started that never finished (panel closed mid-run)
+   * @return {Object|null} See AgentExecutor.getInterruptedRun
+   */
+  async getInterruptedRun() {
+    const run = await agentExecutor.getInterruptedRun();
+    if (!run) return null;
+    
+    // The agent may have been deleted since
+    const agent = await this.getAgent(run.agentId);
+    return agent ? { ...run, agentName: agent.name } : null;
+  },
+  
+  /**
+   * Continue the interrupted run from the step it was on
+   * @param {Object} callbacks - Progress callbacks (see runAgent)
+   */
+  async resumeRun(callbacks = {}) {
+    const run = await this.getInterruptedRun();
+    if (!run) {
+      throw new Error('There is no interrupted run to resume');
+    }
+    
+    const agent = await this.getAgent(run.agentId);
+    const result = await agentExecutor.resumeSaved(agent, callbacks);
+    
+    await this._trackExecution(agent.id, result, { trigger: 'resumed', input: run.userInput });
+    return result;
+  },
+  
+  /**
+   * Forget an interrupted run instead of resuming it
+   */
+  async discardInterruptedRun() {
+    await agentExecutor.clearState();
+  },
+  
   /**
    * Get available actions for building agents
    */
@@ -271,11 +350,14 @@ export const agentBuilder = {
       difficulty: 'custom',
       timeToDeploy: '5 minutes',
       purpose,
-      actions: actions.map((a, i) => ({
-        actionId: a.actionId,
-        params: a.params || {},
-        description: a.description || `Step ${i + 1}`
-      })),
+      actions: actions.map((a, i) => (a.type && a.type !== 'action'
+        // Flow-control steps (if / for_each / exit) keep their own shape
+        ? { ...a, description: a.description || `Step ${i + 1}` }
+        : {
+            actionId: a.actionId,
+            params: a.params || {},
+            description: a.description || `Step ${i + 1}`
+          })),
       behavior: {
         trigger: 'manual',
         requiresConfirmation: false,
@@ -311,7 +393,7 @@ export const agentBuilder = {
     }
     
     // Save
-    const agents = await store.get(AGENTS_KEY, {});
+    const agents = await this._loadAgents();
     agents[agent.id] = agent;
     await store.set(AGENTS_KEY, agents);
     
@@ -336,13 +418,77 @@ export const agentBuilder = {
     duplicate.modifiedAt = Date.now();
     duplicate.isTemplate = false;
     
-    const agents = await store.get(AGENTS_KEY, {});
+    const agents = await this._loadAgents();
     agents[duplicate.id] = duplicate;
     await store.set(AGENTS_KEY, agents);
     
     return duplicate;
   },
-  
+
+  /**
+   * Export agents as a portable bundle (see agent-bundle.js)
+   * @param {Array} agentIds - Agents to export (all when omitted)
+   * @return {string} Bundle JSON
+   */
+  async exportAgents(agentIds = null) {
+    const agents = await this.getAllAgents();
+    const selected = agentIds ? agents.filter(a => agentIds.includes(a.id)) : agents;
+
+    if (selected.length === 0) {
+      throw new Error('No agents to export');
+    }
+
+    return JSON.stringify(createBundle(selected), null, 2);
+  },
+
+  /**
+   * Validate a bundle and diff it against the stored agents, without saving anything
+   * @param {string} text - Bundle file contents
+   */
+  async previewImport(text) {
+    const agents = await this._loadAgents();
+    return previewImport(text, agents);
+  },
+
+  /**
+   * Save agents from an import preview
+   * Agents keep their ids, so an import replaces the stored agent with the same id
+   * @param {Array} entries - Entries from previewImport() the user chose to import
+   * @return {Array} Imported agents
+   */
+  async importAgents(entries) {
+    const agents = await this._loadAgents();
+    const imported = [];
+
+    for (const entry of entries) {
+      if (entry.status === 'invalid' || entry.status === 'identical') continue;
+
+      const existing = agents[entry.agent.id];
+      agents[entry.agent.id] = {
+        ...entry.agent,
+        createdAt: existing?.createdAt || Date.now(),
+        modifiedAt: Date.now(),
+        importedAt: Date.now(),
+        isCustom: true,
+        isTemplate: false,
+        // Replacing keeps the current deployment; new agents show up ready to run in My Agents
+        isDeployed: existing ? Boolean(existing.isDeployed) : true
+      };
+      imported.push(agents[entry.agent.id]);
+    }
+
+    await store.set(AGENTS_KEY, agents);
+
+    const deployed = await store.get(DEPLOYED_KEY, []);
+    for (const agent of imported) {
+      if (agent.isDeployed && !deployed.includes(agent.id)) deployed.push(agent.id);
+    }
+    await store.set(DEPLOYED_KEY, deployed);
+
+    console.log('[AgentBuilder] Imported agents:', imported.map(a => a.id));
+    return imported;
+  },
+
   /**
    * Get agent execution history
    */
@@ -354,18 +500,24 @@ export const agentBuilder = {
   
   /**
    * Track agent execution
+   * @param {Object} meta - { trigger, input } - trigger is 'manual', 'scheduled' or an event id
    * @private
    */
-  async _trackExecution(agentId, result) {
+  async _trackExecution(agentId, result, meta = {}) {
     const key = `agent_history_${agentId}`;
     const history = await store.get(key, []);
     
     history.push({
       timestamp: Date.now(),
+      trigger: meta.trigger || 'manual',
       status: result.status,
       actionsExecuted: result.actionsExecuted,
       elapsed: result.elapsed,
-      errorCount: result.errors?.length || 0
+      errorCount: result.errors?.length || 0,
+      errors: (result.errors || []).map(e => e.error),
+      exitMessage: result.exit?.message || null,
+      input: meta.input ?? null,
+      trace: result.trace ? compactTrace(result.trace) : null
     });
     
     // Keep last 100 executions
@@ -373,6 +525,11 @@ export const agentBuilder = {
       history.shift();
     }
     
+    // Older runs keep their summary but drop the trace
+    for (let i = 0; i < history.length - TRACE_HISTORY_LIMIT; i++) {
+      history[i].trace = null;
+    }
+    
     await store.set(key, history);
   },
   
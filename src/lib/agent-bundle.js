@@ -0,0 +1,320 @@
+/**
+ * Agent Bundle - portable, versioned JSON for sharing agents
+ *
+ * {
+ *   "format": "trailnote-agent-bundle",
+ *   "version": 2,
+ *   "exportedAt": "2026-10-19T09:00:00.000Z",
+ *   "agents": [ { id, name, purpose, actions, behavior, ... } ]
+ * }
+ *
+ * Version history:
+ * - 1: plain action lists; user input referenced as ${context.x}; no triggers
+ * - 2: flow-control steps, typed references with filters, scheduled/event triggers
+ *
+ * A bare agent object or array (pasted straight out of storage) has no version. It
+ * is read as the current version; only ${context.x} references left from older
+ * flows are rewritten, and the import screen lists them.
+ */
+
+import { TEMPLATE_SCHEMA, validateTemplate } from './agent-templates.js';
+import { migrateContextReferences } from './agent-expressions.js';
+
+export const BUNDLE_FORMAT = 'trailnote-agent-bundle';
+export const BUNDLE_VERSION = 2;
+
+// Agent fields that travel in a bundle (runtime flags like isDeployed stay local)
+const PORTABLE_FIELDS = [
+  ...Object.keys(TEMPLATE_SCHEMA),
+  'purpose',
+  'customization',
+  'baseTemplate'
+];
+
+/**
+ * Migrations from each version to the next
+ * Each takes a bundle at version N and returns one at N + 1
+ */
+const MIGRATIONS = {
+  1: (bundle) => ({
+    ...bundle,
+    version: 2,
+    agents: bundle.agents.map(agent => ({
+      ...agent,
+      // v1 flows read user input from ${context.x}
+      actions: migrateContextReferences(agent.actions || []).value,
+      behavior: { trigger: 'manual', ...agent.behavior }
+    }))
+  })
+};
+
+/**
+ * Build a bundle from stored agents
+ * @param {Array} agents - Agent objects (from agentBuilder)
+ */
+export function createBundle(agents) {
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    agents: agents.map(toPortableAgent)
+  };
+}
+
+/**
+ * Parse bundle text and bring it up to the current version
+ * @param {string} text - File contents
+ * @return {Object} { bundle, migratedFrom, rewritten, errors } - rewritten has one list per
+ *   agent of the references that were changed: [{ before: '${context.x}', after: '${userInput.x}' }]
+ */
+export function parseBundle(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (error) {
+    return { bundle: null, migratedFrom: null, rewritten: [], errors: [`Not valid JSON: ${error.message}`] };
+  }
+
+  // Bare agent or array of agents - current format, old references aside
+  if (Array.isArray(raw) || (raw && !raw.format && Array.isArray(raw.actions))) {
+    const agents = Array.isArray(raw) ? raw : [raw];
+    if (agents.length === 0) {
+      return { bundle: null, migratedFrom: null, rewritten: [], errors: ['The bundle contains no agents'] };
+    }
+
+    const migrated = agents.map(agent => {
+      if (!agent || typeof agent !== 'object') return { agent, rewritten: [] };
+      const { value, rewritten } = migrateContextReferences(agent.actions || []);
+      return { agent: rewritten.length > 0 ? { ...agent, actions: value } : agent, rewritten };
+    });
+    return {
+      bundle: { format: BUNDLE_FORMAT, version: BUNDLE_VERSION, agents: migrated.map(m => m.agent) },
+      migratedFrom: null,
+      rewritten: migrated.map(m => describeRewrites(m.rewritten)),
+      errors: []
+    };
+  }
+
+  if (!raw || raw.format !== BUNDLE_FORMAT) {
+    return { bundle: null, migratedFrom: null, rewritten: [], errors: ['This file is not a TrailNote agent bundle'] };
+  }
+  if (!Number.isInteger(raw.version) || raw.version < 1) {
+    return { bundle: null, migratedFrom: null, rewritten: [], errors: [`Unknown bundle version: ${raw.version}`] };
+  }
+  if (raw.version > BUNDLE_VERSION) {
+    return {
+      bundle: null,
+      migratedFrom: null,
+      rewritten: [],
+      errors: [`This bundle was made by a newer version (v${raw.version}). Update the extension to import it.`]
+    };
+  }
+  if (!Array.isArray(raw.agents) || raw.agents.length === 0) {
+    return { bundle: null, migratedFrom: null, rewritten: [], errors: ['The bundle contains no agents'] };
+  }
+
+  const migratedFrom = raw.version < BUNDLE_VERSION ? raw.version : null;
+  // v1 is the only version that read user input from ${context.x}
+  const rewritten = raw.agents.map(agent => raw.version === 1
+    ? describeRewrites(migrateContextReferences(agent?.actions || []).rewritten)
+    : []);
+
+  let bundle = raw;
+  while (bundle.version < BUNDLE_VERSION) {
+    bundle = MIGRATIONS[bundle.version](bundle);
+  }
+
+  return { bundle, migratedFrom, rewritten, errors: [] };
+}
+
+/**
+ * Old reference sources as before/after pairs for the import screen (each once)
+ */
+function describeRewrites(sources) {
+  return [...new Set(sources.map(source => source.trim()))].map(source => ({
+    before: `\${${source}}`,
+    after: `\${${source.replace(/^context\./, 'userInput.')}}`
+  }));
+}
+
+/**
+ * Validate one imported agent against TEMPLATE_SCHEMA and the action catalog
+ * @return {Array} Error messages
+ */
+export function validateBundleAgent(agent) {
+  const errors = [];
+
+  if (!agent || typeof agent !== 'object') {
+    return ['Agent entry is not an object'];
+  }
+  if (!agent.id || typeof agent.id !== 'string' || !/^[\w-]+$/.test(agent.id)) {
+    errors.push('Agent id is missing or contains unsupported characters');
+  }
+
+  // Field types follow the template schema defaults
+  for (const [field, example] of Object.entries(TEMPLATE_SCHEMA)) {
+    if (agent[field] === undefined || agent[field] === null) continue;
+    const expected = Array.isArray(example) ? 'array' : typeof example;
+    const actual = Array.isArray(agent[field]) ? 'array' : typeof agent[field];
+    if (expected !== actual) {
+      errors.push(`"${field}" should be ${expected === 'array' ? 'a list' : `a ${expected}`}`);
+    }
+  }
+
+  // Required fields, known actions and well-formed flow blocks
+  if (errors.length === 0) {
+    errors.push(...validateTemplate(agent).errors);
+  }
+
+  return errors;
+}
+
+/**
+ * Compare an existing agent with an incoming one
+ * @return {Object} { identical, fields: [{ field, before, after }], actions: [{ status, before, after, changes }] }
+ */
+export function diffAgents(existing, incoming) {
+  const before = toPortableAgent(existing);
+  const after = toPortableAgent(incoming);
+
+  const fields = [];
+  for (const field of PORTABLE_FIELDS) {
+    if (field === 'actions') continue;
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      fields.push({ field, before: before[field], after: after[field] });
+    }
+  }
+
+  const actions = diffSteps(before.actions || [], after.actions || []);
+  const identical = fields.length === 0 && actions.every(a => a.status === 'unchanged');
+
+  return { identical, fields, actions };
+}
+
+/**
+ * Everything the import screen needs: per-agent validation and diff
+ * @param {string} text - Bundle file contents
+ * @param {Object} existingAgents - Map of agent id -> stored agent
+ */
+export function previewImport(text, existingAgents = {}) {
+  const { bundle, migratedFrom, rewritten, errors } = parseBundle(text);
+  if (!bundle) {
+    return { ok: false, errors, entries: [] };
+  }
+
+  const entries = bundle.agents.map((agent, i) => {
+    const agentErrors = validateBundleAgent(agent);
+    const existing = agent?.id ? existingAgents[agent.id] || null : null;
+    const diff = existing && agentErrors.length === 0 ? diffAgents(existing, agent) : null;
+
+    let status = 'new';
+    if (agentErrors.length > 0) status = 'invalid';
+    else if (diff?.identical) status = 'identical';
+    else if (existing) status = 'update';
+
+    return {
+      agent: agentErrors.length === 0 ? toPortableAgent(agent) : agent,
+      errors: agentErrors,
+      rewritten: rewritten[i] || [],
+      existing,
+      diff,
+      status
+    };
+  });
+
+  return { ok: true, errors: [], version: bundle.version, migratedFrom, exportedAt: bundle.exportedAt || null, entries };
+}
+
+/**
+ * Keep only the portable fields, deep-copied
+ */
+export function toPortableAgent(agent) {
+  const portable = {};
+  for (const field of PORTABLE_FIELDS) {
+    if (agent?.[field] !== undefined) {
+      portable[field] = JSON.parse(JSON.stringify(agent[field]));
+    }
+  }
+  return portable;
+}
+
+/**
+ * Step-by-step diff (longest common subsequence), pairing removed + added neighbours as "changed"
+ */
+function diffSteps(beforeSteps, afterSteps) {
+  const a = beforeSteps.map(s => JSON.stringify(s));
+  const b = afterSteps.map(s => JSON.stringify(s));
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const raw = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      raw.push({ status: 'unchanged', before: beforeSteps[i++], after: afterSteps[j++] });
+    } else if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      raw.push({ status: 'removed', before: beforeSteps[i++], after: null });
+    } else {
+      raw.push({ status: 'added', before: null, after: afterSteps[j++] });
+    }
+  }
+
+  // A removal followed by an addition of the same action reads better as one change
+  const result = [];
+  for (let k = 0; k < raw.length; k++) {
+    const current = raw[k];
+    const next = raw[k + 1];
+    if (current.status === 'removed' && next?.status === 'added' && stepKind(current.before) === stepKind(next.after)) {
+      result.push({ status: 'changed', before: current.before, after: next.after, changes: describeChanges(current.before, next.after) });
+      k++;
+    } else {
+      result.push(current);
+    }
+  }
+
+  return result;
+}
+
+function stepKind(step) {
+  return step?.type && step.type !== 'action' ? step.type : step?.actionId;
+}
+
+/**
+ * Which top-level fields and params differ between two versions of a step
+ */
+function describeChanges(before, after) {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    if (key === 'params') {
+      const paramKeys = new Set([...Object.keys(before.params || {}), ...Object.keys(after.params || {})]);
+      for (const param of paramKeys) {
+        if (JSON.stringify(before.params?.[param]) !== JSON.stringify(after.params?.[param])) {
+          changes.push({ field: `params.${param}`, before: before.params?.[param], after: after.params?.[param] });
+        }
+      }
+    } else if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changes.push({ field: key, before: before[key], after: after[key] });
+    }
+  }
+
+  return changes;
+}
+
+export default {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  createBundle,
+  parseBundle,
+  validateBundleAgent,
+  diffAgents,
+  previewImport,
+  toPortableAgent
+};
@@ -12,7 +12,9 @@
 import { store } from './storage.js';
 import { nlu } from './nlu.js';
 import { conceptGraph } from './concept-graph.js';
-import { getAction, validateActionParams } from './action-definitions.js';
+import { getAction, validateActionParams, CONDITION_OPERATORS } from './action-definitions.js';
+import { createAgentLLM } from './agent-llm.js';
+import { resolveValue, validateFlowReferences } from './agent-expressions.js';
 
 // Execution states
 const EXECUTION_STATE = {
@@ -26,18 +28,49 @@ const EXECUTION_STATE = {
 // Store key for agent state
 const AGENT_STATE_KEY = 'agent_executor_state';
 
+// Saved runs older than this are not offered for resume
+const RESUME_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Safety cap for for_each loops without their own maxIterations
+const MAX_LOOP_ITERATIONS = 50;
+
+// Trace values are trimmed to these sizes before they are stored with a run
+const TRACE_MAX_STRING = 500;
+const TRACE_MAX_ITEMS = 20;
+const TRACE_MAX_DEPTH = 4;
+
 /**
  * Agent Executor - Manages the execution of agents
  */
 export class AgentExecutor {
-  constructor() {
+  /**
+   * @param {Object} options
+   *   persistState: false - keep nothing in storage (no resume)
+   *   stateKey - where the run is saved; background runs use backgroundStateKey(agentId)
+   *     so they never overwrite the panel's run
+   */
+  constructor(options = {}) {
+    this.persistState = options.persistState !== false;
+    this.stateKey = options.stateKey || AGENT_STATE_KEY;
+    this.runId = null;
+    this.checkpoint = null;
+    this.journal = {};
+    this.loopPath = [];
     this.state = EXECUTION_STATE.IDLE;
     this.currentAgent = null;
     this.currentActionIndex = 0;
     this.context = {};
     this.results = [];
     this.errors = [];
+    this.exit = null;
+    this.trace = [];
+    this.breakpoints = new Set();
+    this.pausedAt = null;
     this.startTime = null;
+    this.llm = null;
+    this._stepping = false;
+    this._resumeWaiter = null;
+    this._runActive = false;     // A run of this executor is in progress in memory
     this.onProgress = null;
     this.onComplete = null;
     this.onError = null;
@@ -47,7 +80,8 @@ export class AgentExecutor {
    * Execute an agent from start to finish
    * @param {Object} agent - The agent configuration to execute
    * @param {Object} initialContext - Starting context (user input, current state)
-   * @param {Object} callbacks - Optional callbacks for progress, completion, errors
+   * @param {Object} callbacks - Optional callbacks for progress, completion, errors,
+   *   plus breakpoints: step keys ("2", "2_then_0") to pause before
    * @returns {Object} Execution results
    */
   async execute(agent, initialContext = {}, callbacks = {}) {
@@ -55,6 +89,7 @@ export class AgentExecutor {
     this.onProgress = callbacks.onProgress || null;
     this.onComplete = callbacks.onComplete || null;
     this.onError = callbacks.onError || null;
+    this.breakpoints = new Set(callbacks.breakpoints || []);
     
     // Initialize execution
     this.state = EXECUTION_STATE.RUNNING;
@@ -63,58 +98,97 @@ export class AgentExecutor {
     this.context = { ...initialContext };
     this.results = [];
     this.errors = [];
+    this.exit = null;
+    this.trace = [];
+    this.pausedAt = null;
+    this._stepping = false;
+    this.runId = `run_${Date.now()}`;
+    this.checkpoint = null;
+    this.journal = {};
+    this.loopPath = [];
     this.startTime = Date.now();
     
+    // LLM capability for actions (provider chain from Settings, or mock mode)
+    this.llm = await createAgentLLM();
+    
     // Save initial state
     await this._saveState();
     
+    return this._start(agent, 0);
+  }
+
+  /**
+   * Run from startIndex, marking the run as live in memory until it returns
+   * @private
+   */
+  async _start(agent, startIndex) {
+    this._runActive = true;
     try {
-      // Report progress
-      this._reportProgress('starting', `Starting ${agent.name}...`);
-      
-      // Validate agent has actions
-      if (!agent.actions || agent.actions.length === 0) {
-        throw new Error('Agent has no actions to execute');
+      return await this._run(agent, startIndex);
+    } finally {
+      this._runActive = false;
+    }
+  }
+
+  /**
+   * Run top-level steps from startIndex to the end
+   * @private
+   */
+  async _run(agent, startIndex) {
+    try {
+      if (startIndex === 0) {
+        // Report progress
+        this._reportProgress('starting', `Starting ${agent.name}...`);
+        
+        // Validate agent has actions
+        if (!agent.actions || agent.actions.length === 0) {
+          throw new Error('Agent has no actions to execute');
+        }
+        
+        // Every ${...} reference must point at something that will exist
+        const referenceErrors = validateFlowReferences(agent.actions, this.context);
+        if (referenceErrors.length > 0) {
+          const error = new Error(`Agent has unresolved references:\n- ${referenceErrors.join('\n- ')}`);
+          error.isValidation = true;
+          throw error;
+        }
       }
       
       // Execute each action in sequence
-      for (let i = 0; i < agent.actions.length; i++) {
-        // Check if we should stop
-        if (this.state === EXECUTION_STATE.PAUSED) {
-          await this._saveState();
-          return this._createResult('paused');
-        }
-        
+      for (let i = startIndex; i < agent.actions.length; i++) {
+        // Check if we should stop (a pause waits before the next step instead)
         if (this.state === EXECUTION_STATE.FAILED) {
           return this._createResult('failed');
         }
         
-        // Check timeout
-        if (agent.behavior?.maxExecutionTime) {
-          const elapsed = Date.now() - this.startTime;
-          if (elapsed > agent.behavior.maxExecutionTime) {
-            throw new Error('Agent execution timed out');
-          }
+        if (!this._isActive()) {
+          return this._createResult('stopped');
         }
         
+        this._checkTimeout();
+        
         this.currentActionIndex = i;
         const actionConfig = agent.actions[i];
         
+        // A resumed run restarts from the beginning of this step
+        this._setCheckpoint(i);
+        
         // Report progress
         this._reportProgress('action', actionConfig.description || `Executing action ${i + 1}...`);
         
-        // Execute the action
-        const actionResult = await this._executeAction(actionConfig, i);
-        
-        // Store result for reference by subsequent actions
-        this.results.push(actionResult);
-        
-        // Update context with result
-        this.context[`action_${i}`] = actionResult;
-        this.context.previous = actionResult;
+        // Execute the step (a regular action or an if / for_each / exit block)
+        await this._executeStep(actionConfig, String(i));
         
         // Save state after each action
         await this._saveState();
+        
+        // An exit step ends the run early
+        if (this.exit) break;
+      }
+      
+      // Stopped while paused at a breakpoint
+      if (!this._isActive()) {
+        return this._createResult('stopped');
       }
       
       // Execution complete
@@ -122,7 +196,7 @@ export class AgentExecutor {
       await this._saveState();
       
       // Report completion
-      this._reportProgress('complete', 'Agent execution complete!');
+      this._reportProgress('complete', this.exit?.message || 'Agent execution complete!');
       
       // Call completion callback
       if (this.onComplete) {
@@ -150,8 +224,8 @@ export class AgentExecutor {
         this.onError(error, this._createResult('failed'));
       }
       
-      // Retry if configured
-      if (agent.behavior?.retryOnFailure && this.errors.length < (agent.behavior.retryCount || 2)) {
+      // Retry if configured (a broken flow fails the same way every time)
+      if (!error.isValidation && agent.behavior?.retryOnFailure && this.errors.length < (agent.behavior.retryCount || 2)) {
         return this._retry(agent);
       }
       
@@ -159,11 +233,266 @@ export class AgentExecutor {
     }
   }
 
+  /**
+   * Execute one flow step and record its result in the context
+   * Nested steps get keys like "2_then_0" so they can be referenced as ${action_2_then_0.result}
+   * @private
+   */
+  async _executeStep(step, key) {
+    const type = step.type || 'action';
+    
+    await this._beforeStep(step, key);
+    if (this.state !== EXECUTION_STATE.RUNNING) return;
+    
+    const entry = {
+      key,
+      type,
+      actionId: step.actionId || null,
+      description: step.description || '',
+      iteration: key.includes('_do_') ? this.context.loop?.index ?? null : null,
+      params: null,
+      output: null,
+      error: null,
+      status: 'running',
+      startedAt: Date.now(),
+      duration: 0
+    };
+    this.trace.push(entry);
+    
+    try {
+      await this._runStep(step, key, type, entry);
+      entry.status = 'done';
+    } catch (error) {
+      entry.error = error.message;
+      entry.status = 'error';
+      throw error;
+    } finally {
+      entry.duration = Date.now() - entry.startedAt;
+    }
+  }
+
+  /**
+   * Pause before a step when it has a breakpoint, when stepping, or when pause() was called
+   * Waits here until resume() or stop()
+   * @private
+   */
+  async _beforeStep(step, key) {
+    if (this.state === EXECUTION_STATE.RUNNING && (this._stepping || this.breakpoints.has(key))) {
+      this._stepping = false;
+      this.pausedAt = key;
+      this.state = EXECUTION_STATE.PAUSED;
+      await this._saveState();
+      this._reportProgress('breakpoint', `Paused before: ${step.description || step.actionId || step.type}`);
+    }
+    
+    if (this.state === EXECUTION_STATE.PAUSED) {
+      this.pausedAt = this.pausedAt || key;
+      const pausedSince = Date.now();
+      await new Promise(resolve => { this._resumeWaiter = resolve; });
+      this._resumeWaiter = null;
+      this.pausedAt = null;
+      
+      // Time spent paused does not count toward maxExecutionTime
+      this.startTime += Date.now() - pausedSince;
+    }
+  }
+
+  /**
+   * Run a step's body, filling in its trace entry
+   * @private
+   */
+  async _runStep(step, key, type, entry) {
+    if (type === 'action') {
+      const actionResult = await this._executeAction(step, key, entry);
+      entry.output = actionResult.result;
+      
+      // Store result for reference by subsequent actions
+      this.results.push(actionResult);
+      this.context[`action_${key}`] = actionResult;
+      this.context.previous = actionResult;
+      return;
+    }
+    
+    if (type === 'if') {
+      const conditionMet = this._evaluateCondition(step.condition);
+      const branch = conditionMet ? 'then' : 'else';
+      this.context[`action_${key}`] = this._createStepRecord(type, key, { conditionMet, branch });
+      entry.params = { condition: step.condition };
+      entry.output = { conditionMet, branch };
+      
+      await this._runBlock(step[branch] || [], `${key}_${branch}`);
+      return;
+    }
+    
+    if (type === 'for_each') {
+      const items = this._resolveValue(step.items);
+      entry.params = { items };
+      if (!Array.isArray(items)) {
+        throw new Error(`For each needs a list, but ${step.items} is ${items === undefined ? 'missing' : typeof items}`);
+      }
+      
+      const varName = step.as || 'item';
+      const limit = Math.min(items.length, step.maxIterations || MAX_LOOP_ITERATIONS);
+      const outputs = [];
+      
+      for (let n = 0; n < limit; n++) {
+        this.context[varName] = items[n];
+        this.context.loop = { index: n, count: limit, first: n === 0, last: n === limit - 1 };
+        
+        const executedBefore = this.results.length;
+        this.loopPath.push(n);
+        const keepGoing = await this._runBlock(step.actions || [], `${key}_do`);
+        this.loopPath.pop();
+        // Output of the last action run in this iteration (null if a branch skipped everything)
+        outputs.push(this.results.length > executedBefore ? this.context.previous.result : null);
+        if (!keepGoing) break;
+      }
+      
+      // Loop variables only live inside the loop
+      delete this.context[varName];
+      delete this.context.loop;
+      
+      this.context[`action_${key}`] = this._createStepRecord(type, key, {
+        iterations: outputs.length,
+        skipped: items.length - limit,
+        results: outputs
+      });
+      entry.output = this.context[`action_${key}`].result;
+      return;
+    }
+    
+    if (type === 'exit') {
+      const shouldExit = step.condition ? this._evaluateCondition(step.condition) : true;
+      this.context[`action_${key}`] = this._createStepRecord(type, key, { exited: shouldExit });
+      
+      if (shouldExit) {
+        this.exit = {
+          key,
+          message: step.message ? this._resolveValue(step.message) : 'Agent finished early',
+          timestamp: Date.now()
+        };
+      }
+      entry.output = { exited: shouldExit, message: this.exit?.message || null };
+      return;
+    }
+    
+    throw new Error(`Unknown step type: ${type}`);
+  }
+
+  /**
+   * Run a nested block of steps (if branch or loop body)
+   * @returns {boolean} false when the run should stop (exit step or stop)
+   * @private
+   */
+  async _runBlock(steps, keyPrefix) {
+    for (let i = 0; i < steps.length; i++) {
+      // A paused run carries on here; _executeStep waits for resume()
+      if (this.exit || !this._isActive()) {
+        return false;
+      }
+      this._checkTimeout();
+      
+      const step = steps[i];
+      this._reportProgress('action', step.description || `Executing ${step.actionId || step.type}...`);
+      await this._executeStep(step, `${keyPrefix}_${i}`);
+    }
+    
+    return !this.exit && this._isActive();
+  }
+
+  /**
+   * Running, or paused and waiting to continue
+   * @private
+   */
+  _isActive() {
+    return this.state === EXECUTION_STATE.RUNNING || this.state === EXECUTION_STATE.PAUSED;
+  }
+
+  /**
+   * Context record for a flow-control step (mirrors the shape of action results)
+   * @private
+   */
+  _createStepRecord(type, key, result) {
+    return {
+      type,
+      index: key,
+      result,
+      success: true,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Evaluate a flow condition: { left, operator, right }
+   * Both sides may reference context values, e.g. { left: '${action_0.result.count}', operator: 'gt', right: 0 }
+   * @private
+   */
+  _evaluateCondition(condition) {
+    if (!condition || !CONDITION_OPERATORS[condition.operator]) {
+      throw new Error(`Invalid condition operator: ${condition?.operator}`);
+    }
+    
+    const left = this._resolveValue(condition.left);
+    const right = this._resolveValue(condition.right);
+    const isEmpty = (value) => value === null || value === undefined || value === '' ||
+      (Array.isArray(value) && value.length === 0) ||
+      (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+    
+    switch (condition.operator) {
+      case 'equals':
+        return String(left) === String(right);
+      case 'not_equals':
+        return String(left) !== String(right);
+      case 'gt':
+        return Number(left) > Number(right);
+      case 'gte':
+        return Number(left) >= Number(right);
+      case 'lt':
+        return Number(left) < Number(right);
+      case 'lte':
+        return Number(left) <= Number(right);
+      case 'contains':
+        if (Array.isArray(left)) return left.some(item => String(item) === String(right));
+        return String(left ?? '').toLowerCase().includes(String(right ?? '').toLowerCase());
+      case 'is_empty':
+        return isEmpty(left);
+      case 'not_empty':
+        return !isEmpty(left);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Remember where the current top-level step started, so an interrupted run can redo it
+   * @private
+   */
+  _setCheckpoint(index) {
+    this.loopPath = [];
+    this.checkpoint = {
+      index,
+      context: JSON.parse(JSON.stringify(this.context)),
+      resultsCount: this.results.length,
+      traceCount: this.trace.length
+    };
+  }
+
+  /**
+   * Throw if the agent ran past its maxExecutionTime
+   * @private
+   */
+  _checkTimeout() {
+    const maxTime = this.currentAgent?.behavior?.maxExecutionTime;
+    if (maxTime && Date.now() - this.startTime > maxTime) {
+      throw new Error('Agent execution timed out');
+    }
+  }
+
   /**
    * Execute a single action
    * @private
    */
-  async _executeAction(actionConfig, index) {
+  async _executeAction(actionConfig, index, traceEntry = null) {
     const { actionId, params } = actionConfig;
     
     // Get the action definition
@@ -174,6 +503,7 @@ export class AgentExecutor {
     
     // Resolve parameter references (e.g., ${previous.found_items})
     const resolvedParams = this._resolveParams(params);
+    if (traceEntry) traceEntry.params = resolvedParams;
     
     // Validate parameters
     const validation = validateActionParams(actionId, resolvedParams);
@@ -181,11 +511,21 @@ export class AgentExecutor {
       console.warn(`Action ${actionId} validation warnings:`, validation.errors);
     }
     
+    // Steps with side effects run at most once per run, even when a resumed run redoes their step
+    const stepId = `${this.runId}:${index}${this.loopPath.length ? `@${this.loopPath.join('.')}` : ''}`;
+    if (action.idempotent === false && this.journal[stepId]) {
+      console.log(`[AgentExecutor] ${actionId} already applied in this run (${stepId}), reusing its result`);
+      if (traceEntry) traceEntry.reused = true;
+      return this.journal[stepId];
+    }
+    
     // Execute the action
+    let record;
     try {
-      const result = await action.execute(resolvedParams, this.context);
+      // The LLM is passed alongside the context rather than stored in it, so it never reaches saved state
+      const result = await action.execute(resolvedParams, { ...this.context, llm: this.llm, stepId });
       
-      return {
+      record = {
         actionId,
         index,
         params: resolvedParams,
@@ -196,66 +536,34 @@ export class AgentExecutor {
     } catch (error) {
       throw new Error(`Action ${actionId} failed: ${error.message}`);
     }
+    
+    if (action.idempotent === false) {
+      this.journal[stepId] = record;
+      await this._saveState();
+    }
+    
+    return record;
   }
 
   /**
    * Resolve parameter references
-   * Handles ${previous.field}, ${context.field}, ${userInput.field}
+   * "${previous.found_items}" keeps its type, "Found ${previous.count} notes" becomes text
+   * Supports filters such as ${previous.found_items | length} (see agent-expressions.js)
    * @private
    */
   _resolveParams(params) {
     if (!params || typeof params !== 'object') {
       return params;
     }
-    
-    const resolved = {};
-    
-    for (const [key, value] of Object.entries(params)) {
-      if (typeof value === 'string') {
-        // Check for reference patterns
-        resolved[key] = this._resolveReference(value);
-      } else if (typeof value === 'object' && !Array.isArray(value)) {
-        // Recursively resolve nested objects
-        resolved[key] = this._resolveParams(value);
-      } else {
-        resolved[key] = value;
-      }
-    }
-    
-    return resolved;
+    return resolveValue(params, this.context);
   }
 
   /**
-   * Resolve a single reference string
+   * Resolve a single value that may contain references
    * @private
    */
-  _resolveReference(value) {
-    // Match ${...} pattern
-    const referencePattern = /\$\{([^}]+)\}/g;
-    
-    return value.replace(referencePattern, (match, path) => {
-      const parts = path.split('.');
-      let current = this.context;
-      
-      for (const part of parts) {
-        if (current === null || current === undefined) {
-          return match; // Keep original if not found
-        }
-        current = current[part];
-      }
-      
-      // Handle different types
-      if (current === null || current === undefined) {
-        return '';
-      } else if (typeof current === 'object') {
-        if (Array.isArray(current)) {
-          return current;
-        }
-        return JSON.stringify(current);
-      }
-      
-      return String(current);
-    });
+  _resolveValue(value) {
+    return resolveValue(value, this.context);
   }
 
   /**
@@ -282,12 +590,10 @@ export class AgentExecutor {
         
         this._reportProgress('action', `Retrying: ${actionConfig.description || `Action ${i + 1}`}`);
         
-        const actionResult = await this._executeAction(actionConfig, i);
-        this.results.push(actionResult);
-        this.context[`action_${i}`] = actionResult;
-        this.context.previous = actionResult;
-        
+        await this._executeStep(actionConfig, String(i));
         await this._saveState();
+        
+        if (this.exit) break;
       }
       
       this.state = EXECUTION_STATE.COMPLETED;
@@ -331,23 +637,44 @@ export class AgentExecutor {
 
   /**
    * Resume paused execution
+   * @param {Object} options - { step: true } to pause again before the next step
    */
-  async resume() {
-    if (this.state === EXECUTION_STATE.PAUSED) {
+  async resume(options = {}) {
+    // The run is still live in memory - waiting in _beforeStep, or still finishing the
+    // step it was on when pause() was called. Only flip the state back and let it carry
+    // on; starting another run here would execute steps twice.
+    if (this._runActive) {
+      if (this.state !== EXECUTION_STATE.PAUSED) return;
       this.state = EXECUTION_STATE.RUNNING;
+      this._stepping = Boolean(options.step);
+      this.pausedAt = null;
       await this._saveState();
-      
-      // Continue from where we left off
-      if (this.currentAgent) {
-        return this.execute(this.currentAgent, this.context, {
-          onProgress: this.onProgress,
-          onComplete: this.onComplete,
-          onError: this.onError
-        });
-      }
+      this._reportProgress('resumed', options.step ? 'Running one step' : 'Execution resumed');
+      if (this._resumeWaiter) this._resumeWaiter();
+      return;
+    }
+    
+    // Nothing live in memory: only a run that was cut off mid-way (saved as running or
+    // paused, like the ones the scheduler's interrupted-run scan picks up) continues from
+    // its checkpoint. A finished run is never run again.
+    const interrupted = await this.getInterruptedRun();
+    if (interrupted && this.currentAgent?.id === interrupted.agentId) {
+      return this.resumeSaved(this.currentAgent, {
+        onProgress: this.onProgress,
+        onComplete: this.onComplete,
+        onError: this.onError,
+        breakpoints: [...this.breakpoints]
+      });
     }
   }
 
+  /**
+   * Breakpoints for the current run (step keys); can change while paused
+   */
+  setBreakpoints(keys) {
+    this.breakpoints = new Set(keys || []);
+  }
+
   /**
    * Stop execution completely
    */
@@ -357,8 +684,16 @@ export class AgentExecutor {
     this.currentActionIndex = 0;
     this.results = [];
     this.errors = [];
+    this.exit = null;
+    this.pausedAt = null;
+    this._stepping = false;
     await this._saveState();
     this._reportProgress('stopped', 'Execution stopped');
+    
+    // A run waiting at a breakpoint wakes up, sees it was stopped and returns
+    if (this._resumeWaiter) {
+      this._resumeWaiter();
+    }
   }
 
   /**
@@ -372,6 +707,7 @@ export class AgentExecutor {
       totalActions: this.currentAgent?.actions?.length || 0,
       resultsCount: this.results.length,
       errorsCount: this.errors.length,
+      pausedAt: this.pausedAt,
       elapsed: this.startTime ? Date.now() - this.startTime : 0
     };
   }
@@ -404,6 +740,8 @@ export class AgentExecutor {
       totalActions: this.currentAgent?.actions?.length || 0,
       results: this.results,
       errors: this.errors,
+      exit: this.exit,
+      trace: this.trace,
       context: this.context,
       elapsed: this.startTime ? Date.now() - this.startTime : 0,
       completedAt: Date.now()
@@ -415,53 +753,182 @@ export class AgentExecutor {
    * @private
    */
   async _saveState() {
+    if (!this.persistState) return;
+    
     const state = {
       state: this.state,
+      runId: this.runId,
       agentId: this.currentAgent?.id,
+      agentName: this.currentAgent?.name,
       actionIndex: this.currentActionIndex,
+      totalActions: this.currentAgent?.actions?.length || 0,
       context: this.context,
       results: this.results,
       errors: this.errors,
+      exit: this.exit,
+      checkpoint: this.checkpoint,
+      journal: this.journal,
+      trace: compactTrace(this.trace),
       startTime: this.startTime,
       savedAt: Date.now()
     };
     
-    await store.set(AGENT_STATE_KEY, state);
+    await store.set(this.stateKey, state);
   }
 
   /**
    * Load executor state from storage
    */
   async loadState() {
-    const state = await store.get(AGENT_STATE_KEY, null);
+    const state = await store.get(this.stateKey, null);
     
     if (state) {
       this.state = state.state;
+      this.runId = state.runId || null;
       this.currentActionIndex = state.actionIndex;
       this.context = state.context || {};
       this.results = state.results || [];
       this.errors = state.errors || [];
+      this.exit = state.exit || null;
+      this.checkpoint = state.checkpoint || null;
+      this.journal = state.journal || {};
+      this.trace = state.trace || [];
       this.startTime = state.startTime;
     }
     
     return state;
   }
 
+  /**
+   * A saved run that never finished (the panel closed or the service worker stopped mid-run)
+   * @return {Object|null} { runId, agentId, agentName, resumeIndex, totalActions, userInput, savedAt }
+   */
+  async getInterruptedRun() {
+    // A run in progress in this executor is not interrupted
+    if (this._runActive) return null;
+    
+    const state = await store.get(this.stateKey, null);
+    const unfinished = state && (state.state === EXECUTION_STATE.RUNNING || state.state === EXECUTION_STATE.PAUSED);
+    
+    if (!unfinished || !state.agentId || !state.checkpoint || Date.now() - state.savedAt > RESUME_MAX_AGE_MS) {
+      return null;
+    }
+    
+    return {
+      runId: state.runId,
+      agentId: state.agentId,
+      agentName: state.agentName || state.agentId,
+      resumeIndex: state.checkpoint.index,
+      totalActions: state.totalActions,
+      userInput: state.checkpoint.context?.userInput ?? null,
+      savedAt: state.savedAt
+    };
+  }
+
+  /**
+   * Continue an interrupted run from the start of the step it was on
+   * Context and results are restored as they were before that step; actions that are not
+   * idempotent and already ran (see journal) are not applied again.
+   * @param {Object} agent - The agent the saved run belongs to
+   * @param {Object} callbacks - Same as execute()
+   */
+  async resumeSaved(agent, callbacks = {}) {
+    const state = await this.loadState();
+    if (!state?.checkpoint || state.agentId !== agent.id) {
+      throw new Error('There is no interrupted run of this agent to resume');
+    }
+    
+    const { index, context, resultsCount, traceCount } = this.checkpoint;
+    
+    this.onProgress = callbacks.onProgress || null;
+    this.onComplete = callbacks.onComplete || null;
+    this.onError = callbacks.onError || null;
+    this.breakpoints = new Set(callbacks.breakpoints || []);
+    
+    this.currentAgent = agent;
+    this.context = context;
+    this.results = this.results.slice(0, resultsCount);
+    this.trace = this.trace.slice(0, traceCount);
+    this.exit = null;
+    this.pausedAt = null;
+    this._stepping = false;
+    this.state = EXECUTION_STATE.RUNNING;
+    
+    // Count only the time spent running before the interruption
+    const elapsedBefore = Math.max(0, (state.savedAt || Date.now()) - (state.startTime || Date.now()));
+    this.startTime = Date.now() - elapsedBefore;
+    
+    this.llm = await createAgentLLM();
+    await this._saveState();
+    
+    console.log(`[AgentExecutor] Resuming ${agent.name} from step ${index + 1}`);
+    this._reportProgress('resumed', `Resuming from step ${index + 1}...`);
+    
+    return this._start(agent, index);
+  }
+
   /**
    * Clear saved state
    */
   async clearState() {
-    await store.set(AGENT_STATE_KEY, null);
+    await store.set(this.stateKey, null);
     this.state = EXECUTION_STATE.IDLE;
     this.currentAgent = null;
     this.currentActionIndex = 0;
     this.context = {};
     this.results = [];
     this.errors = [];
+    this.exit = null;
+    this.checkpoint = null;
+    this.journal = {};
+    this.trace = [];
     this.startTime = null;
   }
 }
 
+/**
+ * Storage key for a background run of one agent
+ */
+export function backgroundStateKey(agentId) {
+  return `${AGENT_STATE_KEY}:${agentId}`;
+}
+
+/**
+ * Shrink a run trace so it can be stored with the agent's history
+ * Long strings and lists are cut, deep objects are summarized
+ * @param {Array} trace - executor.trace
+ */
+export function compactTrace(trace) {
+  return (trace || []).map(entry => ({
+    ...entry,
+    params: compactValue(entry.params, 0),
+    output: compactValue(entry.output, 0)
+  }));
+}
+
+function compactValue(value, depth) {
+  if (typeof value === 'string') {
+    return value.length > TRACE_MAX_STRING ? `${value.slice(0, TRACE_MAX_STRING)}… (${value.length} chars)` : value;
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= TRACE_MAX_DEPTH) {
+    return Array.isArray(value) ? `[${value.length} items]` : '{…}';
+  }
+  if (Array.isArray(value)) {
+    const items = value.slice(0, TRACE_MAX_ITEMS).map(item => compactValue(item, depth + 1));
+    if (value.length > TRACE_MAX_ITEMS) items.push(`… ${value.length - TRACE_MAX_ITEMS} more`);
+    return items;
+  }
+  
+  const compact = {};
+  for (const [key, item] of Object.entries(value)) {
+    compact[key] = compactValue(item, depth + 1);
+  }
+  return compact;
+}
+
 // Export singleton instance
 export const agentExecutor = new AgentExecutor();
 
@@ -0,0 +1,438 @@
+/**
+ * Agent Expressions - typed ${...} references for agent flows
+ *
+ * Syntax: ${path | filter | filter(arg)}
+ * - A value that is only a reference keeps its type: "${action_0.found_items}" is the array itself
+ * - References inside text are templated: "Found ${previous.found_items | length} notes"
+ * - ${previous.found_items} is shorthand for ${previous.result.found_items}
+ * - Flows made before typed references read user input as ${context.x}; those are
+ *   rewritten to ${userInput.x} when agents are loaded or imported
+ *
+ * Filters: length, first, last, join(sep), pluck(field), upper, lower, json, default(value)
+ */
+
+import { ACTIONS } from './action-definitions.js';
+
+// Fields every action record has, next to the action's own outputs
+const RECORD_FIELDS = ['actionId', 'type', 'index', 'params', 'result', 'success', 'timestamp'];
+
+// Context values the executor always provides
+const BUILT_IN_ROOTS = ['userInput', 'agentId', 'agentName', 'startedAt', 'trigger'];
+
+/**
+ * Filters available after a "|"
+ */
+export const FILTERS = {
+  length: (value) => {
+    if (Array.isArray(value) || typeof value === 'string') return value.length;
+    if (value && typeof value === 'object') return Object.keys(value).length;
+    return 0;
+  },
+  first: (value) => (Array.isArray(value) ? value[0] : value),
+  last: (value) => (Array.isArray(value) ? value[value.length - 1] : value),
+  join: (value, separator = ', ') => (Array.isArray(value) ? value.map(toText).join(separator) : toText(value)),
+  pluck: (value, field) => (Array.isArray(value) ? value.map(item => item?.[field]) : value?.[field]),
+  upper: (value) => toText(value).toUpperCase(),
+  lower: (value) => toText(value).toLowerCase(),
+  json: (value) => JSON.stringify(value),
+  default: (value, fallback = '') => (isBlank(value) ? fallback : value)
+};
+
+/**
+ * Parse the inside of ${...}
+ * @param {string} source - e.g. "previous.found_items | pluck('problem') | join(', ')"
+ * @return {Object} { source, path: [segments], filters: [{ name, args }] }
+ */
+export function parseExpression(source) {
+  const [pathPart, ...filterParts] = splitOutside(source, '|');
+  const path = pathPart.trim().split('.').map(p => p.trim()).filter(Boolean);
+
+  if (path.length === 0) {
+    throw new Error(`Empty reference: \${${source}}`);
+  }
+
+  const filters = filterParts.map(part => {
+    const match = part.trim().match(/^([a-zA-Z_]\w*)\s*(?:\((.*)\))?$/s);
+    if (!match) {
+      throw new Error(`Invalid filter "${part.trim()}" in \${${source}}`);
+    }
+    const [, name, argText] = match;
+    if (!FILTERS[name]) {
+      throw new Error(`Unknown filter "${name}" in \${${source}} (available: ${Object.keys(FILTERS).join(', ')})`);
+    }
+    const args = argText && argText.trim() ? splitOutside(argText, ',').map(parseLiteral) : [];
+    return { name, args };
+  });
+
+  return { source: source.trim(), path, filters };
+}
+
+/**
+ * Evaluate one parsed expression against a scope
+ * @return {Object} { value, resolved } - resolved is false when the path is missing and no default() covers it
+ */
+export function evaluateExpression(expression, scope) {
+  let value = lookupPath(scope, expression.path);
+  const hasDefault = expression.filters.some(f => f.name === 'default');
+
+  if (value === undefined && !hasDefault) {
+    return { value: undefined, resolved: false };
+  }
+
+  for (const filter of expression.filters) {
+    value = FILTERS[filter.name](value, ...filter.args);
+  }
+
+  return { value, resolved: true };
+}
+
+/**
+ * Resolve a param value: whole references keep their type, mixed text is templated
+ * Throws when a reference cannot be resolved
+ * @param {*} value - Any param value (strings are resolved, objects/arrays recursively)
+ * @param {Object} scope - Execution context
+ */
+export function resolveValue(value, scope) {
+  if (Array.isArray(value)) {
+    return value.map(item => resolveValue(item, scope));
+  }
+  if (value && typeof value === 'object') {
+    const resolved = {};
+    for (const [key, item] of Object.entries(value)) {
+      resolved[key] = resolveValue(item, scope);
+    }
+    return resolved;
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  const references = scanReferences(value);
+  if (references.length === 0) {
+    return value;
+  }
+  if (isWholeReference(value)) {
+    return resolveOrThrow(references[0].source, scope);
+  }
+
+  let text = '';
+  let at = 0;
+  for (const { source, start, end } of references) {
+    text += value.slice(at, start) + toText(resolveOrThrow(source, scope));
+    at = end;
+  }
+  return text + value.slice(at);
+}
+
+/**
+ * Whether text is one ${...} reference and nothing else (so it keeps its value's type)
+ */
+export function isWholeReference(text) {
+  if (typeof text !== 'string') return false;
+  const references = scanReferences(text);
+  return references.length === 1 &&
+    !text.slice(0, references[0].start).trim() &&
+    !text.slice(references[0].end).trim();
+}
+
+/**
+ * Every ${...} source inside a param value (recurses into objects/arrays)
+ */
+export function findReferences(value) {
+  if (Array.isArray(value)) return value.flatMap(findReferences);
+  if (value && typeof value === 'object') return Object.values(value).flatMap(findReferences);
+  if (typeof value !== 'string') return [];
+  return scanReferences(value).map(reference => reference.source);
+}
+
+/**
+ * Find the ${...} references in text
+ * A "}" inside a quoted filter argument, as in ${x | default('}')}, doesn't end the reference.
+ * @return {Array} [{ source, start, end }] - end is the index after the closing "}"
+ */
+function scanReferences(text) {
+  const references = [];
+  let start = text.indexOf('${');
+
+  while (start !== -1) {
+    const close = referenceEnd(text, start + 2);
+    if (close === -1) break;
+    if (close > start + 2) {
+      references.push({ source: text.slice(start + 2, close), start, end: close + 1 });
+    }
+    start = text.indexOf('${', close + 1);
+  }
+
+  return references;
+}
+
+/**
+ * Index of the "}" that closes a reference body starting at `from` (-1 if none)
+ * With a quote left open the first "}" closes it, so the parse error names the reference.
+ */
+function referenceEnd(text, from) {
+  let quote = null;
+  let firstBrace = -1;
+
+  for (let i = from; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '}' && firstBrace === -1) firstBrace = i;
+
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '}') {
+      return i;
+    }
+  }
+
+  return firstBrace;
+}
+
+/**
+ * Rewrite old ${context.x} references to ${userInput.x}
+ * @param {*} value - Any param value or action list
+ * @return {Object} { value, rewritten } - rewritten lists the old reference sources (empty when nothing changed)
+ */
+export function migrateContextReferences(value) {
+  const rewritten = findReferences(value).filter(source => /^\s*context\./.test(source));
+  if (rewritten.length === 0) {
+    return { value, rewritten };
+  }
+  return {
+    value: JSON.parse(JSON.stringify(value).replace(/\$\{(\s*)context\./g, '${$1userInput.')),
+    rewritten
+  };
+}
+
+/**
+ * Check every reference in a flow before it runs
+ * Roots must exist at that point in the flow, and action outputs must be ones the action declares.
+ * @param {Array} steps - Agent actions (may contain if / for_each / exit blocks)
+ * @param {Object} initialContext - The context the run starts with (userInput etc.)
+ * @return {Array} Readable error messages (empty when everything resolves)
+ */
+export function validateFlowReferences(steps, initialContext = {}) {
+  const errors = [];
+  const state = {
+    records: {},        // action_<key> -> step
+    previous: null,     // Last action step before the current one
+    loopVars: new Set()
+  };
+
+  walkSteps(steps || [], '', '', state, initialContext, errors);
+  return errors;
+}
+
+function walkSteps(steps, keyPrefix, labelPrefix, state, initialContext, errors) {
+  steps.forEach((step, i) => {
+    const key = keyPrefix ? `${keyPrefix}_${i}` : String(i);
+    const label = labelPrefix ? `${labelPrefix} > step ${i + 1}` : `Step ${i + 1}`;
+    const type = step?.type || 'action';
+
+    const check = (value) => {
+      for (const source of findReferences(value)) {
+        const problem = checkReference(source, state, initialContext);
+        if (problem) errors.push(`${label}: \${${source.trim()}} - ${problem}`);
+      }
+    };
+
+    if (type === 'action') {
+      check(step.params);
+      state.records[`action_${key}`] = step;
+      state.previous = step;
+      return;
+    }
+
+    if (type === 'if') {
+      check(step.condition);
+      state.records[`action_${key}`] = step;
+      walkSteps(step.then || [], `${key}_then`, `${label} > then`, state, initialContext, errors);
+      walkSteps(step.else || [], `${key}_else`, `${label} > else`, state, initialContext, errors);
+    } else if (type === 'for_each') {
+      check(step.items);
+      const varName = step.as || 'item';
+      const outerVars = new Set(state.loopVars);
+      state.loopVars.add(varName);
+      state.loopVars.add('loop');
+      walkSteps(step.actions || [], `${key}_do`, `${label} > each`, state, initialContext, errors);
+      state.loopVars = outerVars;
+      state.records[`action_${key}`] = step;
+    } else if (type === 'exit') {
+      check(step.condition);
+      check(step.message);
+      state.records[`action_${key}`] = step;
+    }
+  });
+}
+
+function checkReference(source, state, initialContext) {
+  let expression;
+  try {
+    expression = parseExpression(source);
+  } catch (error) {
+    return error.message;
+  }
+
+  // A default() makes a missing value acceptable
+  if (expression.filters.some(f => f.name === 'default')) return null;
+
+  const [root, field] = expression.path;
+
+  if (state.loopVars.has(root)) return null;
+
+  if (root === 'userInput') {
+    const input = initialContext.userInput;
+    if (field && (!input || typeof input !== 'object' || !(field in input))) {
+      return `this run has no input "${field}" (add | default('...') to make it optional)`;
+    }
+    return null;
+  }
+
+  if (BUILT_IN_ROOTS.includes(root)) return null;
+
+  if (root === 'previous' || root.startsWith('action_')) {
+    const step = root === 'previous' ? state.previous : state.records[root];
+    if (!step) {
+      return root === 'previous'
+        ? 'there is no earlier action to refer to'
+        : `"${root}" is not an earlier step`;
+    }
+    return checkOutputField(step, field, expression.path[2]);
+  }
+
+  if (root in initialContext) return null;
+
+  return `unknown value "${root}" (use previous, action_N, userInput or a loop item)`;
+}
+
+function checkOutputField(step, field, nextField) {
+  if (!field) return null;
+
+  const type = step.type || 'action';
+  if (type !== 'action') {
+    // Flow-control records expose their own small result objects
+    return null;
+  }
+
+  const outputs = ACTIONS[step.actionId]?.outputs || [];
+  const outputField = field === 'result' ? nextField : field;
+
+  if (field !== 'result' && RECORD_FIELDS.includes(field)) return null;
+  if (!outputField || outputs.includes(outputField)) return null;
+
+  return `${ACTIONS[step.actionId]?.name || step.actionId} does not output "${outputField}" (available: ${outputs.join(', ') || 'nothing'})`;
+}
+
+/**
+ * Walk a path through the scope
+ * Action records let you skip ".result": previous.found_items == previous.result.found_items
+ */
+export function lookupPath(scope, path) {
+  let current = scope;
+
+  for (const part of path) {
+    if (current === null || current === undefined) return undefined;
+
+    if (typeof current === 'object' && !(part in current) &&
+        current.result && typeof current.result === 'object' && part in current.result) {
+      current = current.result[part];
+    } else {
+      current = current[part];
+    }
+  }
+
+  return current;
+}
+
+/**
+ * Text form of a value for templating
+ */
+export function toText(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(toText).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function resolveOrThrow(source, scope) {
+  const expression = parseExpression(source);
+  const { value, resolved } = evaluateExpression(expression, scope);
+  if (!resolved) {
+    throw new Error(`Could not resolve \${${expression.source}} (add | default('...') if it may be missing)`);
+  }
+  return value;
+}
+
+function isBlank(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Split on a separator that is not inside quotes or parentheses
+ */
+function splitOutside(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quote) {
+      if (ch === '\\' && i + 1 < text.length) {
+        current += ch + text[++i];
+        continue;
+      }
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth--;
+    } else if (ch === separator && depth === 0) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Filter argument literal: 'text', "text", number, true, false or null
+ */
+function parseLiteral(raw) {
+  const text = raw.trim();
+  const quoted = text.match(/^(['"])(.*)\1$/s);
+
+  if (quoted) {
+    return quoted[2].replace(/\\(.)/g, (m, ch) => ({ n: '\n', t: '\t' }[ch] ?? ch));
+  }
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (text === 'null') return null;
+  if (text !== '' && !isNaN(Number(text))) return Number(text);
+
+  throw new Error(`Filter arguments must be quoted text or numbers, got ${text}`);
+}
+
+export default {
+  FILTERS,
+  parseExpression,
+  evaluateExpression,
+  resolveValue,
+  isWholeReference,
+  findReferences,
+  migrateContextReferences,
+  validateFlowReferences,
+  lookupPath,
+  toText
+};
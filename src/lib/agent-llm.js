@@ -0,0 +1,101 @@
+/**
+ * Agent LLM - the language model capability handed to agent actions
+ * Uses the same provider chain as Bunji's hints (Settings > LLM Provider)
+ *
+ * Actions receive it as `context.llm`:
+ * - available: false when no provider is configured - actions fall back to their heuristics
+ * - mock: true when "Mock LLM" is on - complete() returns the action's deterministic mock output
+ */
+
+import { store } from './storage.js';
+import { tokens } from './tokens.js';
+import { resolveProviderChain, callWithFailover } from './provider-failover.js';
+
+const AGENT_SYSTEM_PROMPT = `You help a coding learner organize what they have studied.
+Be concise and concrete. Never write solution code for their challenges.`;
+
+/**
+ * Create the LLM capability for one agent run
+ * Provider settings are resolved once so every action in the run uses the same chain
+ * @return {Object} { available, mock, complete(request) }
+ */
+export async function createAgentLLM() {
+  const mock = await store.get('mockLLM', false);
+  const chain = mock ? { candidates: [] } : await resolveProviderChain();
+  const available = mock || chain.candidates.length > 0;
+
+  return {
+    available,
+    mock,
+
+    /**
+     * Ask the LLM for a completion
+     * @param {Object} request - { prompt, system, json, mock }
+     *   json: parse the reply as JSON and return it as `data`
+     *   mock: deterministic output (string or object) returned in mock mode
+     * @return {Object|null} { text, data, used, provider, model } or null when no LLM answered
+     */
+    async complete({ prompt, system = AGENT_SYSTEM_PROMPT, json = false, mock: mockOutput = null }) {
+      if (mock) {
+        const text = typeof mockOutput === 'string' ? mockOutput : JSON.stringify(mockOutput ?? {});
+        const used = tokens.estimateFromText(system + prompt + text);
+        await tokens.bump(used);
+        return {
+          text,
+          data: json ? mockOutput : null,
+          used,
+          provider: 'mock',
+          model: 'mock'
+        };
+      }
+
+      if (!available) return null;
+
+      const messages = [
+        { role: 'system', content: json ? `${system}\nRespond with a single JSON object and nothing else.` : system },
+        { role: 'user', content: prompt }
+      ];
+
+      try {
+        // Token usage is recorded by the provider call itself
+        const result = await callWithFailover(messages, { candidates: chain.candidates });
+        const data = json ? parseJsonReply(result.content) : null;
+
+        if (json && !data) {
+          console.warn('[AgentLLM] Reply was not valid JSON, using fallback');
+          return null;
+        }
+
+        return {
+          text: result.content,
+          data,
+          used: result.used,
+          provider: result.provider,
+          model: result.model
+        };
+      } catch (error) {
+        console.warn('[AgentLLM] LLM call failed, using fallback:', error.message);
+        return null;
+      }
+    }
+  };
+}
+
+/**
+ * Parse a JSON reply, tolerating code fences and text around the object
+ */
+function parseJsonReply(content) {
+  if (!content) return null;
+  const cleaned = content.replace(/```(?:json)?/gi, '').trim();
+  const start = cleaned.indexOf('{');
+  const end = cleaned.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+
+  try {
+    return JSON.parse(cleaned.slice(start, end + 1));
+  } catch (e) {
+    return null;
+  }
+}
+
+export default { createAgentLLM };
@@ -0,0 +1,279 @@
+/**
+ * Agent Scheduler - runs deployed agents in the background service worker
+ *
+ * Agents opt in through their behavior config:
+ * - trigger: 'scheduled' + schedule: { frequency: 'hourly'|'daily'|'weekly', dayOfWeek, hour, minute }
+ * - trigger: 'event' + event: one of AGENT_EVENTS (+ optional cooldownMinutes)
+ *
+ * Runs are queued and limited by the "max agents running at once" setting.
+ * Every run is recorded in the agent's history via agentBuilder._trackExecution.
+ * Each run is saved under its own key, so a run cut off by the service worker
+ * stopping is picked up again by resumeInterrupted() on the next start.
+ */
+
+import { store } from './storage.js';
+import { agentBuilder } from './agent-builder.js';
+import { AgentExecutor, backgroundStateKey } from './agent-executor.js';
+
+const ALARM_PREFIX = 'agent:';
+const CONCURRENCY_KEY = 'agentMaxConcurrentRuns';
+const DEFAULT_CONCURRENCY = 1;
+const DEFAULT_EVENT_COOLDOWN_MINUTES = 10;
+
+/**
+ * Events that can trigger an agent
+ */
+export const AGENT_EVENTS = {
+  test_passed: {
+    id: 'test_passed',
+    label: 'A test passes'
+  },
+  challenge_changed: {
+    id: 'challenge_changed',
+    label: 'I start a new challenge'
+  },
+  struggle_active: {
+    id: 'struggle_active',
+    label: 'I seem to be stuck'
+  }
+};
+
+/**
+ * Schedule frequencies
+ */
+export const SCHEDULE_FREQUENCIES = {
+  hourly: { id: 'hourly', label: 'Every hour' },
+  daily: { id: 'daily', label: 'Every day' },
+  weekly: { id: 'weekly', label: 'Every week' }
+};
+
+/**
+ * Next time a schedule should fire, strictly after `from`
+ * @param {Object} schedule - { frequency, dayOfWeek (0 = Sunday), hour, minute }
+ * @param {number} from - Timestamp to start from
+ * @return {number|null} Timestamp, or null for an unknown frequency
+ */
+export function getNextRunTime(schedule, from = Date.now()) {
+  const minute = schedule.minute ?? 0;
+  const next = new Date(from);
+  next.setSeconds(0, 0);
+
+  if (schedule.frequency === 'hourly') {
+    next.setMinutes(minute);
+    if (next.getTime() <= from) next.setHours(next.getHours() + 1);
+    return next.getTime();
+  }
+
+  next.setHours(schedule.hour ?? 9, minute);
+
+  if (schedule.frequency === 'daily') {
+    if (next.getTime() <= from) next.setDate(next.getDate() + 1);
+    return next.getTime();
+  }
+
+  if (schedule.frequency === 'weekly') {
+    const dayOfWeek = schedule.dayOfWeek ?? 0;
+    next.setDate(next.getDate() + ((dayOfWeek - next.getDay() + 7) % 7));
+    if (next.getTime() <= from) next.setDate(next.getDate() + 7);
+    return next.getTime();
+  }
+
+  return null;
+}
+
+/**
+ * Scheduler service (lives in the background service worker)
+ */
+export const agentScheduler = {
+  _running: new Set(),
+  _queue: [],
+
+  /**
+   * Make chrome.alarms match the deployed scheduled agents
+   * Called on startup and whenever agents change
+   */
+  async syncAlarms() {
+    if (!chrome.alarms) return;
+
+    const agents = await agentBuilder.getDeployedAgents();
+    const scheduled = agents.filter(a => a.behavior?.trigger === 'scheduled' && a.behavior?.schedule);
+    const wanted = new Set(scheduled.map(a => ALARM_PREFIX + a.id));
+    const existing = await chrome.alarms.getAll();
+
+    for (const alarm of existing) {
+      if (alarm.name.startsWith(ALARM_PREFIX) && !wanted.has(alarm.name)) {
+        await chrome.alarms.clear(alarm.name);
+        console.log('[AgentScheduler] Cleared schedule:', alarm.name);
+      }
+    }
+
+    for (const agent of scheduled) {
+      const name = ALARM_PREFIX + agent.id;
+      const when = getNextRunTime(agent.behavior.schedule);
+      if (!when) continue;
+
+      // Leave alarms alone unless the schedule moved
+      const current = existing.find(a => a.name === name);
+      if (!current || Math.abs(current.scheduledTime - when) > 60 * 1000) {
+        await chrome.alarms.create(name, { when });
+        console.log(`[AgentScheduler] ${agent.name} scheduled for ${new Date(when).toLocaleString()}`);
+      }
+    }
+  },
+
+  /**
+   * Queue interrupted background runs so they continue from the step they were on
+   * Called when the service worker starts
+   */
+  async resumeInterrupted() {
+    const agents = await agentBuilder.getDeployedAgents();
+
+    for (const agent of agents) {
+      const executor = new AgentExecutor({ stateKey: backgroundStateKey(agent.id) });
+      const run = await executor.getInterruptedRun();
+      if (!run) continue;
+
+      console.log(`[AgentScheduler] ${agent.name} was interrupted at step ${run.resumeIndex + 1}, resuming`);
+      this._queue.push({ agentId: agent.id, trigger: 'resumed', payload: run.userInput || {}, resume: true, queuedAt: Date.now() });
+    }
+
+    this._drain();
+  },
+
+  /**
+   * Handle a chrome.alarms event
+   * @return {boolean} true if the alarm belonged to an agent
+   */
+  async handleAlarm(alarm) {
+    if (!alarm?.name?.startsWith(ALARM_PREFIX)) return false;
+
+    const agentId = alarm.name.slice(ALARM_PREFIX.length);
+    this.enqueue(agentId, 'scheduled');
+
+    // One-shot alarms: book the next occurrence
+    await this.syncAlarms();
+    return true;
+  },
+
+  /**
+   * Run every deployed agent listening for an event
+   * @param {string} eventId - Key of AGENT_EVENTS
+   * @param {Object} payload - Event details, passed to the agent as userInput
+   */
+  async handleEvent(eventId, payload = {}) {
+    if (!AGENT_EVENTS[eventId]) return;
+
+    const agents = await agentBuilder.getDeployedAgents();
+    const listening = agents.filter(a => a.behavior?.trigger === 'event' && a.behavior?.event === eventId);
+
+    for (const agent of listening) {
+      // Cooldown keeps chatty events (context updates, test runs) from re-running an agent constantly
+      const cooldownMs = (agent.behavior.cooldownMinutes ?? DEFAULT_EVENT_COOLDOWN_MINUTES) * 60 * 1000;
+      const [lastRun] = await agentBuilder.getExecutionHistory(agent.id, 1);
+      if (lastRun && Date.now() - lastRun.timestamp < cooldownMs) {
+        console.log(`[AgentScheduler] ${agent.name} skipped (${eventId}, cooling down)`);
+        continue;
+      }
+
+      this.enqueue(agent.id, eventId, payload);
+    }
+  },
+
+  /**
+   * Queue a background run; duplicate runs of the same agent are dropped
+   * @return {boolean} Whether the run was queued
+   */
+  enqueue(agentId, trigger, payload = {}) {
+    if (this._running.has(agentId) || this._queue.some(job => job.agentId === agentId)) {
+      console.log(`[AgentScheduler] ${agentId} already queued or running`);
+      return false;
+    }
+
+    this._queue.push({ agentId, trigger, payload, queuedAt: Date.now() });
+    this._drain();
+    return true;
+  },
+
+  /**
+   * Max number of agents allowed to run at the same time
+   */
+  async getConcurrencyLimit() {
+    const limit = parseInt(await store.get(CONCURRENCY_KEY, DEFAULT_CONCURRENCY), 10);
+    return Number.isFinite(limit) && limit > 0 ? limit : DEFAULT_CONCURRENCY;
+  },
+
+  async setConcurrencyLimit(limit) {
+    await store.set(CONCURRENCY_KEY, Math.max(1, parseInt(limit, 10) || DEFAULT_CONCURRENCY));
+    this._drain();
+  },
+
+  /**
+   * Current queue state (for Settings / debugging)
+   */
+  getStatus() {
+    return {
+      running: [...this._running],
+      queued: this._queue.map(job => ({ agentId: job.agentId, trigger: job.trigger, queuedAt: job.queuedAt }))
+    };
+  },
+
+  async _drain() {
+    const limit = await this.getConcurrencyLimit();
+
+    while (this._running.size < limit && this._queue.length > 0) {
+      const job = this._queue.shift();
+      this._running.add(job.agentId);
+
+      this._run(job).finally(() => {
+        this._running.delete(job.agentId);
+        this._drain();
+      });
+    }
+  },
+
+  async _run(job) {
+    const agent = await agentBuilder.getAgent(job.agentId);
+    if (!agent || (!agent.isDeployed && !agent.isTemplate)) {
+      console.warn('[AgentScheduler] Agent not deployed, skipping:', job.agentId);
+      return;
+    }
+
+    console.log(`[AgentScheduler] Running ${agent.name} (${job.trigger})`);
+
+    // Each background run gets its own executor and saved state, never shared with the panel
+    const executor = new AgentExecutor({ stateKey: backgroundStateKey(agent.id) });
+    const context = {
+      userInput: job.payload,
+      agentId: agent.id,
+      agentName: agent.name,
+      trigger: job.trigger,
+      startedAt: Date.now()
+    };
+
+    let result;
+    try {
+      result = job.resume
+        ? await executor.resumeSaved(agent)
+        : await executor.execute(agent, context);
+    } catch (error) {
+      console.error(`[AgentScheduler] ${agent.name} crashed:`, error);
+      result = { status: 'failed', actionsExecuted: 0, elapsed: 0, errors: [{ error: error.message }] };
+    }
+
+    await agentBuilder._trackExecution(agent.id, result, { trigger: job.trigger, input: job.payload });
+
+    // Finished one way or another - nothing left to resume
+    await executor.clearState();
+
+    // Let open panels know (ignored if none are listening)
+    chrome.runtime.sendMessage({
+      type: 'AGENT_RUN_COMPLETE',
+      agentId: agent.id,
+      agentName: agent.name,
+      trigger: job.trigger,
+      status: result.status
+    }).catch(() => {});
+  }
+};
+
+export default agentScheduler;
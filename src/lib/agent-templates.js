@@ -4,19 +4,23 @@
  * Each template demonstrates a complete Perception → Reasoning → Action loop
  */
 
-import { ACTIONS } from './action-definitions.js';
+import { ACTIONS, FLOW_STEPS, CONDITION_OPERATORS } from './action-definitions.js';
+import { isWholeReference } from './agent-expressions.js';
+
+// Deepest nesting of if / for_each blocks the designer can show
+const MAX_FLOW_DEPTH = 4;
 
 /**
  * Template structure
  * Each template is a complete, working agent configuration
  */
-const TEMPLATE_SCHEMA = {
+export const TEMPLATE_SCHEMA = {
   id: '',              // Unique identifier
   name: '',            // Human-readable name
   description: '',     // What this agent does (for non-coders)
   difficulty: '',      // 'beginner', 'intermediate', 'advanced'
   timeToDeploy: '',    // Estimated time to deploy
-  actions: [],         // Sequence of actions to execute
+  actions: [],         // Sequence of steps: actions, or if / for_each / exit blocks (see FLOW_STEPS)
   behavior: {},        // Agent behavior configuration
   onboarding: {}       // Guidance for first-time users
 };
@@ -48,6 +52,12 @@ export const AGENT_TEMPLATES = {
         params: { query: '' }, // Empty = read all
         description: 'Read all your saved notes'
       },
+      {
+        type: 'exit',
+        condition: { left: '${action_0.result.count}', operator: 'lte', right: 0 },
+        message: 'You have no saved notes yet. Save a few notes and run me again!',
+        description: 'Stop early if there are no notes'
+      },
       {
         actionId: 'find_patterns',
         params: { items: '${previous.found_items}' }, // Reference previous output
@@ -56,7 +66,7 @@ export const AGENT_TEMPLATES = {
       {
         actionId: 'summarize',
         params: { 
-          content: '${previous.patterns}',
+          content: "${previous.patterns | pluck('term') | join(', ')}",
           style: 'key takeaways'
         },
         description: 'Create a summary of patterns'
@@ -64,7 +74,7 @@ export const AGENT_TEMPLATES = {
       {
         actionId: 'display_result',
         params: {
-          message: 'I found ${previous.count} patterns in your notes. Here are the key themes:\n\n${previous.summary}',
+          message: 'I found ${action_2.patterns | length} patterns in your notes. Here are the key themes:\n\n${previous.summary}',
           format: 'text'
         },
         description: 'Show results to user'
@@ -128,13 +138,13 @@ export const AGENT_TEMPLATES = {
       },
       {
         actionId: 'read_knowledge_graph',
-        params: { concept: '${context.topic}' },
+        params: { concept: "${userInput.topic | default('')}" },
         description: 'Find related concepts'
       },
       {
         actionId: 'generate_questions',
         params: {
-          topic: '${context.topic}',
+          topic: "${userInput.topic | default('what you are learning')}",
           count: 5
         },
         description: 'Create thought-provoking questions'
@@ -142,7 +152,7 @@ export const AGENT_TEMPLATES = {
       {
         actionId: 'display_result',
         params: {
-          message: "Let's deepen your understanding of **${context.topic}**:\n\n${previous.questions}\n\nThink about these questions. Would you like hints for any of them?",
+          message: "Let's deepen your understanding of **${userInput.topic | default('this topic')}**:\n\n${previous.questions | join('\\n')}\n\nThink about these questions. Would you like hints for any of them?",
           format: 'list'
         },
         description: 'Present questions to user'
@@ -202,7 +212,8 @@ export const AGENT_TEMPLATES = {
     actions: [
       {
         actionId: 'read_memory',
-        params: { query: '${userInput.topic}' },
+        // Scheduled and event runs have no topic: an empty query reads every note
+        params: { query: "${userInput.topic | default('')}" },
         description: 'Find notes on a specific topic'
       },
       {
@@ -213,7 +224,7 @@ export const AGENT_TEMPLATES = {
       {
         actionId: 'summarize',
         params: {
-          content: '${previous.found_items}',
+          content: "${action_0.found_items | pluck('body') | join('\\n\\n')}",
           style: 'bullet points'
         },
         description: 'Create a structured summary'
@@ -221,7 +232,7 @@ export const AGENT_TEMPLATES = {
       {
         actionId: 'generate_questions',
         params: {
-          topic: '${userInput.topic}',
+          topic: "${userInput.topic | default('your recent notes')}",
           count: 3
         },
         description: 'Generate review questions'
@@ -229,16 +240,16 @@ export const AGENT_TEMPLATES = {
       {
         actionId: 'save_to_memory',
         params: {
-          title: 'Synthesis: ${userInput.topic}',
-          content: '${previous.summary}\n\nReview Questions:\n${previous.questions}',
-          tags: '#synthesis #${userInput.topic}'
+          title: "Synthesis: ${userInput.topic | default('recent notes')}",
+          content: "${action_2.summary}\n\nReview Questions:\n${action_3.questions | join('\\n')}",
+          tags: "#synthesis #${userInput.topic | default('review')}"
         },
         description: 'Save the synthesized knowledge'
       },
       {
         actionId: 'display_result',
         params: {
-          message: "I've synthesized your notes on **${userInput.topic}**:\n\n${previous.summary}\n\n✅ Saved to your memory for later review.",
+          message: "I've synthesized your notes on **${userInput.topic | default('recent notes')}**:\n\n${action_2.summary}\n\n✅ Saved to your memory for later review.",
           format: 'text'
         },
         description: 'Show the synthesis'
@@ -306,7 +317,7 @@ export const AGENT_TEMPLATES = {
       {
         actionId: 'display_result',
         params: {
-          message: "I've analyzed your knowledge graph. Here are your learning opportunities:\n\n${previous.gaps}\n\nWould you like me to create a learning path?",
+          message: "I've analyzed your knowledge graph. Here are your learning opportunities:\n\n${previous.patterns | pluck('term') | join('\\n')}\n\nWould you like me to create a learning path?",
           format: 'list'
         },
         description: 'Present knowledge gaps'
@@ -469,12 +480,7 @@ export function validateTemplate(template) {
   if (!template.actions || !Array.isArray(template.actions)) {
     errors.push('Agent must have at least one action');
   } else {
-    for (let i = 0; i < template.actions.length; i++) {
-      const action = template.actions[i];
-      if (!action.actionId) {
-        errors.push(`Action ${i + 1} missing actionId`);
-      }
-    }
+    validateSteps(template.actions, '', 1, errors);
   }
   
   return {
@@ -483,6 +489,96 @@ export function validateTemplate(template) {
   };
 }
 
+/**
+ * Validate a list of flow steps, recursing into if / for_each blocks
+ * Labels read like "Step 2 > then > step 1" so the designer can point at the problem
+ */
+function validateSteps(steps, label, depth, errors) {
+  if (depth > MAX_FLOW_DEPTH) {
+    errors.push(`${label} is nested too deeply (max ${MAX_FLOW_DEPTH} levels)`);
+    return;
+  }
+  
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+    const stepLabel = label ? `${label} > step ${i + 1}` : `Action ${i + 1}`;
+    
+    if (!step || typeof step !== 'object') {
+      errors.push(`${stepLabel} is not a valid step`);
+      continue;
+    }
+    
+    const type = step.type || 'action';
+    
+    if (type === 'action') {
+      if (!step.actionId) {
+        errors.push(`${stepLabel} missing actionId`);
+      } else if (!ACTIONS[step.actionId]) {
+        errors.push(`${stepLabel} uses unknown action "${step.actionId}"`);
+      }
+      continue;
+    }
+    
+    if (!FLOW_STEPS[type]) {
+      errors.push(`${stepLabel} has unknown step type "${type}"`);
+      continue;
+    }
+    
+    if (type === 'if') {
+      validateCondition(step.condition, stepLabel, errors);
+      const thenSteps = step.then ?? [];
+      const elseSteps = step.else ?? [];
+      if (!Array.isArray(thenSteps) || !Array.isArray(elseSteps)) {
+        errors.push(`${stepLabel} (If) needs lists of steps for "then" and "else"`);
+        continue;
+      }
+      if (thenSteps.length === 0 && elseSteps.length === 0) {
+        errors.push(`${stepLabel} (If) has no steps to run`);
+      }
+      validateSteps(thenSteps, `${stepLabel} > then`, depth + 1, errors);
+      validateSteps(elseSteps, `${stepLabel} > else`, depth + 1, errors);
+    } else if (type === 'for_each') {
+      if (!Array.isArray(step.items) && !isWholeReference(step.items)) {
+        errors.push(`${stepLabel} (For Each) needs a list, e.g. "\${action_0.result.found_items}"`);
+      }
+      if (step.as !== undefined && (!/^[a-zA-Z_]\w*$/.test(step.as) || ['previous', 'loop'].includes(step.as) || step.as.startsWith('action_'))) {
+        errors.push(`${stepLabel} (For Each) has an invalid item name "${step.as}"`);
+      }
+      if (step.maxIterations !== undefined && !(Number.isInteger(step.maxIterations) && step.maxIterations > 0)) {
+        errors.push(`${stepLabel} (For Each) maxIterations must be a positive whole number`);
+      }
+      if (!Array.isArray(step.actions) || step.actions.length === 0) {
+        errors.push(`${stepLabel} (For Each) has no steps to repeat`);
+      } else {
+        validateSteps(step.actions, `${stepLabel} > each`, depth + 1, errors);
+      }
+    } else if (type === 'exit') {
+      if (step.condition !== undefined) {
+        validateCondition(step.condition, stepLabel, errors);
+      }
+    }
+  }
+}
+
+function validateCondition(condition, stepLabel, errors) {
+  if (!condition || typeof condition !== 'object') {
+    errors.push(`${stepLabel} is missing its condition`);
+    return;
+  }
+  
+  const operator = CONDITION_OPERATORS[condition.operator];
+  if (!operator) {
+    errors.push(`${stepLabel} has unknown condition operator "${condition.operator}"`);
+    return;
+  }
+  if (condition.left === undefined || condition.left === '') {
+    errors.push(`${stepLabel} condition needs a value to check`);
+  }
+  if (operator.needsRight && condition.right === undefined) {
+    errors.push(`${stepLabel} condition "${operator.label}" needs a value to compare with`);
+  }
+}
+
 export default { 
   AGENT_TEMPLATES, 
   getTemplate, 
@@ -0,0 +1,460 @@
+/**
+ * Backup Manager - one archive with all learner state, optionally encrypted
+ *
+ * Every chrome.storage key that holds learner state is registered here by group.
+ * Engine state that moved to IndexedDB (engine-db.js) is archived under its old key.
+ * A backup snapshots the registered keys; restore validates the archive and
+ * either merges it into what is stored or replaces it.
+ *
+ * Archive:
+ * {
+ *   format: 'trailnote-backup', version: 1, createdAt, extensionVersion,
+ *   encrypted: false, data: { key: value, ... }
+ * }
+ * Encrypted archives carry { kdf, cipher, payload } instead of data:
+ * PBKDF2-SHA256 derives an AES-GCM key from the passphrase and payload is the
+ * base64 ciphertext of JSON.stringify({ data }).
+ *
+ * Caches (search index, embeddings), in-flight agent runs and API keys are never backed up.
+ */
+
+import { getAllProviders } from './llm-providers.js';
+import { engineDb } from './engine-db.js';
+
+export const BACKUP_FORMAT = 'trailnote-backup';
+export const BACKUP_VERSION = 1;
+
+const PBKDF2_ITERATIONS = 250000;
+
+// Fields that mark when a record last changed (newer wins on merge)
+const TIMESTAMP_FIELDS = ['updatedAt', 'lastUpdated', 'lastReview', 'lastAccessed', 'timestamp', 'createdAt'];
+
+/**
+ * Registered keys by group
+ * `prefixes` cover keys created per item (e.g. agent_history_<agentId>)
+ */
+const BACKUP_GROUPS = {
+  learning: {
+    label: 'Mastery & learning history',
+    keys: [
+      'bkt_mastery', 'bkt_history', 'bkt_parameters', 'knowledge_components',
+      'concept_mastery', 'concept_graph', 'misconception_graph', 'concept_difficulty',
+      'velocity_profiles', 'velocity_history', 'forgetting_curves', 'review_schedule',
+      'struggle_thresholds', 'hinthopper:adaptive_learning', 'history_aggregates'
+    ],
+    prefixes: []
+  },
+  notes: {
+    label: 'Notes & flashcards',
+    keys: ['notes', 'notes_schema_version', 'flashcards', 'flashcard_sessions'],
+    prefixes: []
+  },
+  memories: {
+    label: 'Learning memories',
+    keys: ['learning_memories', 'pending_approvals', 'user_rules', 'observation_buffer', 'orchestration_graph_memories'],
+    prefixes: []
+  },
+  insights: {
+    label: 'Hint outcomes & insights',
+    keys: [
+      'outcome_metrics', 'feedback_history', 'intervention_effectiveness', 'pedagogical_patterns',
+      'mined_patterns', 'mining_history', 'aggregate_patterns', 'system_improvements',
+      'external_insights', 'ab_assignments', 'ab_results', 'ab_variants', 'mining_config',
+      'hint_code_snapshots', 'hinthopper:nlu_data'
+    ],
+    prefixes: []
+  },
+  agents: {
+    label: 'Agents',
+    keys: ['agent_builder_agents', 'agent_builder_deployed'],
+    prefixes: ['agent_history_']
+  },
+  settings: {
+    label: 'Settings (without API keys)',
+    keys: [
+      'hintMode', 'tutorTone', 'bunjiTone', 'debugMode', 'mockLLM', 'improve_bunji_enabled',
+      'agentMaxConcurrentRuns', 'searchEmbeddings', 'ollamaEmbedModel', 'llmProvider', 'llmFallbackChain',
+      'selector_packs'
+    ],
+    prefixes: []
+  }
+};
+
+/**
+ * Register more keys for backup (for modules added later)
+ * @param {string} group - Group id; created if new
+ * @param {Array} keys - Storage keys
+ * @param {Object} options - { label, prefixes }
+ */
+export function registerBackupKeys(group, keys = [], options = {}) {
+  if (!BACKUP_GROUPS[group]) {
+    BACKUP_GROUPS[group] = { label: options.label || group, keys: [], prefixes: [] };
+  }
+  const entry = BACKUP_GROUPS[group];
+  entry.keys.push(...keys.filter(k => !entry.keys.includes(k)));
+  entry.prefixes.push(...(options.prefixes || []).filter(p => !entry.prefixes.includes(p)));
+}
+
+/**
+ * Group id -> label, for the restore screen
+ */
+export function getBackupGroups() {
+  return Object.fromEntries(Object.entries(BACKUP_GROUPS).map(([id, g]) => [id, g.label]));
+}
+
+/**
+ * Which group a key belongs to (null if not registered)
+ */
+function groupOf(key) {
+  for (const [id, group] of Object.entries(BACKUP_GROUPS)) {
+    if (group.keys.includes(key) || group.prefixes.some(p => key.startsWith(p))) return id;
+  }
+  return null;
+}
+
+let providerKeysRegistered = false;
+
+/**
+ * Non-secret provider settings (URLs, models) come from the provider registry
+ */
+function registerProviderSettings() {
+  if (providerKeysRegistered) return;
+  providerKeysRegistered = true;
+
+  const keys = getAllProviders()
+    .flatMap(provider => provider.settings)
+    .filter(field => field.type !== 'password' && field.storageKey)
+    .map(field => field.storageKey);
+  registerBackupKeys('settings', keys);
+}
+
+/**
+ * Everything stored, with IndexedDB engine state as its old chrome.storage blobs
+ */
+async function getAllStored() {
+  const items = await new Promise(res => chrome.storage.local.get(null, items => res(items || {})));
+  return { ...items, ...(await engineDb.readAllLegacy()) };
+}
+
+function extensionVersion() {
+  return typeof chrome !== 'undefined' && chrome.runtime?.getManifest ? chrome.runtime.getManifest().version : null;
+}
+
+/**
+ * Snapshot every registered key
+ * @param {Object} options - { passphrase } to encrypt
+ * @return {Object} The archive
+ */
+export async function createBackup(options = {}) {
+  registerProviderSettings();
+
+  const stored = await getAllStored();
+  const data = {};
+  for (const [key, value] of Object.entries(stored)) {
+    if (groupOf(key)) data[key] = value;
+  }
+
+  const archive = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    extensionVersion: extensionVersion(),
+    encrypted: Boolean(options.passphrase)
+  };
+
+  if (options.passphrase) {
+    Object.assign(archive, await encrypt({ data }, options.passphrase));
+  } else {
+    archive.data = data;
+  }
+
+  console.log(`[BackupManager] Backed up ${Object.keys(data).length} keys${archive.encrypted ? ' (encrypted)' : ''}`);
+  return archive;
+}
+
+/**
+ * Check an archive before restoring it
+ * @param {string|Object} input - Archive file text or parsed archive
+ * @param {string} passphrase - Needed for encrypted archives
+ * @return {Object} { ok, errors, warnings, needsPassphrase, createdAt, extensionVersion, data, groups: { id: { label, keys } } }
+ */
+export async function inspectBackup(input, passphrase = '') {
+  registerProviderSettings();
+
+  const fail = (message, extra = {}) => ({ ok: false, errors: [message], warnings: [], groups: {}, ...extra });
+
+  let archive = input;
+  if (typeof input === 'string') {
+    try {
+      archive = JSON.parse(input);
+    } catch (error) {
+      return fail(`Not valid JSON: ${error.message}`);
+    }
+  }
+
+  if (!archive || archive.format !== BACKUP_FORMAT) {
+    return fail('This file is not a TrailNote backup');
+  }
+  if (!Number.isInteger(archive.version) || archive.version < 1) {
+    return fail(`Unknown backup version: ${archive.version}`);
+  }
+  if (archive.version > BACKUP_VERSION) {
+    return fail(`This backup was made by a newer version (v${archive.version}). Update the extension to restore it.`);
+  }
+
+  let data = archive.data;
+  if (archive.encrypted) {
+    if (!passphrase) {
+      return fail('This backup is encrypted. Enter its passphrase.', { needsPassphrase: true });
+    }
+    try {
+      ({ data } = await decrypt(archive, passphrase));
+    } catch (_) {
+      return fail('Wrong passphrase, or the backup is damaged', { needsPassphrase: true });
+    }
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return fail('The backup contains no data');
+  }
+
+  const warnings = [];
+  const current = extensionVersion();
+  if (archive.extensionVersion && current && compareVersions(archive.extensionVersion, current) > 0) {
+    warnings.push(`Made with TrailNote ${archive.extensionVersion}; this is ${current}. Some data may not be understood until you update.`);
+  }
+
+  const groups = {};
+  const unknown = [];
+  for (const key of Object.keys(data)) {
+    const group = groupOf(key);
+    if (!group) {
+      unknown.push(key);
+      continue;
+    }
+    if (!groups[group]) groups[group] = { label: BACKUP_GROUPS[group].label, keys: [] };
+    groups[group].keys.push(key);
+  }
+  if (unknown.length) {
+    warnings.push(`${unknown.length} unrecognized key${unknown.length === 1 ? '' : 's'} will be skipped (${unknown.slice(0, 3).join(', ')}${unknown.length > 3 ? ', …' : ''})`);
+  }
+
+  return {
+    ok: true,
+    errors: [],
+    warnings,
+    needsPassphrase: false,
+    createdAt: archive.createdAt || null,
+    extensionVersion: archive.extensionVersion || null,
+    data,
+    groups
+  };
+}
+
+/**
+ * Restore an archive
+ * @param {string|Object} input - Archive file text or parsed archive
+ * @param {Object} options - { passphrase, mode: 'merge' | 'replace', groups: [ids] (default: all in the backup) }
+ * @return {Object} { restored, removed, mode }
+ */
+export async function restoreBackup(input, options = {}) {
+  const { passphrase = '', mode = 'merge' } = options;
+  if (mode !== 'merge' && mode !== 'replace') {
+    throw new Error(`Unknown restore mode: ${mode}`);
+  }
+
+  const inspection = await inspectBackup(input, passphrase);
+  if (!inspection.ok) {
+    throw new Error(inspection.errors[0]);
+  }
+
+  const groups = options.groups || Object.keys(inspection.groups);
+  const stored = await getAllStored();
+  const updates = {};
+  const removals = [];
+
+  for (const [key, value] of Object.entries(inspection.data)) {
+    if (!groups.includes(groupOf(key))) continue;
+    updates[key] = mode === 'merge' && stored[key] !== undefined
+      ? mergeValues(stored[key], value)
+      : value;
+  }
+
+  // Replace also clears keys of the chosen groups that the backup doesn't have
+  if (mode === 'replace') {
+    for (const key of Object.keys(stored)) {
+      if (groups.includes(groupOf(key)) && !(key in inspection.data)) removals.push(key);
+    }
+  }
+
+  // Restored notes may be in an older shape - make the notes repository migrate them again
+  if ('notes' in updates) {
+    const backupVersion = inspection.data.notes_schema_version ?? 0;
+    updates.notes_schema_version = mode === 'merge'
+      ? Math.min(stored.notes_schema_version ?? 0, backupVersion)
+      : backupVersion;
+  }
+
+  // Engine state goes back into IndexedDB
+  for (const key of Object.keys(updates).filter(k => engineDb.ownsKey(k))) {
+    await engineDb.writeLegacy(key, updates[key]);
+  }
+  for (const key of removals.filter(k => engineDb.ownsKey(k))) {
+    await engineDb.writeLegacy(key, null);
+  }
+
+  const chromeRemovals = removals.filter(k => !engineDb.ownsKey(k));
+  const chromeUpdates = Object.fromEntries(Object.entries(updates).filter(([k]) => !engineDb.ownsKey(k)));
+  if (chromeRemovals.length) {
+    await chrome.storage.local.remove(chromeRemovals);
+  }
+  await new Promise(res => chrome.storage.local.set(chromeUpdates, res));
+
+  console.log(`[BackupManager] Restored ${Object.keys(updates).length} keys (${mode}), removed ${removals.length}`);
+  return { restored: Object.keys(updates).length, removed: removals.length, mode };
+}
+
+/**
+ * Merge a backed-up value into the stored one
+ * - lists: union (items with an id are matched by id, newer wins)
+ * - flat records with a timestamp: the newer one wins
+ * - objects holding lists or maps (a timestamped container such as { concepts: {...}, lastUpdated }
+ *   included): merged entry by entry, so entries only one side has are kept; on a timestamped
+ *   container the newer side wins where both have a plain value
+ * - anything else: the stored value wins
+ */
+export function mergeValues(local, incoming) {
+  if (Array.isArray(local) && Array.isArray(incoming)) {
+    return mergeLists(local, incoming);
+  }
+  if (isPlainObject(local) && isPlainObject(incoming)) {
+    const localTime = recordTime(local);
+    const incomingTime = recordTime(incoming);
+    const timed = localTime !== null && incomingTime !== null;
+    if (timed && !hasNested(local) && !hasNested(incoming)) {
+      return incomingTime > localTime ? incoming : local;
+    }
+
+    // mergeValues keeps its first argument's plain values, so the preferred side goes first
+    const incomingWins = timed && incomingTime > localTime;
+    const [preferred, other] = incomingWins ? [incoming, local] : [local, incoming];
+    const merged = { ...other, ...preferred };
+    for (const key of Object.keys(other)) {
+      if (key in preferred) merged[key] = mergeValues(preferred[key], other[key]);
+    }
+    return merged;
+  }
+  return local === undefined ? incoming : local;
+}
+
+function hasNested(record) {
+  return Object.values(record).some(value => value !== null && typeof value === 'object');
+}
+
+function mergeLists(local, incoming) {
+  const merged = [...local];
+  const byId = new Map();
+  const seen = new Set();
+
+  merged.forEach((item, index) => {
+    if (isPlainObject(item) && item.id !== undefined) byId.set(item.id, index);
+    else seen.add(JSON.stringify(item));
+  });
+
+  for (const item of incoming) {
+    if (isPlainObject(item) && item.id !== undefined) {
+      if (byId.has(item.id)) {
+        const index = byId.get(item.id);
+        merged[index] = mergeValues(merged[index], item);
+      } else {
+        byId.set(item.id, merged.length);
+        merged.push(item);
+      }
+    } else if (!seen.has(JSON.stringify(item))) {
+      seen.add(JSON.stringify(item));
+      merged.push(item);
+    }
+  }
+
+  return merged;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function recordTime(record) {
+  for (const field of TIMESTAMP_FIELDS) {
+    if (typeof record[field] === 'number') return record[field];
+  }
+  return null;
+}
+
+function compareVersions(a, b) {
+  const pa = String(a).split('.').map(n => parseInt(n, 10) || 0);
+  const pb = String(b).split('.').map(n => parseInt(n, 10) || 0);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    if ((pa[i] || 0) !== (pb[i] || 0)) return (pa[i] || 0) > (pb[i] || 0) ? 1 : -1;
+  }
+  return 0;
+}
+
+// --- Encryption (WebCrypto) ---
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function encrypt(value, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+
+  return {
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+    payload: toBase64(new Uint8Array(ciphertext))
+  };
+}
+
+async function decrypt(archive, passphrase) {
+  const { kdf, cipher, payload } = archive;
+  if (kdf?.name !== 'PBKDF2' || cipher?.name !== 'AES-GCM' || !payload) {
+    throw new Error('Unsupported encryption');
+  }
+
+  const key = await deriveKey(passphrase, fromBase64(kdf.salt), kdf.iterations);
+  const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(cipher.iv) }, key, fromBase64(payload));
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+export default {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  registerBackupKeys,
+  getBackupGroups,
+  createBackup,
+  inspectBackup,
+  restoreBackup,
+  mergeValues
+};
@@ -16,14 +16,18 @@
  */
 
 import { store } from './storage.js';
+import { engineDb } from './engine-db.js';
+import { stateSync } from './state-sync.js';
 import { TrailNoteGraph } from './orchestration-graph.js';
 
 // Storage keys
 const BKT_PARAMS_KEY = 'bkt_parameters';
-const BKT_MASTERY_KEY = 'bkt_mastery';
-const BKT_HISTORY_KEY = 'bkt_history';
 const KC_MAPPING_KEY = 'knowledge_components';
 
+// IndexedDB object stores (engine-db.js)
+const MASTERY_STORE = 'bkt_mastery';
+const HISTORY_STORE = 'bkt_history';
+
 /**
  * Default BKT parameters for different concept types
  * These are empirically determined starting points that will be refined
@@ -83,6 +87,14 @@ class KnowledgeComponent {
   }
 }
 
+/**
+ * Mastery estimate as a bkt_mastery row (key is 'userId:kcId')
+ */
+function masteryRecord(key, data) {
+  const [userId, ...kcId] = key.split(':');
+  return { ...data, id: key, userId, kcId: kcId.join(':') };
+}
+
 /**
  * BKT Engine - Core mastery estimation and update logic
  */
@@ -98,6 +110,7 @@ export class BKTEngine {
     this.kcs = new Map();  // Knowledge Components
     this.mastery = new Map();  // Per-user per-KC mastery estimates
     this.history = [];     // Observation history for parameter estimation
+    this._unsubscribeSync = null;
   }
 
   /**
@@ -111,13 +124,22 @@ export class BKTEngine {
     }
     
     // Load stored mastery estimates
-    const storedMastery = await store.get(BKT_MASTERY_KEY, {});
-    for (const [key, value] of Object.entries(storedMastery)) {
-      this.mastery.set(key, value);
+    for (const { id, userId, kcId, ...value } of await engineDb.getAll(MASTERY_STORE)) {
+      this.mastery.set(id, value);
     }
     
     // Load history
-    this.history = await store.get(BKT_HISTORY_KEY, []);
+    this.history = (await engineDb.getAll(HISTORY_STORE)).map(({ id, ...entry }) => entry);
+    
+    // Observations made in another panel or by a background agent
+    if (!this._unsubscribeSync) {
+      this._unsubscribeSync = stateSync.subscribe('bkt:mastery', ({ key, data, observation }) => {
+        if (data.lastUpdated > (this.mastery.get(key)?.lastUpdated || 0)) {
+          this.mastery.set(key, data);
+        }
+        if (observation) this.history.push(observation);
+      });
+    }
     
     console.log(`[BKTEngine] Initialized with ${this.kcs.size} KCs, ${this.mastery.size} mastery estimates`);
   }
@@ -199,6 +221,7 @@ export class BKTEngine {
     const { probTransit, probSlip, probGuess } = kc.params;
     
     const key = `${userId}:${kcId}`;
+    await this._refreshMastery(key);
     let currentMastery = this.getMastery(kcId, userId);
     
     // BKT update equations (Corbett & Anderson, 1995)
@@ -245,19 +268,23 @@ export class BKTEngine {
     kc.lastUpdated = Date.now();
     
     // Record observation for parameter estimation
-    this.history.push({
+    const observation = {
       kcId,
       userId,
       correct,
       masteryBefore: currentMastery,
       masteryAfter: newMastery,
       timestamp: Date.now()
-    });
+    };
+    this.history.push(observation);
     
-    // Persist
-    await this._persistMastery();
+    // Persist - the estimate and its history row commit together
+    await engineDb.transaction([MASTERY_STORE, HISTORY_STORE], async (tx) => {
+      await tx.put(MASTERY_STORE, masteryRecord(key, masteryData));
+      await tx.add(HISTORY_STORE, { ...observation });
+    });
     await this._persistKCs();
-    await this._persistHistory();
+    stateSync.publish('bkt:mastery', { key, data: masteryData, observation });
     
     return {
       kcId,
@@ -574,12 +601,26 @@ export class BKTEngine {
     await store.set(KC_MAPPING_KEY, kcsData);
   }
 
+  /**
+   * Pick up an estimate another context (panel or background agent) updated since init
+   */
+  async _refreshMastery(key) {
+    const stored = await engineDb.get(MASTERY_STORE, key);
+    if (stored && stored.lastUpdated > (this.mastery.get(key)?.lastUpdated || 0)) {
+      const { id, userId, kcId, ...value } = stored;
+      this.mastery.set(key, value);
+    }
+  }
+
   async _persistMastery() {
-    await store.set(BKT_MASTERY_KEY, Object.fromEntries(this.mastery));
+    await engineDb.putMany(MASTERY_STORE, [...this.mastery].map(([key, data]) => masteryRecord(key, data)));
   }
 
   async _persistHistory() {
-    await store.set(BKT_HISTORY_KEY, this.history);
+    await engineDb.transaction(HISTORY_STORE, async (tx) => {
+      await tx.clear(HISTORY_STORE);
+      await Promise.all(this.history.map(entry => tx.add(HISTORY_STORE, { ...entry })));
+    });
   }
 
   async _persistAll() {
@@ -0,0 +1,992 @@
+/**
+ * Code Analysis - static checks on the learner's code for misconception indicators
+ *
+ * analyzeCode(code, language) returns indicator ids from MISCONCEPTION_TYPES
+ * (pedagogical-engine.js) together with the spans of code that show them, so a
+ * hint can point at the line instead of guessing from test text.
+ *
+ * How each language is read:
+ *   js     - acorn's AST (src/lib/vendor/); code that doesn't parse yet goes through
+ *            acorn-loose, which fills the gaps with placeholder nodes
+ *   html   - DOMParser for elements and attributes, a scan of the source tags with an
+ *            open-element stack for nesting; <style> and <script> are checked as CSS and JS
+ *   css    - rule / declaration tokenizer
+ *   python - logical lines with an indentation stack (strings and comments masked)
+ */
+
+import { parse as parseStrict } from './vendor/acorn.js';
+import { parse as parseLoose } from './vendor/acorn-loose.js';
+
+const MAX_EVIDENCE_PER_INDICATOR = 3;
+const MAX_CODE_LENGTH = 200 * 1024;
+
+const LANGUAGE_ALIASES = {
+  javascript: 'js', js: 'js', jsx: 'js', typescript: 'js', ts: 'js', tsx: 'js', node: 'js',
+  python: 'python', python3: 'python', py: 'python',
+  html: 'html', htm: 'html',
+  css: 'css', scss: 'css'
+};
+
+/**
+ * Analyze code for misconception indicators
+ * @param {string} code - The learner's code
+ * @param {string} language - From the adapter's getCodeLanguage() (javascript, python, html, css, jsx...)
+ * @returns {Object} { language, indicators: [id], evidence: [{ indicator, line, start, end, snippet, note }] }
+ *   language is null when the code isn't in a language with checks
+ */
+export function analyzeCode(code, language) {
+  const lang = normalizeLanguage(language, code);
+  const result = { language: lang, indicators: [], evidence: [] };
+  if (!lang || typeof code !== 'string' || !code.trim() || code.length > MAX_CODE_LENGTH) {
+    return result;
+  }
+
+  const lineStarts = [0];
+  for (let i = 0; i < code.length; i++) {
+    if (code[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  const found = new Set();
+  const perIndicator = {};
+  const report = (indicator, start, end, note) => {
+    found.add(indicator);
+    perIndicator[indicator] = (perIndicator[indicator] || 0) + 1;
+    if (perIndicator[indicator] > MAX_EVIDENCE_PER_INDICATOR) return;
+    result.evidence.push({
+      indicator,
+      line: lineOf(lineStarts, start),
+      start,
+      end,
+      snippet: code.slice(start, end).split('\n')[0].slice(0, 80),
+      note
+    });
+  };
+  // Analyzers of embedded <script>/<style> name lines in the whole file
+  report.lineAt = (offset) => lineOf(lineStarts, offset);
+
+  try {
+    ANALYZERS[lang](code, 0, report);
+  } catch (error) {
+    console.warn(`[CodeAnalysis] ${lang} analysis failed:`, error?.message);
+  }
+
+  result.indicators = [...found];
+  result.evidence.sort((a, b) => a.start - b.start);
+  return result;
+}
+
+function normalizeLanguage(language, code) {
+  let lang = LANGUAGE_ALIASES[String(language || '').toLowerCase()] || null;
+  // Multi-file lessons report the lesson's language for every file; a stylesheet has no tags
+  if (lang === 'html' && typeof code === 'string' && !/<[a-z!/]/i.test(code) && /\{[^}]*:[^}]*\}/.test(code)) {
+    lang = 'css';
+  }
+  if (!lang && typeof code === 'string' && /^\s*<[a-z!]/i.test(code)) lang = 'html';
+  return lang;
+}
+
+function lineOf(lineStarts, offset) {
+  let lo = 0;
+  let hi = lineStarts.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (lineStarts[mid] <= offset) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo + 1;
+}
+
+// =====================================================================
+// === HTML ===
+// =====================================================================
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+const OPTIONAL_CLOSE = new Set(['p', 'li', 'dt', 'dd', 'tr', 'td', 'th', 'option', 'optgroup', 'thead', 'tbody', 'tfoot', 'colgroup', 'rt', 'rp', 'html', 'head', 'body']);
+const MUST_CLOSE = new Set(['a', 'div', 'span', 'section', 'article', 'header', 'footer', 'nav', 'main', 'aside', 'ul', 'ol', 'form', 'button', 'label', 'table', 'figure', 'select', 'textarea', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'strong', 'em']);
+const CLOSES_P = new Set(['address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'menu', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul']);
+const SEMANTIC_ELEMENTS = new Set(['header', 'nav', 'main', 'section', 'article', 'aside', 'footer', 'figure']);
+const DEPRECATED_ELEMENTS = new Set(['center', 'font', 'marquee', 'big', 'strike', 'tt', 'frame', 'frameset', 'blink', 'acronym', 'applet', 'basefont', 'dir']);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+const ATTRIBUTE_TYPOS = {
+  herf: 'href', hrf: 'href', hre: 'href', scr: 'src', sorce: 'src', atl: 'alt', alr: 'alt',
+  calss: 'class', clas: 'class', classs: 'class', stlye: 'style', syle: 'style', tpye: 'type',
+  tyle: 'type', plceholder: 'placeholder', placeholer: 'placeholder', valeu: 'value', nmae: 'name'
+};
+// Element -> the parents it has to sit in
+const REQUIRED_PARENTS = {
+  li: ['ul', 'ol', 'menu'],
+  tr: ['table', 'thead', 'tbody', 'tfoot'],
+  td: ['tr'],
+  th: ['tr'],
+  option: ['select', 'datalist', 'optgroup'],
+  figcaption: ['figure'],
+  dt: ['dl'],
+  dd: ['dl'],
+  source: ['video', 'audio', 'picture']
+};
+
+/**
+ * HTML: nesting is checked on a scan of the source tags, because DOMParser repairs
+ * mis-nested, unclosed and stray tags without a trace; the elements and attributes
+ * are checked as DOMParser builds them where it exists (the panel). The service
+ * worker has no DOMParser and checks the scanned tags instead.
+ */
+function analyzeHtml(src, offset, report) {
+  const tags = scanTags(src, offset, report);
+  checkElements(typeof DOMParser === 'function' ? parsedElements(src, tags) : tags, report);
+}
+
+/**
+ * Walk the source tags with an open-element stack
+ * @return {Array} Start tags in source order: { name, attrs, start, end }
+ */
+function scanTags(src, offset, report) {
+  const stack = [];
+  const tags = [];
+  let i = 0;
+
+  const openNames = () => stack.map(e => e.name);
+
+  while (i < src.length) {
+    const lt = src.indexOf('<', i);
+    if (lt < 0) break;
+
+    if (src.startsWith('<!--', lt)) {
+      const end = src.indexOf('-->', lt + 4);
+      i = end < 0 ? src.length : end + 3;
+      continue;
+    }
+    if (src[lt + 1] === '!' || src[lt + 1] === '?') {
+      const end = src.indexOf('>', lt);
+      i = end < 0 ? src.length : end + 1;
+      continue;
+    }
+
+    const closing = src[lt + 1] === '/';
+    const nameMatch = /^[a-zA-Z][a-zA-Z0-9-]*/.exec(src.slice(lt + (closing ? 2 : 1), lt + 40));
+    if (!nameMatch) {
+      i = lt + 1;
+      continue;
+    }
+    const name = nameMatch[0].toLowerCase();
+    const tag = readTag(src, lt);
+    const start = offset + lt;
+    const end = offset + tag.end;
+
+    if (tag.unbalancedQuote) {
+      report('missing_quote', start, end, `A quote in this <${name}> tag is never closed, so the rest of the tag is read as the attribute value`);
+    }
+
+    if (closing) {
+      closeElement(name, start, end);
+      i = tag.end;
+      continue;
+    }
+
+    const attrs = parseAttributes(tag.inner.slice(name.length));
+    tags.push({ name, attrs, start, end });
+    checkOpenTag(name, start, end, tag.selfClosing);
+
+    if (RAW_TEXT_ELEMENTS.has(name) && !tag.selfClosing) {
+      const closeIdx = src.toLowerCase().indexOf(`</${name}`, tag.end);
+      const contentEnd = closeIdx < 0 ? src.length : closeIdx;
+      const content = src.slice(tag.end, contentEnd);
+      if (name === 'style') {
+        analyzeCss(content, offset + tag.end, report);
+      } else if (name === 'script' && isJavaScriptType(attrs.type) && !attrs.src) {
+        analyzeJs(content, offset + tag.end, report);
+      }
+      i = closeIdx < 0 ? src.length : src.indexOf('>', closeIdx) + 1 || src.length;
+      continue;
+    }
+
+    if (!VOID_ELEMENTS.has(name) && !tag.selfClosing) {
+      stack.push({ name, start, end, line: report.lineAt(start) });
+    }
+    i = tag.end;
+  }
+
+  // Elements left open wrap everything after them
+  for (const el of stack) {
+    if (MUST_CLOSE.has(el.name)) {
+      report('wrong_container', el.start, el.end, `<${el.name}> (line ${el.line}) is never closed, so everything after it ends up inside it`);
+    }
+  }
+  return tags;
+
+  function checkOpenTag(name, start, end, selfClosing) {
+    // Elements that close an open <p> (browsers end the paragraph first)
+    const top = stack[stack.length - 1];
+    if (top?.name === 'p' && CLOSES_P.has(name)) {
+      if (name !== 'p') {
+        report('wrong_container', start, end, `<${name}> can't go inside <p> (line ${top.line}); the browser ends the paragraph before it`);
+      }
+      stack.pop();
+    }
+    // Optional end tags close themselves when a sibling starts
+    const sibling = stack[stack.length - 1];
+    if (sibling && sibling.name === name && ['li', 'dt', 'dd', 'tr', 'td', 'th', 'option'].includes(name)) {
+      stack.pop();
+    }
+
+    if (name === 'a' && openNames().includes('a')) {
+      report('wrong_container', start, end, 'A link inside another link; links can\'t be nested');
+    }
+
+    const parents = REQUIRED_PARENTS[name];
+    if (parents) {
+      const names = openNames();
+      const parent = names[names.length - 1];
+      const ok = parents.includes(parent) || (name === 'tr' && names.includes('table'));
+      if (!ok && !names.includes('svg') && !names.includes('template')) {
+        report('missing_wrapper', start, end, `<${name}> needs to be inside ${parents.map(p => `<${p}>`).join(' or ')}`);
+      }
+    }
+
+    if (selfClosing && !VOID_ELEMENTS.has(name) && !name.includes('-') && name !== 'svg' && !openNames().includes('svg')) {
+      report('wrong_container', start, end, `<${name} /> isn't closed by the slash; HTML needs </${name}>`);
+    }
+  }
+
+  function closeElement(name, start, end) {
+    if (VOID_ELEMENTS.has(name)) return;
+    const idx = stack.map(e => e.name).lastIndexOf(name);
+    if (idx < 0) {
+      // </p> without <p> makes an empty paragraph; other strays are dropped
+      report('extra_wrapper', start, end, `</${name}> has no matching <${name}>`);
+      return;
+    }
+    const inner = stack.slice(idx + 1).filter(e => !OPTIONAL_CLOSE.has(e.name));
+    if (inner.length > 0) {
+      const last = inner[inner.length - 1];
+      report('wrong_container', start, end, `</${name}> comes before </${last.name}>; <${last.name}> (line ${last.line}) was opened inside <${name}> and has to close first`);
+    }
+    stack.length = idx;
+  }
+}
+
+/**
+ * The elements DOMParser builds, each placed at its start tag in the source
+ * The nth <name> element pairs with the nth <name> tag; elements the parser adds
+ * (<html>, <tbody>...) have no tag and are left out.
+ */
+function parsedElements(src, tags) {
+  const doc = new DOMParser().parseFromString(src, 'text/html');
+  const tagsByName = new Map();
+  for (const tag of tags) {
+    if (!tagsByName.has(tag.name)) tagsByName.set(tag.name, []);
+    tagsByName.get(tag.name).push(tag);
+  }
+
+  const seen = new Map();
+  const elements = [];
+  for (const el of doc.querySelectorAll('*')) {
+    const name = el.localName.toLowerCase();
+    const n = seen.get(name) || 0;
+    seen.set(name, n + 1);
+    const tag = tagsByName.get(name)?.[n];
+    if (!tag) continue;
+
+    const attrs = {};
+    for (const attr of el.attributes) attrs[attr.name] = attr.value;
+    elements.push({ name, attrs, start: tag.start, end: tag.end });
+  }
+  return elements;
+}
+
+// Which elements are used, and their attributes
+function checkElements(elements, report) {
+  let divCount = 0;
+  let firstDiv = null;
+  let hasSemantic = false;
+
+  for (const { name, attrs, start, end } of elements) {
+    if (name === 'div') {
+      divCount++;
+      if (!firstDiv) firstDiv = { start, end };
+    }
+    if (SEMANTIC_ELEMENTS.has(name)) hasSemantic = true;
+
+    if (DEPRECATED_ELEMENTS.has(name)) {
+      report('deprecated_tag', start, end, `<${name}> is obsolete; use CSS or a current element instead`);
+    }
+
+    for (const attr of Object.keys(attrs)) {
+      if (ATTRIBUTE_TYPOS[attr]) {
+        report('wrong_attr_name', start, end, `"${attr}" should probably be "${ATTRIBUTE_TYPOS[attr]}"`);
+      }
+    }
+
+    if (name === 'a') {
+      if (attrs.href === undefined && attrs.herf === undefined && attrs.hrf === undefined) {
+        report('missing_href', start, end, '<a> without an href doesn\'t link anywhere');
+      } else if (/^\s*www\./i.test(attrs.href || '')) {
+        report('wrong_url', start, end, 'A link starting with "www." is treated as a page on this site; add https://');
+      }
+    }
+    if (name === 'img' && attrs.alt === undefined && attrs.atl === undefined && attrs.alr === undefined) {
+      report('accessibility_ignore', start, end, '<img> without alt text');
+    }
+  }
+
+  if (divCount >= 3 && !hasSemantic) {
+    report('div_everything', firstDiv.start, firstDiv.end, `${divCount} <div>s and no semantic elements like <header>, <main> or <section>`);
+  }
+}
+
+// Find the end of a tag, respecting quotes; a quote still open at the next '<' or the end is unbalanced
+function readTag(src, lt) {
+  let i = lt + 1;
+  let quote = null;
+  let quoteStart = -1;
+  while (i < src.length) {
+    const c = src[i];
+    if (quote) {
+      if (c === quote) quote = null;
+      else if (c === '<' || (c === '\n' && src[i + 1] === '<')) break;
+    } else if (c === '"' || c === '\'') {
+      // Only quotes that start an attribute value
+      if (/=\s*$/.test(src.slice(Math.max(lt, i - 8), i))) {
+        quote = c;
+        quoteStart = i;
+      }
+    } else if (c === '>') {
+      const inner = src.slice(lt + 1, i).replace(/^\//, '');
+      return { end: i + 1, inner, selfClosing: /\/\s*$/.test(inner), unbalancedQuote: false };
+    } else if (c === '<') {
+      break;
+    }
+    i++;
+  }
+
+  // Unterminated: close the tag at the first '>' after the open quote (or give up at the line end)
+  const gt = src.indexOf('>', quoteStart >= 0 ? quoteStart : lt);
+  const nl = src.indexOf('\n', lt);
+  const end = gt >= 0 ? gt + 1 : (nl >= 0 ? nl : src.length);
+  const inner = src.slice(lt + 1, Math.max(lt + 1, end - 1)).replace(/^\//, '');
+  return { end, inner, selfClosing: false, unbalancedQuote: quoteStart >= 0 };
+}
+
+function parseAttributes(text) {
+  const attrs = {};
+  const re = /([^\s=/>"']+)(?:\s*=\s*("[^"]*"?|'[^']*'?|[^\s>]+))?/g;
+  let m;
+  while ((m = re.exec(text))) {
+    const value = m[2] === undefined ? '' : m[2].replace(/^["']|["']$/g, '');
+    attrs[m[1].toLowerCase()] = value;
+  }
+  return attrs;
+}
+
+function isJavaScriptType(type) {
+  return !type || /^(text\/javascript|module|application\/javascript)$/i.test(type.trim());
+}
+
+// =====================================================================
+// === CSS ===
+// =====================================================================
+
+const LENGTH_PROPERTIES = /^(width|height|min-width|min-height|max-width|max-height|margin|margin-(top|right|bottom|left)|padding|padding-(top|right|bottom|left)|top|right|bottom|left|font-size|border-width|border-(top|right|bottom|left)-width|border-radius|gap|row-gap|column-gap|letter-spacing|word-spacing|text-indent|outline-width|outline-offset|flex-basis|inset)$/;
+const CSS_UNITS = /^(px|em|rem|%|vh|vw|vmin|vmax|svh|lvh|dvh|ch|ex|cm|mm|in|pt|pc|q|fr|deg|rad|turn|s|ms|x|dpi|dpcm|dppx|cqw|cqh)$/i;
+
+function analyzeCss(src, offset, report) {
+  // Comments become spaces so offsets stay put
+  const css = src.replace(/\/\*[\s\S]*?(\*\/|$)/g, m => m.replace(/[^\n]/g, ' '));
+  const blocks = [];
+  let segStart = 0;
+
+  for (let i = 0; i < css.length; i++) {
+    const c = css[i];
+    if (c === '"' || c === '\'') {
+      const close = css.indexOf(c, i + 1);
+      i = close < 0 ? css.length : close;
+    } else if (c === '{') {
+      const prelude = css.slice(segStart, i).trim();
+      blocks.push({ prelude, declarations: !prelude.startsWith('@') || /^@(font-face|page)\b/i.test(prelude) });
+      segStart = i + 1;
+    } else if (c === '}') {
+      const block = blocks.pop();
+      if (block?.declarations) {
+        checkDeclarations(css.slice(segStart, i), segStart);
+      } else if (!block) {
+        report('wrong_value_type', offset + i, offset + i + 1, 'Extra } with no rule to close');
+      }
+      segStart = i + 1;
+    } else if (c === ';' && blocks.length === 0) {
+      segStart = i + 1;
+    }
+  }
+
+  function checkDeclarations(body, bodyStart) {
+    let declStart = 0;
+    let depth = 0;
+    for (let i = 0; i <= body.length; i++) {
+      const c = body[i];
+      if (c === '(') depth++;
+      else if (c === ')') depth--;
+      if (i === body.length || (c === ';' && depth <= 0)) {
+        checkDeclaration(body.slice(declStart, i), bodyStart + declStart);
+        declStart = i + 1;
+      }
+    }
+  }
+
+  function checkDeclaration(text, textStart) {
+    if (!text.trim()) return;
+    const lead = text.length - text.trimStart().length;
+    const start = offset + textStart + lead;
+    const end = offset + textStart + text.trimEnd().length;
+    const colon = text.indexOf(':');
+    if (colon < 0) {
+      report('wrong_value_type', start, end, `"${text.trim().slice(0, 30)}" has no colon between property and value`);
+      return;
+    }
+
+    const property = text.slice(0, colon).trim().toLowerCase();
+    const value = text.slice(colon + 1).trim();
+    if (property.startsWith('--')) return;
+
+    if (!value) {
+      report('wrong_value_type', start, end, `${property} has no value`);
+      return;
+    }
+    // A second "property:" inside the value means the ; before it is missing
+    if (/\n\s*[a-z-]+\s*:/i.test(value) && !/url\(/i.test(value)) {
+      report('wrong_value_type', start, end, `Missing ; after the ${property} value`);
+      return;
+    }
+    if (/!important/i.test(value)) {
+      report('override_fail', start, end, '!important overrides the cascade instead of fixing which selector wins');
+    }
+    if (/\bcalc\(|\bvar\(/i.test(value)) return;
+
+    if (LENGTH_PROPERTIES.test(property)) {
+      for (const m of value.matchAll(/(^|[\s,(])(-?\d*\.?\d+)([a-z%]*)(?=$|[\s,)/])/gi)) {
+        const [, , number, unit] = m;
+        if (!unit && Number(number) !== 0) {
+          report('missing_unit', start, end, `${property}: ${number} needs a unit, like ${number}px`);
+        } else if (unit && !CSS_UNITS.test(unit)) {
+          report('invalid_unit', start, end, `"${unit}" isn't a CSS unit`);
+        }
+      }
+      if (/\d\s+(px|em|rem|%|vh|vw)\b/i.test(value)) {
+        report('invalid_unit', start, end, 'No space is allowed between a number and its unit');
+      }
+    }
+
+    const colorProperty = /color|background|border|shadow|outline|fill|stroke/.test(property);
+    for (const m of colorProperty ? value.matchAll(/#([0-9a-z]+)\b/gi) : []) {
+      if (!/^[0-9a-f]+$/i.test(m[1]) || ![3, 4, 6, 8].includes(m[1].length)) {
+        report('wrong_value_type', start, end, `#${m[1]} isn't a valid hex color`);
+      }
+    }
+  }
+}
+
+// =====================================================================
+// === JavaScript ===
+// =====================================================================
+
+const PARSE_OPTIONS = {
+  ecmaVersion: 'latest',
+  sourceType: 'script',
+  allowImportExportEverywhere: true,
+  allowReturnOutsideFunction: true,
+  allowAwaitOutsideFunction: true,
+  allowHashBang: true
+};
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+const BLOCK_SCOPE_TYPES = new Set(['BlockStatement', 'ForStatement', 'ForInStatement', 'ForOfStatement', 'CatchClause', 'SwitchStatement', 'StaticBlock']);
+const LOOP_KEYWORDS = { ForStatement: 'for', ForInStatement: 'for', ForOfStatement: 'for', WhileStatement: 'while', DoWhileStatement: 'do' };
+const ITERATING_METHODS = new Set(['forEach', 'map', 'filter', 'reduce', 'some', 'every', 'flatMap', 'find', 'findIndex']);
+const COMPARISONS = new Set(['===', '!==', '==', '!=', '<', '<=', '>', '>=']);
+// acorn-loose names the identifiers it makes up for missing code
+const PLACEHOLDER = '✖';
+
+// Code being edited often doesn't parse yet; the loose parser fills the gaps with placeholders
+function parseJs(src) {
+  try {
+    return parseStrict(src, PARSE_OPTIONS);
+  } catch (error) {
+    if (!(error instanceof SyntaxError)) throw error;
+    return parseLoose(src, PARSE_OPTIONS);
+  }
+}
+
+const isNode = (value) => value !== null && typeof value === 'object' && typeof value.type === 'string';
+
+/**
+ * Depth-first over an ESTree AST
+ * enter(node, parent, key) returning false skips the children; leave(node) runs after them
+ */
+function walk(node, enter, leave = null, parent = null, key = null) {
+  if (enter(node, parent, key) === false) return;
+  for (const k of Object.keys(node)) {
+    const child = node[k];
+    if (Array.isArray(child)) {
+      for (const c of child) if (isNode(c)) walk(c, enter, leave, node, k);
+    } else if (isNode(child)) {
+      walk(child, enter, leave, node, k);
+    }
+  }
+  if (leave) leave(node);
+}
+
+// Identifiers a binding pattern declares: x, { a, b: [c] }, ...rest, d = 1
+function patternIds(pattern, out = []) {
+  switch (pattern?.type) {
+    case 'Identifier':
+      out.push(pattern);
+      break;
+    case 'ObjectPattern':
+      for (const p of pattern.properties) patternIds(p.type === 'RestElement' ? p.argument : p.value, out);
+      break;
+    case 'ArrayPattern':
+      for (const e of pattern.elements) patternIds(e, out);
+      break;
+    case 'RestElement':
+      patternIds(pattern.argument, out);
+      break;
+    case 'AssignmentPattern':
+      patternIds(pattern.left, out);
+      break;
+  }
+  return out;
+}
+
+// Whether an identifier reads a variable (not a property name, key or label)
+function isReference(node, parent, key) {
+  if (node.name === PLACEHOLDER) return false;
+  switch (parent?.type) {
+    case 'MemberExpression':
+      return key === 'object' || parent.computed;
+    case 'Property':
+    case 'MethodDefinition':
+    case 'PropertyDefinition':
+      return key !== 'key' || parent.computed;
+    case 'LabeledStatement':
+    case 'BreakStatement':
+    case 'ContinueStatement':
+    case 'MetaProperty':
+    case 'ImportSpecifier':
+    case 'ImportDefaultSpecifier':
+    case 'ImportNamespaceSpecifier':
+      return false;
+    case 'ExportSpecifier':
+      return key === 'local';
+    default:
+      return true;
+  }
+}
+
+const propertyName = (member) => member?.type === 'MemberExpression' && !member.computed ? member.property.name : null;
+
+function analyzeJs(src, offset, report) {
+  const ast = parseJs(src);
+  checkScopes(ast, offset, report);
+  checkLoops(ast, offset, report);
+  checkOperators(ast, src, offset, report);
+  checkEmptyInput(ast, offset, report);
+}
+
+// --- Scopes: block-scoped names used after their block closed ---
+function checkScopes(ast, offset, report) {
+  const scopes = [];
+  const stack = [];
+  const bindings = new Set();
+  const references = [];
+
+  const current = () => stack[stack.length - 1];
+  const nearestFunction = () => stack.findLast(scope => scope.kind === 'function');
+  const declare = (id, kind, scope) => {
+    bindings.add(id);
+    if (!scope.decls.has(id.name)) scope.decls.set(id.name, { kind, line: report.lineAt(offset + id.start) });
+  };
+
+  const enter = (node, parent, key) => {
+    // A function's name belongs to the scope around it
+    if ((node.type === 'FunctionDeclaration' || node.type === 'ClassDeclaration') && node.id) {
+      declare(node.id, node.type === 'ClassDeclaration' ? 'class' : 'function', current());
+    }
+
+    const isFunction = node.type === 'Program' || FUNCTION_TYPES.has(node.type);
+    // A function body shares the scope of its parameters
+    if (isFunction || (BLOCK_SCOPE_TYPES.has(node.type) && !FUNCTION_TYPES.has(parent?.type))) {
+      const scope = { node, kind: isFunction ? 'function' : 'block', parent: current() || null, decls: new Map() };
+      scopes.push(scope);
+      stack.push(scope);
+    }
+
+    if (FUNCTION_TYPES.has(node.type)) {
+      for (const id of node.params.flatMap(p => patternIds(p))) declare(id, 'param', current());
+      if (node.type === 'FunctionExpression' && node.id) declare(node.id, 'function', current());
+    } else if (node.type === 'CatchClause') {
+      for (const id of patternIds(node.param)) declare(id, 'param', current());
+    } else if (node.type === 'ClassExpression' && node.id) {
+      bindings.add(node.id);
+    } else if (node.type === 'VariableDeclaration') {
+      const scope = node.kind === 'var' ? nearestFunction() : current();
+      for (const id of node.declarations.flatMap(d => patternIds(d.id))) declare(id, node.kind, scope);
+    } else if (/^Import(Default|Namespace)?Specifier$/.test(node.type)) {
+      declare(node.local, 'import', stack[0]);
+    } else if (node.type === 'Identifier' && !bindings.has(node) && isReference(node, parent, key)) {
+      references.push({ node, scope: current() });
+    }
+  };
+
+  walk(ast, enter, (node) => {
+    if (current()?.node === node) stack.pop();
+  });
+
+  const declaredIn = new Map();
+  for (const scope of scopes) {
+    for (const name of scope.decls.keys()) {
+      if (!declaredIn.has(name)) declaredIn.set(name, []);
+      declaredIn.get(name).push(scope);
+    }
+  }
+
+  const reported = new Set();
+  for (const { node, scope } of references) {
+    if (reported.has(node.name) || !declaredIn.has(node.name)) continue;
+    let resolved = false;
+    for (let s = scope; s && !resolved; s = s.parent) resolved = s.decls.has(node.name);
+    if (resolved) continue;
+
+    const closed = declaredIn.get(node.name).find(s => s.node.end <= node.start);
+    if (!closed) continue;
+    reported.add(node.name);
+    const decl = closed.decls.get(node.name);
+    const how = decl.kind === 'param' ? 'as a parameter'
+      : ['function', 'class'].includes(decl.kind) ? `as a ${decl.kind}`
+      : decl.kind === 'import' ? 'by an import' : `with ${decl.kind}`;
+    report('undefined_variable', offset + node.start, offset + node.end, `${node.name} was declared ${how} inside a block or function on line ${decl.line} and doesn't exist here`);
+  }
+}
+
+// --- Loops: var captured by closures, nested iteration, lookups in loops ---
+function checkLoops(ast, offset, report) {
+  // Iterations around the node being visited, innermost last
+  const open = [];
+  const enclosing = (pos) => open.findLast(it => it.body[0] <= pos && pos < it.body[1]) || null;
+
+  walk(ast, (node) => {
+    const keyword = LOOP_KEYWORDS[node.type];
+    const method = node.type === 'CallExpression' && ITERATING_METHODS.has(propertyName(node.callee)) && node.arguments.length > 0;
+    if (!keyword && !method) {
+      const lookup = node.type === 'CallExpression' && ['includes', 'indexOf'].includes(propertyName(node.callee));
+      const loop = lookup ? enclosing(node.start) : null;
+      if (loop) {
+        report('linear_lookup', offset + node.callee.start, offset + node.callee.end, `.${node.callee.property.name}() scans the whole list on every pass of the ${loop.label}; a Set or Map looks it up at once`);
+      }
+      return;
+    }
+
+    const iteration = keyword
+      ? { node, label: keyword, at: [node.start, node.start + keyword.length], body: [node.body.start, node.body.end] }
+      : { node, label: `.${node.callee.property.name}()`, at: [node.callee.property.start, node.callee.property.end], body: [node.arguments[0].start, node.end] };
+    const outer = enclosing(iteration.at[0]);
+    if (outer) {
+      report('nested_loops', offset + iteration.at[0], offset + iteration.at[1], `${iteration.label} inside ${outer.label} (line ${report.lineAt(offset + outer.at[0])}) repeats the inner work for every outer step`);
+    }
+    open.push(iteration);
+
+    if (node.type === 'ForStatement' && node.init?.type === 'VariableDeclaration' && node.init.kind === 'var') {
+      checkVarCapture(node);
+    }
+  }, (node) => {
+    if (open[open.length - 1]?.node === node) open.pop();
+  });
+
+  // for (var i ...) { setTimeout(() => use(i)) } - every closure sees the last i
+  function checkVarCapture(loop) {
+    const names = new Set(loop.init.declarations.flatMap(d => patternIds(d.id)).map(id => id.name));
+    let captured = null;
+    walk(loop.body, (node) => {
+      if (captured) return false;
+      if (!FUNCTION_TYPES.has(node.type)) return true;
+      const own = new Set(node.params.flatMap(p => patternIds(p)).map(id => id.name));
+      walk(node.body, (inner, parent, key) => {
+        if (!captured && inner.type === 'Identifier' && names.has(inner.name) && !own.has(inner.name) && isReference(inner, parent, key)) {
+          captured = inner.name;
+        }
+        return !captured;
+      });
+      return false;
+    });
+    if (!captured) return;
+
+    const declarator = loop.init.declarations.find(d => patternIds(d.id).some(id => id.name === captured));
+    report('stale_closure', offset + loop.init.start, offset + declarator.id.end, `Every function created in this loop shares one \`var ${captured}\` and sees its final value; \`let ${captured}\` gives each pass its own`);
+  }
+}
+
+// --- Equality, string concatenation and promises ---
+function checkOperators(ast, src, offset, report) {
+  const isNullish = (n) => (n.type === 'Literal' && n.value === null && !n.regex) || (n.type === 'Identifier' && n.name === 'undefined');
+  const isNumericString = (n) => (n.type === 'Literal' && typeof n.value === 'string' && /^\s*-?\d/.test(n.value)) ||
+    (n.type === 'TemplateLiteral' && /^\s*-?\d/.test(n.quasis[0]?.value.raw || ''));
+  const isValueRead = (n) => propertyName(n) === 'value';
+
+  let hasCatch = false;
+  let firstThen = null;
+
+  walk(ast, (node, parent, key) => {
+    if (node.type === 'CatchClause') hasCatch = true;
+
+    if (node.type === 'BinaryExpression' && (node.operator === '==' || node.operator === '!=')) {
+      if (!isNullish(node.left) && !isNullish(node.right)) {
+        const at = src.indexOf(node.operator, node.left.end);
+        report('equality_confusion', offset + at, offset + at + node.operator.length, `${node.operator} converts types before comparing ("5" == 5 is true); ${node.operator}= compares without converting`);
+      }
+    } else if (node.type === 'BinaryExpression' && node.operator === '+') {
+      if (isNumericString(node.left) || isNumericString(node.right) || (isValueRead(node.left) && isValueRead(node.right))) {
+        report('string_concat', offset + node.start, offset + node.end, '+ with a string joins text instead of adding; convert with Number() first');
+      }
+    }
+
+    if (node.type !== 'CallExpression') return;
+    const method = propertyName(node.callee);
+
+    // fetch() used as if it returned the response; awaited, returned, chained or passed on is fine
+    if (node.callee.type === 'Identifier' && node.callee.name === 'fetch' &&
+      (parent.type === 'ExpressionStatement' || (parent.type === 'VariableDeclarator' && key === 'init') || (parent.type === 'AssignmentExpression' && key === 'right'))) {
+      report('callback_timing', offset + node.start, offset + node.end, 'fetch() returns a Promise; without await or .then() this isn\'t the response yet');
+    }
+    if (method === 'forEach' && FUNCTION_TYPES.has(node.arguments[0]?.type) && node.arguments[0].async) {
+      report('callback_timing', offset + node.callee.property.start, offset + node.arguments[0].start + 'async'.length, 'forEach doesn\'t wait for async callbacks; use for...of with await');
+    }
+    if (method === 'catch') hasCatch = true;
+    if (method === 'then' && !firstThen) firstThen = node.callee.property;
+  });
+
+  if (firstThen && !hasCatch) {
+    report('promise_unhandled', offset + firstThen.start, offset + firstThen.end, '.then() without .catch() or try/catch leaves errors unhandled');
+  }
+}
+
+// --- Edge cases: first/last element read from a parameter without an empty check ---
+function checkEmptyInput(ast, offset, report) {
+  walk(ast, (fn) => {
+    if (!FUNCTION_TYPES.has(fn.type)) return;
+
+    for (const param of fn.params) {
+      const id = param.type === 'AssignmentPattern' ? param.left : param;
+      if (id.type !== 'Identifier') continue;
+      const name = id.name;
+      const isParam = (n) => n?.type === 'Identifier' && n.name === name;
+      const isLength = (n) => propertyName(n) === 'length' && isParam(n.object);
+      const tested = (n) => isParam(n) || isLength(n);
+
+      let access = null;
+      let guarded = false;
+      walk(fn.body, (node) => {
+        // A nested function with its own parameter of that name is about something else
+        if (node !== fn.body && FUNCTION_TYPES.has(node.type) && node.params.flatMap(p => patternIds(p)).some(isParam)) return false;
+
+        if ((node.type === 'UnaryExpression' && node.operator === '!' && tested(node.argument)) ||
+          (node.type === 'BinaryExpression' && COMPARISONS.has(node.operator) && (tested(node.left) || tested(node.right))) ||
+          (['IfStatement', 'ConditionalExpression', 'WhileStatement'].includes(node.type) && tested(node.test)) ||
+          (node.type === 'LogicalExpression' && tested(node.left)) ||
+          (node.type === 'MemberExpression' && node.optional && isParam(node.object))) {
+          guarded = true;
+        }
+        if (!access && node.type === 'MemberExpression' && node.computed && isParam(node.object)) {
+          const index = node.property;
+          const first = index.type === 'Literal' && index.value === 0;
+          const last = index.type === 'BinaryExpression' && index.operator === '-' && isLength(index.left);
+          if (first || last) access = node;
+        }
+        return !guarded;
+      });
+
+      if (access && !guarded) {
+        report('empty_input', offset + access.start, offset + access.end, `${name} is indexed without checking for an empty input first`);
+      }
+    }
+  });
+}
+
+// =====================================================================
+// === Python ===
+// =====================================================================
+
+// Replace string contents and comments with spaces, keeping quotes and newlines
+function maskPython(src) {
+  const out = src.split('');
+  let i = 0;
+  while (i < src.length) {
+    const c = src[i];
+    if (c === '#') {
+      while (i < src.length && src[i] !== '\n') out[i++] = ' ';
+      continue;
+    }
+    if (c === '"' || c === '\'') {
+      const triple = src.startsWith(c.repeat(3), i);
+      const q = triple ? c.repeat(3) : c;
+      i += q.length;
+      while (i < src.length && !src.startsWith(q, i)) {
+        if (!triple && src[i] === '\n') break;
+        if (src[i] === '\\') {
+          out[i] = ' ';
+          i++;
+        }
+        if (i < src.length && src[i] !== '\n') out[i] = ' ';
+        i++;
+      }
+      i += src.startsWith(q, i) ? q.length : 0;
+      continue;
+    }
+    i++;
+  }
+  return out.join('');
+}
+
+function analyzePython(src, offset, report) {
+  const masked = maskPython(src);
+  const rawLines = masked.split('\n');
+  const starts = [];
+  for (let i = 0, pos = 0; i < rawLines.length; i++) {
+    starts.push(pos);
+    pos += rawLines[i].length + 1;
+  }
+
+  // Logical lines: skip blanks and continuation lines inside brackets or after a backslash
+  const lines = [];
+  let depth = 0;
+  let continued = false;
+  for (let i = 0; i < rawLines.length; i++) {
+    const text = rawLines[i];
+    const isContinuation = depth > 0 || continued;
+    if (!isContinuation && text.trim()) {
+      const indent = /^[ \t]*/.exec(text)[0];
+      lines.push({ index: i, indent, width: indentWidth(indent), text: text.trim(), start: starts[i] });
+    } else if (isContinuation && lines.length) {
+      lines[lines.length - 1].text += ' ' + text.trim();
+    }
+    for (const c of text) {
+      if ('([{'.includes(c)) depth++;
+      else if (')]}'.includes(c)) depth = Math.max(0, depth - 1);
+    }
+    continued = /\\\s*$/.test(text);
+  }
+
+  const at = (line, from = 0, to = null) => {
+    const lineStart = offset + line.start;
+    return [lineStart + from, lineStart + (to ?? rawLines[line.index].length)];
+  };
+
+  // --- Indentation ---
+  const usesTabs = lines.some(l => l.indent.includes('\t'));
+  const usesSpaces = lines.some(l => l.indent.includes(' '));
+  const stack = [0];
+  const loops = []; // indent widths of open loops
+  let prev = null;
+
+  for (const line of lines) {
+    if (usesTabs && usesSpaces && line.indent.includes('\t')) {
+      report('indent_error', ...at(line, 0, line.indent.length), 'Tabs and spaces are mixed for indentation');
+    }
+
+    const top = stack[stack.length - 1];
+    if (prev && /:$/.test(prev.text)) {
+      if (line.width <= prev.width) {
+        report('indent_error', ...at(line), `Expected an indented block after line ${prev.index + 1}`);
+      } else {
+        stack.push(line.width);
+      }
+    } else if (line.width > top) {
+      report('unexpected_indent', ...at(line, 0, line.indent.length + Math.min(line.text.length, 40)), `Line ${line.index + 1} is indented but doesn't follow a line ending in ":"`);
+      stack.push(line.width);
+    } else if (line.width < top) {
+      while (stack.length > 1 && stack[stack.length - 1] > line.width) stack.pop();
+      if (stack[stack.length - 1] !== line.width) {
+        report('indent_error', ...at(line), 'This indentation doesn\'t match any block above it');
+        stack.push(line.width);
+      }
+    }
+
+    if (prev && prev.width === line.width && /^(return|break|continue|raise)\b/.test(prev.text) && !/^(elif|else|except|finally)\b/.test(line.text)) {
+      report('wrong_block', ...at(line), `This line comes after ${prev.text.split(/\s/)[0]} at the same indentation, so it never runs`);
+    }
+
+    // Nested loops (a def starts over)
+    while (loops.length && loops[loops.length - 1] >= line.width) loops.pop();
+    if (/^def\b/.test(line.text)) loops.length = 0;
+    if (/^(for|while)\b/.test(line.text)) {
+      if (loops.length > 0) {
+        report('nested_loops', ...at(line), 'A loop inside a loop repeats the inner work for every outer step');
+      }
+      loops.push(line.width);
+    }
+    line.inLoop = loops.length > 0 && !/^(for|while)\b/.test(line.text);
+
+    prev = line;
+  }
+
+  // --- Mutability ---
+  const listNames = new Set();
+  const aliases = [];
+  for (const line of lines) {
+    const def = /^def\s+\w+\s*\((.*)\)\s*(->.*)?:$/.exec(line.text);
+    if (def) {
+      const mutableDefault = /(\w+)\s*=\s*(\[|\{|list\(|dict\(|set\()/.exec(def[1]);
+      if (mutableDefault) {
+        const col = rawLines[line.index].indexOf(mutableDefault[0]);
+        report('default_mutable_arg', ...at(line, Math.max(0, col), col >= 0 ? col + mutableDefault[0].length : null), `The default for ${mutableDefault[1]} is created once and shared by every call; use None and create it inside`);
+      }
+    }
+    const assign = /^(\w+)\s*=\s*(.+)$/.exec(line.text);
+    if (assign) {
+      const [, name, value] = assign;
+      if (/^(\[|list\()/.test(value)) listNames.add(name);
+      else if (listNames.has(value.trim())) aliases.push({ name, source: value.trim(), line });
+    }
+    for (const alias of aliases) {
+      if (line.index > alias.line.index && new RegExp(`^${alias.name}(\\.(append|extend|insert|remove|pop|sort|clear|reverse)\\(|\\[.*\\]\\s*=)`).test(line.text) && !alias.reported) {
+        alias.reported = true;
+        report('list_aliasing', ...at(alias.line), `${alias.name} = ${alias.source} doesn't copy the list; changing ${alias.name} changes ${alias.source} too`);
+      }
+    }
+    if (line.inLoop) {
+      const lookup = /\bin\s+(\w+)\b/.exec(line.text);
+      if (lookup && listNames.has(lookup[1]) && /^(if|elif|while)\b|\bif\b/.test(line.text)) {
+        report('linear_lookup', ...at(line), `"in ${lookup[1]}" scans the whole list on every pass of the loop; a set looks it up at once`);
+      }
+    }
+  }
+
+  // --- Edge cases: first/last element read from a parameter without an empty check ---
+  for (let d = 0; d < lines.length; d++) {
+    const def = /^def\s+\w+\s*\((.*)\)/.exec(lines[d].text);
+    if (!def) continue;
+    const params = def[1].split(',').map(p => p.split(/[:=]/)[0].trim().replace(/^\*+/, '')).filter(p => p && p !== 'self');
+    const body = [];
+    for (let j = d + 1; j < lines.length && lines[j].width > lines[d].width; j++) body.push(lines[j]);
+
+    for (const p of params) {
+      const guard = new RegExp(`\\bnot\\s+${p}\\b|\\blen\\(\\s*${p}\\s*\\)|\\b${p}\\s*(==|!=|is)\\b|^if\\s+${p}\\s*:`);
+      if (body.some(l => guard.test(l.text))) continue;
+      const access = body.find(l => new RegExp(`\\b${p}\\[\\s*(0|-1)\\s*\\]`).test(l.text));
+      if (access) {
+        const m = new RegExp(`\\b${p}\\[\\s*(0|-1)\\s*\\]`).exec(rawLines[access.index]);
+        report('empty_input', ...at(access, m ? m.index : 0, m ? m.index + m[0].length : null), `${p} is indexed without checking for an empty input first`);
+      }
+    }
+  }
+}
+
+function indentWidth(indent) {
+  let width = 0;
+  for (const c of indent) width = c === '\t' ? width + 8 - (width % 8) : width + 1;
+  return width;
+}
+
+const ANALYZERS = {
+  html: analyzeHtml,
+  css: analyzeCss,
+  js: analyzeJs,
+  python: analyzePython
+};
+
+export default { analyzeCode };
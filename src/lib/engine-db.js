@@ -0,0 +1,394 @@
+/**
+ * Engine DB - IndexedDB home for hot engine state
+ *
+ * In chrome.storage each engine kept its state as one JSON blob that was rewritten
+ * on every change, so the panel and a background agent writing at the same time
+ * lost each other's updates. Here every record is its own row: engines write only
+ * what changed, and writes that span stores commit in one transaction.
+ *
+ * Object stores (one per engine), keyed by `id`:
+ * - bkt_mastery                 { id: 'userId:kcId', userId, kcId, probability, observations, lastUpdated }
+ * - bkt_history                 { id (auto), kcId, userId, correct, masteryBefore, masteryAfter, timestamp }
+ * - intervention_effectiveness  { id: 'type:style', misconceptionType, interventionStyle, totalUses, ... }
+ * - learning_memories           { id, type, key, value, confidence, ..., createdAt }
+ * - graph_checkpoints           { id, threadId, state, metadata, timestamp }
+ * - search_docs                 { id: 'type:sourceId', type, sourceId, title, text, hash, length, terms }
+ * - search_embeddings           { id: 'type:sourceId', hash, model, vector }
+ *
+ * The chrome.storage keys these replaced are migrated once and removed. They can
+ * still be read and written as whole blobs through store.get/set (storage.js), for
+ * code that works on snapshots (backups, history compaction). The search stores
+ * hold a derived index (search-index.js) and have no chrome.storage key.
+ */
+
+const DB_NAME = 'trailnote';
+export const ENGINE_DB_VERSION = 2;
+
+const CHANNEL_NAME = 'trailnote-engine-db';
+
+/**
+ * Schema upgrades from each version to the next (run in onupgradeneeded)
+ */
+const UPGRADES = {
+  0: (db) => {
+    const mastery = db.createObjectStore('bkt_mastery', { keyPath: 'id' });
+    mastery.createIndex('conceptId', 'kcId');
+    mastery.createIndex('userId', 'userId');
+    mastery.createIndex('timestamp', 'lastUpdated');
+
+    const history = db.createObjectStore('bkt_history', { keyPath: 'id', autoIncrement: true });
+    history.createIndex('conceptId', 'kcId');
+    history.createIndex('userId', 'userId');
+    history.createIndex('timestamp', 'timestamp');
+
+    const effectiveness = db.createObjectStore('intervention_effectiveness', { keyPath: 'id' });
+    effectiveness.createIndex('misconceptionType', 'misconceptionType');
+    effectiveness.createIndex('timestamp', 'lastUsed');
+
+    const memories = db.createObjectStore('learning_memories', { keyPath: 'id' });
+    memories.createIndex('type', 'type');
+    memories.createIndex('conceptId', 'key');
+    memories.createIndex('timestamp', 'createdAt');
+
+    const checkpoints = db.createObjectStore('graph_checkpoints', { keyPath: 'id' });
+    checkpoints.createIndex('threadId', 'threadId');
+    checkpoints.createIndex('timestamp', 'timestamp');
+
+    db.createObjectStore('meta', { keyPath: 'id' });
+  },
+  1: (db) => {
+    const docs = db.createObjectStore('search_docs', { keyPath: 'id' });
+    docs.createIndex('type', 'type');
+
+    db.createObjectStore('search_embeddings', { keyPath: 'id' });
+  }
+};
+
+/**
+ * chrome.storage keys now kept in object stores, with their blob <-> rows mapping
+ */
+const LEGACY_KEYS = {
+  bkt_mastery: {
+    store: 'bkt_mastery',
+    toRecords: blob => Object.entries(blob || {}).map(([id, value]) => {
+      const [userId, ...kcId] = id.split(':');
+      return { ...value, id, userId, kcId: kcId.join(':') };
+    }),
+    fromRecords: records => Object.fromEntries(records.map(({ id, userId, kcId, ...value }) => [id, value]))
+  },
+  bkt_history: {
+    store: 'bkt_history',
+    toRecords: list => (list || []).map(({ id, ...entry }) => entry),
+    fromRecords: records => records.map(({ id, ...entry }) => entry)
+  },
+  intervention_effectiveness: {
+    store: 'intervention_effectiveness',
+    toRecords: blob => Object.entries(blob || {}).map(([id, value]) => ({ ...value, id })),
+    fromRecords: records => Object.fromEntries(records.map(({ id, ...value }) => [id, value]))
+  },
+  learning_memories: {
+    store: 'learning_memories',
+    toRecords: blob => Object.entries(blob || {}).map(([id, value]) => ({ ...value, id })),
+    fromRecords: records => Object.fromEntries(records.map(record => [record.id, record]))
+  },
+  orchestration_graph_checkpoints: {
+    store: 'graph_checkpoints',
+    toRecords: blob => Object.entries(blob || {}).flatMap(([threadId, thread]) =>
+      Object.entries(thread || {}).map(([id, checkpoint]) => ({
+        id,
+        threadId,
+        state: checkpoint.state,
+        metadata: checkpoint.metadata || {},
+        timestamp: checkpoint.metadata?.timestamp || 0
+      }))
+    ),
+    fromRecords: records => {
+      const blob = {};
+      for (const { id, threadId, state, metadata } of records) {
+        blob[threadId] = blob[threadId] || {};
+        blob[threadId][id] = { state, metadata };
+      }
+      return blob;
+    }
+  }
+};
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Query helpers bound to one transaction
+ * Only await these inside a transaction callback - awaiting anything else lets
+ * IndexedDB commit the transaction early.
+ */
+function wrapTransaction(tx) {
+  return {
+    get: (storeName, id) => request(tx.objectStore(storeName).get(id)),
+    getAll: (storeName, query = {}) => {
+      const objectStore = tx.objectStore(storeName);
+      const source = query.index ? objectStore.index(query.index) : objectStore;
+      const range = query.range
+        ? IDBKeyRange.bound(query.range[0], query.range[1])
+        : query.value !== undefined ? IDBKeyRange.only(query.value) : undefined;
+      return request(source.getAll(range));
+    },
+    put: (storeName, record) => request(tx.objectStore(storeName).put(record)),
+    add: (storeName, record) => request(tx.objectStore(storeName).add(record)),
+    delete: (storeName, id) => request(tx.objectStore(storeName).delete(id)),
+    clear: (storeName) => request(tx.objectStore(storeName).clear())
+  };
+}
+
+/**
+ * The engine database
+ */
+export const engineDb = {
+  _db: null,
+  _ready: null,
+  _listeners: new Map(),
+  _channel: null,
+
+  /**
+   * Open the database and move legacy chrome.storage blobs in (once)
+   */
+  async init() {
+    if (!this._ready) {
+      this._ready = this._open()
+        .then(() => this._migrate())
+        .catch(error => {
+          this._ready = null;
+          throw error;
+        });
+    }
+    return this._ready;
+  },
+
+  _open() {
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, ENGINE_DB_VERSION);
+
+      req.onupgradeneeded = (event) => {
+        for (let version = event.oldVersion; version < ENGINE_DB_VERSION; version++) {
+          console.log(`[EngineDB] Upgrading v${version} -> v${version + 1}`);
+          UPGRADES[version](req.result, req.transaction);
+        }
+      };
+      req.onsuccess = () => {
+        this._db = req.result;
+        // Another context opened a newer version - let it upgrade
+        this._db.onversionchange = () => {
+          this._db.close();
+          this._db = null;
+          this._ready = null;
+        };
+        this._listenForChanges();
+        resolve(this._db);
+      };
+      req.onerror = () => reject(req.error);
+      req.onblocked = () => console.warn('[EngineDB] Upgrade waiting for other contexts to close the database');
+    });
+  },
+
+  /**
+   * One-time move of the old chrome.storage blobs
+   * The 'migration' marker is checked inside the write transaction, so two
+   * contexts starting together can't import the same history twice.
+   */
+  async _migrate() {
+    const keys = Object.keys(LEGACY_KEYS);
+    const legacy = await new Promise(res => chrome.storage.local.get(keys, items => res(items || {})));
+    const present = keys.filter(key => legacy[key] !== undefined);
+    const stores = [...new Set(keys.map(key => LEGACY_KEYS[key].store)), 'meta'];
+
+    const migrated = await this._run(stores, 'readwrite', async (tx) => {
+      if (await tx.get('meta', 'migration')) return false;
+
+      await Promise.all(present.flatMap(key =>
+        LEGACY_KEYS[key].toRecords(legacy[key]).map(record => tx.put(LEGACY_KEYS[key].store, record))
+      ));
+      await tx.put('meta', { id: 'migration', version: ENGINE_DB_VERSION, keys: present, migratedAt: Date.now() });
+      return true;
+    }, { notify: false });
+
+    if (present.length > 0) {
+      await chrome.storage.local.remove(present);
+    }
+    if (migrated && present.length > 0) {
+      console.log(`[EngineDB] Migrated ${present.length} keys from chrome.storage: ${present.join(', ')}`);
+    }
+  },
+
+  /**
+   * Run a callback in one transaction
+   * Writes in the callback commit together, or not at all if it throws.
+   * @param {string|Array} storeNames - Object stores the callback touches
+   * @param {Function} fn - async (tx) => result; tx has get/getAll/put/add/delete/clear
+   * @return {*} The callback's result, once the transaction has committed
+   */
+  async transaction(storeNames, fn) {
+    await this.init();
+    return this._run([].concat(storeNames), 'readwrite', fn);
+  },
+
+  _run(storeNames, mode, fn, { notify = true } = {}) {
+    return new Promise((resolve, reject) => {
+      const tx = this._db.transaction(storeNames, mode);
+      let result;
+
+      tx.oncomplete = () => {
+        if (mode === 'readwrite' && notify) this._notify(storeNames);
+        resolve(result);
+      };
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+
+      Promise.resolve()
+        .then(() => fn(wrapTransaction(tx)))
+        .then(value => {
+          result = value;
+        }, error => {
+          try {
+            tx.abort();
+          } catch (e) {
+            // Already finished
+          }
+          reject(error);
+        });
+    });
+  },
+
+  async _read(storeNames, fn) {
+    await this.init();
+    return this._run([].concat(storeNames), 'readonly', fn);
+  },
+
+  /**
+   * Get one record by id
+   */
+  async get(storeName, id) {
+    return (await this._read(storeName, tx => tx.get(storeName, id))) ?? null;
+  },
+
+  /**
+   * All records of a store, optionally by index
+   * @param {Object} query - { index, value } for an exact match, { index, range: [lower, upper] } for a range
+   */
+  async getAll(storeName, query = {}) {
+    return this._read(storeName, tx => tx.getAll(storeName, query));
+  },
+
+  async put(storeName, record) {
+    return this.transaction(storeName, tx => tx.put(storeName, record));
+  },
+
+  async putMany(storeName, records) {
+    return this.transaction(storeName, tx => Promise.all(records.map(record => tx.put(storeName, record))));
+  },
+
+  async add(storeName, record) {
+    return this.transaction(storeName, tx => tx.add(storeName, record));
+  },
+
+  async delete(storeName, id) {
+    return this.transaction(storeName, tx => tx.delete(storeName, id));
+  },
+
+  /**
+   * Whether a chrome.storage key now lives here
+   */
+  ownsKey(key) {
+    return Object.prototype.hasOwnProperty.call(LEGACY_KEYS, key);
+  },
+
+  /**
+   * The object store behind an owned chrome.storage key (null if not owned)
+   */
+  storeFor(key) {
+    return this.ownsKey(key) ? LEGACY_KEYS[key].store : null;
+  },
+
+  /**
+   * A store as the blob its old chrome.storage key held (null if empty)
+   */
+  async readLegacy(key) {
+    const { store, fromRecords } = LEGACY_KEYS[key];
+    const records = await this.getAll(store);
+    return records.length > 0 ? fromRecords(records) : null;
+  },
+
+  /**
+   * Replace a store's contents with an old-style blob (null clears it)
+   */
+  async writeLegacy(key, value) {
+    const { store, toRecords } = LEGACY_KEYS[key];
+    const records = value === null || value === undefined ? [] : toRecords(value);
+
+    await this.transaction(store, async (tx) => {
+      await tx.clear(store);
+      await Promise.all(records.map(record => tx.put(store, record)));
+    });
+  },
+
+  /**
+   * Every owned key as its old blob (for backups)
+   */
+  async readAllLegacy() {
+    const data = {};
+    for (const key of Object.keys(LEGACY_KEYS)) {
+      const value = await this.readLegacy(key);
+      if (value !== null) data[key] = value;
+    }
+    return data;
+  },
+
+  /**
+   * Listen for changes
+   * Events: 'changed' ({ stores, keys, local }) after a write commits in this
+   * or another context; `keys` are the matching old chrome.storage keys
+   */
+  on(event, listener) {
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, []);
+    }
+    this._listeners.get(event).push(listener);
+    this._listenForChanges();
+  },
+
+  off(event, listener) {
+    if (!this._listeners.has(event)) return;
+    const listeners = this._listeners.get(event);
+    const idx = listeners.indexOf(listener);
+    if (idx >= 0) listeners.splice(idx, 1);
+  },
+
+  _emit(event, data) {
+    if (!this._listeners.has(event)) return;
+    for (const listener of this._listeners.get(event)) {
+      try {
+        listener(data);
+      } catch (e) {
+        console.warn('[EngineDB] Listener error:', e);
+      }
+    }
+  },
+
+  _notify(stores) {
+    const change = {
+      stores,
+      keys: Object.keys(LEGACY_KEYS).filter(key => stores.includes(LEGACY_KEYS[key].store))
+    };
+    this._emit('changed', { ...change, local: true });
+    this._channel?.postMessage(change);
+  },
+
+  _listenForChanges() {
+    if (this._channel || typeof BroadcastChannel === 'undefined') return;
+    this._channel = new BroadcastChannel(CHANNEL_NAME);
+    this._channel.onmessage = (event) => this._emit('changed', { ...event.data, local: false });
+  }
+};
+
+export default engineDb;
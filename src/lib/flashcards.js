@@ -4,6 +4,7 @@
  */
 
 import { store } from './storage.js';
+import { notesRepository, normalizeNote } from './notes-repository.js';
 
 // Constants
 const FLASHCARDS_KEY = 'flashcards';
@@ -46,33 +47,25 @@ export const flashcards = {
   
   /**
    * Create a new flashcard from a note
-   * @param {Object} note - The note object
+   * @param {Object|string} note - The note object, or a note id from the notes repository
    * @return {Object} The created flashcard
    */
   async createFromNote(note) {
+    if (typeof note === 'string') {
+      note = await notesRepository.get(note);
+    }
+    
     if (!note || !note.id) {
       throw new Error('Invalid note object');
     }
     
+    // Accept notes in any stored shape
+    note = normalizeNote(note);
+    
     // Generate flashcard ID
     const id = `fc-${note.id}`;
     
-    // Extract front (question) and back (answer) from note fields
-    let front = note.fields?.problem || '';
-    let back = note.fields?.insight || '';
-    
-    // If problem is empty, use insight as front
-    if (!front && back) {
-      front = back;
-      back = note.body || '';
-    }
-    
-    // If neither problem nor insight, use first half of body as front
-    if (!front && !back && note.body) {
-      const midpoint = Math.floor(note.body.length / 2);
-      front = note.body.substring(0, midpoint);
-      back = note.body.substring(midpoint);
-    }
+    const { front, back } = this._cardContent(note);
     
     if (!front) {
       throw new Error('Unable to create flashcard: insufficient content');
@@ -108,6 +101,70 @@ export const flashcards = {
     return card;
   },
   
+  /**
+   * Keep cards in step with the notes they were made from
+   * Safe to call more than once
+   */
+  watchNotes() {
+    if (this._watchingNotes) return;
+    this._watchingNotes = true;
+    
+    notesRepository.on('updated', ({ note, previous }) => {
+      this._syncFromNote(note, previous).catch(error => {
+        console.warn('[HintHopper] Could not update flashcard from note:', error);
+      });
+    });
+  },
+  
+  /**
+   * Refresh a card after its note changed
+   * Front/back only follow the note if the card was not edited by hand
+   * @private
+   */
+  async _syncFromNote(note, previous) {
+    const cards = await this.getAll();
+    const card = cards[`fc-${note.id}`];
+    if (!card) return;
+    
+    const before = this._cardContent(normalizeNote(previous));
+    const after = this._cardContent(note);
+    const untouched = card.front === before.front && card.back === before.back;
+    
+    cards[card.id] = {
+      ...card,
+      ...(untouched && after.front ? after : {}),
+      conceptKey: note.fields.conceptKey || card.conceptKey,
+      tags: note.tags,
+      updatedAt: Date.now()
+    };
+    await store.set(FLASHCARDS_KEY, cards);
+  },
+  
+  /**
+   * Front (question) and back (answer) for a note
+   * @private
+   */
+  _cardContent(note) {
+    // Extract front (question) and back (answer) from note fields
+    let front = note.fields?.problem || '';
+    let back = note.fields?.insight || '';
+    
+    // If problem is empty, use insight as front
+    if (!front && back) {
+      front = back;
+      back = note.body || '';
+    }
+    
+    // If neither problem nor insight, use first half of body as front
+    if (!front && !back && note.body) {
+      const midpoint = Math.floor(note.body.length / 2);
+      front = note.body.substring(0, midpoint);
+      back = note.body.substring(midpoint);
+    }
+    
+    return { front, back };
+  },
+  
   /**
    * Update an existing flashcard
    * @param {string} id - Flashcard ID
@@ -132,6 +189,48 @@ export const flashcards = {
     return cards[id];
   },
   
+  /**
+   * Add imported cards in one write
+   * Review history is kept when present; otherwise cards start as new
+   * @param {Array} list - Cards with at least front and back
+   * @return {Array} The stored cards
+   */
+  async importCards(list) {
+    const cards = await this.getAll();
+    const imported = [];
+    
+    for (const data of list) {
+      if (!data?.front) continue;
+      
+      let id = data.id || `fc-${crypto.randomUUID()}`;
+      if (cards[id]) id = `fc-${crypto.randomUUID()}`;
+      
+      const card = {
+        interval: 0,
+        nextReview: Date.now(),
+        easeFactor: 2.5,
+        reviews: 0,
+        correct: 0,
+        incorrect: 0,
+        noteId: null,
+        conceptKey: null,
+        createdAt: Date.now(),
+        ...data,
+        id,
+        back: data.back || '',
+        tags: data.tags || [],
+        updatedAt: Date.now()
+      };
+      cards[id] = card;
+      imported.push(card);
+    }
+    
+    if (imported.length > 0) {
+      await store.set(FLASHCARDS_KEY, cards);
+    }
+    return imported;
+  },
+  
   /**
    * Delete a flashcard
    * @param {string} id - Flashcard ID
@@ -431,6 +431,21 @@ export const guardrail = {
     return sanitized;
   },
   
+  /**
+   * Check whether a partially streamed response is safe to show before it completes
+   * Only the content rules run here; schema rules need the full response
+   * @param {Object} partialResponse - Fields received so far
+   * @param {Object} context - The context object used to generate the response
+   * @return {boolean} True if nothing spoilery has been seen yet
+   */
+  isSafePartial(partialResponse, context) {
+    for (const ruleName of ['completeSolution', 'directAnswer']) {
+      const result = SPOILER_RULES[ruleName](partialResponse || {}, context || {});
+      if (!result.passed) return false;
+    }
+    return true;
+  },
+  
   /**
    * Create a fallback response when LLM response is invalid
    * @param {Object} context - The context object
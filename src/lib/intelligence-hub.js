@@ -18,6 +18,11 @@
  *                                hub.getStatus() ─────▶ UI Rendering
  */
 
+import { stateSync } from './state-sync.js';
+
+// Hub events that other panels and the service worker should see too
+const SYNCED_EVENTS = ['pending_approvals', 'memory_approved', 'memory_rejected'];
+
 // All engines are loaded lazily to avoid blocking startup
 let _orchestrationGraph = null;
 let _bktEngine = null;
@@ -112,6 +117,8 @@ class IntelligenceHub {
         });
       }
 
+      this._subscribeSync();
+
       this.initialized = true;
       this.initializing = false;
       
@@ -147,7 +154,7 @@ class IntelligenceHub {
         const analysis = await _pedagogicalEngine.analyzeMisconception(
           struggleData,
           conceptId,
-          { userCode: context.userCode, testFailures: context.failingTests }
+          { userCode: context.userCode, codeLanguage: context.codeLanguage, testFailures: context.failingTests }
         );
         misconceptionType = analysis.misconceptionType;
         interventionRecommendations = analysis.recommendedInterventions;
@@ -372,6 +379,28 @@ class IntelligenceHub {
     }
   }
 
+  /**
+   * Called for each test run seen by the editor telemetry (from panel-v2.js)
+   *
+   * @param {Object} attempt - Summary from struggleDetector.trackEditorActivity()
+   * @param {Object} context - { conceptId, platform }
+   */
+  async onEditorAttempt(attempt, context = {}) {
+    if (!this.initialized) return;
+
+    try {
+      if (_learningMemories) {
+        await _learningMemories.observe({
+          type: 'editing',
+          conceptId: context.conceptId || this.currentSession.conceptId,
+          metadata: { ...attempt, platform: context.platform || null }
+        });
+      }
+    } catch (error) {
+      console.warn('[IntelligenceHub] onEditorAttempt error (non-critical):', error);
+    }
+  }
+
   /**
    * Called when a concept is passed (from concept-graph.js)
    * Updates BKT mastery directly
@@ -558,7 +587,10 @@ class IntelligenceHub {
     if (idx >= 0) listeners.splice(idx, 1);
   }
 
-  _emit(event, data) {
+  _emit(event, data, fromOtherContext = false) {
+    if (!fromOtherContext && SYNCED_EVENTS.includes(event)) {
+      stateSync.publish(`hub:${event}`, data);
+    }
     if (!this._listeners.has(event)) return;
     for (const listener of this._listeners.get(event)) {
       try {
@@ -568,6 +600,23 @@ class IntelligenceHub {
       }
     }
   }
+
+  /**
+   * Approvals decided in another window change this context's memories too -
+   * reload them before passing the event on to the UI
+   */
+  _subscribeSync() {
+    for (const event of SYNCED_EVENTS) {
+      stateSync.subscribe(`hub:${event}`, async (data) => {
+        try {
+          await _learningMemories?.reload();
+        } catch (e) {
+          console.warn('[IntelligenceHub] Memory reload failed:', e);
+        }
+        this._emit(event, data, true);
+      });
+    }
+  }
 }
 
 // Export singleton
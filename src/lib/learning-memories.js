@@ -14,16 +14,19 @@
  */
 
 import { store } from './storage.js';
+import { engineDb } from './engine-db.js';
 import { TrailNoteGraph } from './orchestration-graph.js';
 import { feedbackLoop } from './feedback-loop.js';
 import { pedagogicalEngine } from './pedagogical-engine.js';
 
 // Storage keys
-const LEARNING_MEMORIES_KEY = 'learning_memories';
 const PENDING_APPROVALS_KEY = 'pending_approvals';
 const USER_RULES_KEY = 'user_rules';
 const OBSERVATION_BUFFER_KEY = 'observation_buffer';
 
+// IndexedDB object store (engine-db.js)
+const MEMORIES_STORE = 'learning_memories';
+
 /**
  * Types of learning memories
  */
@@ -140,7 +143,7 @@ class SidecarObserver {
    */
   observe(event) {
     const observation = {
-      type: event.type, // 'hint_request' | 'outcome' | 'struggle' | 'preference_signal'
+      type: event.type, // 'hint_request' | 'outcome' | 'struggle' | 'preference_signal' | 'editing'
       conceptId: event.conceptId,
       misconceptionType: event.misconceptionType,
       interventionStyle: event.interventionStyle,
@@ -192,6 +195,12 @@ class SidecarObserver {
       suggestions.push(misconceptionPattern);
     }
     
+    // Pattern 5: How code gets written (editor telemetry)
+    const editingPattern = this._detectEditingPattern(observation);
+    if (editingPattern) {
+      suggestions.push(editingPattern);
+    }
+    
     return suggestions;
   }
 
@@ -417,6 +426,59 @@ class SidecarObserver {
     return null;
   }
 
+  /**
+   * Detect editing habits from test-run summaries: pasting code in, or
+   * re-running tests with barely any changes (trial and error)
+   */
+  _detectEditingPattern(observation) {
+    if (observation.type !== 'editing') return null;
+    
+    const runs = this.observationBuffer.filter(o => o.type === 'editing');
+    if (runs.length < this.config.minObservations * 2) return null;
+    
+    const pasted = runs.filter(o => o.metadata.pastedChars >= 200 && o.metadata.pastedChars > o.metadata.keysTyped);
+    const quickRetries = runs.filter(o =>
+      o.metadata.keysTyped < 30 &&
+      o.metadata.secondsSinceLastRun !== null &&
+      o.metadata.secondsSinceLastRun < 45
+    );
+    
+    const pasteRate = pasted.length / runs.length;
+    const retryRate = quickRetries.length / runs.length;
+    
+    if (pasteRate > 0.4) {
+      return {
+        type: MEMORY_TYPES.PATTERN.id,
+        key: 'pastes_solutions',
+        value: {
+          pasteRate,
+          suggestedApproach: 'socratic'
+        },
+        confidence: Math.min(1, runs.length / 15),
+        source: 'observed',
+        category: RULE_CATEGORIES.INTERVENTION_STYLE.id,
+        evidence: pasted.slice(-5)
+      };
+    }
+    
+    if (retryRate > 0.5) {
+      return {
+        type: MEMORY_TYPES.PATTERN.id,
+        key: 'trial_and_error',
+        value: {
+          retryRate,
+          suggestedApproach: 'scaffolded'
+        },
+        confidence: Math.min(1, runs.length / 15),
+        source: 'observed',
+        category: RULE_CATEGORIES.INTERVENTION_STYLE.id,
+        evidence: quickRetries.slice(-5)
+      };
+    }
+    
+    return null;
+  }
+
   /**
    * Get observation buffer
    */
@@ -456,11 +518,10 @@ export class LearningMemories {
    */
   async init() {
     // Load stored memories
-    const storedMemories = await store.get(LEARNING_MEMORIES_KEY, {});
-    for (const [id, data] of Object.entries(storedMemories)) {
+    for (const data of await engineDb.getAll(MEMORIES_STORE)) {
       const memory = new LearningMemory(data.type, data);
-      memory.id = id; // Preserve original ID
-      this.memories.set(id, memory);
+      memory.id = data.id; // Preserve original ID
+      this.memories.set(data.id, memory);
     }
     
     // Load pending approvals
@@ -489,6 +550,15 @@ export class LearningMemories {
     console.log(`[LearningMemories] Initialized with ${this.memories.size} memories, ${this.pendingApprovals.length} pending approvals`);
   }
 
+  /**
+   * Re-read everything from storage (after another context changed it)
+   */
+  async reload() {
+    this.memories.clear();
+    this.userRules.clear();
+    await this.init();
+  }
+
   /**
    * Record an observation and check for new memories
    */
@@ -536,7 +606,7 @@ export class LearningMemories {
       this.pendingApprovals.push(approval);
     }
     
-    await this._persistAll();
+    await this._persistAll(memory.approved ? [memory.id] : []);
     return memory;
   }
 
@@ -616,7 +686,7 @@ export class LearningMemories {
     // Remove from pending
     this.pendingApprovals = this.pendingApprovals.filter(a => a.id !== approvalId);
     
-    await this._persistAll();
+    await this._persistAll([approval.memory.id]);
     
     return {
       approved: true,
@@ -641,7 +711,7 @@ export class LearningMemories {
     // Remove from pending
     this.pendingApprovals = this.pendingApprovals.filter(a => a.id !== approvalId);
     
-    await this._persistAll();
+    await this._persistAll([]);
     
     return { rejected: true };
   }
@@ -661,7 +731,7 @@ export class LearningMemories {
     
     this.memories.set(memory.id, memory);
     await this._applyMemoryAsRule(memory);
-    await this._persistAll();
+    await this._persistAll([memory.id]);
     
     return memory;
   }
@@ -781,7 +851,7 @@ export class LearningMemories {
       // Remove memory
       this.memories.delete(memoryId);
       
-      await this._persistAll();
+      await this._persistAll([], [memoryId]);
       return true;
     }
     
@@ -829,25 +899,33 @@ export class LearningMemories {
   }
 
   // Persistence helpers
-  async _persistMemories() {
-    const data = {};
-    for (const [id, memory] of this.memories) {
-      data[id] = {
-        id: memory.id,
-        type: memory.type,
-        key: memory.key,
-        value: memory.value,
-        confidence: memory.confidence,
-        source: memory.source,
-        category: memory.category,
-        approved: memory.approved,
-        createdAt: memory.createdAt,
-        lastAccessed: memory.lastAccessed,
-        accessCount: memory.accessCount,
-        evidence: memory.evidence
-      };
-    }
-    await store.set(LEARNING_MEMORIES_KEY, data);
+  /**
+   * Write changed memories only, so memories saved by another context aren't overwritten
+   * @param {Array|null} ids - Memories to write (null writes all)
+   * @param {Array} deletedIds - Memories to remove
+   */
+  async _persistMemories(ids = null, deletedIds = []) {
+    const memories = (ids ? ids.map(id => this.memories.get(id)) : [...this.memories.values()]).filter(Boolean);
+
+    await engineDb.transaction(MEMORIES_STORE, async (tx) => {
+      await Promise.all([
+        ...memories.map(memory => tx.put(MEMORIES_STORE, {
+          id: memory.id,
+          type: memory.type,
+          key: memory.key,
+          value: memory.value,
+          confidence: memory.confidence,
+          source: memory.source,
+          category: memory.category,
+          approved: memory.approved,
+          createdAt: memory.createdAt,
+          lastAccessed: memory.lastAccessed,
+          accessCount: memory.accessCount,
+          evidence: memory.evidence
+        })),
+        ...deletedIds.map(id => tx.delete(MEMORIES_STORE, id))
+      ]);
+    });
   }
 
   async _persistApprovals() {
@@ -868,9 +946,9 @@ export class LearningMemories {
     await store.set(PENDING_APPROVALS_KEY, data);
   }
 
-  async _persistAll() {
+  async _persistAll(memoryIds = null, deletedMemoryIds = []) {
     await Promise.all([
-      this._persistMemories(),
+      this._persistMemories(memoryIds, deletedMemoryIds),
       this._persistApprovals()
     ]);
   }
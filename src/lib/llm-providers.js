@@ -0,0 +1,825 @@
+/**
+ * LLM Provider Registry
+ * Every chat-completion backend Bunji can talk to is declared here.
+ *
+ * A provider declares:
+ * - settings: the fields it needs (rendered by the Settings panel, stored in chrome.storage)
+ * - models / defaultModel: the models it offers
+ * - buildRequest(settings, model, messages, { stream }): the fetch() url + init
+ * - parseResponse(data): { content, usage, rawMessage }
+ * - describeError(res, data, settings, model): a friendly Error, or null
+ * - streamFormat + parseStreamEvent(event, state): optional token streaming
+ *   ('sse' for data: lines, 'ndjson' for one JSON object per line)
+ * - streamError(event): optional; an Error for an error the API reports mid-stream
+ *
+ * tutor.js never branches on provider ids, so adding a backend only touches this file.
+ */
+
+import { store } from './storage.js';
+import { tokens } from './tokens.js';
+
+const DEFAULT_PROVIDER = 'openai';
+const PROVIDER_SETTING_KEY = 'llmProvider';
+
+// Time allowed until response headers arrive
+const REQUEST_TIMEOUT_MS = 30000;
+
+// Time allowed between two chunks of a streamed body
+const STREAM_IDLE_TIMEOUT_MS = 30000;
+
+// HTTP statuses worth retrying on another provider
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+// Anthropic error types (in mid-stream "error" events) worth retrying on another provider
+const ANTHROPIC_RETRYABLE_ERRORS = new Set(['rate_limit_error', 'api_error', 'overloaded_error']);
+
+const providers = new Map();
+
+/**
+ * Setting field structure
+ * The Settings panel renders one form control per field
+ */
+const SETTING_FIELD_SCHEMA = {
+  id: '',            // Key inside the settings object passed to buildRequest
+  storageKey: '',    // chrome.storage key the value is persisted under
+  type: '',          // 'text', 'password', 'url' or 'model'
+  label: '',         // Human-readable label
+  placeholder: '',   // Optional placeholder
+  default: '',       // Value used when nothing is stored
+  hint: '',          // Optional helper text (may contain a link)
+  required: false,   // Must be set before calling the provider
+  requiredMessage: '' // Error shown when a required field is empty
+};
+
+/**
+ * Register a provider
+ * @param {Object} provider - Provider definition (see header)
+ * @returns {Object} The registered provider
+ */
+export function registerProvider(provider) {
+  if (!provider?.id) {
+    throw new Error('Provider id is required');
+  }
+  if (typeof provider.buildRequest !== 'function' || typeof provider.parseResponse !== 'function') {
+    throw new Error(`Provider ${provider.id} must define buildRequest and parseResponse`);
+  }
+
+  const settings = (provider.settings || []).map(field => ({ ...SETTING_FIELD_SCHEMA, ...field }));
+  const entry = {
+    models: [],
+    allowCustomModel: false,
+    ...provider,
+    settings
+  };
+  providers.set(entry.id, entry);
+  return entry;
+}
+
+/**
+ * Get provider by ID
+ */
+export function getProvider(providerId) {
+  return providers.get(providerId) || null;
+}
+
+/**
+ * Get all registered providers
+ */
+export function getAllProviders() {
+  return Array.from(providers.values());
+}
+
+/**
+ * Get the provider selected in Settings (falls back to the default provider)
+ */
+export async function getActiveProvider() {
+  const id = await store.get(PROVIDER_SETTING_KEY, DEFAULT_PROVIDER);
+  return getProvider(id) || getProvider(DEFAULT_PROVIDER);
+}
+
+/**
+ * Persist the selected provider id
+ */
+export async function setActiveProvider(providerId) {
+  if (!providers.has(providerId)) {
+    throw new Error(`Unknown LLM provider: ${providerId}`);
+  }
+  await store.set(PROVIDER_SETTING_KEY, providerId);
+}
+
+/**
+ * Read a provider's settings from storage
+ * @returns {Object} Map of field id -> value
+ */
+export async function loadProviderSettings(provider) {
+  const settings = {};
+  for (const field of provider.settings) {
+    settings[field.id] = await store.get(field.storageKey, field.default);
+  }
+  return settings;
+}
+
+/**
+ * Write a provider's settings to storage
+ * @param {Object} values - Map of field id -> value (missing fields are left untouched)
+ */
+export async function saveProviderSettings(provider, values = {}) {
+  for (const field of provider.settings) {
+    if (values[field.id] === undefined) continue;
+    const value = typeof values[field.id] === 'string' ? values[field.id].trim() : values[field.id];
+    await store.set(field.storageKey, value === '' ? field.default : value);
+  }
+}
+
+/**
+ * Check that every required field has a value
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateProviderSettings(provider, settings) {
+  const errors = [];
+  for (const field of provider.settings) {
+    if (field.required && !settings[field.id]) {
+      errors.push(field.requiredMessage || `Set your ${provider.name} ${field.label} in Settings.`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Pick the model to call, falling back to the provider default for unknown models
+ */
+export function resolveModel(provider, settings) {
+  const modelField = provider.settings.find(f => f.type === 'model');
+  const requested = modelField ? settings[modelField.id] : null;
+
+  if (!requested) return provider.defaultModel;
+  if (provider.allowCustomModel) return requested;
+
+  const known = provider.models.some(m => m.id === requested);
+  if (!known) {
+    console.warn(`[TrailNote] ${provider.name} model "${requested}" is not in supported list. Falling back to ${provider.defaultModel}.`);
+    return provider.defaultModel;
+  }
+  return requested;
+}
+
+/**
+ * Origins a provider will contact with the given settings
+ * Used by the Settings panel to request host permissions for custom endpoints
+ */
+export function getProviderOrigins(provider, settings) {
+  const origins = [];
+  for (const field of provider.settings) {
+    if (field.type !== 'url' || !settings[field.id]) continue;
+    try {
+      origins.push(`${new URL(settings[field.id]).origin}/*`);
+    } catch (_) {
+      // Invalid URL - the request will fail with a clearer error later
+    }
+  }
+  return origins;
+}
+
+/**
+ * @return {Object} { res, controller } - abort the controller to stop reading the body
+ */
+async function sendRequest(provider, settings, model, messages, options = {}) {
+  const { url, init } = provider.buildRequest(settings, model, messages, options);
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), options.timeoutMs || REQUEST_TIMEOUT_MS);
+
+  let res;
+  try {
+    res = await fetch(url, { ...init, signal: controller.signal });
+  } catch (networkError) {
+    let error;
+    if (networkError.name === 'AbortError') {
+      error = new Error(`${provider.name} did not respond in time.`);
+    } else if (provider.describeNetworkError) {
+      error = provider.describeNetworkError(networkError, settings);
+    } else {
+      error = new Error(`Network error connecting to ${provider.name}: ${networkError.message}`);
+    }
+    // Unreachable or slow - another provider may still answer
+    error.retryable = true;
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (!res.ok) {
+    let data = null;
+    try {
+      data = await res.json();
+    } catch (_) {
+      // Non-JSON body - fall back to the HTTP status
+    }
+    throwForResponse(provider, res, data, settings, model);
+  }
+  return { res, controller };
+}
+
+function throwForResponse(provider, res, data, settings, model) {
+  let error = provider.describeError?.(res, data, settings, model);
+  if (!error && !res.ok) {
+    error = new Error(`${provider.name} request failed: ${res.status} ${res.statusText || 'Unknown error'}`);
+  }
+  if (error) {
+    // Let callers (e.g. failover) tell transient errors from configuration problems
+    error.status = res.status;
+    error.retryable = RETRYABLE_STATUSES.has(res.status);
+    error.provider = provider.id;
+    throw error;
+  }
+}
+
+async function recordUsage(usage, messages, content) {
+  // Token usage if present, otherwise estimate from text
+  const used = usage ??
+    tokens.estimateFromText(messages.map(m => m.content).join(' ')) +
+    tokens.estimateFromText(content);
+  await tokens.bump(used);
+  return used;
+}
+
+/**
+ * Send a chat completion through a provider
+ * @param {Object} provider - Registered provider
+ * @param {Object} settings - Values from loadProviderSettings
+ * @param {Array} messages - [{ role, content }]
+ * @returns {Object} { content, used, model, messages, rawMessage, provider }
+ */
+export async function callProvider(provider, settings, messages) {
+  const model = resolveModel(provider, settings);
+  const { res } = await sendRequest(provider, settings, model, messages);
+
+  let data = null;
+  try {
+    data = await res.json();
+  } catch (_) {
+    // Non-JSON body - describeError decides whether that is fatal
+  }
+  throwForResponse(provider, res, data, settings, model);
+
+  const { content = '', usage = null, rawMessage = null } = provider.parseResponse(data || {});
+  const used = await recordUsage(usage, messages, content);
+
+  return {
+    content,
+    used,
+    model,
+    messages,
+    rawMessage: rawMessage || { role: 'assistant', content },
+    provider: provider.id
+  };
+}
+
+/**
+ * Whether a provider can stream tokens
+ */
+export function supportsStreaming(provider) {
+  return Boolean(provider?.streamFormat && typeof provider.parseStreamEvent === 'function');
+}
+
+/**
+ * Send a chat completion and report text as it arrives
+ * Falls back to a single onDelta call for providers without streaming support.
+ * @param {Function} onDelta - Called with (delta, accumulatedContent) for every chunk
+ * @returns {Object} Same shape as callProvider
+ */
+export async function callProviderStream(provider, settings, messages, onDelta) {
+  if (!supportsStreaming(provider) || typeof ReadableStream === 'undefined') {
+    const result = await callProvider(provider, settings, messages);
+    if (onDelta && result.content) onDelta(result.content, result.content);
+    return result;
+  }
+
+  const model = resolveModel(provider, settings);
+  const { res, controller } = await sendRequest(provider, settings, model, messages, { stream: true });
+
+  const state = { usage: null };
+  let content = '';
+
+  await readStreamEvents(res, provider, controller, (event) => {
+    const streamError = provider.streamError?.(event);
+    if (streamError) {
+      streamError.provider = provider.id;
+      throw streamError;
+    }
+
+    const delta = provider.parseStreamEvent(event, state);
+    if (!delta) return;
+    content += delta;
+    if (onDelta) {
+      try {
+        onDelta(delta, content);
+      } catch (callbackError) {
+        console.warn('[TrailNote] Stream callback error:', callbackError);
+      }
+    }
+  });
+
+  const used = await recordUsage(state.usage, messages, content);
+
+  return {
+    content,
+    used,
+    model,
+    messages,
+    rawMessage: { role: 'assistant', content },
+    provider: provider.id,
+    streamed: true
+  };
+}
+
+/**
+ * Read an SSE or NDJSON response body line by line
+ * A body that sends nothing for STREAM_IDLE_TIMEOUT_MS is aborted with a retryable error.
+ * @param {AbortController} controller - The request's controller
+ * @param {Function} onEvent - Called with each parsed JSON payload; throwing stops the read
+ */
+async function readStreamEvents(res, provider, controller, onEvent) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let idleTimer = null;
+  let stalled = false;
+
+  const resetIdleTimer = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      stalled = true;
+      controller.abort();
+      reader.cancel().catch(() => {});
+    }, STREAM_IDLE_TIMEOUT_MS);
+  };
+
+  const interrupted = (cause) => {
+    const error = stalled
+      ? new Error(`${provider.name} stopped responding mid-reply.`)
+      : new Error(`Connection to ${provider.name} was interrupted: ${cause?.message || 'stream closed'}`);
+    error.retryable = true;
+    error.provider = provider.id;
+    return error;
+  };
+
+  const handleLine = (line) => {
+    let payload = line.trim();
+    if (!payload) return;
+    if (provider.streamFormat === 'sse') {
+      // Skip "event:" / ":" comment lines - the JSON payload carries its own type
+      if (!payload.startsWith('data:')) return;
+      payload = payload.slice(5).trim();
+      if (payload === '[DONE]') return;
+    }
+    let event;
+    try {
+      event = JSON.parse(payload);
+    } catch (_) {
+      // Partial or keep-alive line - skip it
+      return;
+    }
+    onEvent(event);
+  };
+
+  try {
+    resetIdleTimer();
+    while (true) {
+      let chunk;
+      try {
+        chunk = await reader.read();
+      } catch (readError) {
+        throw interrupted(readError);
+      }
+      if (stalled) throw interrupted();
+      if (chunk.done) break;
+
+      resetIdleTimer();
+      buffer += decoder.decode(chunk.value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+
+    buffer += decoder.decode();
+    handleLine(buffer);
+  } catch (error) {
+    controller.abort();
+    reader.cancel().catch(() => {});
+    throw error;
+  } finally {
+    clearTimeout(idleTimer);
+  }
+}
+
+// ============================================
+// Shared helpers for OpenAI-style APIs
+// ============================================
+
+function trimUrl(url, fallback) {
+  return (url || fallback).replace(/\/$/, '');
+}
+
+function openAIChatRequest(url, headers, model, messages, options = {}) {
+  const body = { model, messages };
+  if (options.stream) {
+    body.stream = true;
+    if (options.includeUsage) body.stream_options = { include_usage: true };
+  }
+  return {
+    url,
+    init: {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body)
+    }
+  };
+}
+
+function parseOpenAIStreamEvent(event, state) {
+  if (event?.usage?.total_tokens) {
+    state.usage = event.usage.total_tokens;
+  }
+  return event?.choices?.[0]?.delta?.content || '';
+}
+
+function parseOpenAIResponse(data) {
+  const rawMessage = data?.choices?.[0]?.message || null;
+  return {
+    content: rawMessage?.content || '',
+    usage: data?.usage?.total_tokens ?? null,
+    rawMessage
+  };
+}
+
+/**
+ * Build a describeError for APIs that return { error: { type, code, message } }
+ * @param {string} label - Provider name used in messages
+ * @param {Object} messages - Optional overrides for quota / invalidKey / rateLimit / http
+ */
+function openAIErrorDescriber(label, messages = {}) {
+  return (res, data) => {
+    if (data?.error) {
+      const error = typeof data.error === 'string' ? { message: data.error } : data.error;
+      const errorType = error.type || error.code || 'unknown';
+      const matches = (code) => errorType === code || error.code === code;
+
+      if (matches('insufficient_quota') && messages.quota) {
+        return new Error(messages.quota);
+      }
+      if (matches('invalid_api_key')) {
+        return new Error(messages.invalidKey || `Invalid ${label} API key. Please check your API key in Settings.`);
+      }
+      if (matches('rate_limit_exceeded')) {
+        return new Error(messages.rateLimit || `${label} rate limit exceeded. Please wait a moment and try again.`);
+      }
+      return new Error(`${label} API error: ${error.message || 'Unknown API error'} (${errorType})`);
+    }
+
+    if (!res.ok) {
+      const statusText = res.statusText || 'Unknown error';
+      return new Error(messages.http
+        ? messages.http(res.status, statusText)
+        : `${label} request failed: ${res.status} ${statusText}. Check your settings and network connection.`);
+    }
+    return null;
+  };
+}
+
+function localServerNetworkError(label, fallbackUrl, startHint) {
+  return (networkError, settings) => {
+    const url = trimUrl(settings.baseUrl, fallbackUrl);
+    if (networkError.message?.includes('Failed to fetch') || networkError.message?.includes('NetworkError')) {
+      return new Error(`Cannot connect to ${label} at ${url}. ${startHint}`);
+    }
+    return new Error(`Network error connecting to ${label}: ${networkError.message}`);
+  };
+}
+
+/**
+ * Factory for providers that speak the OpenAI /chat/completions dialect
+ * (LM Studio, llama.cpp server, vLLM, OpenRouter, ...)
+ */
+function openAICompatibleProvider({ id, name, description, defaultUrl, apiKeyRequired = false, startHint }) {
+  return {
+    id,
+    name,
+    description,
+    models: [],
+    defaultModel: '',
+    allowCustomModel: true,
+    settings: [
+      { id: 'baseUrl', storageKey: `${id}BaseUrl`, type: 'url', label: 'Server URL', placeholder: defaultUrl, default: defaultUrl, hint: 'Base URL including /v1' },
+      { id: 'apiKey', storageKey: `${id}ApiKey`, type: 'password', label: 'API Key', placeholder: apiKeyRequired ? '' : 'Optional', default: '', required: apiKeyRequired },
+      { id: 'model', storageKey: `${id}Model`, type: 'model', label: 'Model', placeholder: 'Model name as the server reports it', default: '', required: true, requiredMessage: `Set your ${name} model in Settings.` }
+    ],
+    async fetchModels(settings) {
+      try {
+        const headers = settings.apiKey ? { 'Authorization': `Bearer ${settings.apiKey}` } : {};
+        const res = await fetch(`${trimUrl(settings.baseUrl, defaultUrl)}/models`, { headers });
+        if (!res.ok) return [];
+        const data = await res.json();
+        return (data?.data || []).map(m => m.id).filter(Boolean);
+      } catch (_) {
+        return [];
+      }
+    },
+    buildRequest(settings, model, messages, options) {
+      const headers = settings.apiKey ? { 'Authorization': `Bearer ${settings.apiKey}` } : {};
+      return openAIChatRequest(`${trimUrl(settings.baseUrl, defaultUrl)}/chat/completions`, headers, model, messages, options);
+    },
+    parseResponse: parseOpenAIResponse,
+    streamFormat: 'sse',
+    parseStreamEvent: parseOpenAIStreamEvent,
+    describeError: openAIErrorDescriber(name),
+    describeNetworkError: localServerNetworkError(name, defaultUrl, startHint || 'Make sure the server is running and the URL is correct in Settings.')
+  };
+}
+
+// ============================================
+// Built-in providers
+// ============================================
+
+registerProvider({
+  id: 'openai',
+  name: 'OpenAI',
+  description: 'OpenAI',
+  models: [
+    { id: 'gpt-4o-mini', label: 'gpt-4o-mini (default)' },
+    { id: 'gpt-4o', label: 'gpt-4o' },
+    { id: 'gpt-4.1-mini', label: 'gpt-4.1-mini' },
+    { id: 'gpt-4.1', label: 'gpt-4.1' },
+    { id: 'o4-mini', label: 'o4-mini' },
+    { id: 'o4', label: 'o4' }
+  ],
+  defaultModel: 'gpt-4o-mini',
+  settings: [
+    { id: 'apiKey', storageKey: 'apiKey', type: 'password', label: 'OpenAI API Key', placeholder: 'sk-...', default: '', required: true, requiredMessage: 'Set your API key in Settings.' },
+    { id: 'model', storageKey: 'model', type: 'model', label: 'Model', default: 'gpt-4o-mini' }
+  ],
+  buildRequest(settings, model, messages, options = {}) {
+    return openAIChatRequest('https://api.openai.com/v1/chat/completions', {
+      'Authorization': `Bearer ${settings.apiKey}`
+    }, model, messages, { ...options, includeUsage: true });
+  },
+  parseResponse: parseOpenAIResponse,
+  streamFormat: 'sse',
+  parseStreamEvent: parseOpenAIStreamEvent,
+  describeError: openAIErrorDescriber('OpenAI', {
+    quota: 'OpenAI API quota exceeded. Please check your billing and usage at https://platform.openai.com/usage. You can also enable Mock LLM mode in Settings to test without API calls.',
+    invalidKey: 'Invalid API key. Please check your OpenAI API key in Settings.',
+    rateLimit: 'Rate limit exceeded. Please wait a moment and try again.',
+    http: (status, statusText) => `OpenAI API request failed: ${status} ${statusText}. Check your API key and network connection.`
+  })
+});
+
+registerProvider({
+  id: 'groq',
+  name: 'Groq',
+  description: 'Groq (Fast & Free)',
+  models: [
+    { id: 'llama-3.1-8b-instant', label: 'llama-3.1-8b-instant (fast, free)' },
+    { id: 'llama-3.3-70b-versatile', label: 'llama-3.3-70b-versatile (powerful)' },
+    { id: 'openai/gpt-oss-120b', label: 'gpt-oss-120b (most powerful)' },
+    { id: 'openai/gpt-oss-20b', label: 'gpt-oss-20b' }
+  ],
+  defaultModel: 'llama-3.1-8b-instant',
+  settings: [
+    {
+      id: 'apiKey', storageKey: 'groqApiKey', type: 'password', label: 'Groq API Key', placeholder: 'gsk_...', default: '',
+      hint: 'Get your free API key at <a href="https://console.groq.com/keys" target="_blank">console.groq.com/keys</a>',
+      required: true, requiredMessage: 'Set your Groq API key in Settings. Get your free key at https://console.groq.com/keys'
+    },
+    { id: 'model', storageKey: 'groqModel', type: 'model', label: 'Model', default: 'llama-3.1-8b-instant' }
+  ],
+  buildRequest(settings, model, messages, options = {}) {
+    return openAIChatRequest('https://api.groq.com/openai/v1/chat/completions', {
+      'Authorization': `Bearer ${settings.apiKey}`
+    }, model, messages, { ...options, includeUsage: true });
+  },
+  parseResponse: parseOpenAIResponse,
+  streamFormat: 'sse',
+  parseStreamEvent: parseOpenAIStreamEvent,
+  describeError: openAIErrorDescriber('Groq', {
+    quota: 'Groq API quota exceeded. Please check your usage at https://console.groq.com/. Groq offers a free tier to get started.',
+    invalidKey: 'Invalid Groq API key. Please check your API key in Settings. Get your key at https://console.groq.com/keys',
+    http: (status, statusText) => `Groq API request failed: ${status} ${statusText}. Check your API key and network connection.`
+  })
+});
+
+registerProvider({
+  id: 'ollama',
+  name: 'Ollama',
+  description: 'Ollama (Local/Cloud)',
+  models: [{ id: 'llama2', label: 'llama2 (default)' }],
+  defaultModel: 'llama2',
+  allowCustomModel: true,
+  settings: [
+    { id: 'baseUrl', storageKey: 'ollamaUrl', type: 'url', label: 'Ollama URL', placeholder: 'http://localhost:11434', default: 'http://localhost:11434', required: true, requiredMessage: 'Set your Ollama URL and model in Settings.' },
+    { id: 'model', storageKey: 'ollamaModel', type: 'model', label: 'Model', default: 'llama2', required: true, requiredMessage: 'Set your Ollama URL and model in Settings.' }
+  ],
+  async fetchModels(settings) {
+    const url = trimUrl(settings.baseUrl, 'http://localhost:11434');
+    try {
+      const res = await fetch(`${url}/api/tags`, {
+        method: 'GET',
+        headers: { 'Content-Type': 'application/json' }
+      });
+
+      if (!res.ok) {
+        // For 403 errors, log helpful message but still return empty array
+        // (the actual error will show when user tries to use tutor)
+        if (res.status === 403) {
+          console.warn(
+            '[TrailNote] Ollama CORS error (403). Restart Ollama with:\n' +
+            'Windows: $env:OLLAMA_ORIGINS="chrome-extension://*"; ollama serve\n' +
+            'macOS/Linux: OLLAMA_ORIGINS=chrome-extension://* ollama serve'
+          );
+        }
+        return [];
+      }
+
+      const data = await res.json();
+      // Ollama returns { models: [{ name: "llama3:8b", ... }] } - keep the tag
+      return (data?.models || []).map(m => m.name || m.model || '').filter(Boolean);
+    } catch (_) {
+      return [];
+    }
+  },
+  buildRequest(settings, model, messages, options = {}) {
+    return {
+      url: `${trimUrl(settings.baseUrl, 'http://localhost:11434')}/api/chat`,
+      init: {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model: model || 'llama2', messages, stream: Boolean(options.stream) })
+      }
+    };
+  },
+  streamFormat: 'ndjson',
+  parseStreamEvent(event, state) {
+    // The final line has done: true and the eval counts
+    if (event?.done && (event.prompt_eval_count || event.eval_count)) {
+      state.usage = (event.prompt_eval_count || 0) + (event.eval_count || 0);
+    }
+    return event?.message?.content || '';
+  },
+  parseResponse(data) {
+    // Ollama returns { message: { content: "...", role: "assistant" } } and no usage stats
+    const content = data?.message?.content || '';
+    return { content, usage: null, rawMessage: data?.message || { content, role: 'assistant' } };
+  },
+  describeError(res, data, settings, model) {
+    if (res.ok) return null;
+    if (res.status === 404) {
+      return new Error(`Ollama model "${model}" not found. Install it with: ollama pull ${model}`);
+    }
+    if (res.status === 403) {
+      return new Error('Ollama CORS error (403 Forbidden). Click "Get Help Fixing This" below for step-by-step instructions.');
+    }
+    if (data?.error) {
+      return new Error(`Ollama error: ${data.error}`);
+    }
+    return new Error(`Ollama request failed: ${res.status} ${res.statusText}`);
+  },
+  describeNetworkError: localServerNetworkError('Ollama', 'http://localhost:11434', 'Make sure Ollama is running (try: ollama serve) and the URL is correct in Settings.')
+});
+
+registerProvider({
+  id: 'anthropic',
+  name: 'Anthropic',
+  description: 'Anthropic (Claude)',
+  models: [
+    { id: 'claude-3-5-haiku-latest', label: 'claude-3-5-haiku (fast)' },
+    { id: 'claude-3-5-sonnet-latest', label: 'claude-3-5-sonnet' },
+    { id: 'claude-3-7-sonnet-latest', label: 'claude-3-7-sonnet' }
+  ],
+  defaultModel: 'claude-3-5-haiku-latest',
+  settings: [
+    { id: 'apiKey', storageKey: 'anthropicApiKey', type: 'password', label: 'Anthropic API Key', placeholder: 'sk-ant-...', default: '', required: true, requiredMessage: 'Set your Anthropic API key in Settings.' },
+    { id: 'model', storageKey: 'anthropicModel', type: 'model', label: 'Model', default: 'claude-3-5-haiku-latest' }
+  ],
+  buildRequest(settings, model, messages, options = {}) {
+    // The Messages API takes the system prompt as a top-level field
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n');
+    return {
+      url: 'https://api.anthropic.com/v1/messages',
+      init: {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': settings.apiKey,
+          'anthropic-version': '2023-06-01',
+          'anthropic-dangerous-direct-browser-access': 'true'
+        },
+        body: JSON.stringify({
+          model,
+          max_tokens: 1024,
+          system,
+          messages: messages.filter(m => m.role !== 'system'),
+          stream: Boolean(options.stream)
+        })
+      }
+    };
+  },
+  parseResponse(data) {
+    const content = (data?.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    const usage = data?.usage ? (data.usage.input_tokens || 0) + (data.usage.output_tokens || 0) : null;
+    return { content, usage, rawMessage: { role: 'assistant', content } };
+  },
+  streamFormat: 'sse',
+  parseStreamEvent(event, state) {
+    // message_start carries input tokens, message_delta the running output count
+    if (event?.type === 'message_start') {
+      state.inputTokens = event.message?.usage?.input_tokens || 0;
+    } else if (event?.type === 'message_delta' && event.usage) {
+      state.usage = (state.inputTokens || 0) + (event.usage.output_tokens || 0);
+    }
+    if (event?.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+      return event.delta.text || '';
+    }
+    return '';
+  },
+  streamError(event) {
+    // Errors after the 200 arrive as an "error" event, e.g. { type: 'overloaded_error' }
+    if (event?.type !== 'error') return null;
+    const type = event.error?.type || 'unknown';
+    const error = new Error(`Anthropic API error: ${event.error?.message || 'Unknown API error'} (${type})`);
+    error.retryable = ANTHROPIC_RETRYABLE_ERRORS.has(type);
+    return error;
+  },
+  describeError: openAIErrorDescriber('Anthropic', {
+    invalidKey: 'Invalid Anthropic API key. Please check your API key in Settings.'
+  })
+});
+
+registerProvider({
+  id: 'azure_openai',
+  name: 'Azure OpenAI',
+  description: 'Azure OpenAI',
+  models: [],
+  defaultModel: '',
+  allowCustomModel: true,
+  settings: [
+    { id: 'baseUrl', storageKey: 'azureEndpoint', type: 'url', label: 'Endpoint', placeholder: 'https://my-resource.openai.azure.com', default: '', required: true, requiredMessage: 'Set your Azure OpenAI endpoint in Settings.' },
+    { id: 'apiKey', storageKey: 'azureApiKey', type: 'password', label: 'API Key', default: '', required: true, requiredMessage: 'Set your Azure OpenAI API key in Settings.' },
+    { id: 'model', storageKey: 'azureDeployment', type: 'model', label: 'Deployment name', placeholder: 'gpt-4o-mini', default: '', required: true, requiredMessage: 'Set your Azure OpenAI deployment name in Settings.' },
+    { id: 'apiVersion', storageKey: 'azureApiVersion', type: 'text', label: 'API version', placeholder: '2024-06-01', default: '2024-06-01' }
+  ],
+  buildRequest(settings, model, messages, options = {}) {
+    const base = trimUrl(settings.baseUrl, '');
+    const url = `${base}/openai/deployments/${encodeURIComponent(model)}/chat/completions?api-version=${encodeURIComponent(settings.apiVersion || '2024-06-01')}`;
+    const request = openAIChatRequest(url, { 'api-key': settings.apiKey }, model, messages, options);
+    // Azure routes by deployment, so the body must not carry a model field
+    const { model: _deployment, ...body } = JSON.parse(request.init.body);
+    request.init.body = JSON.stringify(body);
+    return request;
+  },
+  parseResponse: parseOpenAIResponse,
+  streamFormat: 'sse',
+  parseStreamEvent: parseOpenAIStreamEvent,
+  describeError: openAIErrorDescriber('Azure OpenAI')
+});
+
+registerProvider(openAICompatibleProvider({
+  id: 'lmstudio',
+  name: 'LM Studio',
+  description: 'LM Studio (Local)',
+  defaultUrl: 'http://localhost:1234/v1',
+  startHint: 'Start the local server from the LM Studio Developer tab and check the URL in Settings.'
+}));
+
+registerProvider(openAICompatibleProvider({
+  id: 'llamacpp',
+  name: 'llama.cpp server',
+  description: 'llama.cpp server (Local)',
+  defaultUrl: 'http://localhost:8080/v1',
+  startHint: 'Start it with: llama-server -m <model.gguf> and check the URL in Settings.'
+}));
+
+registerProvider(openAICompatibleProvider({
+  id: 'openai_compatible',
+  name: 'OpenAI-compatible',
+  description: 'Other OpenAI-compatible endpoint',
+  defaultUrl: 'http://localhost:8000/v1'
+}));
+
+export default {
+  registerProvider,
+  getProvider,
+  getAllProviders,
+  getActiveProvider,
+  setActiveProvider,
+  loadProviderSettings,
+  saveProviderSettings,
+  validateProviderSettings,
+  resolveModel,
+  getProviderOrigins,
+  callProvider,
+  callProviderStream,
+  supportsStreaming
+};
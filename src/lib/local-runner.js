@@ -0,0 +1,235 @@
+/**
+ * Local Runner - checks the learner's current code in a sandbox before they submit
+ *
+ * buildChecks() turns the platform's test text into small data-only assertions;
+ * test text that doesn't match a known phrasing is left to the platform. Kinds:
+ *   element     { selector, count }           - "You should have three `li` elements"
+ *   text        { selector, text, contains }  - "Your `h1` element should have the text `Hello`"
+ *   attribute   { selector, name, value }     - "Your `a` element should have an `href` attribute of `...`"
+ *   nested      { selector }                  - "Your `a` element should be nested within your `p` element"
+ *   closing     { tag }                       - "Your `p` element should have a closing tag"
+ *   style       { selector, property, value } - "Your `.red-text` class should have a `color` of `red`"
+ *   returns     { expr, expected }            - "`sum(2, 3)` should return `5`"
+ *   value       { expr, expected }            - "`count` should have a value of `10`"
+ *   type        { expr, type }                - "`count` should be a number"
+ *   defined     { name }                      - "You should declare a `count` variable"
+ *
+ * localRunner.run() posts the checks to src/sandbox/runner.html, a manifest sandbox
+ * page (no extension APIs, its own CSP) in a hidden iframe. JS runs in a worker
+ * the sandbox can terminate; HTML/CSS are parsed, never run; Python
+ * needs Pyodide under src/sandbox/pyodide/, which isn't bundled - without it the
+ * Python checks come back as not run.
+ */
+
+const SANDBOX_PAGE = 'src/sandbox/runner.html';
+const RUN_TIMEOUT_MS = 8000;
+const MAX_CHECKS = 12;
+
+const LANGUAGES = {
+  javascript: 'js', js: 'js', jsx: 'js', node: 'js',
+  python: 'python', python3: 'python', py: 'python',
+  html: 'html', htm: 'html',
+  css: 'css', scss: 'css'
+};
+
+const COUNT_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+
+// `code` or "text" - test text quotes code with backticks and values with either
+const Q = '(?:`([^`]+)`|"([^"]+)")';
+const COUNT = '(a|an|one|two|three|four|five|six|seven|eight|nine|ten|\\d+|at least one)';
+const SUBJECT = `(?:your |the |an? )?(?:\\w+ )?(?:\\(\\s*)?${Q}(?:\\s*\\))?(?: (?:element|tag|selector|class|id|rule))?`;
+
+// Each pattern returns a check for one test, or null; first match wins
+const DOM_PATTERNS = [
+  [new RegExp(`^${SUBJECT} should (have|contain) (?:the )?text ${Q}`, 'i'),
+    (m) => ({ kind: 'text', selector: m[1] || m[2], text: m[4] || m[5], contains: m[3].toLowerCase() === 'contain' })],
+  [new RegExp(`^${SUBJECT} should have an? ${Q} attribute(?: (?:of|with (?:a |the )?value(?: of)?|set to|equal to|that points to|pointing to) ${Q})?`, 'i'),
+    (m) => ({ kind: 'attribute', selector: m[1] || m[2], name: m[3] || m[4], value: m[5] || m[6] || null })],
+  [new RegExp(`^${SUBJECT} should be (?:nested )?(?:with)?in(?:side)? (?:of )?${SUBJECT}`, 'i'),
+    (m) => ({ kind: 'nested', selector: `${m[3] || m[4]} ${m[1] || m[2]}` })],
+  [new RegExp(`^${SUBJECT} should have a closing tag`, 'i'),
+    (m) => /^[a-z][a-z0-9]*$/i.test(m[1] || m[2]) ? { kind: 'closing', tag: (m[1] || m[2]).toLowerCase() } : null],
+  [new RegExp(`^${SUBJECT} should (?:have|set) (?:a |an |the )?${Q}(?: property)? (?:of|to|set to|value of|equal to) ${Q}`, 'i'),
+    (m) => ({ kind: 'style', selector: m[1] || m[2], property: (m[3] || m[4]).toLowerCase(), value: m[5] || m[6] })],
+  [new RegExp(`^(?:you should have|your (?:code|page|html) should (?:have|contain)) ${COUNT} ${Q}(?: elements?| tags?)?`, 'i'),
+    (m) => ({ kind: 'element', selector: m[2] || m[3], count: countOf(m[1]) })]
+];
+
+const CODE_PATTERNS = [
+  [new RegExp(`^${Q} should return ${Q}`, 'i'),
+    (m) => ({ kind: 'returns', expr: m[1] || m[2], expected: m[3] || m[4] })],
+  [/^`([^`]+\))` should return (-?\w+(?:\.\d+)?)\.?$/i,
+    (m) => ({ kind: 'returns', expr: m[1], expected: m[2] })],
+  [new RegExp(`^${Q} should (?:have a value of|equal|be equal to|be set to) ${Q}`, 'i'),
+    (m) => ({ kind: 'value', expr: m[1] || m[2], expected: m[3] || m[4] })],
+  [new RegExp(`^${Q} should be an? (number|string|boolean|array|function|object|list|dict|dictionary|integer|float)\\b`, 'i'),
+    (m) => ({ kind: 'type', expr: m[1] || m[2], type: m[3].toLowerCase() })],
+  [new RegExp(`^you should (?:declare|define|create|have) (?:a |an )?(?:variable|function|constant)? ?(?:named |called )?${Q}(?: (?:variable|function|constant))?`, 'i'),
+    (m) => ({ kind: 'defined', name: m[1] || m[2] })]
+];
+
+function countOf(word) {
+  const lower = word.toLowerCase();
+  if (lower === 'at least one') return 1;
+  return COUNT_WORDS[lower] || parseInt(lower, 10) || 1;
+}
+
+// A selector the sandbox can query; test text also quotes tag names like `<h1>`
+function cleanSelector(raw) {
+  const selector = String(raw || '').trim().replace(/^<\/?([a-z][a-z0-9-]*)[^>]*>$/i, '$1');
+  return /^[a-z0-9\s.#\-_>:[\]="'*,()]+$/i.test(selector) ? selector : null;
+}
+
+const IDENTIFIER_EXPR = /^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*|\[\d+\])*$/;
+const CALL_EXPR = /^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*\(.*\)$/s;
+
+/**
+ * Turn platform test text into checks that can run locally
+ * @param {string[]} tests - Test descriptions from the context
+ * @param {string} language - From the adapter's getCodeLanguage()
+ * @return {Object} { language, checks: [{ id, test, kind, ... }], unchecked: [test] }
+ *   language is null when there is no local runner for it
+ */
+export function buildChecks(tests, language) {
+  const lang = LANGUAGES[String(language || '').toLowerCase()] || null;
+  const result = { language: lang, checks: [], unchecked: [] };
+  if (!lang || !Array.isArray(tests)) return result;
+
+  const patterns = lang === 'html' || lang === 'css' ? DOM_PATTERNS : CODE_PATTERNS;
+
+  for (const test of tests) {
+    if (typeof test !== 'string' || !test.trim()) continue;
+    const text = test.trim().replace(/\s+/g, ' ');
+    const check = result.checks.length < MAX_CHECKS ? matchCheck(text, patterns) : null;
+    if (check) {
+      result.checks.push({ id: result.checks.length, test: text, ...check });
+    } else {
+      result.unchecked.push(text);
+    }
+  }
+  return result;
+}
+
+function matchCheck(text, patterns) {
+  for (const [pattern, make] of patterns) {
+    const m = text.match(pattern);
+    if (!m) continue;
+    const check = make(m);
+    if (check && isUsable(check)) return check;
+  }
+  return null;
+}
+
+function isUsable(check) {
+  switch (check.kind) {
+    case 'element':
+    case 'text':
+    case 'attribute':
+    case 'nested':
+    case 'style':
+      check.selector = cleanSelector(check.selector);
+      return !!check.selector;
+    case 'closing':
+      return true;
+    case 'returns':
+      return CALL_EXPR.test(check.expr.trim());
+    case 'value':
+    case 'type':
+      return IDENTIFIER_EXPR.test(check.expr.trim());
+    case 'defined':
+      return /^[A-Za-z_$][\w$]*$/.test(check.name.trim());
+    default:
+      return false;
+  }
+}
+
+/**
+ * Hidden sandbox iframe that runs checks; one run at a time
+ */
+export const localRunner = {
+  frame: null,
+  ready: null,
+  nextRunId: 1,
+  pending: new Map(),
+
+  /**
+   * Run checks against code in the sandbox
+   * @param {string} code - The learner's current code
+   * @param {Object} built - buildChecks() result
+   * @return {Promise<Object>} { passed, total, notRun, results: [{ id, test, status: 'pass'|'fail'|'not_run', message }] }
+   */
+  async run(code, built) {
+    if (!built?.language || built.checks.length === 0) {
+      return { passed: 0, total: 0, notRun: 0, results: [] };
+    }
+    await this._ensureFrame();
+
+    const runId = this.nextRunId++;
+    const response = await new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(runId);
+        resolve({ error: 'The sandbox did not answer in time.' });
+      }, RUN_TIMEOUT_MS);
+      this.pending.set(runId, (data) => {
+        clearTimeout(timer);
+        resolve(data);
+      });
+      this.frame.contentWindow.postMessage({
+        type: 'RUN_CHECKS',
+        runId,
+        code: String(code || ''),
+        language: built.language,
+        checks: built.checks,
+        pyodideUrl: chrome.runtime.getURL('src/sandbox/pyodide/')
+      }, '*');
+    });
+
+    const byId = new Map((response.results || []).map(r => [r.id, r]));
+    const results = built.checks.map(check => {
+      const r = byId.get(check.id);
+      return {
+        id: check.id,
+        test: check.test,
+        status: r?.status || 'not_run',
+        message: r?.message || response.error || ''
+      };
+    });
+    const summary = {
+      passed: results.filter(r => r.status === 'pass').length,
+      total: results.filter(r => r.status !== 'not_run').length,
+      notRun: results.filter(r => r.status === 'not_run').length,
+      results
+    };
+    console.log(`[LocalRunner] ${built.language}: ${summary.passed}/${summary.total} checks pass, ${summary.notRun} not run`);
+    return summary;
+  },
+
+  _ensureFrame() {
+    if (this.ready) return this.ready;
+    this.ready = new Promise((resolve, reject) => {
+      const frame = document.createElement('iframe');
+      frame.src = chrome.runtime.getURL(SANDBOX_PAGE);
+      frame.style.display = 'none';
+      frame.setAttribute('aria-hidden', 'true');
+      frame.addEventListener('load', () => resolve(), { once: true });
+      frame.addEventListener('error', () => reject(new Error('Sandbox page failed to load')), { once: true });
+      document.body.appendChild(frame);
+      this.frame = frame;
+
+      window.addEventListener('message', (event) => {
+        if (event.source !== frame.contentWindow || event.data?.type !== 'CHECK_RESULTS') return;
+        const done = this.pending.get(event.data.runId);
+        if (done) {
+          this.pending.delete(event.data.runId);
+          done(event.data);
+        }
+      });
+    }).catch(error => {
+      this.ready = null;
+      throw error;
+    });
+    return this.ready;
+  }
+};
+
+export default localRunner;
@@ -0,0 +1,387 @@
+/**
+ * Notes Repository - the single home for learner notes
+ * Used by the Notes tab, flashcards and agent actions alike.
+ *
+ * Note schema (v2):
+ * {
+ *   id, title, url, body,
+ *   tags: ['#flexbox', ...],
+ *   fields: { problem, insight, selfCheck, conceptKey },
+ *   source: 'user' | 'agent',
+ *   agentStepId,          // Set by save_to_memory so a resumed run never saves twice
+ *   createdAt, updatedAt
+ * }
+ *
+ * Schema history:
+ * - v0: notes under 'notes' (Notes tab) and agent notes under 'hinthopper:notes' with
+ *       top-level problem/insight, tags as a string and conceptId
+ * - v1: every note under 'notes' normalized to the schema above
+ * - v2: 'hinthopper:notes' merged into 'notes' and removed
+ */
+
+import { store } from './storage.js';
+
+const NOTES_KEY = 'notes';
+const LEGACY_AGENT_NOTES_KEY = 'hinthopper:notes';
+const SCHEMA_VERSION_KEY = 'notes_schema_version';
+
+export const NOTES_SCHEMA_VERSION = 2;
+
+/**
+ * Migrations from each version to the next
+ */
+const MIGRATIONS = {
+  0: async () => {
+    const notes = await store.get(NOTES_KEY, []);
+    await store.set(NOTES_KEY, notes.map(note => normalizeNote(note)));
+  },
+  1: async () => {
+    const notes = await store.get(NOTES_KEY, []);
+    const legacy = await store.get(LEGACY_AGENT_NOTES_KEY, []);
+    const byId = new Map(notes.map((n, i) => [n.id, i]));
+    let added = 0;
+    let renamed = 0;
+    let updated = 0;
+
+    for (const note of legacy || []) {
+      let normalized = normalizeNote(note, 'agent');
+      const existingIndex = byId.get(normalized.id);
+
+      if (existingIndex !== undefined) {
+        const existing = notes[existingIndex];
+        if (sameContent(existing, normalized)) {
+          // The same note saved in both places: keep the newer copy
+          if ((normalized.updatedAt || 0) > (existing.updatedAt || 0)) {
+            notes[existingIndex] = normalized;
+            updated++;
+          }
+          continue;
+        }
+        // A different note that happens to share the id
+        normalized = { ...normalized, id: generateId() };
+        renamed++;
+      }
+
+      byId.set(normalized.id, notes.length);
+      notes.push(normalized);
+      added++;
+    }
+
+    await store.set(NOTES_KEY, notes);
+    await chrome.storage.local.remove(LEGACY_AGENT_NOTES_KEY);
+    console.log(`[NotesRepository] Merged ${added} agent notes into ${NOTES_KEY}` +
+      ` (${renamed} given new ids, ${updated} duplicates updated, ${(legacy?.length || 0) - added - updated} duplicates skipped)`);
+  }
+};
+
+/**
+ * Bring any stored note shape up to the current schema
+ * @param {Object} raw - Note in any historic shape
+ * @param {string} defaultSource - Source to use when the note doesn't say
+ */
+export function normalizeNote(raw, defaultSource = 'user') {
+  const fields = raw.fields || {};
+  const problem = fields.problem ?? raw.problem ?? '';
+  const insight = fields.insight ?? raw.insight ?? '';
+  const createdAt = raw.createdAt || Date.now();
+
+  return {
+    id: raw.id || generateId(),
+    title: raw.title || problem || 'Note',
+    url: raw.url || '',
+    body: raw.body || '',
+    tags: normalizeTags(raw.tags),
+    fields: {
+      problem,
+      insight,
+      selfCheck: fields.selfCheck ?? raw.selfCheck ?? '',
+      conceptKey: fields.conceptKey ?? raw.conceptKey ?? raw.conceptId ?? null
+    },
+    source: raw.source || defaultSource,
+    agentStepId: raw.agentStepId || null,
+    createdAt,
+    updatedAt: raw.updatedAt || createdAt
+  };
+}
+
+// Same note, possibly saved at different times
+function sameContent(a, b) {
+  return a.title === b.title && a.body === b.body &&
+    a.fields?.problem === b.fields?.problem && a.fields?.insight === b.fields?.insight;
+}
+
+/**
+ * Tags as an array of "#tag" strings; accepts arrays or "#a #b" / "a, b" strings
+ */
+export function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(/[\s,]+/);
+  const normalized = list
+    .map(t => String(t).trim())
+    .filter(Boolean)
+    .map(t => (t.startsWith('#') ? t : `#${t}`).toLowerCase());
+  return [...new Set(normalized)];
+}
+
+/**
+ * Plain text of a note (for search and for sending to the LLM)
+ */
+export function noteToText(note) {
+  const fields = note.fields || {};
+  return [fields.problem, fields.insight, fields.selfCheck, note.body]
+    .filter(Boolean)
+    .join(' ');
+}
+
+function generateId() {
+  return typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `note_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * The notes repository
+ */
+export const notesRepository = {
+  _ready: null,
+  _listeners: new Map(),
+  _localWrites: 0,
+  _watching: false,
+
+  /**
+   * Run pending schema migrations (once per context)
+   */
+  async init() {
+    if (!this._ready) {
+      this._ready = this._migrate().catch(error => {
+        this._ready = null;
+        throw error;
+      });
+    }
+    return this._ready;
+  },
+
+  async _migrate() {
+    let version = await store.get(SCHEMA_VERSION_KEY, 0);
+
+    while (version < NOTES_SCHEMA_VERSION) {
+      console.log(`[NotesRepository] Migrating notes v${version} -> v${version + 1}`);
+      await MIGRATIONS[version]();
+      version++;
+      await store.set(SCHEMA_VERSION_KEY, version);
+    }
+  },
+
+  /**
+   * All notes, newest first
+   */
+  async list() {
+    await this.init();
+    const notes = await store.get(NOTES_KEY, []);
+    return notes.sort((a, b) => (b.updatedAt || b.createdAt) - (a.updatedAt || a.createdAt));
+  },
+
+  /**
+   * Get a note by id
+   * @return {Object|null}
+   */
+  async get(id) {
+    await this.init();
+    const notes = await store.get(NOTES_KEY, []);
+    return notes.find(n => n.id === id) || null;
+  },
+
+  /**
+   * Create a note
+   * @param {Object} data - Partial note; missing fields get schema defaults
+   * @return {Object} The stored note
+   */
+  async create(data) {
+    await this.init();
+    const notes = await store.get(NOTES_KEY, []);
+    const note = normalizeNote({ ...data, createdAt: Date.now(), updatedAt: Date.now() });
+
+    notes.push(note);
+    await this._write(notes);
+    this._emit('created', { note });
+    return note;
+  },
+
+  /**
+   * Update a note
+   * @param {string} id - Note id
+   * @param {Object} changes - Top-level changes; `fields` is merged, not replaced
+   * @return {Object} The updated note
+   */
+  async update(id, changes) {
+    await this.init();
+    const notes = await store.get(NOTES_KEY, []);
+    const index = notes.findIndex(n => n.id === id);
+
+    if (index === -1) {
+      throw new Error(`Note not found: ${id}`);
+    }
+
+    const current = notes[index];
+    const note = normalizeNote({
+      ...current,
+      ...changes,
+      fields: { ...current.fields, ...changes.fields },
+      id,
+      createdAt: current.createdAt,
+      updatedAt: Date.now()
+    });
+
+    notes[index] = note;
+    await this._write(notes);
+    this._emit('updated', { note, previous: current });
+    return note;
+  },
+
+  /**
+   * Create or replace a note by id
+   */
+  async save(data) {
+    if (data.id && await this.get(data.id)) {
+      return this.update(data.id, data);
+    }
+    return this.create(data);
+  },
+
+  /**
+   * Add many notes in one write (imports)
+   * Ids and dates are kept; a note whose id is taken gets a new one
+   * @param {Array} list - Partial notes in any historic shape
+   * @return {Array} The stored notes
+   */
+  async createMany(list) {
+    await this.init();
+    const notes = await store.get(NOTES_KEY, []);
+    const ids = new Set(notes.map(n => n.id));
+    const created = [];
+
+    for (const data of list) {
+      const note = normalizeNote(data);
+      if (ids.has(note.id)) note.id = generateId();
+      ids.add(note.id);
+      notes.push(note);
+      created.push(note);
+    }
+
+    if (created.length > 0) {
+      await this._write(notes);
+      created.forEach(note => this._emit('created', { note }));
+    }
+    return created;
+  },
+
+  /**
+   * Delete a note
+   * @return {boolean} Whether a note was deleted
+   */
+  async remove(id) {
+    await this.init();
+    const notes = await store.get(NOTES_KEY, []);
+    const note = notes.find(n => n.id === id);
+    if (!note) return false;
+
+    await this._write(notes.filter(n => n.id !== id));
+    this._emit('deleted', { note });
+    return true;
+  },
+
+  /**
+   * Find notes
+   * @param {Object} criteria - { tag, conceptKey, text, source } (all optional, combined with AND)
+   */
+  async query(criteria = {}) {
+    const notes = await this.list();
+    const tag = criteria.tag ? normalizeTags([criteria.tag])[0] : null;
+    const text = criteria.text?.trim().toLowerCase();
+
+    return notes.filter(note => {
+      if (tag && !note.tags.includes(tag)) return false;
+      if (criteria.conceptKey && note.fields.conceptKey !== criteria.conceptKey) return false;
+      if (criteria.source && note.source !== criteria.source) return false;
+      if (text && !`${noteToText(note)} ${note.title} ${note.tags.join(' ')}`.toLowerCase().includes(text)) return false;
+      return true;
+    });
+  },
+
+  async findByTag(tag) {
+    return this.query({ tag });
+  },
+
+  async findByConcept(conceptKey) {
+    return this.query({ conceptKey });
+  },
+
+  /**
+   * Every tag in use with its note count, most used first
+   */
+  async getTags() {
+    const counts = {};
+    for (const note of await this.list()) {
+      for (const tag of note.tags) counts[tag] = (counts[tag] || 0) + 1;
+    }
+    return Object.entries(counts)
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count);
+  },
+
+  /**
+   * Listen for changes
+   * Events: 'created', 'updated', 'deleted' ({ note }) from this context,
+   * 'changed' ({}) when another context (panel, service worker) wrote notes
+   */
+  on(event, listener) {
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, []);
+    }
+    this._listeners.get(event).push(listener);
+    this._watchStorage();
+  },
+
+  off(event, listener) {
+    if (!this._listeners.has(event)) return;
+    const listeners = this._listeners.get(event);
+    const idx = listeners.indexOf(listener);
+    if (idx >= 0) listeners.splice(idx, 1);
+  },
+
+  _emit(event, data) {
+    if (!this._listeners.has(event)) return;
+    for (const listener of this._listeners.get(event)) {
+      try {
+        listener(data);
+      } catch (e) {
+        console.warn('[NotesRepository] Listener error:', e);
+      }
+    }
+  },
+
+  async _write(notes) {
+    if (this._watching) this._localWrites++;
+    await store.set(NOTES_KEY, notes);
+  },
+
+  /**
+   * Forward writes made in other contexts as 'changed'
+   */
+  _watchStorage() {
+    if (this._watching || !chrome.storage?.onChanged) return;
+    this._watching = true;
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'local' || !changes[NOTES_KEY]) return;
+
+      // Our own writes were already reported as created/updated/deleted
+      if (this._localWrites > 0) {
+        this._localWrites--;
+        return;
+      }
+      this._emit('changed', {});
+    });
+  }
+};
+
+export default notesRepository;
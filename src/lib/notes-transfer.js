@@ -0,0 +1,708 @@
+/**
+ * Notes Transfer - export and import notes and flashcards
+ *
+ * Formats:
+ * - markdown: Obsidian-style vault, one Markdown file per note with YAML front matter (zipped folder)
+ * - anki:     tab-separated deck from the flashcards, for Anki's File > Import
+ * - json:     full backup of notes and flashcards
+ * - csv:      one row per note, for spreadsheets
+ *
+ * Imports accept the same formats (a single .md file works too) and skip
+ * notes and cards that already exist, by id or by content.
+ */
+
+import { notesRepository, normalizeNote } from './notes-repository.js';
+import { flashcards } from './flashcards.js';
+import { detectPlatform } from './platforms/platform-registry.js';
+
+export const NOTES_EXPORT_FORMAT = 'trailnote-notes';
+export const NOTES_EXPORT_VERSION = 1;
+
+const VAULT_FOLDER = 'TrailNote';
+const ANKI_DECK = 'TrailNote';
+
+export const EXPORT_FORMATS = {
+  markdown: { label: 'Markdown vault (Obsidian)', extension: 'zip', mime: 'application/zip' },
+  anki: { label: 'Anki deck (flashcards)', extension: 'txt', mime: 'text/tab-separated-values' },
+  json: { label: 'JSON backup', extension: 'json', mime: 'application/json' },
+  csv: { label: 'CSV spreadsheet', extension: 'csv', mime: 'text/csv' }
+};
+
+const CSV_COLUMNS = ['id', 'title', 'problem', 'insight', 'self_check', 'body', 'tags', 'concept', 'platform', 'url', 'created', 'updated'];
+
+/**
+ * Build an export file
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @return {Object} { filename, blob, count }
+ */
+export async function exportData(format) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  const notes = await notesRepository.list();
+  const cards = Object.values(await flashcards.getAll());
+  const stamp = new Date().toISOString().slice(0, 10);
+  const filename = `trailnote-${format === 'anki' ? 'flashcards' : 'notes'}-${stamp}.${spec.extension}`;
+
+  let content;
+  let count = notes.length;
+
+  if (format === 'markdown') {
+    content = createZip(vaultFiles(notes));
+  } else if (format === 'anki') {
+    content = flashcardsToAnki(cards);
+    count = cards.length;
+  } else if (format === 'json') {
+    content = JSON.stringify({
+      format: NOTES_EXPORT_FORMAT,
+      version: NOTES_EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      notes,
+      flashcards: cards
+    }, null, 2);
+  } else {
+    content = notesToCSV(notes);
+  }
+
+  return { filename, blob: new Blob([content], { type: spec.mime }), count };
+}
+
+/**
+ * Import files picked by the user
+ * @param {FileList|Array<File>} files
+ * @return {Object} { notes: { added, duplicates }, flashcards: { added, duplicates }, errors }
+ */
+export async function importFiles(files) {
+  const parsed = { notes: [], flashcards: [] };
+  const errors = [];
+
+  for (const file of Array.from(files)) {
+    try {
+      const result = await parseFile(file);
+      parsed.notes.push(...result.notes);
+      parsed.flashcards.push(...result.flashcards);
+    } catch (error) {
+      errors.push(`${file.name}: ${error.message}`);
+    }
+  }
+
+  const summary = await importData(parsed);
+  return { ...summary, errors };
+}
+
+/**
+ * Work out the format of one file and parse it
+ * @return {Object} { notes, flashcards }
+ */
+export async function parseFile(file) {
+  const name = file.name.toLowerCase();
+
+  if (name.endsWith('.zip')) {
+    const entries = await readZip(await file.arrayBuffer());
+    const notes = entries
+      .filter(entry => /\.(md|markdown)$/i.test(entry.name))
+      .map(entry => parseMarkdownNote(entry.text, entry.name));
+    return { notes, flashcards: [] };
+  }
+
+  const text = await file.text();
+
+  if (/\.(md|markdown)$/.test(name)) {
+    return { notes: [parseMarkdownNote(text, file.name)], flashcards: [] };
+  }
+  if (name.endsWith('.json')) {
+    return parseJSONExport(text);
+  }
+  if (name.endsWith('.csv')) {
+    return { notes: parseNotesCSV(text), flashcards: [] };
+  }
+  if (name.endsWith('.txt') || name.endsWith('.tsv')) {
+    return { notes: [], flashcards: parseAnki(text) };
+  }
+
+  throw new Error('Unsupported file type (use .zip, .md, .json, .csv, .txt or .tsv)');
+}
+
+/**
+ * Store parsed notes and cards, skipping ones that already exist
+ */
+export async function importData({ notes = [], flashcards: cards = [] }) {
+  const existingNotes = await notesRepository.list();
+  const noteIds = new Set(existingNotes.map(n => n.id));
+  const noteKeys = new Set(existingNotes.map(noteFingerprint));
+
+  const newNotes = [];
+  for (const raw of notes) {
+    const note = normalizeNote(raw);
+    const key = noteFingerprint(note);
+    if ((raw.id && noteIds.has(raw.id)) || noteKeys.has(key)) continue;
+    noteIds.add(note.id);
+    noteKeys.add(key);
+    newNotes.push(note);
+  }
+
+  const existingCards = Object.values(await flashcards.getAll());
+  const cardIds = new Set(existingCards.map(c => c.id));
+  const cardKeys = new Set(existingCards.map(cardFingerprint));
+
+  const newCards = [];
+  for (const card of cards) {
+    if (!card?.front) continue;
+    const key = cardFingerprint(card);
+    if ((card.id && cardIds.has(card.id)) || cardKeys.has(key)) continue;
+    if (card.id) cardIds.add(card.id);
+    cardKeys.add(key);
+    newCards.push(card);
+  }
+
+  const addedNotes = await notesRepository.createMany(newNotes);
+  const addedCards = await flashcards.importCards(newCards);
+
+  console.log(`[NotesTransfer] Imported ${addedNotes.length} notes and ${addedCards.length} flashcards`);
+
+  return {
+    notes: { added: addedNotes.length, duplicates: notes.length - addedNotes.length },
+    flashcards: { added: addedCards.length, duplicates: cards.length - addedCards.length }
+  };
+}
+
+function normalizeForCompare(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function noteFingerprint(note) {
+  const fields = note.fields || {};
+  return [fields.problem, fields.insight, note.body].map(normalizeForCompare).join('|');
+}
+
+function cardFingerprint(card) {
+  return `${normalizeForCompare(card.front)}|${normalizeForCompare(card.back)}`;
+}
+
+// --- Markdown vault ---
+
+/**
+ * One Markdown file per note, named after the note
+ */
+function vaultFiles(notes) {
+  const used = new Set();
+
+  return notes.map(note => {
+    const base = slugify(note.fields.problem || note.title) || 'note';
+    let name = base;
+    for (let i = 2; used.has(name); i++) name = `${base}-${i}`;
+    used.add(name);
+    return { name: `${VAULT_FOLDER}/${name}.md`, content: noteToMarkdown(note) };
+  });
+}
+
+function slugify(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, 60);
+}
+
+/**
+ * A note as Markdown with YAML front matter
+ */
+export function noteToMarkdown(note) {
+  const fields = note.fields || {};
+  const frontMatter = {
+    id: note.id,
+    title: note.title,
+    concept: fields.conceptKey || '',
+    platform: detectPlatform(note.url)?.displayName || '',
+    url: note.url,
+    tags: (note.tags || []).map(t => t.replace(/^#/, '')),
+    source: note.source,
+    created: new Date(note.createdAt).toISOString(),
+    updated: new Date(note.updatedAt || note.createdAt).toISOString()
+  };
+
+  const sections = [`# ${fields.problem || note.title}`];
+  if (fields.insight) sections.push(`## Insight\n\n${fields.insight}`);
+  if (fields.selfCheck) sections.push(`## Self-check\n\n${fields.selfCheck}`);
+  if (note.body) sections.push(`## Notes\n\n${note.body}`);
+
+  return `---\n${toYAML(frontMatter)}---\n\n${sections.join('\n\n')}\n`;
+}
+
+/**
+ * Read a note back from Markdown (ours or any file with a # heading)
+ */
+export function parseMarkdownNote(text, filename = '') {
+  const { data, content } = splitFrontMatter(text);
+
+  const heading = content.match(/^#\s+(.+)$/m);
+  const sections = {};
+  let current = 'body';
+  const lines = heading ? content.slice(heading.index + heading[0].length).split('\n') : content.split('\n');
+
+  for (const line of lines) {
+    const section = line.match(/^##\s+(.+?)\s*$/);
+    if (section) {
+      const title = section[1].toLowerCase();
+      current = title === 'insight' ? 'insight' : title === 'self-check' ? 'selfCheck' : title === 'notes' ? 'body' : null;
+      if (current) continue;
+      current = 'body';
+    }
+    sections[current] = `${sections[current] || ''}${line}\n`;
+  }
+
+  const problem = heading ? heading[1].trim() : '';
+  const fallbackTitle = filename.split('/').pop().replace(/\.(md|markdown)$/i, '');
+
+  return {
+    id: data.id || undefined,
+    title: data.title || problem || fallbackTitle,
+    url: data.url || '',
+    body: (sections.body || '').trim(),
+    tags: toList(data.tags),
+    fields: {
+      problem,
+      insight: (sections.insight || '').trim(),
+      selfCheck: (sections.selfCheck || '').trim(),
+      conceptKey: data.concept || null
+    },
+    source: data.source || 'user',
+    createdAt: parseDate(data.created),
+    updatedAt: parseDate(data.updated)
+  };
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  return value ? String(value).split(/[\s,]+/) : [];
+}
+
+function parseDate(value) {
+  const time = value ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? undefined : time;
+}
+
+/**
+ * Just enough YAML for front matter: scalars and lists of scalars
+ */
+function toYAML(data) {
+  const scalar = (value) => /^[\w./:@ -]*$/.test(value) && !/^[\s-]|:\s|\s$/.test(value) && value !== ''
+    ? value
+    : JSON.stringify(String(value));
+
+  return Object.entries(data)
+    .map(([key, value]) => Array.isArray(value)
+      ? `${key}: [${value.map(scalar).join(', ')}]`
+      : `${key}: ${scalar(value ?? '')}`)
+    .join('\n') + '\n';
+}
+
+function splitFrontMatter(text) {
+  const match = String(text).replace(/^\uFEFF/, '').match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) return { data: {}, content: String(text) };
+
+  const data = {};
+  let listKey = null;
+
+  for (const line of match[1].split(/\r?\n/)) {
+    const item = line.match(/^\s+-\s+(.*)$/);
+    if (item && listKey) {
+      data[listKey].push(parseYAMLScalar(item[1]));
+      continue;
+    }
+
+    const pair = line.match(/^([\w-]+):\s*(.*)$/);
+    if (!pair) continue;
+
+    const [, key, value] = pair;
+    listKey = null;
+    if (value === '') {
+      data[key] = [];
+      listKey = key;
+    } else if (value.startsWith('[') && value.endsWith(']')) {
+      data[key] = splitInlineList(value.slice(1, -1)).map(parseYAMLScalar);
+    } else {
+      data[key] = parseYAMLScalar(value);
+    }
+  }
+
+  return { data, content: text.slice(match[0].length) };
+}
+
+function splitInlineList(text) {
+  return (text.match(/"(?:[^"\\]|\\.)*"|'[^']*'|[^,]+/g) || [])
+    .map(part => part.trim())
+    .filter(Boolean);
+}
+
+function parseYAMLScalar(value) {
+  const trimmed = value.trim();
+  if (trimmed.startsWith('"')) {
+    try {
+      return JSON.parse(trimmed);
+    } catch (_) {
+      return trimmed.slice(1, -1);
+    }
+  }
+  if (trimmed.startsWith("'") && trimmed.endsWith("'")) {
+    return trimmed.slice(1, -1).replace(/''/g, "'");
+  }
+  return trimmed;
+}
+
+// --- Anki ---
+
+/**
+ * Tab-separated deck with Anki's import headers (front, back, tags)
+ */
+export function flashcardsToAnki(cards) {
+  const header = [
+    '#separator:tab',
+    '#html:true',
+    `#deck:${ANKI_DECK}`,
+    '#tags column:3'
+  ];
+
+  const rows = cards.map(card => [
+    toAnkiHTML(card.front),
+    toAnkiHTML(card.back),
+    (card.tags || []).map(t => t.replace(/^#/, '').replace(/\s+/g, '_')).join(' ')
+  ].join('\t'));
+
+  return `${[...header, ...rows].join('\n')}\n`;
+}
+
+function toAnkiHTML(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\t/g, ' ')
+    .replace(/\r?\n/g, '<br>');
+}
+
+function fromAnkiHTML(text) {
+  return String(text || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Cards from an Anki text export (or our own deck file)
+ */
+export function parseAnki(text) {
+  let separator = '\t';
+  let html = false;
+  let tagsColumn = null;
+  const cards = [];
+
+  for (const line of String(text).split(/\r?\n/)) {
+    const directive = line.match(/^#([\w ]+):(.*)$/);
+    if (directive) {
+      const [, key, value] = directive;
+      if (key === 'separator') separator = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', space: ' ' }[value.trim()] || value;
+      if (key === 'html') html = value.trim() === 'true';
+      if (key === 'tags column') tagsColumn = parseInt(value, 10) - 1;
+      continue;
+    }
+    if (!line.trim()) continue;
+
+    const columns = line.split(separator);
+    const clean = html ? fromAnkiHTML : (v) => v;
+    const front = clean(columns[0] || '').trim();
+    if (!front) continue;
+
+    const tags = tagsColumn !== null && columns[tagsColumn]
+      ? columns[tagsColumn].trim().split(/\s+/).filter(Boolean).map(t => `#${t.toLowerCase()}`)
+      : [];
+
+    cards.push({ front, back: clean(columns[1] || '').trim(), tags });
+  }
+
+  return cards;
+}
+
+// --- JSON ---
+
+function parseJSONExport(text) {
+  const data = JSON.parse(text);
+
+  // A bare list of notes also works
+  if (Array.isArray(data)) {
+    return { notes: data, flashcards: [] };
+  }
+  if (data?.format !== NOTES_EXPORT_FORMAT) {
+    throw new Error('Not a TrailNote notes export');
+  }
+  if (data.version > NOTES_EXPORT_VERSION) {
+    throw new Error(`Made by a newer version (v${data.version}). Update the extension to import it.`);
+  }
+
+  return {
+    notes: Array.isArray(data.notes) ? data.notes : [],
+    flashcards: Array.isArray(data.flashcards) ? data.flashcards : Object.values(data.flashcards || {})
+  };
+}
+
+// --- CSV ---
+
+export function notesToCSV(notes) {
+  const rows = notes.map(note => [
+    note.id,
+    note.title,
+    note.fields.problem,
+    note.fields.insight,
+    note.fields.selfCheck,
+    note.body,
+    note.tags.join(' '),
+    note.fields.conceptKey || '',
+    detectPlatform(note.url)?.displayName || '',
+    note.url,
+    new Date(note.createdAt).toISOString(),
+    new Date(note.updatedAt || note.createdAt).toISOString()
+  ]);
+
+  return [CSV_COLUMNS, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function csvCell(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * RFC 4180 rows (quoted cells may contain commas, quotes and newlines)
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(c => c.trim()));
+}
+
+function parseNotesCSV(text) {
+  const [header, ...rows] = parseCSV(text);
+  if (!header) return [];
+
+  const columns = header.map(h => h.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+  const value = (row, name) => {
+    const index = columns.indexOf(name);
+    return index >= 0 ? (row[index] || '').trim() : '';
+  };
+
+  if (!columns.includes('insight') && !columns.includes('body') && !columns.includes('problem')) {
+    throw new Error('CSV needs at least a problem, insight or body column');
+  }
+
+  return rows.map(row => ({
+    id: value(row, 'id') || undefined,
+    title: value(row, 'title'),
+    url: value(row, 'url'),
+    body: value(row, 'body'),
+    tags: value(row, 'tags'),
+    fields: {
+      problem: value(row, 'problem'),
+      insight: value(row, 'insight'),
+      selfCheck: value(row, 'self_check'),
+      conceptKey: value(row, 'concept') || null
+    },
+    createdAt: parseDate(value(row, 'created')),
+    updatedAt: parseDate(value(row, 'updated'))
+  }));
+}
+
+// --- Zip (stored entries out; stored or deflated entries in) ---
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * @param {Array} files - [{ name, content }] with string content
+ * @return {Uint8Array}
+ */
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true);      // Stored
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    locals.push(new Uint8Array(local.buffer), name, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centrals.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...locals, ...centrals, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  for (const part of parts) {
+    zip.set(part, position);
+    position += part.length;
+  }
+  return zip;
+}
+
+/**
+ * @param {ArrayBuffer} buffer
+ * @return {Array} [{ name, text }]
+ */
+async function readZip(buffer) {
+  const view = new DataView(buffer);
+  const decoder = new TextDecoder();
+
+  let endOffset = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset < 0) {
+    throw new Error('Not a zip file');
+  }
+
+  const count = view.getUint16(endOffset + 10, true);
+  let pointer = view.getUint32(endOffset + 16, true);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(pointer, true) !== 0x02014b50) break;
+
+    const method = view.getUint16(pointer + 10, true);
+    const compressedSize = view.getUint32(pointer + 20, true);
+    const nameLength = view.getUint16(pointer + 28, true);
+    const extraLength = view.getUint16(pointer + 30, true);
+    const commentLength = view.getUint16(pointer + 32, true);
+    const localOffset = view.getUint32(pointer + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, pointer + 46, nameLength));
+    pointer += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const raw = new Uint8Array(buffer, dataStart, compressedSize);
+
+    let bytes;
+    if (method === 0) {
+      bytes = raw;
+    } else if (method === 8) {
+      const stream = new Blob([raw]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    } else {
+      console.warn(`[NotesTransfer] Skipping ${name}: unsupported compression`);
+      continue;
+    }
+
+    entries.push({ name, text: decoder.decode(bytes) });
+  }
+
+  return entries;
+}
+
+export default {
+  EXPORT_FORMATS,
+  exportData,
+  importFiles,
+  importData,
+  parseFile,
+  noteToMarkdown,
+  parseMarkdownNote,
+  flashcardsToAnki,
+  parseAnki,
+  notesToCSV,
+  parseCSV
+};
@@ -13,12 +13,15 @@
  */
 
 import { store } from './storage.js';
+import { engineDb } from './engine-db.js';
 
 // Storage keys
 const GRAPH_STATE_KEY = 'orchestration_graph_state';
-const GRAPH_CHECKPOINTS_KEY = 'orchestration_graph_checkpoints';
 const GRAPH_MEMORIES_KEY = 'orchestration_graph_memories';
 
+// IndexedDB object store (engine-db.js)
+const CHECKPOINTS_STORE = 'graph_checkpoints';
+
 /**
  * Default initial state for the learning orchestration
  */
@@ -72,20 +75,20 @@ export class MemoryCheckpointer {
    * @param {Object} metadata - Optional metadata (node name, timestamp, etc.)
    */
   async save(threadId, state, metadata = {}) {
-    const checkpoints = await store.get(GRAPH_CHECKPOINTS_KEY, {});
     const checkpointId = `checkpoint_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const timestamp = Date.now();
     
-    checkpoints[threadId] = checkpoints[threadId] || {};
-    checkpoints[threadId][checkpointId] = {
+    await engineDb.put(CHECKPOINTS_STORE, {
+      id: checkpointId,
+      threadId,
       state: JSON.parse(JSON.stringify(state)), // Deep clone
       metadata: {
         ...metadata,
-        timestamp: Date.now(),
+        timestamp,
         namespace: this.namespace
-      }
-    };
-    
-    await store.set(GRAPH_CHECKPOINTS_KEY, checkpoints);
+      },
+      timestamp
+    });
     return checkpointId;
   }
 
@@ -95,23 +98,14 @@ export class MemoryCheckpointer {
    * @returns {Object|null} Checkpointed state or null if none exists
    */
   async load(threadId) {
-    const checkpoints = await store.get(GRAPH_CHECKPOINTS_KEY, {});
+    const checkpoints = await this._threadCheckpoints(threadId);
     
-    if (!checkpoints[threadId]) return null;
+    if (checkpoints.length === 0) return null;
     
     // Get the most recent checkpoint
-    const threadCheckpoints = checkpoints[threadId];
-    const checkpointIds = Object.keys(threadCheckpoints).sort((a, b) => {
-      const timeA = threadCheckpoints[a].metadata.timestamp;
-      const timeB = threadCheckpoints[b].metadata.timestamp;
-      return timeB - timeA; // Descending order
-    });
-    
-    if (checkpointIds.length === 0) return null;
-    
-    const latestCheckpoint = threadCheckpoints[checkpointIds[0]];
+    const latestCheckpoint = checkpoints[0];
     return {
-      checkpointId: checkpointIds[0],
+      checkpointId: latestCheckpoint.id,
       state: latestCheckpoint.state,
       metadata: latestCheckpoint.metadata
     };
@@ -123,15 +117,13 @@ export class MemoryCheckpointer {
    * @returns {Array} Array of checkpoint info objects
    */
   async list(threadId) {
-    const checkpoints = await store.get(GRAPH_CHECKPOINTS_KEY, {});
+    const checkpoints = await this._threadCheckpoints(threadId);
     
-    if (!checkpoints[threadId]) return [];
-    
-    return Object.entries(checkpoints[threadId]).map(([id, data]) => ({
-      checkpointId: id,
-      timestamp: data.metadata.timestamp,
-      nodeName: data.metadata.nodeName,
-      state: data.state
+    return checkpoints.map(checkpoint => ({
+      checkpointId: checkpoint.id,
+      timestamp: checkpoint.timestamp,
+      nodeName: checkpoint.metadata.nodeName,
+      state: checkpoint.state
     }));
   }
 
@@ -140,13 +132,22 @@ export class MemoryCheckpointer {
    * @param {string|null} threadId - Thread to clear, or null for all
    */
   async clear(threadId = null) {
-    if (threadId) {
-      const checkpoints = await store.get(GRAPH_CHECKPOINTS_KEY, {});
-      delete checkpoints[threadId];
-      await store.set(GRAPH_CHECKPOINTS_KEY, checkpoints);
-    } else {
-      await store.set(GRAPH_CHECKPOINTS_KEY, {});
-    }
+    await engineDb.transaction(CHECKPOINTS_STORE, async (tx) => {
+      if (!threadId) {
+        await tx.clear(CHECKPOINTS_STORE);
+        return;
+      }
+      const checkpoints = await tx.getAll(CHECKPOINTS_STORE, { index: 'threadId', value: threadId });
+      await Promise.all(checkpoints.map(checkpoint => tx.delete(CHECKPOINTS_STORE, checkpoint.id)));
+    });
+  }
+
+  /**
+   * A thread's checkpoints, newest first
+   */
+  async _threadCheckpoints(threadId) {
+    const checkpoints = await engineDb.getAll(CHECKPOINTS_STORE, { index: 'threadId', value: threadId });
+    return checkpoints.sort((a, b) => b.timestamp - a.timestamp);
   }
 }
 
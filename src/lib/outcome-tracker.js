@@ -3,12 +3,18 @@
 // Requires explicit user opt-in
 
 import { store } from './storage.js';
-import { createHash } from './utils.js';
+import { createHash, diffLines } from './utils.js';
 
 // Outcome tracking constants
 const OUTCOME_STORE_KEY = 'outcome_metrics';
 const OUTCOME_CONSENT_KEY = 'improve_bunji_enabled';
 const SESSION_START_KEY = 'session_start_time';
+const CODE_SNAPSHOT_KEY = 'hint_code_snapshots';
+
+// Code-after-hint limits
+const MAX_PENDING_SNAPSHOTS = 10;
+const MAX_SNAPSHOT_AGE_MS = 60 * 60 * 1000;  // A hint with no attempt within the hour loses its snapshot
+const MAX_DIFF_LINES = 40;
 
 // Default outcome metrics object structure
 const DEFAULT_OUTCOMES = {
@@ -92,6 +98,8 @@ export const outcomeTracker = {
       conceptKey,
       hintVersion,
       hintMode: mode,
+      provider: hintObj?.provider || null,
+      model: hintObj?.model || null,
       sessionId: await store.get(SESSION_START_KEY, null),
       timeToPass: null,
       wasPassed: false,
@@ -112,16 +120,21 @@ export const outcomeTracker = {
     }
     
     await this._saveOutcomes(outcomes);
-    console.log('[HintHopper] Hint delivery tracked:', {testFingerprint, conceptKey, mode});
+    console.log('[HintHopper] Hint delivery tracked:', {testFingerprint, conceptKey, mode, provider: hintRecord.provider});
+    
+    // Keep the code as it was, to compare with the learner's next attempt
+    await this._saveCodeSnapshot(hintRecord.timestamp, context?.userCode, hintObj?.steps);
     
     // Return the hint ID so it can be referenced when checking for a pass
     return hintRecord.timestamp;
   },
   
-  // Track a test was passed after hint
-  async trackTestPass(hintId) {
+  // Track a test was passed after hint.
+  // Every passing test is listed on the hint; only the first one counts as the hint's outcome.
+  // Returns { firstPass, timeToPass } or null when tracking is off or the hint is unknown
+  async trackTestPass(hintId, test = null) {
     const isEnabled = await this.isEnabled();
-    if (!isEnabled) return;
+    if (!isEnabled) return null;
     
     const outcomes = await this._getOutcomes();
     const hintIndex = outcomes.hints.findIndex(h => h.timestamp === hintId);
@@ -129,6 +142,20 @@ export const outcomeTracker = {
     if (hintIndex >= 0) {
       const hint = outcomes.hints[hintIndex];
       const now = Date.now();
+      
+      // Test ids only - test text stays out of outcome data
+      if (test?.id) {
+        hint.passedTests = hint.passedTests || [];
+        if (!hint.passedTests.some(t => t.id === test.id)) {
+          hint.passedTests.push({ id: test.id, at: now });
+        }
+      }
+      
+      if (hint.wasPassed) {
+        await this._saveOutcomes(outcomes);
+        return { firstPass: false, timeToPass: hint.timeToPass };
+      }
+      
       const timeToPass = Math.round((now - hint.timestamp) / (1000 * 60)); // minutes
       
       // Update hint with pass data
@@ -168,7 +195,77 @@ export const outcomeTracker = {
           hub.onOutcome(hintId, 'passed', timeToPass, hint.conceptKey).catch(() => {});
         }).catch(() => {});
       }
+      return { firstPass: true, timeToPass };
     }
+    return null;
+  },
+  
+  // Compare the code at the learner's first test run or pass after a hint with the code
+  // when the hint was given. Stored on the hint as `codeChange`; only the first attempt counts.
+  // Returns the codeChange or null when tracking is off or there is no snapshot for the hint
+  async trackCodeAfterHint(hintId, code, trigger = 'test_run') {
+    const snapshots = await store.get(CODE_SNAPSHOT_KEY, {});
+    const snapshot = snapshots[hintId];
+    const expired = this._pruneSnapshots(snapshots);
+    if (snapshot) delete snapshots[hintId];
+    if (snapshot || expired > 0) {
+      await store.set(CODE_SNAPSHOT_KEY, snapshots);
+    }
+    
+    const isEnabled = await this.isEnabled();
+    if (!isEnabled || !snapshot || this._isExpired(hintId, snapshot)) return null;
+    
+    const outcomes = await this._getOutcomes();
+    const hint = outcomes.hints.find(h => h.timestamp === hintId);
+    if (!hint || hint.codeChange) return null;
+    
+    const changes = diffLines(snapshot.code, (code || '').trim());
+    const { pedagogicalEngine } = await import('./pedagogical-engine.js');
+    const followThrough = pedagogicalEngine.assessHintFollowThrough(snapshot.steps, changes);
+    
+    hint.codeChange = {
+      trigger,
+      at: Date.now(),
+      linesAdded: changes.filter(c => c.op === '+').length,
+      linesRemoved: changes.filter(c => c.op === '-').length,
+      diff: changes.slice(0, MAX_DIFF_LINES),
+      truncated: changes.length > MAX_DIFF_LINES,
+      followedSteps: followThrough.verdict,
+      stepScore: followThrough.score
+    };
+    
+    await this._saveOutcomes(outcomes);
+    console.log('[HintHopper] Code after hint tracked:', {
+      hintId,
+      trigger,
+      linesAdded: hint.codeChange.linesAdded,
+      linesRemoved: hint.codeChange.linesRemoved,
+      followedSteps: followThrough.verdict
+    });
+    return hint.codeChange;
+  },
+  
+  // Recent code changes after hints, grouped by concept (newest first)
+  async getCodeChangesByConcept(limitPerConcept = 3) {
+    const outcomes = await this._getOutcomes();
+    if (!outcomes.optIn) return {};
+    
+    const byConcept = {};
+    for (const hint of outcomes.hints) {
+      if (!hint.codeChange) continue;
+      const key = hint.conceptKey || 'unknown';
+      (byConcept[key] = byConcept[key] || []).push({
+        hintId: hint.timestamp,
+        hintMode: hint.hintMode,
+        wasPassed: hint.wasPassed,
+        ...hint.codeChange
+      });
+    }
+    
+    for (const key of Object.keys(byConcept)) {
+      byConcept[key] = byConcept[key].sort((a, b) => b.at - a.at).slice(0, limitPerConcept);
+    }
+    return byConcept;
   },
   
   // Get effectiveness statistics for a concept
@@ -234,9 +331,10 @@ export const outcomeTracker = {
   
   /**
    * Get statistics for all concepts
+   * @param {Object} options - { provider } to only count hints answered by one LLM provider
    * @return {Object} Map of concept keys to their statistics
    */
-  async getAllConceptStats() {
+  async getAllConceptStats(options = {}) {
     const outcomes = await this._getOutcomes();
     
     // If no consent, return empty stats
@@ -244,15 +342,37 @@ export const outcomeTracker = {
       return {};
     }
     
-    // Group hints by concept
-    const conceptMap = {};
+    const hints = options.provider
+      ? outcomes.hints.filter(h => h.provider === options.provider)
+      : outcomes.hints;
     
-    for (const hint of outcomes.hints) {
-      const conceptKey = hint.conceptKey || 'unknown';
+    return this._aggregateHints(hints, hint => hint.conceptKey || 'unknown');
+  },
+  
+  /**
+   * Get statistics per LLM provider, so hint quality can be compared across providers
+   * Hints recorded before provider tracking are grouped under 'unknown'
+   * @return {Object} Map of provider ids to their statistics
+   */
+  async getProviderStats() {
+    const outcomes = await this._getOutcomes();
+    
+    if (!outcomes.optIn) {
+      return {};
+    }
+    
+    return this._aggregateHints(outcomes.hints, hint => hint.provider || 'unknown');
+  },
+  
+  // Private: Group hints by key and compute pass statistics for each group
+  _aggregateHints(hints, getKey) {
+    const groups = {};
+    
+    for (const hint of hints) {
+      const key = getKey(hint);
       
-      if (!conceptMap[conceptKey]) {
-        conceptMap[conceptKey] = {
-          hints: [],
+      if (!groups[key]) {
+        groups[key] = {
           totalHints: 0,
           passedHints: 0,
           passedWithin10Min: 0,
@@ -261,44 +381,40 @@ export const outcomeTracker = {
         };
       }
       
-      conceptMap[conceptKey].hints.push(hint);
-      conceptMap[conceptKey].totalHints++;
+      const group = groups[key];
+      group.totalHints++;
       
       if (hint.wasPassed) {
-        conceptMap[conceptKey].passedHints++;
+        group.passedHints++;
         
         // Calculate time to pass
         if (hint.passTimestamp && hint.timestamp) {
           const timeToPass = (hint.passTimestamp - hint.timestamp) / (60 * 1000); // minutes
-          conceptMap[conceptKey].timeToPassSum += timeToPass;
-          conceptMap[conceptKey].timeToPassCount++;
+          group.timeToPassSum += timeToPass;
+          group.timeToPassCount++;
           
           if (timeToPass <= 10) {
-            conceptMap[conceptKey].passedWithin10Min++;
+            group.passedWithin10Min++;
           }
         }
       }
     }
     
-    // Calculate stats for each concept
-    const conceptStats = {};
+    // Calculate stats for each group
+    const stats = {};
     
-    for (const [conceptKey, data] of Object.entries(conceptMap)) {
-      const passRate = data.totalHints > 0 ? data.passedHints / data.totalHints : 0;
-      const passWithin10Rate = data.totalHints > 0 ? data.passedWithin10Min / data.totalHints : 0;
-      const avgTimeToPass = data.timeToPassCount > 0 ? data.timeToPassSum / data.timeToPassCount : null;
-      
-      conceptStats[conceptKey] = {
+    for (const [key, data] of Object.entries(groups)) {
+      stats[key] = {
         totalHints: data.totalHints,
         passedHints: data.passedHints,
         passedWithin10Min: data.passedWithin10Min,
-        passRate,
-        passWithin10Rate,
-        avgTimeToPass
+        passRate: data.totalHints > 0 ? data.passedHints / data.totalHints : 0,
+        passWithin10Rate: data.totalHints > 0 ? data.passedWithin10Min / data.totalHints : 0,
+        avgTimeToPass: data.timeToPassCount > 0 ? data.timeToPassSum / data.timeToPassCount : null
       };
     }
     
-    return conceptStats;
+    return stats;
   },
   
   // Private: Get current outcome metrics
@@ -313,6 +429,38 @@ export const outcomeTracker = {
     return await store.set(OUTCOME_STORE_KEY, outcomes);
   },
   
+  // Private: Remember the code a hint was given for; only the latest few hints, for an hour, are kept
+  async _saveCodeSnapshot(hintId, code, steps) {
+    const snapshots = await store.get(CODE_SNAPSHOT_KEY, {});
+    snapshots[hintId] = {
+      code: (code || '').trim(),
+      steps: Array.isArray(steps) ? steps : [],
+      takenAt: Date.now()
+    };
+    
+    this._pruneSnapshots(snapshots);
+    await store.set(CODE_SNAPSHOT_KEY, snapshots);
+  },
+  
+  // Private: Drop expired snapshots and all but the newest MAX_PENDING_SNAPSHOTS; returns how many went
+  _pruneSnapshots(snapshots) {
+    const ids = Object.keys(snapshots).sort((a, b) => Number(a) - Number(b));
+    const expired = ids.filter(id => this._isExpired(id, snapshots[id]));
+    const live = ids.filter(id => !expired.includes(id));
+    const dropped = [...expired, ...live.slice(0, Math.max(0, live.length - MAX_PENDING_SNAPSHOTS))];
+    
+    for (const id of dropped) {
+      delete snapshots[id];
+    }
+    return dropped.length;
+  },
+  
+  // Private: Snapshots saved before takenAt existed are dated by their hint id (the hint's timestamp)
+  _isExpired(hintId, snapshot) {
+    const takenAt = snapshot?.takenAt ?? Number(hintId);
+    return !(Date.now() - takenAt < MAX_SNAPSHOT_AGE_MS);
+  },
+  
   // Private: Create a fingerprint for a failing test
   _createTestFingerprint(context) {
     // Use only the first failing test for fingerprinting
@@ -352,11 +500,13 @@ export const outcomeTracker = {
       dataCollected: isEnabled ? [
         'Anonymous test fingerprints (never the full test)',
         'Concept identifiers',
+        'Which LLM provider and model answered each hint',
         'Time between hint and pass/fail',
+        'A copy of your code when each hint is shown, kept on this device for up to an hour until your next test run',
+        'Up to 40 lines of code you changed after each hint, kept on this device for the Analytics view',
         'Session durations',
       ] : [],
       notCollected: [
-        'Your code',
         'Your personal information',
         'Your browsing history'
       ]
@@ -366,6 +516,7 @@ export const outcomeTracker = {
   // Clear all collected outcome data
   async clearAllData() {
     await store.set(OUTCOME_STORE_KEY, DEFAULT_OUTCOMES);
+    await store.set(CODE_SNAPSHOT_KEY, {});
     console.log('[HintHopper] All outcome data cleared');
     return true;
   }
@@ -11,15 +11,19 @@
  */
 
 import { store } from './storage.js';
+import { engineDb } from './engine-db.js';
 import { BKTEngine, bktEngine } from './bkt-engine.js';
 import { TrailNoteGraph } from './orchestration-graph.js';
+import { analyzeCode } from './code-analysis.js';
 
 // Storage keys
 const MISCONCEPTION_GRAPH_KEY = 'misconception_graph';
-const INTERVENTION_EFFECTIVENESS_KEY = 'intervention_effectiveness';
 const PEDAGOGICAL_PATTERNS_KEY = 'pedagogical_patterns';
 const AGGREGATE_PATTERNS_KEY = 'aggregate_patterns';
 
+// IndexedDB object store (engine-db.js)
+const EFFECTIVENESS_STORE = 'intervention_effectiveness';
+
 /**
  * Misconception types for HTML/CSS learning
  * Based on common learner errors in freeCodeCamp curriculum
@@ -245,6 +249,22 @@ class InterventionRecord {
   }
 }
 
+/**
+ * Intervention record as an intervention_effectiveness row (key is 'type:style')
+ */
+function interventionRow(key, record) {
+  return {
+    id: key,
+    misconceptionType: record.misconceptionType,
+    interventionStyle: record.interventionStyle,
+    totalUses: record.totalUses,
+    successes: record.successes,
+    avgTimeToResolution: record.avgTimeToResolution,
+    userSatisfaction: record.userSatisfaction,
+    lastUsed: record.lastUsed
+  };
+}
+
 /**
  * Pedagogical Engine
  * Core intelligence layer for misconception detection and intervention mapping
@@ -279,12 +299,11 @@ export class PedagogicalEngine {
     }
     
     // Load intervention effectiveness
-    const storedEffectiveness = await store.get(INTERVENTION_EFFECTIVENESS_KEY, {});
-    for (const [key, data] of Object.entries(storedEffectiveness)) {
-      const [type, style] = key.split(':');
+    for (const { id, ...data } of await engineDb.getAll(EFFECTIVENESS_STORE)) {
+      const [type, style] = id.split(':');
       const record = new InterventionRecord(type, style);
       Object.assign(record, data);
-      this.interventionEffectiveness.set(key, record);
+      this.interventionEffectiveness.set(id, record);
     }
     
     // Load aggregate patterns
@@ -320,21 +339,30 @@ export class PedagogicalEngine {
   async analyzeMisconception(struggleData, conceptId, context = {}) {
     const { struggleLevel, actions, timeSpent, testFailures } = struggleData;
     
+    // Static analysis of the learner's code (code-analysis.js)
+    const codeAnalysis = analyzeCode(context.userCode, context.codeLanguage);
+    
     // Extract indicators from struggle data
-    const indicators = this._extractIndicators(struggleData, context);
+    const indicators = this._extractIndicators(struggleData, context, codeAnalysis);
+    const evidenced = new Set(codeAnalysis.indicators);
     
     // Match indicators to misconception types
     const matches = [];
     
     for (const [typeId, node] of this.misconceptionGraph) {
-      const matchScore = this._calculateMatchScore(indicators, node.indicators, conceptId, node.associatedConcepts);
+      const matchedIndicators = indicators.filter(i => node.indicators.includes(i));
+      let matchScore = this._calculateMatchScore(indicators, node.indicators, conceptId, node.associatedConcepts);
+      // Indicators found in the code itself are stronger than ones guessed from test text
+      if (matchedIndicators.some(i => evidenced.has(i))) {
+        matchScore = Math.min(1, matchScore + 0.2);
+      }
       
       if (matchScore > 0.3) { // Minimum threshold
         matches.push({
           type: typeId,
           confidence: matchScore,
           node,
-          matchedIndicators: indicators.filter(i => node.indicators.includes(i))
+          matchedIndicators
         });
       }
     }
@@ -356,6 +384,7 @@ export class PedagogicalEngine {
       misconceptionType: bestMatch.type,
       confidence: bestMatch.confidence,
       indicators: bestMatch.matchedIndicators,
+      evidence: codeAnalysis.evidence.filter(e => bestMatch.matchedIndicators.includes(e.indicator)),
       alternativeTypes: matches.slice(1, 3).map(m => ({ type: m.type, confidence: m.confidence })),
       recommendedInterventions: await this._getInterventionRecommendations(bestMatch.type)
     };
@@ -363,8 +392,9 @@ export class PedagogicalEngine {
 
   /**
    * Extract misconception indicators from struggle data
+   * @param {Object} codeAnalysis - analyzeCode() result for context.userCode
    */
-  _extractIndicators(struggleData, context) {
+  _extractIndicators(struggleData, context, codeAnalysis = null) {
     const indicators = [];
     const { actions, testFailures, userCode } = context;
     
@@ -389,19 +419,9 @@ export class PedagogicalEngine {
       }
     }
     
-    // From user code patterns
+    // From the code itself
     if (userCode) {
-      const codeLower = userCode.toLowerCase();
-      
-      if (codeLower.includes('<div>') && !codeLower.includes('<section>') && !codeLower.includes('<article>')) {
-        indicators.push('div_everything');
-      }
-      if (codeLower.match(/<a[^>]*>/) && !codeLower.match(/href\s*=/)) {
-        indicators.push('missing_href');
-      }
-      if (codeLower.match(/<img[^>]*>/) && !codeLower.match(/alt\s*=/)) {
-        indicators.push('accessibility_ignore');
-      }
+      indicators.push(...(codeAnalysis || analyzeCode(userCode, context.codeLanguage)).indicators);
     }
     
     // From action patterns
@@ -500,6 +520,65 @@ export class PedagogicalEngine {
     await this._persistMisconceptionGraph();
   }
 
+  /**
+   * Judge whether the code written after a hint carries out the hint's steps
+   * A step counts as followed when code it names (`backticks`, <tags>, attr=,
+   * property:, calls, dotted or camelCase names) shows up in the added lines. Steps that
+   * name no code can't be judged from a diff and are left out of the score.
+   * @param {Array<string>} steps - The hint's steps
+   * @param {Array<{op, text}>} changes - Line diff from diffLines() in utils.js
+   * @returns {Object} { verdict: 'followed'|'partial'|'not_followed'|'no_change'|'unknown', score, steps: [{ step, tokens, followed }] }
+   */
+  assessHintFollowThrough(steps = [], changes = []) {
+    const added = changes.filter(c => c.op === '+').map(c => c.text.toLowerCase()).join('\n');
+
+    const judged = (steps || []).map(step => {
+      const tokens = this._stepCodeTokens(step);
+      return {
+        step,
+        tokens,
+        followed: tokens.length > 0 ? tokens.some(t => added.includes(t)) : null
+      };
+    });
+
+    const scored = judged.filter(s => s.followed !== null);
+    const score = scored.length > 0 ? scored.filter(s => s.followed).length / scored.length : null;
+
+    let verdict;
+    if (changes.length === 0) verdict = 'no_change';
+    else if (score === null) verdict = 'unknown';
+    else if (score >= 0.67) verdict = 'followed';
+    else if (score > 0) verdict = 'partial';
+    else verdict = 'not_followed';
+
+    return { verdict, score, steps: judged };
+  }
+
+  /**
+   * Code a hint step refers to, lowercased
+   */
+  _stepCodeTokens(step) {
+    if (typeof step !== 'string') return [];
+    const tokens = [];
+
+    // `inline code`
+    for (const [, code] of step.matchAll(/`([^`]+)`/g)) {
+      tokens.push(...code.split(/[\s,;]+/).filter(t => t.length > 1));
+    }
+    // <tag> and </tag>
+    for (const [, tag] of step.matchAll(/<\/?([a-z][a-z0-9-]*)/gi)) tokens.push(`<${tag}`);
+    // attribute= / property:
+    for (const [, name] of step.matchAll(/\b([a-z][\w-]*)\s*=/gi)) tokens.push(name);
+    for (const [, name] of step.matchAll(/\b([a-z]+-[a-z-]+)\s*:/gi)) tokens.push(name);
+    // calls, dotted names, camelCase and snake_case
+    for (const [name] of step.matchAll(/\b[a-z_$][\w$]*(?:\.[\w$]+)+|\b[a-z_$][\w$]*(?=\()|\b[a-z]+[A-Z][\w$]*|\b[a-z]+_[\w$]+/g)) {
+      tokens.push(name);
+    }
+
+    return [...new Set(tokens.map(t => t.toLowerCase().replace(/[()"';.]+$/, '')))]
+      .filter(t => t.length > 1 && !/^(e\.g|i\.e)$/.test(t));
+  }
+
   /**
    * Record intervention outcome for effectiveness tracking
    * @param {string} misconceptionType - Detected misconception
@@ -518,8 +597,17 @@ export class PedagogicalEngine {
       this.interventionEffectiveness.set(key, record);
     }
     
-    // Record outcome
-    record.recordOutcome(success, timeToResolution);
+    // Record outcome on the stored counts, so outcomes recorded by another
+    // context (panel or background agent) since init aren't overwritten
+    await engineDb.transaction(EFFECTIVENESS_STORE, async (tx) => {
+      const stored = await tx.get(EFFECTIVENESS_STORE, key);
+      if (stored) {
+        const { id, ...data } = stored;
+        Object.assign(record, data);
+      }
+      record.recordOutcome(success, timeToResolution);
+      await tx.put(EFFECTIVENESS_STORE, interventionRow(key, record));
+    });
     
     // Update misconception node
     const node = this.misconceptionGraph.get(misconceptionType);
@@ -540,7 +628,11 @@ export class PedagogicalEngine {
       await this._updateAggregatePatterns(misconceptionType, interventionStyle, success, timeToResolution);
     }
     
-    await this._persistAll();
+    // The intervention record was written above
+    await Promise.all([
+      this._persistMisconceptionGraph(),
+      this._persistAggregatePatterns()
+    ]);
     
     return {
       successRate: record.successRate,
@@ -771,19 +863,10 @@ export class PedagogicalEngine {
   }
 
   async _persistInterventionEffectiveness() {
-    const data = {};
-    for (const [key, record] of this.interventionEffectiveness) {
-      data[key] = {
-        misconceptionType: record.misconceptionType,
-        interventionStyle: record.interventionStyle,
-        totalUses: record.totalUses,
-        successes: record.successes,
-        avgTimeToResolution: record.avgTimeToResolution,
-        userSatisfaction: record.userSatisfaction,
-        lastUsed: record.lastUsed
-      };
-    }
-    await store.set(INTERVENTION_EFFECTIVENESS_KEY, data);
+    await engineDb.putMany(
+      EFFECTIVENESS_STORE,
+      [...this.interventionEffectiveness].map(([key, record]) => interventionRow(key, record))
+    );
   }
 
   async _persistAggregatePatterns() {
@@ -882,13 +965,13 @@ export const pedagogicalEngine = new PedagogicalEngine();
 
 /**
  * Convenience method for tutor.js: detect misconception from raw code + tests
- * Returns { id, name, confidence, relatedConcepts } or null
+ * Returns { id, name, confidence, relatedConcepts, evidence } or null
  */
-pedagogicalEngine.detectMisconception = async function(userCode, tests) {
+pedagogicalEngine.detectMisconception = async function(userCode, tests, codeLanguage = null) {
   try {
     await this.init();
     const struggleData = { struggleLevel: 'gentle', actions: {}, timeSpent: 0, testFailures: tests };
-    const context = { userCode, testFailures: tests };
+    const context = { userCode, testFailures: tests, codeLanguage };
     const result = await this.analyzeMisconception(struggleData, null, context);
     if (!result || result.misconceptionType === 'unknown' || result.confidence < 0.3) return null;
     const typeInfo = Object.values(MISCONCEPTION_TYPES).find(t => t.id === result.misconceptionType);
@@ -896,7 +979,8 @@ pedagogicalEngine.detectMisconception = async function(userCode, tests) {
       id: result.misconceptionType,
       name: typeInfo?.name || result.misconceptionType,
       confidence: result.confidence,
-      relatedConcepts: typeInfo?.relatedConcepts || []
+      relatedConcepts: typeInfo?.relatedConcepts || [],
+      evidence: result.evidence || []
     };
   } catch (e) {
     console.warn('[PedagogicalEngine] detectMisconception error:', e);
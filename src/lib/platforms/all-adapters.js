@@ -5,8 +5,11 @@
  * Loaded as a content script before content.js.
  * MV3 content scripts don't support ES modules, so this is plain JS.
  * 
- * Each adapter provides: getTitle, getCode, getTests, getInstruction,
- * getConceptId, getCodeLanguage, getSystemPromptAddition
+ * Title, code, tests, instruction and rule hints are read with the selectors
+ * of a selector pack: the built-in pack below, overridden per platform and
+ * field by packs the user imports in Settings (src/lib/selector-packs.js).
+ * Each adapter provides the rest: getConceptId, getCodeLanguage,
+ * getSystemPromptAddition
  */
 
 (function() {
@@ -146,66 +149,570 @@
     return tryMonaco() || tryAce() || tryCodeMirror() || tryIframes() || tryTextarea() || tryMonacoViewLines() || { code: '', method: 'none' };
   }
 
+  // Editor probes a selector pack can list in code.probes, in the order to try them
+  const PROBES = {
+    'monaco': tryMonaco,
+    'ace': tryAce,
+    'codemirror': tryCodeMirror,
+    'iframes': tryIframes,
+    'textarea': tryTextarea,
+    'monaco-view-lines': tryMonacoViewLines
+  };
+
   // =====================================================================
-  // === freeCodeCamp Adapter ===
+  // === Built-in Selector Pack ===
   // =====================================================================
-  const fccAdapter = {
-    getTitle() {
-      const sels = ['h1', '.title', '.challenge-title', '[class*="title"]', '[data-test*="challenge-title"]', '[class*="Challenge"]', 'h2'];
-      for (const sel of sels) {
-        const el = document.querySelector(sel);
-        if (el && el.textContent.trim()) return el.textContent.trim();
-      }
-      return document.title || 'freeCodeCamp Challenge';
+  // Same shape as an imported pack file (see src/lib/selector-packs.js).
+  // Per platform: title, code, tests, instruction, ruleHints, language, testResults
+  // and testRun (the buttons that run the tests, for editor telemetry).
+  // Selectors are tried in order and the first one with text wins.
+  // testResults reads one element per test: its status comes from markers (class,
+  // aria-label, title, data-status/state/result of the item and its status
+  // elements), never from the test's own description.
+  const BUILTIN_PACK = {
+    format: 'trailnote-selector-pack',
+    formatVersion: 1,
+    id: 'builtin',
+    name: 'Built-in selectors',
+    version: '3.0.0',
+    defaults: {
+      code: { probes: ['monaco', 'ace', 'codemirror', 'iframes', 'textarea'] }
     },
+    platforms: {
+      'freecodecamp': {
+        title: {
+          selectors: ['h1', '.title', '.challenge-title', '[class*="title"]', '[data-test*="challenge-title"]', '[class*="Challenge"]', 'h2'],
+          fallback: 'freeCodeCamp Challenge'
+        },
+        code: {
+          probes: ['monaco', 'iframes', 'selectors', 'textarea', 'monaco-view-lines'],
+          selectors: ['#editor textarea', '[data-cy="editor"] textarea', '.editor-container textarea',
+                      '.code-editor textarea', 'div[role="code"] textarea', '[class*="Editor"] textarea']
+        },
+        tests: {
+          groups: [{
+            selectors: ['[class*="test"]', '[data-testid*="test"]', 'li[class*="fail"]', 'li[class*="error"]',
+                        'li[class*="pass"]', '[class*="console"]', '[class*="output"]', '[class*="test-output"]',
+                        '[class*="test-result"]', '[id*="test"]', 'pre', 'code[class*="test"]'],
+            minLength: 3
+          }],
+          textPatterns: ['Test Failed[^\\n]*', 'There should be[^\\n]*', 'The \\w+ should[^\\n]*',
+                         'Your \\w+ should[^\\n]*', 'Hint[^\\n]*', 'Sorry[^\\n]*Keep trying[^\\n]*'],
+          ignore: ['Your test output will go here', '\\/\\*\\*[\\s\\S]*?test output[\\s\\S]*?\\*\\/',
+                   '^\\s*\\/\\/\\s*running tests\\s*$', '^\\s*\\/\\/\\s*tests completed\\s*$', '^\\s*$'],
+          keep: 'test|fail|error|should|hint|sorry|expected|wrap|add|create|element|attribute',
+          keepLongerThan: 20
+        },
+        instruction: { useRules: true },
+        ruleHints: { useRules: true },
+        testResults: {
+          items: ['.test-suite .test-result', '[data-testid="test-result"]', '.test-result'],
+          status: ['.test-status-icon', '[class*="status"]', '.sr-only', 'svg[aria-label]'],
+          text: ['.test-output', '[class*="test-text"]'],
+          error: ['.test-error', '[class*="error-message"]'],
+          fail: '\\bfail(ed|ing)?\\b|\\berror\\b|incorrect',
+          pending: 'pending|running|waiting',
+          pass: '\\bpass(ed|ing)?\\b|success|correct|check'
+        },
+        testRun: { selectors: ['#test-button', 'button[data-cy="run-tests-button"]', 'button[aria-label*="check your code" i]'] }
+      },
+
+      'udemy': {
+        title: {
+          selectors: ['[data-purpose="lecture-title"]', '.ud-heading-xl', '[class*="lecture-title"]', 'h1[class*="udlite-heading"]',
+                      '[data-purpose="course-title"]', 'h1.clp-lead__title', '.ud-heading-xxl'],
+          stripSuffix: ' | Udemy',
+          fallback: 'Udemy Lecture'
+        },
+        code: { probes: ['monaco', 'ace', 'codemirror', 'iframes', 'textarea'] },
+        tests: {
+          groups: [
+            { selectors: ['[data-purpose="quiz-question"]', '.ud-quiz-question', '[class*="quiz-question"]', '[class*="assessment-question"]'], minLength: 6 },
+            { selectors: ['[data-purpose="output-pane"]', '[class*="output"]', '[class*="test-result"]', '[class*="console"]'], minLength: 6 }
+          ]
+        },
+        instruction: { selectors: ['[data-purpose="lecture-description"]', '[class*="exercise-instruction"]', '[class*="coding-exercise-description"]'] },
+        testResults: {
+          items: ['[data-purpose="test-result"]', '[class*="test-result--"]'],
+          status: ['[class*="status"]', '[class*="icon"]'],
+          error: ['[data-purpose="test-result-message"]', '[class*="message"]'],
+          fail: '\\bfail(ed|ure)?\\b|\\berror\\b',
+          pass: '\\bpass(ed)?\\b|success'
+        },
+        testRun: { selectors: ['[data-purpose="run-tests-button"]', '[data-purpose="check-solution-button"]'] }
+      },
+
+      'codecademy': {
+        title: {
+          selectors: ['.lesson-header__title', '[class*="exerciseTitle"]', '.gamut-1tk3mbm', 'h1[class*="Title"]', '[data-testid="exercise-title"]'],
+          stripSuffix: ' | Codecademy',
+          fallback: 'Codecademy Exercise'
+        },
+        code: { probes: ['monaco', 'ace', 'iframes', 'textarea'] },
+        tests: {
+          groups: [
+            { selectors: ['[class*="checkpoint"]', '[class*="test-result"]', '[class*="error-message"]', '[data-testid*="checkpoint"]'], minLength: 6 },
+            { selectors: ['.gamut-yj8jvy', '[class*="instruction"]', '[class*="narrative"]'], minLength: 11, match: 'should|must|create|add|set|define|make|write' },
+            { selectors: ['[class*="terminal"]', '[class*="console-output"]', '[class*="output"]'], first: true, match: 'error|fail|exception' }
+          ]
+        },
+        instruction: { selectors: ['[class*="narrative"]', '.gamut-yj8jvy', '[data-testid="exercise-narrative"]', '[class*="exercise-description"]'] },
+        ruleHints: { selectors: ['[class*="hint"]', '[data-testid="hint"]'] },
+        testResults: {
+          items: ['[data-testid*="checkpoint"]', '[class*="checkpoint__"]'],
+          status: ['[class*="status"]', '[class*="icon"]', 'svg[aria-label]'],
+          text: ['[class*="checkpointText"]', '[class*="checkpoint__text"]'],
+          error: ['[class*="error-message"]', '[class*="errorMessage"]'],
+          fail: 'incorrect|\\bfail(ed)?\\b|\\berror\\b',
+          pending: 'incomplete|pending',
+          pass: 'complete|\\bpass(ed)?\\b|success|correct'
+        },
+        testRun: { selectors: ['[data-testid="run-test-button"]', 'button[class*="runButton"]'] }
+      },
+
+      'scrimba': {
+        title: {
+          selectors: ['[class*="scrim-title"]', '.title', 'h1', '[class*="lesson-title"]'],
+          stripSuffix: ' - Scrimba',
+          fallback: 'Scrimba Lesson'
+        },
+        code: { probes: ['codemirror', 'monaco', 'iframes', 'textarea'] },
+        tests: {
+          groups: [
+            { selectors: ['[class*="challenge"]', '[class*="task"]', '[class*="instruction"]'], minLength: 11 },
+            { selectors: ['[class*="console"]', '[class*="output"]', '[class*="result"]'], first: true, minLength: 6 }
+          ]
+        },
+        instruction: { selectors: ['[class*="task-description"]', '[class*="challenge-description"]', '[class*="lesson-description"]'] }
+      },
+
+      'coursera': {
+        title: {
+          selectors: ['[data-testid="item-name"]', 'h1[class*="title"]', '.rc-ItemPageHeader h1', '[class*="lesson-name"]'],
+          stripSuffix: ' | Coursera',
+          fallback: 'Coursera Lesson'
+        },
+        code: { probes: ['monaco', 'codemirror', 'iframes', 'textarea'] },
+        tests: {
+          groups: [
+            { selectors: ['.rc-FormPart', '[class*="quiz-question"]', '[class*="QuizQuestion"]', '[data-testid*="question"]'], minLength: 11 },
+            { selectors: ['[class*="feedback"]', '[class*="grading"]', '[class*="submission-result"]'], minLength: 6 }
+          ]
+        },
+        instruction: { selectors: ['.rc-ExpandableText', '[class*="item-page-content"]', '[class*="reading-content"]', '[class*="lecture-description"]'] },
+        testResults: {
+          items: ['[class*="grading"] [class*="test-case"]', '[class*="submission-result"] li'],
+          status: ['[class*="status"]', '[class*="icon"]'],
+          error: ['[class*="feedback"]'],
+          fail: 'incorrect|\\bfail(ed)?\\b|\\berror\\b',
+          pass: '\\bpass(ed)?\\b|correct|success'
+        }
+      },
+
+      'khan-academy': {
+        title: {
+          selectors: ['[data-test-id="exercise-title"]', '.exerciseTitle', 'h1'],
+          stripSuffix: ' | Khan Academy',
+          fallback: 'Khan Academy Exercise'
+        },
+        code: { probes: ['ace', 'codemirror', 'iframes', 'textarea'] },
+        tests: {
+          groups: [
+            { selectors: ['[class*="task"]', '[class*="hint"]', '[class*="output"]', '[class*="error"]'], minLength: 6 }
+          ]
+        },
+        instruction: { selectors: ['[class*="exercise-description"]', '[class*="tutorial-content"]', '[data-test-id="exercise-content"]'] }
+      },
+
+      'leetcode': {
+        title: {
+          selectors: ['[data-cy="question-title"]', 'h4[class*="title"]', '[class*="css-v3d350"]'],
+          stripSuffix: ' - LeetCode',
+          fallback: 'LeetCode Problem'
+        },
+        code: { probes: ['monaco', 'codemirror', 'iframes', 'textarea'] },
+        tests: {
+          groups: [
+            { selectors: ['[data-cy*="testcase"]', '[class*="testcase"]', '[class*="result"]', '[class*="output"]'], minLength: 4 },
+            { selectors: ['[class*="constraint"]', 'pre'], match: 'Input|Output|Example' }
+          ]
+        },
+        instruction: { selectors: ['[class*="question-content"]', '[data-cy="question-content"]', '[class*="content__u3I1"]'] },
+        language: { selectors: ['[class*="language-selector"]', '[data-cy="lang-select"]', 'button[class*="lang"]'] },
+        testResults: {
+          items: ['[data-e2e-locator="console-testcase-tag"]', '[data-cy*="testcase-tab"]'],
+          status: ['[class*="dot"]', '[class*="status"]'],
+          fail: 'red|wrong|\\berror\\b|\\bfail',
+          pass: 'green|accepted|success|\\bpass'
+        },
+        testRun: { selectors: ['[data-e2e-locator="console-run-button"]', '[data-e2e-locator="console-submit-button"]'] }
+      },
+
+      'hackerrank': {
+        title: {
+          selectors: ['.challenge-name', 'h2.hr-heading', '[class*="challenge-title"]'],
+          stripSuffix: ' | HackerRank',
+          fallback: 'HackerRank Challenge'
+        },
+        code: { probes: ['monaco', 'ace', 'codemirror', 'iframes', 'textarea'] },
+        tests: {
+          groups: [
+            { selectors: ['[class*="test-case"]', '[class*="sample-input"]', '[class*="sample-output"]', '[class*="expected-output"]'], minLength: 4 },
+            { selectors: ['.challenge-body-html pre', '.challenge-sample pre'], minLength: 3 }
+          ]
+        },
+        instruction: { selectors: ['.challenge-body-html', '[class*="challenge-description"]', '.problem-statement'] },
+        language: { selectors: ['[class*="select-language"]', '.hr-language-selector', '[id*="language"]'] },
+        testResults: {
+          items: ['[class*="testcase-tab"]', '.tab-list-item[id*="testcase"]'],
+          status: ['[class*="status"]', '.ui-icon', 'svg[aria-label]'],
+          error: ['[class*="compile-message"]', '[class*="error-message"]'],
+          fail: 'wrong|\\bfail(ed)?\\b|\\berror\\b|cross',
+          pass: 'success|\\bpass(ed)?\\b|correct|check'
+        },
+        testRun: { selectors: ['.hr-monaco-compile', '.hr-monaco-submit', 'button[class*="run-code"]'] }
+      }
+    }
+  };
 
-    getCode() {
-      // FCC-specific selectors first
-      const fccSels = ['#editor textarea', '[data-cy="editor"] textarea', '.editor-container textarea',
-                       '.code-editor textarea', 'div[role="code"] textarea', '[class*="Editor"] textarea'];
-      const result = tryMonaco() || tryIframes();
-      if (result && result.code) return result;
-      for (const sel of fccSels) {
-        const ta = document.querySelector(sel);
-        if (ta && ta.value) return { code: ta.value, method: 'fcc:' + sel };
+  // =====================================================================
+  // === Imported Selector Packs ===
+  // =====================================================================
+  // Packs imported in Settings are kept in chrome.storage.local. Fields an
+  // imported pack defines for a platform replace the built-in ones; when several
+  // packs cover the same field, the most recently imported wins.
+  const PACK_STORAGE_KEY = 'selector_packs';
+  const PACK_FIELDS = ['title', 'code', 'tests', 'instruction', 'ruleHints', 'language', 'testResults', 'testRun'];
+
+  let importedPacks = [];
+  const packListeners = [];
+
+  function loadImportedPacks() {
+    return new Promise(resolve => {
+      try {
+        chrome.storage.local.get([PACK_STORAGE_KEY], items => {
+          const packs = items?.[PACK_STORAGE_KEY];
+          importedPacks = Array.isArray(packs) ? packs.filter(p => p && p.platforms) : [];
+          resolve(importedPacks);
+        });
+      } catch (_) {
+        // Extension context invalidated - keep what we have
+        resolve(importedPacks);
       }
-      return tryTextarea() || tryMonacoViewLines() || { code: '', method: 'none' };
-    },
+    });
+  }
 
-    getTests() {
-      const testSels = ['[class*="test"]', '[data-testid*="test"]', 'li[class*="fail"]', 'li[class*="error"]',
-                        'li[class*="pass"]', '[class*="console"]', '[class*="output"]', '[class*="test-output"]',
-                        '[class*="test-result"]', '[id*="test"]', 'pre', 'code[class*="test"]'];
-      const placeholders = [/Your test output will go here/i, /\/\*\*[\s\S]*?test output[\s\S]*?\*\//i,
-                            /^\s*\/\/\s*running tests\s*$/i, /^\s*\/\/\s*tests completed\s*$/i, /^\s*$/];
-      const nodes = [];
-      for (const sel of testSels) {
-        document.querySelectorAll(sel).forEach(n => nodes.push(n));
+  const packsReady = loadImportedPacks();
+
+  try {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'local' || !changes[PACK_STORAGE_KEY]) return;
+      loadImportedPacks().then(() => {
+        console.log('[TrailNote] Selector packs updated:', importedPacks.map(p => `${p.id}@${p.version}`).join(', ') || 'built-in only');
+        packListeners.forEach(fn => { try { fn(); } catch (_) {} });
+      });
+    });
+  } catch (_) {}
+
+  function packLabel(pack) {
+    return `${pack.name || pack.id} ${pack.version || ''}`.trim();
+  }
+
+  /**
+   * Effective selectors for a platform, and which pack each field came from
+   * @returns {{ spec: Object, sources: Object }}
+   */
+  function specFor(platformId) {
+    const spec = {};
+    const sources = {};
+    const layers = [
+      { label: packLabel(BUILTIN_PACK), fields: BUILTIN_PACK.defaults },
+      { label: packLabel(BUILTIN_PACK), fields: BUILTIN_PACK.platforms[platformId] },
+      ...importedPacks.map(p => ({ label: packLabel(p), fields: p.platforms[platformId] }))
+    ];
+    for (const layer of layers) {
+      if (!layer.fields) continue;
+      for (const field of PACK_FIELDS) {
+        if (layer.fields[field] && typeof layer.fields[field] === 'object') {
+          spec[field] = layer.fields[field];
+          sources[field] = layer.label;
+        }
       }
-      // Pattern-based extraction from body text
-      const allText = document.body.innerText || '';
-      const patterns = [/Test Failed[^\n]*/gi, /There should be[^\n]*/gi, /The \w+ should[^\n]*/gi,
-                        /Your \w+ should[^\n]*/gi, /Hint[^\n]*/gi, /Sorry[^\n]*Keep trying[^\n]*/gi];
-      for (const pat of patterns) {
-        const matches = allText.match(pat);
-        if (matches) matches.forEach(m => { if (m.trim().length > 10 && m.trim().length < 500) nodes.push({ textContent: m.trim() }); });
+    }
+    return { spec, sources };
+  }
+
+  // Pack regexes are strings; a broken one is reported once and skipped
+  const regexCache = new Map();
+  function toRegExp(pattern, flags) {
+    if (!pattern) return null;
+    const key = pattern + '/' + (flags || 'i');
+    if (!regexCache.has(key)) {
+      let re = null;
+      try { re = new RegExp(pattern, flags || 'i'); } catch (e) {
+        console.warn('[TrailNote] Invalid selector pack pattern:', pattern, e.message);
       }
-      const tests = nodes.map(n => n.textContent.trim())
-        .filter(t => t && t.length >= 3 && !placeholders.some(p => p.test(t)))
-        .filter(t => /test|fail|error|should|hint|sorry|expected|wrap|add|create|element|attribute/i.test(t) || t.length > 20);
-      return uniqueArray(tests);
-    },
+      regexCache.set(key, re);
+    }
+    return regexCache.get(key);
+  }
 
-    getInstruction() {
-      const rulesApi = window.trailNoteRules;
-      return rulesApi?.instructionFromDom ? rulesApi.instructionFromDom() : '';
-    },
+  function queryAll(sel, trace) {
+    try {
+      return Array.from(document.querySelectorAll(sel));
+    } catch (_) {
+      if (trace && !trace.invalid.includes(sel)) trace.invalid.push(sel);
+      return [];
+    }
+  }
+
+  // First selector whose first element has text
+  function firstText(selectors, trace, field) {
+    for (const sel of selectors || []) {
+      const el = queryAll(sel, trace)[0];
+      const text = el ? el.textContent.trim() : '';
+      if (text) {
+        if (trace) trace[field].selector = sel;
+        return text;
+      }
+    }
+    return '';
+  }
+
+  function newTrace() {
+    return {
+      invalid: [],
+      title: { selector: null },
+      code: { probe: null, method: null },
+      tests: { groups: [], patterns: [] },
+      instruction: { selector: null },
+      ruleHints: { selector: null },
+      language: { selector: null },
+      testResults: { selector: null }
+    };
+  }
+
+  // === Pack-driven Extraction ===
+  function extractTitle(spec, trace) {
+    const t = spec.title || {};
+    const text = firstText(t.selectors, trace, 'title');
+    if (text) return text;
+
+    let docTitle = (document.title || '').trim();
+    if (t.stripSuffix && docTitle.toLowerCase().endsWith(t.stripSuffix.toLowerCase())) {
+      docTitle = docTitle.slice(0, -t.stripSuffix.length).trim();
+    }
+    trace.title.selector = docTitle ? 'document.title' : 'fallback';
+    return docTitle || t.fallback || 'Untitled';
+  }
+
+  function extractCode(spec, trace) {
+    const c = spec.code || {};
+    let empty = null;
+    for (const probe of c.probes || []) {
+      let result = null;
+      if (probe === 'selectors') {
+        for (const sel of c.selectors || []) {
+          const ta = queryAll(sel, trace)[0];
+          if (ta && ta.value) { result = { code: ta.value, method: 'selector:' + sel }; break; }
+        }
+      } else if (PROBES[probe]) {
+        result = PROBES[probe]();
+      }
+      if (!result) continue;
+      if (result.code) {
+        trace.code = { probe, method: result.method };
+        return result;
+      }
+      empty = empty || { probe, result };
+    }
+    if (empty) {
+      trace.code = { probe: empty.probe, method: empty.result.method };
+      return empty.result;
+    }
+    trace.code = { probe: null, method: 'none' };
+    return { code: '', method: 'none' };
+  }
+
+  function extractTests(spec, trace) {
+    const t = spec.tests || {};
+    const texts = [];
+
+    for (const group of t.groups || []) {
+      const match = toRegExp(group.match);
+      const minLength = group.minLength || 1;
+      const hits = [];
+      for (const sel of group.selectors || []) {
+        const els = queryAll(sel, trace);
+        if (group.first && els.length === 0) continue;
+        let count = 0;
+        for (const el of group.first ? els.slice(0, 1) : els) {
+          const text = el.textContent.trim();
+          if (text.length >= minLength && (!match || match.test(text))) {
+            texts.push(text);
+            count++;
+          }
+        }
+        if (count > 0) hits.push({ selector: sel, count });
+        if (group.first) break;
+      }
+      trace.tests.groups.push(hits);
+    }
+
+    const bodyText = t.textPatterns?.length ? (document.body?.innerText || '') : '';
+    for (const pattern of t.textPatterns || []) {
+      const re = toRegExp(pattern, 'gi');
+      const matches = re ? bodyText.match(re) : null;
+      if (!matches) continue;
+      let count = 0;
+      for (const m of matches) {
+        const text = m.trim();
+        if (text.length > 10 && text.length < 500) { texts.push(text); count++; }
+      }
+      if (count > 0) trace.tests.patterns.push({ pattern, count });
+    }
+
+    const ignore = (t.ignore || []).map(p => toRegExp(p)).filter(Boolean);
+    const keep = toRegExp(t.keep);
+    const keepLongerThan = t.keepLongerThan ?? Infinity;
+    return uniqueArray(texts
+      .filter(text => !ignore.some(re => re.test(text)))
+      .filter(text => !keep || keep.test(text) || text.length > keepLongerThan));
+  }
 
-    getRuleHints() {
+  function extractFromSpec(fieldSpec, trace, field) {
+    const s = fieldSpec || {};
+    if (s.useRules) {
       const rulesApi = window.trailNoteRules;
-      return rulesApi?.ruleHintsFromDom ? rulesApi.ruleHintsFromDom() : '';
-    },
+      const fn = field === 'instruction' ? rulesApi?.instructionFromDom : rulesApi?.ruleHintsFromDom;
+      const text = fn ? fn() : '';
+      if (text) {
+        trace[field].selector = 'trailNoteRules';
+        return text;
+      }
+    }
+    return firstText(s.selectors, trace, field);
+  }
+
+  const MARKER_ATTRIBUTES = ['aria-label', 'title', 'data-status', 'data-state', 'data-result'];
+
+  function markersOf(el) {
+    const parts = [typeof el.className === 'string' ? el.className : el.getAttribute('class') || ''];
+    for (const attr of MARKER_ATTRIBUTES) {
+      if (el.hasAttribute(attr)) parts.push(el.getAttribute(attr));
+    }
+    return parts.join(' ');
+  }
+
+  function within(item, selectors, trace) {
+    for (const sel of selectors || []) {
+      let found = [];
+      try { found = Array.from(item.querySelectorAll(sel)); } catch (_) {
+        if (trace && !trace.invalid.includes(sel)) trace.invalid.push(sel);
+      }
+      if (found.length > 0) return found;
+    }
+    return [];
+  }
+
+  // Short stable hash so a test keeps its id while its status changes
+  function hashText(text) {
+    let h = 5381;
+    for (let i = 0; i < text.length; i++) h = ((h << 5) + h + text.charCodeAt(i)) | 0;
+    return (h >>> 0).toString(36);
+  }
+
+  function cleanText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim().slice(0, 300);
+  }
+
+  /**
+   * Structured results of the page's tests (pack testResults)
+   * @returns {Array<{ id: string, text: string, status: 'pass'|'fail'|'pending', error: string|null }>}
+   */
+  function extractTestResults(spec, trace) {
+    const r = spec.testResults;
+    if (!r) return [];
+
+    let items = [];
+    for (const sel of r.items || []) {
+      items = queryAll(sel, trace);
+      if (items.length > 0) {
+        if (trace) trace.testResults.selector = sel;
+        break;
+      }
+    }
+
+    const pass = toRegExp(r.pass);
+    const fail = toRegExp(r.fail);
+    const pending = toRegExp(r.pending);
+    const seenIds = new Map();
+
+    return items.map(item => {
+      const statusEls = within(item, r.status, trace);
+      const errorEls = within(item, r.error, trace);
+      const textEls = within(item, r.text, trace);
+
+      const markers = [markersOf(item), ...statusEls.map(el => markersOf(el) + ' ' + el.textContent)].join(' ');
+      const status = (fail && fail.test(markers)) ? 'fail'
+        : (pending && pending.test(markers)) ? 'pending'
+        : (pass && pass.test(markers)) ? 'pass'
+        : 'pending';
+
+      let text;
+      if (textEls.length > 0) {
+        text = cleanText(textEls[0].textContent);
+      } else {
+        // Item text without its status icon and error message
+        const copy = item.cloneNode(true);
+        within(copy, r.status).concat(within(copy, r.error)).forEach(el => el.remove());
+        text = cleanText(copy.textContent);
+      }
+      const error = errorEls.length > 0 ? cleanText(errorEls[0].textContent) || null : null;
+
+      let id = (r.idAttribute && item.getAttribute(r.idAttribute)) || 't_' + hashText(text);
+      const n = seenIds.get(id) || 0;
+      seenIds.set(id, n + 1);
+      if (n > 0) id += '_' + n;
+
+      return { id, text, status, error };
+    });
+  }
+
+  /**
+   * Selector pack fields for the current page
+   * @returns {Object|null} Merged spec; null off supported platforms
+   */
+  function getPageSpec() {
+    const platform = detectPlatform(location.href);
+    return platform ? specFor(platform.id).spec : null;
+  }
+
+  /**
+   * Learner's code as the pack's editor probes read it
+   * @returns {{ code: string, method: string }}
+   */
+  function getCode() {
+    const spec = getPageSpec();
+    return spec ? extractCode(spec, newTrace()) : getCodeGeneric();
+  }
+
+  /**
+   * Structured test results on the current page
+   * @returns {Array<{ id, text, status, error }>} Empty off supported platforms or without testResults selectors
+   */
+  function getTestResults() {
+    const platform = detectPlatform(location.href);
+    return platform ? extractTestResults(specFor(platform.id).spec) : [];
+  }
+
+  // =====================================================================
+  // === Platform Adapters ===
+  // =====================================================================
+  // Page fields come from the selector pack; adapters keep the logic that
+  // isn't a selector: concept ids from URLs, language guesses and prompt text.
 
+  const fccAdapter = {
     getConceptId() {
       const path = location.pathname || '';
       const match = path.match(/\/learn\/([^/]+)\/([^/]+)/);
@@ -226,47 +733,7 @@
     }
   };
 
-  // =====================================================================
-  // === Udemy Adapter ===
-  // =====================================================================
   const udemyAdapter = {
-    getTitle() {
-      // Lecture title
-      const lectureTitle = textOf('[data-purpose="lecture-title"], .ud-heading-xl, [class*="lecture-title"], h1[class*="udlite-heading"]');
-      if (lectureTitle) return lectureTitle;
-      // Course title
-      const courseTitle = textOf('[data-purpose="course-title"], h1.clp-lead__title, .ud-heading-xxl');
-      if (courseTitle) return courseTitle;
-      return document.title.replace(/ \| Udemy$/i, '').trim() || 'Udemy Lecture';
-    },
-
-    getCode() {
-      // Udemy coding exercises
-      return tryMonaco() || tryAce() || tryCodeMirror() || tryIframes() || tryTextarea() || { code: '', method: 'none' };
-    },
-
-    getTests() {
-      const tests = [];
-      // Quiz questions
-      document.querySelectorAll('[data-purpose="quiz-question"], .ud-quiz-question, [class*="quiz-question"], [class*="assessment-question"]').forEach(el => {
-        const t = el.textContent.trim();
-        if (t.length > 5) tests.push(t);
-      });
-      // Coding exercise output
-      document.querySelectorAll('[data-purpose="output-pane"], [class*="output"], [class*="test-result"], [class*="console"]').forEach(el => {
-        const t = el.textContent.trim();
-        if (t.length > 5 && !tests.includes(t)) tests.push(t);
-      });
-      return uniqueArray(tests);
-    },
-
-    getInstruction() {
-      // Lecture description / exercise instructions
-      return textOf('[data-purpose="lecture-description"], [class*="exercise-instruction"], [class*="coding-exercise-description"]');
-    },
-
-    getRuleHints() { return ''; },
-
     getConceptId() {
       const path = location.pathname || '';
       const match = path.match(/\/course\/([^/]+)\/learn\/lecture\/(\d+)/);
@@ -290,47 +757,7 @@
     }
   };
 
-  // =====================================================================
-  // === Codecademy Adapter ===
-  // =====================================================================
   const codecademyAdapter = {
-    getTitle() {
-      const title = textOf('.lesson-header__title, [class*="exerciseTitle"], .gamut-1tk3mbm, h1[class*="Title"], [data-testid="exercise-title"]');
-      if (title) return title;
-      return document.title.replace(/ \| Codecademy$/i, '').trim() || 'Codecademy Exercise';
-    },
-
-    getCode() {
-      // Codecademy uses Monaco and ACE at different times
-      return tryMonaco() || tryAce() || tryIframes() || tryTextarea() || { code: '', method: 'none' };
-    },
-
-    getTests() {
-      const tests = [];
-      // Checkpoint results
-      document.querySelectorAll('[class*="checkpoint"], [class*="test-result"], [class*="error-message"], [data-testid*="checkpoint"]').forEach(el => {
-        const t = el.textContent.trim();
-        if (t.length > 5) tests.push(t);
-      });
-      // Instructions that contain "should" or test-like language
-      document.querySelectorAll('.gamut-yj8jvy, [class*="instruction"], [class*="narrative"]').forEach(el => {
-        const t = el.textContent.trim();
-        if (t.length > 10 && /should|must|create|add|set|define|make|write/i.test(t)) tests.push(t);
-      });
-      // Console output
-      const consoleOutput = textOf('[class*="terminal"], [class*="console-output"], [class*="output"]');
-      if (consoleOutput && /error|fail|exception/i.test(consoleOutput)) tests.push(consoleOutput);
-      return uniqueArray(tests);
-    },
-
-    getInstruction() {
-      return textOf('[class*="narrative"], .gamut-yj8jvy, [data-testid="exercise-narrative"], [class*="exercise-description"]');
-    },
-
-    getRuleHints() {
-      return textOf('[class*="hint"], [data-testid="hint"]');
-    },
-
     getConceptId() {
       const path = location.pathname || '';
       const match = path.match(/\/courses\/([^/]+)\/lessons\/([^/]+)/);
@@ -358,40 +785,7 @@
     }
   };
 
-  // =====================================================================
-  // === Scrimba Adapter ===
-  // =====================================================================
   const scrimbaAdapter = {
-    getTitle() {
-      const title = textOf('[class*="scrim-title"], .title, h1, [class*="lesson-title"]');
-      if (title) return title;
-      return document.title.replace(/ - Scrimba$/i, '').trim() || 'Scrimba Lesson';
-    },
-
-    getCode() {
-      // Scrimba uses CodeMirror in its player
-      return tryCodeMirror() || tryMonaco() || tryIframes() || tryTextarea() || { code: '', method: 'none' };
-    },
-
-    getTests() {
-      const tests = [];
-      // Scrimba challenges / task descriptions
-      document.querySelectorAll('[class*="challenge"], [class*="task"], [class*="instruction"]').forEach(el => {
-        const t = el.textContent.trim();
-        if (t.length > 10) tests.push(t);
-      });
-      // Console output
-      const output = textOf('[class*="console"], [class*="output"], [class*="result"]');
-      if (output && output.length > 5) tests.push(output);
-      return uniqueArray(tests);
-    },
-
-    getInstruction() {
-      return textOf('[class*="task-description"], [class*="challenge-description"], [class*="lesson-description"]');
-    },
-
-    getRuleHints() { return ''; },
-
     getConceptId() {
       const path = location.pathname || '';
       return slugify('scrimba-' + path, 40);
@@ -410,42 +804,7 @@
     }
   };
 
-  // =====================================================================
-  // === Coursera Adapter ===
-  // =====================================================================
   const courseraAdapter = {
-    getTitle() {
-      const title = textOf('[data-testid="item-name"], h1[class*="title"], .rc-ItemPageHeader h1, [class*="lesson-name"]');
-      if (title) return title;
-      return document.title.replace(/ \| Coursera$/i, '').trim() || 'Coursera Lesson';
-    },
-
-    getCode() {
-      // Coursera labs use Jupyter-style or Monaco
-      return tryMonaco() || tryCodeMirror() || tryIframes() || tryTextarea() || { code: '', method: 'none' };
-    },
-
-    getTests() {
-      const tests = [];
-      // Quiz questions
-      document.querySelectorAll('.rc-FormPart, [class*="quiz-question"], [class*="QuizQuestion"], [data-testid*="question"]').forEach(el => {
-        const t = el.textContent.trim();
-        if (t.length > 10) tests.push(t);
-      });
-      // Graded assignment feedback
-      document.querySelectorAll('[class*="feedback"], [class*="grading"], [class*="submission-result"]').forEach(el => {
-        const t = el.textContent.trim();
-        if (t.length > 5) tests.push(t);
-      });
-      return uniqueArray(tests);
-    },
-
-    getInstruction() {
-      return textOf('.rc-ExpandableText, [class*="item-page-content"], [class*="reading-content"], [class*="lecture-description"]');
-    },
-
-    getRuleHints() { return ''; },
-
     getConceptId() {
       const path = location.pathname || '';
       const match = path.match(/\/learn\/([^/]+)\/([^/]+)\/([^/]+)/);
@@ -467,36 +826,7 @@
     }
   };
 
-  // =====================================================================
-  // === Khan Academy Adapter ===
-  // =====================================================================
   const khanAdapter = {
-    getTitle() {
-      const title = textOf('[data-test-id="exercise-title"], .exerciseTitle, h1');
-      if (title) return title;
-      return document.title.replace(/ \| Khan Academy$/i, '').trim() || 'Khan Academy Exercise';
-    },
-
-    getCode() {
-      // Khan Academy uses ACE and custom editors
-      return tryAce() || tryCodeMirror() || tryIframes() || tryTextarea() || { code: '', method: 'none' };
-    },
-
-    getTests() {
-      const tests = [];
-      document.querySelectorAll('[class*="task"], [class*="hint"], [class*="output"], [class*="error"]').forEach(el => {
-        const t = el.textContent.trim();
-        if (t.length > 5) tests.push(t);
-      });
-      return uniqueArray(tests);
-    },
-
-    getInstruction() {
-      return textOf('[class*="exercise-description"], [class*="tutorial-content"], [data-test-id="exercise-content"]');
-    },
-
-    getRuleHints() { return ''; },
-
     getConceptId() {
       const path = location.pathname || '';
       return slugify('khan-' + path, 40);
@@ -515,41 +845,7 @@
     }
   };
 
-  // =====================================================================
-  // === LeetCode Adapter ===
-  // =====================================================================
   const leetcodeAdapter = {
-    getTitle() {
-      const title = textOf('[data-cy="question-title"], h4[class*="title"], [class*="css-v3d350"]');
-      if (title) return title;
-      return document.title.replace(/ - LeetCode$/i, '').trim() || 'LeetCode Problem';
-    },
-
-    getCode() {
-      return tryMonaco() || tryCodeMirror() || tryIframes() || tryTextarea() || { code: '', method: 'none' };
-    },
-
-    getTests() {
-      const tests = [];
-      // Test case inputs/outputs
-      document.querySelectorAll('[data-cy*="testcase"], [class*="testcase"], [class*="result"], [class*="output"]').forEach(el => {
-        const t = el.textContent.trim();
-        if (t.length > 3) tests.push(t);
-      });
-      // Problem constraints
-      document.querySelectorAll('[class*="constraint"], pre').forEach(el => {
-        const t = el.textContent.trim();
-        if (t.includes('Input') || t.includes('Output') || t.includes('Example')) tests.push(t);
-      });
-      return uniqueArray(tests);
-    },
-
-    getInstruction() {
-      return textOf('[class*="question-content"], [data-cy="question-content"], [class*="content__u3I1"]');
-    },
-
-    getRuleHints() { return ''; },
-
     getConceptId() {
       const path = location.pathname || '';
       const match = path.match(/\/problems\/([^/]+)/);
@@ -557,11 +853,10 @@
       return slugify('lc-' + path, 40);
     },
 
-    getCodeLanguage() {
-      // Try to detect from language selector
-      const langSel = textOf('[class*="language-selector"], [data-cy="lang-select"], button[class*="lang"]');
-      if (langSel) {
-        const l = langSel.toLowerCase();
+    /** @param {string} langLabel - Text of the language selector (pack `language` selectors) */
+    getCodeLanguage(langLabel) {
+      if (langLabel) {
+        const l = langLabel.toLowerCase();
         if (l.includes('python')) return 'python';
         if (l.includes('java') && !l.includes('javascript')) return 'java';
         if (l.includes('javascript') || l.includes('js')) return 'javascript';
@@ -578,38 +873,7 @@
     }
   };
 
-  // =====================================================================
-  // === HackerRank Adapter ===
-  // =====================================================================
   const hackerrankAdapter = {
-    getTitle() {
-      const title = textOf('.challenge-name, h2.hr-heading, [class*="challenge-title"]');
-      if (title) return title;
-      return document.title.replace(/ \| HackerRank$/i, '').trim() || 'HackerRank Challenge';
-    },
-
-    getCode() {
-      return tryMonaco() || tryAce() || tryCodeMirror() || tryIframes() || tryTextarea() || { code: '', method: 'none' };
-    },
-
-    getTests() {
-      const tests = [];
-      document.querySelectorAll('[class*="test-case"], [class*="sample-input"], [class*="sample-output"], [class*="expected-output"]').forEach(el => {
-        const t = el.textContent.trim();
-        if (t.length > 3) tests.push(t);
-      });
-      document.querySelectorAll('.challenge-body-html pre, .challenge-sample pre').forEach(el => {
-        tests.push(el.textContent.trim());
-      });
-      return uniqueArray(tests.filter(t => t.length > 2));
-    },
-
-    getInstruction() {
-      return textOf('.challenge-body-html, [class*="challenge-description"], .problem-statement');
-    },
-
-    getRuleHints() { return ''; },
-
     getConceptId() {
       const path = location.pathname || '';
       const match = path.match(/\/challenges\/([^/]+)/);
@@ -617,10 +881,10 @@
       return slugify('hr-' + path, 40);
     },
 
-    getCodeLanguage() {
-      const langEl = textOf('[class*="select-language"], .hr-language-selector, [id*="language"]');
-      if (langEl) {
-        const l = langEl.toLowerCase();
+    /** @param {string} langLabel - Text of the language selector (pack `language` selectors) */
+    getCodeLanguage(langLabel) {
+      if (langLabel) {
+        const l = langLabel.toLowerCase();
         if (l.includes('python')) return 'python';
         if (l.includes('java') && !l.includes('javascript')) return 'java';
         if (l.includes('javascript')) return 'javascript';
@@ -660,30 +924,24 @@
     return { platform, adapter };
   }
 
-  /**
-   * Build unified context using the detected platform adapter
-   * @returns {Object} Unified context object
-   */
-  function buildContext() {
-    const active = getActiveAdapter();
-    if (!active) {
-      console.log('[TrailNote] No supported platform detected at', location.href);
-      return null;
-    }
-
+  function collectContext(active, trace) {
     const { platform, adapter } = active;
-    const { code, method } = adapter.getCode();
-    const tests = adapter.getTests();
-    const title = adapter.getTitle();
-    const instruction = adapter.getInstruction();
-    const ruleHints = adapter.getRuleHints();
+    const { spec } = specFor(platform.id);
+    const { code, method } = extractCode(spec, trace);
+    const tests = extractTests(spec, trace);
+    const title = extractTitle(spec, trace);
+    const instruction = extractFromSpec(spec.instruction, trace, 'instruction');
+    const ruleHints = extractFromSpec(spec.ruleHints, trace, 'ruleHints');
+    const langLabel = firstText(spec.language?.selectors, trace, 'language');
+    const testResults = extractTestResults(spec, trace);
+    const failing = testResults.filter(t => t.status === 'fail').map(t => t.error ? `${t.text} - ${t.error}` : t.text);
 
     // Add rule hints as synthetic test if no tests found
     if (tests.length === 0 && ruleHints) {
       tests.push(ruleHints);
     }
 
-    const ctx = {
+    return {
       platform: platform.id,
       platformDisplayName: platform.displayName,
       platformIcon: platform.icon,
@@ -692,9 +950,11 @@
       url: location.pathname,
       fullUrl: location.href,
       tests: tests,
-      failingTests: tests,
+      // With structured results, only tests that actually fail count as failing
+      failingTests: testResults.length > 0 ? failing : tests,
+      testResults,
       userCode: (code || '').trim(),
-      codeLanguage: adapter.getCodeLanguage(),
+      codeLanguage: adapter.getCodeLanguage(langLabel),
       codeCaptureMethod: method,
       instruction,
       ruleHints,
@@ -702,21 +962,159 @@
       code_excerpt: (code || '').slice(0, 400),
       systemPromptAddition: adapter.getSystemPromptAddition()
     };
+  }
 
-    console.log(`[TrailNote] Context built for ${platform.displayName}:`, {
-      title: ctx.title, tests: ctx.tests.length, codeLen: ctx.userCode.length, lang: ctx.codeLanguage, method
+  /**
+   * Build unified context using the detected platform adapter
+   * @returns {Object} Unified context object
+   */
+  function buildContext() {
+    const active = getActiveAdapter();
+    if (!active) {
+      console.log('[TrailNote] No supported platform detected at', location.href);
+      return null;
+    }
+
+    const trace = newTrace();
+    const ctx = collectContext(active, trace);
+    if (trace.invalid.length > 0) {
+      console.warn('[TrailNote] Selector pack has invalid selectors:', trace.invalid);
+    }
+
+    console.log(`[TrailNote] Context built for ${active.platform.displayName}:`, {
+      title: ctx.title, tests: ctx.tests.length, codeLen: ctx.userCode.length, lang: ctx.codeLanguage, method: ctx.codeCaptureMethod
     });
 
     return ctx;
   }
 
+  /**
+   * Which selector matched for each field on this page, and which pack supplied it
+   * @returns {Object|null} { platform, packs, fields, invalidSelectors }
+   */
+  function diagnose() {
+    const active = getActiveAdapter();
+    if (!active) return null;
+
+    const trace = newTrace();
+    const ctx = collectContext(active, trace);
+    const { sources } = specFor(active.platform.id);
+
+    return {
+      platform: { id: active.platform.id, displayName: active.platform.displayName, icon: active.platform.icon },
+      url: location.href,
+      packs: [
+        { id: BUILTIN_PACK.id, name: BUILTIN_PACK.name, version: BUILTIN_PACK.version, builtin: true },
+        ...importedPacks.map(p => ({ id: p.id, name: p.name || p.id, version: p.version, builtin: false, covers: !!p.platforms[active.platform.id] }))
+      ],
+      fields: {
+        title: { matched: trace.title.selector, value: ctx.title, source: sources.title },
+        code: { matched: trace.code.probe, method: trace.code.method, length: ctx.userCode.length, source: sources.code },
+        tests: {
+          matched: trace.tests.groups.flat().map(h => `${h.selector} ×${h.count}`)
+            .concat(trace.tests.patterns.map(p => `/${p.pattern}/ ×${p.count}`)),
+          count: ctx.tests.length,
+          source: sources.tests
+        },
+        instruction: { matched: trace.instruction.selector, length: ctx.instruction.length, source: sources.instruction },
+        ruleHints: { matched: trace.ruleHints.selector, length: ctx.ruleHints.length, source: sources.ruleHints },
+        language: { matched: trace.language.selector, value: ctx.codeLanguage, source: sources.language },
+        testResults: {
+          matched: trace.testResults.selector,
+          count: ctx.testResults.length,
+          passing: ctx.testResults.filter(t => t.status === 'pass').length,
+          failing: ctx.testResults.filter(t => t.status === 'fail').length,
+          source: sources.testResults
+        }
+      },
+      invalidSelectors: trace.invalid
+    };
+  }
+
+  // =====================================================================
+  // === Fixture Capture ===
+  // =====================================================================
+  // Debug-mode snapshot of the page for adapter fixtures: the DOM without
+  // scripts, handlers, form values or tokens, plus what buildContext() read
+  // from it so a fixture can be checked against its expected fields.
+  const FIXTURE_FORMAT = 'trailnote-adapter-fixture';
+  const STRIPPED_ELEMENTS = 'script, noscript, iframe, object, embed, link[rel="preload"], link[rel="prefetch"], link[rel="modulepreload"], meta[name*="csrf" i], meta[name*="token" i]';
+  const STRIPPED_ATTRIBUTES = /^(on\w+|nonce|integrity|srcset|data-(token|csrf|user|email|session)[\w-]*)$/i;
+
+  function sanitizedHtml() {
+    const root = document.documentElement.cloneNode(true);
+    const EDITOR = '.monaco-editor, .ace_editor, .CodeMirror, [class*="editor" i]';
+
+    // Editor contents live in JS, not the DOM - keep them where the textarea probe finds them;
+    // every other form value is dropped
+    const live = document.querySelectorAll('textarea');
+    root.querySelectorAll('textarea').forEach((el, i) => {
+      el.textContent = el.closest(EDITOR) && live[i] ? live[i].value : '';
+    });
+    root.querySelectorAll('input, select').forEach(el => el.removeAttribute('value'));
+
+    root.querySelectorAll(STRIPPED_ELEMENTS).forEach(el => el.remove());
+    root.querySelectorAll('*').forEach(el => {
+      for (const attr of Array.from(el.attributes)) {
+        if (STRIPPED_ATTRIBUTES.test(attr.name) || /^\s*javascript:/i.test(attr.value)) el.removeAttribute(attr.name);
+      }
+      if (el.hasAttribute('src') && /^(https?:)?\/\//i.test(el.getAttribute('src'))) el.setAttribute('src', '');
+    });
+    return '<!DOCTYPE html>\n' + root.outerHTML;
+  }
+
+  /**
+   * Sanitized DOM of the current page with the context the adapter built from it
+   * @returns {Object|null} Fixture; null off supported platforms
+   */
+  function captureFixture() {
+    const active = getActiveAdapter();
+    if (!active) return null;
+
+    const trace = newTrace();
+    const ctx = collectContext(active, trace);
+    const packs = [BUILTIN_PACK, ...importedPacks].map(p => `${p.id}@${p.version}`);
+
+    return {
+      format: FIXTURE_FORMAT,
+      formatVersion: 1,
+      platform: active.platform.id,
+      url: location.origin + location.pathname,
+      capturedAt: new Date().toISOString(),
+      packs,
+      html: sanitizedHtml(),
+      expected: {
+        title: ctx.title,
+        userCode: ctx.userCode,
+        tests: ctx.tests,
+        instruction: ctx.instruction,
+        conceptId: ctx.conceptId,
+        codeLanguage: ctx.codeLanguage
+      },
+      codeCaptureMethod: ctx.codeCaptureMethod
+    };
+  }
+
+  function onPacksChanged(fn) {
+    packListeners.push(fn);
+  }
+
   // Expose to global scope for content.js
   window.__trailNoteAdapters = {
     detectPlatform,
     getActiveAdapter,
     buildContext,
+    diagnose,
+    captureFixture,
+    getTestResults,
+    getPageSpec,
+    getCode,
+    packsReady,
+    onPacksChanged,
     PLATFORMS,
-    ADAPTERS
+    ADAPTERS,
+    PROBES,
+    BUILTIN_PACK
   };
 
   console.log('[TrailNote] Platform adapters loaded. Supported:', PLATFORMS.map(p => p.displayName).join(', '));
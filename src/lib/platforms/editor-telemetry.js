@@ -0,0 +1,191 @@
+/**
+ * TrailNote Editor Telemetry (Content Script)
+ *
+ * A lightweight stream of what the learner does in the code editor, so the panel
+ * can tell typing from pasting, trial-and-error test runs and time away.
+ * Loaded after all-adapters.js and before content.js; plain JS like the adapters.
+ *
+ * Content scripts can't reach the page's editor objects, so events are read from
+ * the DOM around the editors the adapter probes know (Monaco, ACE, CodeMirror,
+ * textareas). Code length comes from the same probes via getCode().
+ *
+ * Events (no code or clipboard text is sent, only sizes):
+ *   burst     { keys, deleteKeys, durationMs, charsDelta }  - typing until a 1.5s pause
+ *   paste     { chars, lines }
+ *   deletion  { chars, via: 'cut' | 'keys' }               - 40+ characters removed at once
+ *   test_run  { trigger: 'button' | 'shortcut' }
+ *   idle      { durationMs, hidden }                        - sent when activity resumes after 60s+
+ * Batched to the panel as EDITOR_ACTIVITY every few seconds; test runs go out at once.
+ */
+
+(function() {
+  'use strict';
+
+  const adapters = window.__trailNoteAdapters;
+  if (!adapters) return;
+
+  const EDITOR_ROOTS = '.monaco-editor, .ace_editor, .CodeMirror, .cm-editor, textarea';
+  const BURST_GAP_MS = 1500;
+  const IDLE_MS = 60 * 1000;
+  const LARGE_DELETION = 40;
+  const FLUSH_MS = 5000;
+  const IGNORABLE_ERRORS = /(Extension context invalidated|Receiving end does not exist)/i;
+
+  let queue = [];
+  let burst = null;
+  let lastActivityAt = Date.now();
+  let hiddenSinceActivity = document.hidden;
+
+  function codeLength() {
+    try {
+      return (adapters.getCode().code || '').length;
+    } catch (_) {
+      return 0;
+    }
+  }
+
+  function inEditor(target) {
+    return !!(target && target.closest && target.closest(EDITOR_ROOTS));
+  }
+
+  function push(type, data = {}) {
+    queue.push({ type, at: Date.now(), ...data });
+  }
+
+  // Any editor activity or test run; reports the gap before it when it was long
+  function activity() {
+    const now = Date.now();
+    const gap = now - lastActivityAt;
+    if (gap >= IDLE_MS) {
+      push('idle', { durationMs: gap, hidden: hiddenSinceActivity });
+    }
+    lastActivityAt = now;
+    hiddenSinceActivity = document.hidden;
+  }
+
+  function endBurst() {
+    if (!burst) return;
+    const ended = burst;
+    burst = null;
+    const charsDelta = codeLength() - ended.startLength;
+    push('burst', {
+      keys: ended.keys,
+      deleteKeys: ended.deleteKeys,
+      durationMs: ended.lastKeyAt - ended.startedAt,
+      charsDelta
+    });
+    if (charsDelta <= -LARGE_DELETION) {
+      push('deletion', { chars: -charsDelta, via: 'keys' });
+    }
+  }
+
+  function onKeydown(e) {
+    if (!inEditor(e.target)) return;
+    activity();
+
+    if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
+      testRun('shortcut');
+      return;
+    }
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+    const now = Date.now();
+    if (!burst) burst = { startedAt: now, startLength: codeLength(), keys: 0, deleteKeys: 0, lastKeyAt: now, timer: null };
+    burst.keys++;
+    if (e.key === 'Backspace' || e.key === 'Delete') burst.deleteKeys++;
+    burst.lastKeyAt = now;
+    clearTimeout(burst.timer);
+    burst.timer = setTimeout(endBurst, BURST_GAP_MS);
+  }
+
+  function onPaste(e) {
+    if (!inEditor(e.target)) return;
+    activity();
+    const text = e.clipboardData?.getData('text') || '';
+    push('paste', { chars: text.length, lines: text ? text.split('\n').length : 0 });
+  }
+
+  function onCut(e) {
+    if (!inEditor(e.target)) return;
+    activity();
+    const text = String(e.target.ownerDocument.getSelection?.() || '');
+    if (text.length >= LARGE_DELETION) push('deletion', { chars: text.length, via: 'cut' });
+  }
+
+  function onClick(e) {
+    const selectors = adapters.getPageSpec()?.testRun?.selectors || [];
+    for (const sel of selectors) {
+      try {
+        if (e.target.closest && e.target.closest(sel)) {
+          testRun('button');
+          return;
+        }
+      } catch (_) { /* invalid pack selector - diagnostics reports it */ }
+    }
+  }
+
+  function testRun(trigger) {
+    activity();
+    endBurst();
+    push('test_run', { trigger });
+    flush();
+  }
+
+  function flush() {
+    if (queue.length === 0) return;
+    const events = queue;
+    queue = [];
+
+    const active = adapters.getActiveAdapter();
+    try {
+      chrome.runtime.sendMessage({
+        type: 'EDITOR_ACTIVITY',
+        events,
+        platform: active?.platform.id || null,
+        conceptId: active?.adapter.getConceptId() || null,
+        url: location.pathname
+      }, () => {
+        const err = chrome.runtime.lastError;
+        if (err && !IGNORABLE_ERRORS.test(err.message || '')) {
+          console.warn('[TrailNote] Editor activity not delivered:', err.message);
+        }
+      });
+    } catch (err) {
+      if (!IGNORABLE_ERRORS.test(err?.message || '')) {
+        console.warn('[TrailNote] Editor activity send threw:', err);
+      }
+    }
+  }
+
+  // Same-origin iframe editors (some platforms run the editor in a frame)
+  const watchedDocs = new WeakSet();
+  function watch(doc) {
+    if (!doc || watchedDocs.has(doc)) return;
+    watchedDocs.add(doc);
+    doc.addEventListener('keydown', onKeydown, true);
+    doc.addEventListener('paste', onPaste, true);
+    doc.addEventListener('cut', onCut, true);
+    doc.addEventListener('click', onClick, true);
+  }
+
+  function watchFrames() {
+    document.querySelectorAll('iframe').forEach(iframe => {
+      try { watch(iframe.contentDocument); } catch (_) { /* cross-origin */ }
+    });
+  }
+
+  watch(document);
+  watchFrames();
+  setInterval(watchFrames, 10000);
+  setInterval(flush, FLUSH_MS);
+
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) hiddenSinceActivity = true;
+  });
+  window.addEventListener('pagehide', () => {
+    endBurst();
+    flush();
+  });
+
+  console.log('[TrailNote] Editor telemetry active');
+})();
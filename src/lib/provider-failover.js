@@ -0,0 +1,343 @@
+/**
+ * Provider Failover - ordered LLM provider chain with per-provider health
+ *
+ * Each provider gets a circuit breaker:
+ * - CLOSED: requests flow normally
+ * - OPEN: too many consecutive failures, provider is skipped until the cooldown ends
+ * - HALF_OPEN: cooldown ended, one trial request decides whether to close or re-open;
+ *   other requests skip the provider while the trial is in flight
+ *
+ * Error rate and latency are kept over a rolling window so Settings can show them.
+ */
+
+import { store } from './storage.js';
+import {
+  getProvider,
+  getActiveProvider,
+  loadProviderSettings,
+  validateProviderSettings,
+  callProvider,
+  callProviderStream
+} from './llm-providers.js';
+
+const HEALTH_KEY = 'llm_provider_health';
+const CHAIN_KEY = 'llmFallbackChain';
+
+const CIRCUIT_STATE = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+const BREAKER_CONFIG = {
+  failureThreshold: 3,        // Consecutive failures before the circuit opens
+  baseCooldownMs: 60 * 1000,  // First open period
+  maxCooldownMs: 10 * 60 * 1000,
+  trialTimeoutMs: 2 * 60 * 1000, // A trial that never reports back (its context closed) stops blocking others
+  windowSize: 20              // Outcomes kept for error rate / latency
+};
+
+// Default health record for a provider
+const DEFAULT_HEALTH = {
+  state: CIRCUIT_STATE.CLOSED,
+  consecutiveFailures: 0,
+  openedAt: null,
+  trialStartedAt: null,  // HALF_OPEN: when the trial request was let through
+  cooldownMs: BREAKER_CONFIG.baseCooldownMs,
+  recent: [],        // [{ ok, latency, timestamp, status }]
+  totalRequests: 0,
+  totalFailures: 0,
+  lastError: null,
+  lastSuccessAt: null
+};
+
+/**
+ * Provider health tracker
+ */
+export const providerHealth = {
+  _cache: null,
+
+  async _load() {
+    if (!this._cache) {
+      this._cache = await store.get(HEALTH_KEY, {});
+    }
+    return this._cache;
+  },
+
+  async _save() {
+    await store.set(HEALTH_KEY, this._cache || {});
+  },
+
+  async _get(providerId) {
+    const all = await this._load();
+    if (!all[providerId]) {
+      all[providerId] = JSON.parse(JSON.stringify(DEFAULT_HEALTH));
+    }
+    return all[providerId];
+  },
+
+  /**
+   * Whether a request may be sent to this provider right now
+   * Moves an OPEN circuit to HALF_OPEN once its cooldown has passed. In HALF_OPEN a
+   * true answer claims the one trial request, so the caller must send it and report
+   * the outcome with recordSuccess or recordFailure.
+   */
+  async canRequest(providerId) {
+    const health = await this._get(providerId);
+    if (health.state === CIRCUIT_STATE.CLOSED) return true;
+
+    if (health.state === CIRCUIT_STATE.OPEN) {
+      if (Date.now() - health.openedAt < health.cooldownMs) return false;
+      health.state = CIRCUIT_STATE.HALF_OPEN;
+    } else if (await this.trialInFlight(providerId)) {
+      return false;
+    }
+
+    health.trialStartedAt = Date.now();
+    await this._save();
+    return true;
+  },
+
+  /**
+   * Whether a HALF_OPEN trial request is out and hasn't reported back yet
+   */
+  async trialInFlight(providerId) {
+    const health = await this._get(providerId);
+    return health.state === CIRCUIT_STATE.HALF_OPEN && !!health.trialStartedAt &&
+      Date.now() - health.trialStartedAt < BREAKER_CONFIG.trialTimeoutMs;
+  },
+
+  async recordSuccess(providerId, latency) {
+    const health = await this._get(providerId);
+    this._pushOutcome(health, { ok: true, latency, timestamp: Date.now(), status: 200 });
+    this._close(health);
+    health.lastSuccessAt = Date.now();
+    await this._save();
+  },
+
+  _close(health) {
+    health.state = CIRCUIT_STATE.CLOSED;
+    health.consecutiveFailures = 0;
+    health.cooldownMs = BREAKER_CONFIG.baseCooldownMs;
+    health.openedAt = null;
+    health.trialStartedAt = null;
+  },
+
+  /**
+   * @param {Object} options - { tripBreaker: false } for errors that aren't the provider's
+   *   fault (bad key, unknown model): they count in the error rate but don't trip the breaker.
+   *   As a HALF_OPEN trial they still show the provider answered, so the circuit closes.
+   */
+  async recordFailure(providerId, latency, error, { tripBreaker = true } = {}) {
+    const health = await this._get(providerId);
+    this._pushOutcome(health, { ok: false, latency, timestamp: Date.now(), status: error?.status || null });
+    health.totalFailures++;
+    health.lastError = {
+      message: error?.message || 'Unknown error',
+      status: error?.status || null,
+      timestamp: Date.now(),
+      configuration: !tripBreaker
+    };
+
+    if (!tripBreaker) {
+      if (health.state === CIRCUIT_STATE.HALF_OPEN) this._close(health);
+      await this._save();
+      return;
+    }
+    health.consecutiveFailures++;
+
+    if (health.state === CIRCUIT_STATE.HALF_OPEN) {
+      // Trial request failed - back off longer
+      health.state = CIRCUIT_STATE.OPEN;
+      health.openedAt = Date.now();
+      health.trialStartedAt = null;
+      health.cooldownMs = Math.min(health.cooldownMs * 2, BREAKER_CONFIG.maxCooldownMs);
+      console.warn(`[TrailNote] Circuit re-opened for ${providerId} (cooldown ${Math.round(health.cooldownMs / 1000)}s)`);
+    } else if (health.consecutiveFailures >= BREAKER_CONFIG.failureThreshold) {
+      health.state = CIRCUIT_STATE.OPEN;
+      health.openedAt = Date.now();
+      console.warn(`[TrailNote] Circuit opened for ${providerId} after ${health.consecutiveFailures} failures`);
+    }
+    await this._save();
+  },
+
+  _pushOutcome(health, outcome) {
+    health.totalRequests++;
+    health.recent.push(outcome);
+    if (health.recent.length > BREAKER_CONFIG.windowSize) {
+      health.recent = health.recent.slice(-BREAKER_CONFIG.windowSize);
+    }
+  },
+
+  /**
+   * Summarized health for every provider that has been called
+   * @return {Object} Map of provider id -> { state, errorRate, avgLatency, ... }
+   */
+  async getSnapshot() {
+    const all = await this._load();
+    const snapshot = {};
+
+    for (const [providerId, health] of Object.entries(all)) {
+      const recent = health.recent || [];
+      const failures = recent.filter(r => !r.ok).length;
+      const latencies = recent.filter(r => r.ok && r.latency != null).map(r => r.latency);
+
+      snapshot[providerId] = {
+        state: health.state,
+        errorRate: recent.length > 0 ? failures / recent.length : 0,
+        avgLatency: latencies.length > 0 ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+        sampleSize: recent.length,
+        totalRequests: health.totalRequests,
+        totalFailures: health.totalFailures,
+        consecutiveFailures: health.consecutiveFailures,
+        retryAt: health.state === CIRCUIT_STATE.OPEN ? health.openedAt + health.cooldownMs : null,
+        lastError: health.lastError,
+        lastSuccessAt: health.lastSuccessAt,
+        // Latest request failed on settings (bad key, unknown model) - the circuit stays closed
+        needsSettings: !!health.lastError?.configuration &&
+          (!health.lastSuccessAt || health.lastSuccessAt < health.lastError.timestamp)
+      };
+    }
+    return snapshot;
+  },
+
+  /**
+   * Reset one provider (or all) - e.g. after the user fixes their settings
+   */
+  async reset(providerId = null) {
+    const all = await this._load();
+    if (providerId) {
+      delete all[providerId];
+    } else {
+      this._cache = {};
+    }
+    await this._save();
+  }
+};
+
+/**
+ * Read the configured fallback provider ids (in order)
+ */
+export async function getFallbackChain() {
+  const chain = await store.get(CHAIN_KEY, []);
+  return Array.isArray(chain) ? chain : [];
+}
+
+/**
+ * Persist the fallback provider ids (in order)
+ */
+export async function setFallbackChain(providerIds) {
+  const chain = (providerIds || []).filter(id => id && getProvider(id));
+  await store.set(CHAIN_KEY, [...new Set(chain)]);
+}
+
+/**
+ * Build the ordered list of providers to try: the active provider, then the fallbacks
+ * Providers with missing required settings are left out.
+ * @return {Object} { candidates: [{ provider, settings }], settingsErrors: [string] }
+ */
+export async function resolveProviderChain() {
+  const primary = await getActiveProvider();
+  const fallbackIds = await getFallbackChain();
+  const ids = [...new Set([primary.id, ...fallbackIds])];
+
+  const candidates = [];
+  const settingsErrors = [];
+
+  for (const id of ids) {
+    const provider = getProvider(id);
+    if (!provider) continue;
+    const settings = await loadProviderSettings(provider);
+    const errors = validateProviderSettings(provider, settings);
+    if (errors.length > 0) {
+      settingsErrors.push(errors[0]);
+      continue;
+    }
+    candidates.push({ provider, settings });
+  }
+
+  return { candidates, settingsErrors };
+}
+
+/**
+ * Whether an error should move on to the next provider
+ * Network failures, timeouts, 408/429 and 5xx are transient; bad keys and missing models are not.
+ */
+export function isRetryableError(error) {
+  if (error?.retryable !== undefined) return Boolean(error.retryable);
+  return !error?.status;
+}
+
+/**
+ * Send a chat completion through the first healthy provider in the chain
+ * @param {Array} messages - [{ role, content }]
+ * @param {Object} options - { onDelta } to stream, { candidates } to skip chain resolution
+ * @return {Object} callProvider result plus { attempts: [{ provider, ok, latency, error }] }
+ */
+export async function callWithFailover(messages, options = {}) {
+  const { candidates, settingsErrors } = options.candidates
+    ? { candidates: options.candidates, settingsErrors: [] }
+    : await resolveProviderChain();
+
+  if (candidates.length === 0) {
+    throw new Error(settingsErrors[0] || 'Set up an LLM provider in Settings.');
+  }
+
+  const attempts = [];
+  let requestsSent = 0;
+  let lastError = null;
+
+  for (let i = 0; i < candidates.length; i++) {
+    const { provider, settings } = candidates[i];
+    const isLast = i === candidates.length - 1;
+
+    // Skip providers with an open circuit, unless nothing else is left to try -
+    // but never send a second request while a provider's trial request is out
+    if (!(await providerHealth.canRequest(provider.id))) {
+      const inTrial = await providerHealth.trialInFlight(provider.id);
+      if (inTrial || !(isLast && requestsSent === 0)) {
+        attempts.push({ provider: provider.id, ok: false, skipped: true, error: inTrial ? 'trial in flight' : 'circuit open' });
+        continue;
+      }
+    }
+
+    const started = Date.now();
+    requestsSent++;
+    try {
+      const result = options.onDelta
+        ? await callProviderStream(provider, settings, messages, options.onDelta)
+        : await callProvider(provider, settings, messages);
+      const latency = Date.now() - started;
+
+      await providerHealth.recordSuccess(provider.id, latency);
+      attempts.push({ provider: provider.id, ok: true, latency });
+
+      return { ...result, latency, attempts, failedOver: i > 0 };
+    } catch (error) {
+      const latency = Date.now() - started;
+      lastError = error;
+      attempts.push({ provider: provider.id, ok: false, latency, error: error.message });
+
+      if (!isRetryableError(error)) {
+        // Configuration problems (bad key, unknown model) should reach the user, and show in Settings health
+        await providerHealth.recordFailure(provider.id, latency, error, { tripBreaker: false });
+        throw error;
+      }
+
+      await providerHealth.recordFailure(provider.id, latency, error);
+      console.warn(`[TrailNote] ${provider.name} failed (${error.message})${isLast ? '' : ' - trying next provider'}`);
+    }
+  }
+
+  if (lastError) throw lastError;
+  throw new Error('All LLM providers are temporarily unavailable. Please try again in a minute.');
+}
+
+export default {
+  providerHealth,
+  getFallbackChain,
+  setFallbackChain,
+  resolveProviderChain,
+  isRetryableError,
+  callWithFailover
+};
@@ -0,0 +1,549 @@
+/**
+ * Search Index - one ranked search over notes, flashcards and learning memories
+ *
+ * A local inverted index scored with BM25. Each source is re-read when its
+ * storage key changes and only documents whose content changed are re-indexed.
+ * With "Semantic search" turned on, documents are also embedded through Ollama's
+ * embeddings endpoint and the two rankings are merged (reciprocal rank fusion).
+ *
+ * Stored in IndexedDB (engine-db.js), one row per document, so a sync writes only
+ * what changed and the index doesn't count against chrome.storage's quota:
+ * - search_docs        { id: 'note:<id>', type, sourceId, title, text, length, hash,
+ *                        terms: { term: weightedTermFrequency } }
+ * - search_embeddings  { id: 'note:<id>', hash, model, vector }
+ * The postings ({ term: { docId: weightedTermFrequency } }) are rebuilt in memory
+ * from each row's terms. A row's text is cut to MAX_DOC_TEXT for snippets; its
+ * terms come from the full text and are what removing the document undoes.
+ */
+
+import { store } from './storage.js';
+import { engineDb } from './engine-db.js';
+import { notesRepository, noteToText } from './notes-repository.js';
+import { flashcards } from './flashcards.js';
+
+const DOCS_STORE = 'search_docs';
+const EMBEDDINGS_STORE = 'search_embeddings';
+const META_ID = 'search_index';
+
+// chrome.storage keys the index was kept under before it moved to IndexedDB
+const LEGACY_STORAGE_KEYS = ['search_index', 'search_embeddings'];
+
+export const SEARCH_INDEX_VERSION = 2;
+
+// BM25 parameters (the usual defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const TITLE_WEIGHT = 2;          // A title word counts as two body words
+const PREFIX_WEIGHT = 0.5;       // Last query word also matches as a prefix (search as you type)
+const MAX_DOC_TEXT = 2000;       // Characters kept per document for snippets
+const SNIPPET_LENGTH = 160;
+const RRF_K = 60;                // Reciprocal rank fusion constant
+const SYNC_DEBOUNCE_MS = 300;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'i',
+  'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'so', 'that', 'the',
+  'their', 'then', 'there', 'this', 'to', 'was', 'we', 'were', 'what', 'when', 'which', 'with', 'you'
+]);
+
+/**
+ * Searchable sources - each maps stored items to { sourceId, title, text }
+ */
+const SOURCES = {
+  note: {
+    label: 'Note',
+    storageKey: 'notes',
+    async load() {
+      const notes = await notesRepository.list();
+      return notes.map(note => ({
+        sourceId: note.id,
+        title: note.fields.problem || note.title,
+        text: `${noteToText(note)} ${note.tags.join(' ')}`
+      }));
+    }
+  },
+  flashcard: {
+    label: 'Flashcard',
+    storageKey: 'flashcards',
+    async load() {
+      const cards = await flashcards.getAll();
+      return Object.values(cards).map(card => ({
+        sourceId: card.id,
+        title: card.front,
+        text: `${card.back || ''} ${(card.tags || []).join(' ')}`
+      }));
+    }
+  },
+  memory: {
+    label: 'Memory',
+    storageKey: 'learning_memories',
+    async load() {
+      // Read straight from storage so searching doesn't start the learning memories engine
+      const memories = await store.get('learning_memories', {});
+      return Object.values(memories).map(memory => ({
+        sourceId: memory.id,
+        title: String(memory.key || '').replace(/_/g, ' '),
+        text: `${memory.type || ''} ${memory.category || ''} ${Object.values(memory.value || {}).join(' ')}`
+      }));
+    }
+  }
+};
+
+export const SEARCH_TYPES = Object.keys(SOURCES);
+
+/**
+ * Split text into index terms
+ */
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Very light stemming so "loops" finds "loop" and "queries" finds "query"
+ */
+function stem(word) {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+function hashText(text) {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) | 0;
+  }
+  return `${text.length}:${hash}`;
+}
+
+function escapeHTML(str) {
+  return String(str || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Escaped HTML with words matching the query wrapped in <mark>
+ * @param {string} text - Plain text
+ * @param {Array} terms - Query terms (from tokenize)
+ * @param {string} prefix - Optional prefix that also counts as a match
+ */
+export function highlight(text, terms, prefix = null) {
+  const wanted = new Set(terms);
+  return String(text || '')
+    .split(/([a-zA-Z0-9]+)/)
+    .map(part => {
+      const term = stem(part.toLowerCase());
+      const matches = wanted.has(term) || (prefix && part.toLowerCase().startsWith(prefix));
+      return matches ? `<mark>${escapeHTML(part)}</mark>` : escapeHTML(part);
+    })
+    .join('');
+}
+
+/**
+ * Short highlighted excerpt around the first match
+ */
+function makeSnippet(text, terms, prefix) {
+  const lower = text.toLowerCase();
+  let start = 0;
+
+  for (const word of lower.split(/[^a-z0-9]+/)) {
+    if (word && (terms.includes(stem(word)) || (prefix && word.startsWith(prefix)))) {
+      const at = lower.search(new RegExp(`\\b${word}\\b`));
+      start = Math.max(0, at - SNIPPET_LENGTH / 4);
+      break;
+    }
+  }
+
+  const excerpt = text.slice(start, start + SNIPPET_LENGTH);
+  return `${start > 0 ? '…' : ''}${highlight(excerpt, terms, prefix)}${start + SNIPPET_LENGTH < text.length ? '…' : ''}`;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * The search index
+ */
+export const searchIndex = {
+  index: null,
+  embeddings: null,
+  _ready: null,
+  _queue: Promise.resolve(),
+  _watching: false,
+  _pending: new Set(),
+  _syncTimer: null,
+  _embeddingsUnavailable: false,
+
+  /**
+   * Load the stored index and bring it up to date with every source
+   */
+  async init() {
+    if (!this._ready) {
+      this._ready = this._load().catch(error => {
+        this._ready = null;
+        throw error;
+      });
+    }
+    return this._ready;
+  },
+
+  async _load() {
+    await chrome.storage.local.remove(LEGACY_STORAGE_KEYS);
+
+    // Rebuild from scratch when the index format changes
+    const meta = await engineDb.get('meta', META_ID);
+    if (meta?.version !== SEARCH_INDEX_VERSION) {
+      await engineDb.transaction([DOCS_STORE, EMBEDDINGS_STORE, 'meta'], async (tx) => {
+        await tx.clear(DOCS_STORE);
+        await tx.clear(EMBEDDINGS_STORE);
+        await tx.put('meta', { id: META_ID, version: SEARCH_INDEX_VERSION });
+      });
+    }
+
+    this.index = { docs: {}, postings: {}, totalLength: 0 };
+    for (const doc of await engineDb.getAll(DOCS_STORE)) {
+      this._indexDoc(doc);
+    }
+    this.embeddings = Object.fromEntries(
+      (await engineDb.getAll(EMBEDDINGS_STORE)).map(entry => [entry.id, entry])
+    );
+
+    await this._sync(SEARCH_TYPES);
+    this._watchStorage();
+    console.log(`[SearchIndex] Ready with ${Object.keys(this.index.docs).length} documents`);
+  },
+
+  /**
+   * Re-read sources and re-index whatever changed
+   * @param {Array} types - Source types to sync (default: all)
+   * @return {Object} { added, updated, removed }
+   */
+  async sync(types = SEARCH_TYPES) {
+    await this.init();
+    return this._sync(types);
+  },
+
+  _sync(types) {
+    // One sync at a time; a storage change during a sync waits its turn
+    const run = this._queue.then(() => this._syncNow(types));
+    this._queue = run.catch(() => {});
+    return run;
+  },
+
+  async _syncNow(types) {
+    const counts = { added: 0, updated: 0, removed: 0 };
+    const changed = [];
+    const removed = [];
+
+    for (const type of types) {
+      const source = SOURCES[type];
+      if (!source) continue;
+
+      let items;
+      try {
+        items = await source.load();
+      } catch (error) {
+        console.warn(`[SearchIndex] Could not read ${type} source:`, error);
+        continue;
+      }
+
+      const seen = new Set();
+      for (const item of items) {
+        const docId = `${type}:${item.sourceId}`;
+        const text = `${item.text}`.replace(/\s+/g, ' ').trim();
+        const hash = hashText(`${item.title}\n${text}`);
+        seen.add(docId);
+
+        const existing = this.index.docs[docId];
+        if (existing?.hash === hash) continue;
+
+        if (existing) this._removeDoc(docId);
+        this._addDoc(docId, { type, sourceId: item.sourceId, title: item.title || '', text, hash });
+        changed.push(docId);
+        counts[existing ? 'updated' : 'added']++;
+      }
+
+      for (const docId of Object.keys(this.index.docs)) {
+        if (this.index.docs[docId].type === type && !seen.has(docId)) {
+          this._removeDoc(docId);
+          delete this.embeddings[docId];
+          removed.push(docId);
+          counts.removed++;
+        }
+      }
+    }
+
+    if (counts.added || counts.updated || counts.removed) {
+      await engineDb.transaction([DOCS_STORE, EMBEDDINGS_STORE], async (tx) => {
+        await Promise.all([
+          ...changed.map(docId => tx.put(DOCS_STORE, this.index.docs[docId])),
+          ...removed.flatMap(docId => [tx.delete(DOCS_STORE, docId), tx.delete(EMBEDDINGS_STORE, docId)])
+        ]);
+      });
+      await this._embedDocs(changed);
+    }
+
+    return counts;
+  },
+
+  _addDoc(docId, doc) {
+    const frequencies = {};
+    for (const term of tokenize(doc.title)) {
+      frequencies[term] = (frequencies[term] || 0) + TITLE_WEIGHT;
+    }
+    for (const term of tokenize(doc.text)) {
+      frequencies[term] = (frequencies[term] || 0) + 1;
+    }
+
+    const length = Object.values(frequencies).reduce((sum, f) => sum + f, 0);
+    this._indexDoc({ ...doc, id: docId, text: doc.text.slice(0, MAX_DOC_TEXT), length, terms: frequencies });
+  },
+
+  /**
+   * Add a stored document's terms to the in-memory postings
+   */
+  _indexDoc(doc) {
+    for (const [term, frequency] of Object.entries(doc.terms || {})) {
+      if (!this.index.postings[term]) this.index.postings[term] = {};
+      this.index.postings[term][doc.id] = frequency;
+    }
+    this.index.docs[doc.id] = doc;
+    this.index.totalLength += doc.length;
+  },
+
+  _removeDoc(docId) {
+    const doc = this.index.docs[docId];
+    if (!doc) return;
+
+    for (const term of Object.keys(doc.terms || {})) {
+      const posting = this.index.postings[term];
+      if (!posting) continue;
+      delete posting[docId];
+      if (Object.keys(posting).length === 0) delete this.index.postings[term];
+    }
+
+    this.index.totalLength -= doc.length;
+    delete this.index.docs[docId];
+  },
+
+  /**
+   * Ranked search
+   * @param {string} query - What the user typed
+   * @param {Object} options - { types: ['note', ...], limit }
+   * @return {Array} [{ id, type, typeLabel, sourceId, title, snippet, score }] - title/snippet are highlighted HTML
+   */
+  async search(query, options = {}) {
+    await this.init();
+    const { types = SEARCH_TYPES, limit = 20 } = options;
+
+    const terms = tokenize(query);
+    if (terms.length === 0) return [];
+
+    // The word being typed also matches longer words
+    const lastWord = String(query).toLowerCase().match(/([a-z0-9]+)$/)?.[1];
+    const prefix = lastWord && lastWord.length >= 2 ? lastWord : null;
+
+    const bm25 = this._scoreBM25(terms, prefix, types);
+    let ranked = Object.entries(bm25).sort((a, b) => b[1] - a[1]);
+
+    const semantic = await this._scoreSemantic(query, types);
+    if (semantic) {
+      ranked = this._fuse(ranked, semantic);
+    }
+
+    return ranked.filter(([docId]) => this.index.docs[docId]).slice(0, limit).map(([docId, score]) => {
+      const doc = this.index.docs[docId];
+      return {
+        id: docId,
+        type: doc.type,
+        typeLabel: SOURCES[doc.type].label,
+        sourceId: doc.sourceId,
+        title: highlight(doc.title, terms, prefix),
+        snippet: makeSnippet(doc.text, terms, prefix),
+        score
+      };
+    });
+  },
+
+  _scoreBM25(terms, prefix, types) {
+    const docCount = Object.keys(this.index.docs).length;
+    const avgLength = docCount ? this.index.totalLength / docCount : 1;
+    const scores = {};
+
+    const addTerm = (term, weight) => {
+      const posting = this.index.postings[term];
+      if (!posting) return;
+
+      const df = Object.keys(posting).length;
+      const idf = Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+
+      for (const [docId, tf] of Object.entries(posting)) {
+        const doc = this.index.docs[docId];
+        if (!doc || !types.includes(doc.type)) continue;
+        const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / avgLength);
+        scores[docId] = (scores[docId] || 0) + weight * idf * (tf * (BM25_K1 + 1)) / norm;
+      }
+    };
+
+    for (const term of new Set(terms)) {
+      addTerm(term, 1);
+    }
+
+    if (prefix) {
+      for (const term of Object.keys(this.index.postings)) {
+        if (term.startsWith(prefix) && !terms.includes(term)) {
+          addTerm(term, PREFIX_WEIGHT);
+        }
+      }
+    }
+
+    return scores;
+  },
+
+  /**
+   * Merge keyword and semantic rankings by reciprocal rank
+   */
+  _fuse(keywordRanked, semanticRanked) {
+    const fused = {};
+    keywordRanked.forEach(([docId], rank) => {
+      fused[docId] = (fused[docId] || 0) + 1 / (RRF_K + rank + 1);
+    });
+    semanticRanked.forEach(([docId], rank) => {
+      fused[docId] = (fused[docId] || 0) + 1 / (RRF_K + rank + 1);
+    });
+    return Object.entries(fused).sort((a, b) => b[1] - a[1]);
+  },
+
+  // --- Embeddings (optional) ---
+
+  async _embeddingSettings() {
+    const enabled = await store.get('searchEmbeddings', false);
+    if (!enabled || this._embeddingsUnavailable) return null;
+    return {
+      url: String(await store.get('ollamaUrl', 'http://localhost:11434')).replace(/\/+$/, ''),
+      model: await store.get('ollamaEmbedModel', 'nomic-embed-text')
+    };
+  },
+
+  async _embed(text, settings) {
+    const res = await fetch(`${settings.url}/api/embeddings`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ model: settings.model, prompt: text })
+    });
+    if (!res.ok) {
+      throw new Error(`Ollama embeddings request failed: ${res.status} ${res.statusText}`);
+    }
+    const data = await res.json();
+    if (!Array.isArray(data?.embedding) || data.embedding.length === 0) {
+      throw new Error(`Ollama model "${settings.model}" returned no embedding`);
+    }
+    return data.embedding;
+  },
+
+  /**
+   * Embed documents that are new, changed or not embedded yet
+   */
+  async _embedDocs(docIds = Object.keys(this.index.docs)) {
+    const settings = await this._embeddingSettings();
+    if (!settings) return;
+
+    const embedded = [];
+    try {
+      for (const docId of docIds) {
+        const doc = this.index.docs[docId];
+        if (!doc || this.embeddings[docId]?.hash === doc.hash) continue;
+        const vector = await this._embed(`${doc.title}\n${doc.text}`, settings);
+        this.embeddings[docId] = { id: docId, hash: doc.hash, model: settings.model, vector };
+        embedded.push(this.embeddings[docId]);
+      }
+    } catch (error) {
+      // Ollama not running or model missing - keyword search keeps working
+      this._embeddingsUnavailable = true;
+      console.warn('[SearchIndex] Semantic search unavailable:', error.message);
+    }
+
+    if (embedded.length > 0) {
+      await engineDb.putMany(EMBEDDINGS_STORE, embedded);
+    }
+  },
+
+  async _scoreSemantic(query, types) {
+    const settings = await this._embeddingSettings();
+    if (!settings) return null;
+
+    try {
+      // Catch up on documents indexed while embeddings were off
+      await this._embedDocs();
+      if (this._embeddingsUnavailable) return null;
+
+      const queryVector = await this._embed(query, settings);
+      return Object.entries(this.embeddings)
+        .filter(([docId, entry]) => {
+          const doc = this.index.docs[docId];
+          return doc && types.includes(doc.type) && entry.model === settings.model;
+        })
+        .map(([docId, entry]) => [docId, cosine(queryVector, entry.vector)])
+        .sort((a, b) => b[1] - a[1]);
+    } catch (error) {
+      this._embeddingsUnavailable = true;
+      console.warn('[SearchIndex] Semantic search unavailable:', error.message);
+      return null;
+    }
+  },
+
+  /**
+   * Try semantic search again (after changing Ollama settings)
+   */
+  resetEmbeddings() {
+    this._embeddingsUnavailable = false;
+  },
+
+  /**
+   * Keep the index current when sources change in any context
+   * Memories live in IndexedDB, so engine-db changes count too
+   */
+  _watchStorage() {
+    if (this._watching || !chrome.storage?.onChanged) return;
+    this._watching = true;
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local') this._markChanged(Object.keys(changes));
+    });
+    engineDb.on('changed', ({ keys }) => this._markChanged(keys));
+  },
+
+  _markChanged(keys) {
+    for (const [type, source] of Object.entries(SOURCES)) {
+      if (keys.includes(source.storageKey)) this._pending.add(type);
+    }
+    if (this._pending.size === 0) return;
+
+    clearTimeout(this._syncTimer);
+    this._syncTimer = setTimeout(() => {
+      const types = [...this._pending];
+      this._pending.clear();
+      this._sync(types).catch(error => {
+        console.warn('[SearchIndex] Incremental update failed:', error);
+      });
+    }, SYNC_DEBOUNCE_MS);
+  }
+};
+
+export default searchIndex;
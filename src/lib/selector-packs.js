@@ -0,0 +1,228 @@
+/**
+ * Selector Packs - user-imported platform selectors for the content-script adapters
+ *
+ * A pack is a versioned JSON file in the same shape as BUILTIN_PACK in
+ * platforms/all-adapters.js. For each platform it can give any of:
+ *   title:       { selectors, stripSuffix, fallback }
+ *   code:        { probes, selectors }   - probes in order: monaco, ace, codemirror,
+ *                                          iframes, textarea, monaco-view-lines, selectors
+ *   tests:       { groups: [{ selectors, minLength, match, first }], textPatterns, ignore, keep, keepLongerThan }
+ *   instruction: { selectors, useRules }
+ *   ruleHints:   { selectors, useRules }
+ *   language:    { selectors }
+ *   testResults: { items, status, text, error, pass, fail, pending, idAttribute }
+ *                - one `items` element per test; pass/fail/pending are matched against
+ *                  the class, aria-label, title and data-status of the item and its `status` elements
+ *   testRun:     { selectors }   - buttons that run the tests (editor telemetry)
+ * Patterns are RegExp source strings (case-insensitive). A field in a pack replaces
+ * the built-in field for that platform; packs are applied in import order.
+ *
+ * Imported packs are stored under 'selector_packs', which the content script reads directly.
+ */
+
+import { store } from './storage.js';
+import { PLATFORM_CONFIGS } from './platforms/platform-registry.js';
+
+export const PACK_STORAGE_KEY = 'selector_packs';
+export const PACK_FORMAT = 'trailnote-selector-pack';
+export const PACK_FORMAT_VERSION = 1;
+
+const PROBES = ['monaco', 'ace', 'codemirror', 'iframes', 'textarea', 'monaco-view-lines', 'selectors'];
+const MAX_PACK_BYTES = 256 * 1024;
+
+/**
+ * Check a pack file before it is imported
+ * @param {string} text - File contents
+ * @return {Object} { ok, errors, warnings, pack, platforms: [ids] }
+ */
+export function inspectPack(text) {
+  const errors = [];
+  const warnings = [];
+  const fail = (message) => ({ ok: false, errors: [message], warnings, pack: null, platforms: [] });
+
+  if (typeof text !== 'string' || text.length > MAX_PACK_BYTES) {
+    return fail('Not a selector pack: the file is empty or larger than 256 KB.');
+  }
+
+  let pack;
+  try {
+    pack = JSON.parse(text);
+  } catch (e) {
+    return fail(`Not valid JSON: ${e.message}`);
+  }
+
+  if (!pack || pack.format !== PACK_FORMAT) {
+    return fail(`Not a selector pack (expected "format": "${PACK_FORMAT}").`);
+  }
+  if (typeof pack.formatVersion !== 'number' || pack.formatVersion > PACK_FORMAT_VERSION) {
+    return fail(`This pack needs a newer TrailNote (pack format ${pack.formatVersion}, supported ${PACK_FORMAT_VERSION}).`);
+  }
+  if (typeof pack.id !== 'string' || !pack.id.trim() || pack.id === 'builtin') {
+    errors.push('"id" must be a non-empty string other than "builtin".');
+  }
+  if (typeof pack.version !== 'string' || !pack.version.trim()) {
+    errors.push('"version" must be a non-empty string.');
+  }
+  if (!pack.platforms || typeof pack.platforms !== 'object' || Array.isArray(pack.platforms)) {
+    errors.push('"platforms" must be an object keyed by platform id.');
+    return { ok: false, errors, warnings, pack: null, platforms: [] };
+  }
+
+  const knownIds = PLATFORM_CONFIGS.map(c => c.id);
+  const platforms = [];
+
+  for (const [platformId, fields] of Object.entries(pack.platforms)) {
+    if (!knownIds.includes(platformId)) {
+      warnings.push(`Unknown platform "${platformId}" will be ignored.`);
+      continue;
+    }
+    if (!fields || typeof fields !== 'object') {
+      errors.push(`${platformId}: expected an object.`);
+      continue;
+    }
+    platforms.push(platformId);
+    checkPlatform(platformId, fields, errors);
+  }
+
+  if (platforms.length === 0 && errors.length === 0) {
+    errors.push('The pack does not cover any supported platform.');
+  }
+
+  return { ok: errors.length === 0, errors, warnings, pack: errors.length === 0 ? pack : null, platforms };
+}
+
+function checkPlatform(platformId, fields, errors) {
+  const at = (field) => `${platformId}.${field}`;
+
+  for (const field of ['title', 'instruction', 'ruleHints', 'language', 'testRun']) {
+    if (fields[field] !== undefined) checkSelectors(fields[field].selectors, at(`${field}.selectors`), errors);
+  }
+
+  if (fields.code !== undefined) {
+    const probes = fields.code.probes;
+    if (!Array.isArray(probes) || probes.length === 0) {
+      errors.push(`${at('code.probes')}: expected a list of probes.`);
+    } else {
+      probes.filter(p => !PROBES.includes(p))
+        .forEach(p => errors.push(`${at('code.probes')}: unknown probe "${p}" (use ${PROBES.join(', ')}).`));
+    }
+    checkSelectors(fields.code.selectors, at('code.selectors'), errors);
+  }
+
+  if (fields.tests !== undefined) {
+    const tests = fields.tests;
+    if (tests.groups !== undefined && !Array.isArray(tests.groups)) {
+      errors.push(`${at('tests.groups')}: expected a list.`);
+    }
+    (Array.isArray(tests.groups) ? tests.groups : []).forEach((group, i) => {
+      checkSelectors(group?.selectors, at(`tests.groups[${i}].selectors`), errors);
+      checkPattern(group?.match, at(`tests.groups[${i}].match`), errors);
+    });
+    checkPatterns(tests.textPatterns, at('tests.textPatterns'), errors);
+    checkPatterns(tests.ignore, at('tests.ignore'), errors);
+    checkPattern(tests.keep, at('tests.keep'), errors);
+  }
+
+  if (fields.testResults !== undefined) {
+    for (const key of ['items', 'status', 'text', 'error']) {
+      checkSelectors(fields.testResults[key], at(`testResults.${key}`), errors);
+    }
+    for (const key of ['pass', 'fail', 'pending']) {
+      checkPattern(fields.testResults[key], at(`testResults.${key}`), errors);
+    }
+  }
+}
+
+function checkSelectors(selectors, path, errors) {
+  if (selectors === undefined) return;
+  if (!Array.isArray(selectors) || selectors.some(s => typeof s !== 'string')) {
+    errors.push(`${path}: expected a list of CSS selectors.`);
+    return;
+  }
+  const probe = typeof document !== 'undefined' ? document.createDocumentFragment() : null;
+  if (!probe) return;
+  for (const sel of selectors) {
+    try {
+      probe.querySelector(sel);
+    } catch (_) {
+      errors.push(`${path}: invalid selector "${sel}".`);
+    }
+  }
+}
+
+function checkPatterns(patterns, path, errors) {
+  if (patterns === undefined) return;
+  if (!Array.isArray(patterns)) {
+    errors.push(`${path}: expected a list of patterns.`);
+    return;
+  }
+  patterns.forEach((p, i) => checkPattern(p, `${path}[${i}]`, errors));
+}
+
+function checkPattern(pattern, path, errors) {
+  if (pattern === undefined || pattern === null) return;
+  if (typeof pattern !== 'string') {
+    errors.push(`${path}: expected a pattern string.`);
+    return;
+  }
+  try {
+    new RegExp(pattern, 'i');
+  } catch (e) {
+    errors.push(`${path}: ${e.message}`);
+  }
+}
+
+/**
+ * Imported packs, oldest first
+ */
+export const selectorPacks = {
+  async list() {
+    return store.get(PACK_STORAGE_KEY, []);
+  },
+
+  /**
+   * Import a pack; one with the same id is replaced and moves to the end (applied last)
+   * @param {string} text - File contents
+   * @return {Object} The inspection, plus `replaced` with the old version if any
+   */
+  async import(text) {
+    const inspection = inspectPack(text);
+    if (!inspection.ok) return inspection;
+
+    const packs = await this.list();
+    const previous = packs.find(p => p.id === inspection.pack.id);
+    const next = packs.filter(p => p.id !== inspection.pack.id);
+    next.push({ ...inspection.pack, importedAt: Date.now() });
+    await store.set(PACK_STORAGE_KEY, next);
+
+    console.log(`[SelectorPacks] Imported ${inspection.pack.id}@${inspection.pack.version} for ${inspection.platforms.join(', ')}`);
+    return { ...inspection, replaced: previous ? previous.version : null };
+  },
+
+  async remove(id) {
+    const packs = await this.list();
+    await store.set(PACK_STORAGE_KEY, packs.filter(p => p.id !== id));
+  },
+
+  /**
+   * Ask the content script in a tab which selectors matched
+   * @param {number} tabId
+   * @return {Promise<Object|null>} diagnose() from all-adapters.js; null off supported platforms
+   */
+  async diagnose(tabId) {
+    const response = await chrome.tabs.sendMessage(tabId, { type: 'ADAPTER_DIAGNOSTICS' });
+    return response?.diagnostics || null;
+  },
+
+  /**
+   * Sanitized snapshot of a tab's page with the fields the adapter read, for adapter fixtures
+   * @param {number} tabId
+   * @return {Promise<Object|null>} captureFixture() from all-adapters.js
+   */
+  async captureFixture(tabId) {
+    const response = await chrome.tabs.sendMessage(tabId, { type: 'CAPTURE_FIXTURE' });
+    return response?.fixture || null;
+  }
+};
+
+export default selectorPacks;
@@ -0,0 +1,136 @@
+/**
+ * State Sync - keeps engine singletons in step across extension contexts
+ *
+ * Each side panel window and the service worker load their own copy of the
+ * engines (bktEngine, hub, struggleDetector). A context that changes shared
+ * state publishes an event; the other contexts apply it to their copy.
+ *
+ * Events travel through chrome.storage.session: writing the event record fires
+ * storage.onChanged in every extension context, including ones that start later
+ * than the publisher. Records carry the publisher's origin id so a context never
+ * applies its own events twice.
+ *
+ * Per-tab page context is kept in chrome.storage.session as well, so an evicted
+ * service worker gets it back on restart (session storage is cleared when the
+ * browser closes, which is when tab ids stop meaning anything).
+ */
+
+const EVENT_KEY = 'state_sync:event';
+const TAB_CONTEXT_PREFIX = 'tab_context:';
+
+const origin = `ctx_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+
+function sessionArea() {
+  return typeof chrome !== 'undefined' ? chrome.storage?.session || null : null;
+}
+
+/**
+ * Event bus between contexts
+ */
+export const stateSync = {
+  origin,
+  _subscribers: new Map(),
+  _seq: 0,
+  _watching: false,
+
+  /**
+   * Tell the other contexts about a state change
+   * @param {string} topic - e.g. 'bkt:mastery'
+   * @param {Object} payload - Must survive structured cloning
+   */
+  async publish(topic, payload = {}) {
+    const area = sessionArea();
+    if (!area) return;
+
+    try {
+      await area.set({
+        [EVENT_KEY]: { topic, payload, origin, seq: ++this._seq, at: Date.now() }
+      });
+    } catch (error) {
+      console.warn(`[StateSync] Could not publish ${topic}:`, error?.message);
+    }
+  },
+
+  /**
+   * Apply events published by other contexts
+   * @param {string} topic - Topic to listen for
+   * @param {Function} listener - (payload, { origin, at }) => void
+   * @return {Function} Unsubscribe
+   */
+  subscribe(topic, listener) {
+    if (!this._subscribers.has(topic)) {
+      this._subscribers.set(topic, []);
+    }
+    this._subscribers.get(topic).push(listener);
+    this._watch();
+
+    return () => {
+      const listeners = this._subscribers.get(topic) || [];
+      const idx = listeners.indexOf(listener);
+      if (idx >= 0) listeners.splice(idx, 1);
+    };
+  },
+
+  _deliver(event) {
+    if (!event || event.origin === origin) return;
+    for (const listener of this._subscribers.get(event.topic) || []) {
+      try {
+        listener(event.payload, { origin: event.origin, at: event.at });
+      } catch (e) {
+        console.warn('[StateSync] Listener error:', e);
+      }
+    }
+  },
+
+  _watch() {
+    if (this._watching || typeof chrome === 'undefined' || !chrome.storage?.onChanged) return;
+    this._watching = true;
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'session' && changes[EVENT_KEY]) {
+        this._deliver(changes[EVENT_KEY].newValue);
+      }
+    });
+  }
+};
+
+/**
+ * Page context per tab, persisted for the browser session
+ */
+export const tabContexts = {
+  async get(tabId) {
+    const area = sessionArea();
+    if (!area) return null;
+    const key = TAB_CONTEXT_PREFIX + tabId;
+    const items = await area.get(key);
+    return items[key] || null;
+  },
+
+  async set(tabId, ctx) {
+    const area = sessionArea();
+    if (!area) return;
+    await area.set({ [TAB_CONTEXT_PREFIX + tabId]: { ...ctx, tabId, storedAt: Date.now() } });
+  },
+
+  async remove(tabId) {
+    const area = sessionArea();
+    if (!area) return;
+    await area.remove(TAB_CONTEXT_PREFIX + tabId);
+  },
+
+  /**
+   * Every stored context by tab id
+   */
+  async getAll() {
+    const area = sessionArea();
+    if (!area) return {};
+    const items = await area.get(null);
+    return Object.fromEntries(
+      Object.entries(items)
+        .filter(([key]) => key.startsWith(TAB_CONTEXT_PREFIX))
+        .map(([key, ctx]) => [key.slice(TAB_CONTEXT_PREFIX.length), ctx])
+    );
+  }
+};
+
+export default stateSync;
@@ -0,0 +1,471 @@
+/**
+ * Storage Budget - keeps chrome.storage.local under its quota
+ *
+ * - Reports usage per key (Settings > Storage)
+ * - Folds old history entries into per-concept aggregates on a daily alarm
+ * - Checks writes made through store.set and warns before a write would fail
+ *   with QUOTA_BYTES (the extension doesn't request unlimitedStorage)
+ *
+ * Aggregates live under 'history_aggregates':
+ * {
+ *   updatedAt,
+ *   keys: {
+ *     bkt_history: { compactedThrough, entries, firstAt, lastAt, groups: { kcId: {...} } },
+ *     ...
+ *   }
+ * }
+ * `compactedThrough` is the newest timestamp already folded in. Engines keep their
+ * history in memory and may write compacted entries back; those are dropped on the
+ * next run without being counted twice.
+ *
+ * Histories kept in IndexedDB (engine-db.js) are compacted row by row in one
+ * transaction, so rows written while compaction runs are never lost.
+ */
+
+import { store, setBeforeWrite } from './storage.js';
+import { engineDb } from './engine-db.js';
+
+export const AGGREGATES_KEY = 'history_aggregates';
+export const COMPACTION_ALARM = 'storage:compaction';
+
+const DEFAULT_QUOTA_BYTES = 10485760;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Share of the quota at which writes are checked, warned about and compaction forced
+const CHECK_FROM = 0.5;
+const WARN_AT = 0.8;
+const COMPACT_AT = 0.95;
+
+const WARNING_INTERVAL_MS = 5 * 60 * 1000;
+const USAGE_CACHE_MS = 30 * 1000;
+
+/**
+ * How each growing history is compacted
+ * List histories: entries older than maxAgeDays, or beyond the newest maxEntries,
+ * are folded into groups by groupBy() and removed.
+ */
+const HISTORY_POLICIES = {
+  bkt_history: {
+    label: 'Mastery updates',
+    maxAgeDays: 30,
+    maxEntries: 2000,
+    groupBy: e => e.kcId,
+    fold(group, e) {
+      group.correct = (group.correct || 0) + (e.correct ? 1 : 0);
+      group.masteryGain = (group.masteryGain || 0) + ((e.masteryAfter ?? 0) - (e.masteryBefore ?? 0));
+      group.lastMastery = e.masteryAfter ?? group.lastMastery ?? null;
+    }
+  },
+  feedback_history: {
+    label: 'Hint feedback',
+    maxAgeDays: 60,
+    maxEntries: 1000,
+    groupBy: e => e.conceptId,
+    fold(group, e) {
+      group.outcomes = group.outcomes || {};
+      group.outcomes[e.outcome] = (group.outcomes[e.outcome] || 0) + 1;
+      if (e.interventionStyle) {
+        group.styles = group.styles || {};
+        group.styles[e.interventionStyle] = (group.styles[e.interventionStyle] || 0) + 1;
+      }
+      if (typeof e.timeToOutcome === 'number') {
+        group.totalTimeToOutcome = (group.totalTimeToOutcome || 0) + e.timeToOutcome;
+        group.timedCount = (group.timedCount || 0) + 1;
+      }
+    }
+  },
+  velocity_history: {
+    label: 'Learning velocity',
+    maxAgeDays: 60,
+    maxEntries: 500,
+    groupBy: e => e.conceptId,
+    fold(group, e) {
+      group.successes = (group.successes || 0) + (e.success ? 1 : 0);
+      group.totalTime = (group.totalTime || 0) + (e.actualTime || 0);
+    }
+  },
+  observation_buffer: {
+    label: 'Observations',
+    maxAgeDays: 14,
+    maxEntries: 500,
+    groupBy: e => e.type,
+    fold(group, e) {
+      if (e.outcome) {
+        group.outcomes = group.outcomes || {};
+        group.outcomes[e.outcome] = (group.outcomes[e.outcome] || 0) + 1;
+      }
+    }
+  },
+  mining_history: {
+    label: 'Pattern mining runs',
+    maxAgeDays: 30,
+    maxEntries: 50,
+    groupBy: () => 'runs',
+    fold(group, e) {
+      group.patterns = group.patterns || {};
+      for (const [type, result] of Object.entries(e.results || {})) {
+        group.patterns[type] = (group.patterns[type] || 0) + (result?.count || 0);
+      }
+    }
+  },
+  orchestration_graph_checkpoints: {
+    label: 'Graph checkpoints',
+    maxAgeDays: 14,
+    keepPerThread: 5,
+    compact: compactCheckpoints,
+    // IndexedDB rows <-> the { threadId: { id: checkpoint } } shape compactCheckpoints takes
+    fromRows: rows => {
+      const threads = {};
+      for (const row of rows) {
+        threads[row.threadId] = threads[row.threadId] || {};
+        threads[row.threadId][row.id] = row;
+      }
+      return threads;
+    },
+    rowsOf: threads => Object.values(threads).flatMap(thread => Object.values(thread))
+  }
+};
+
+/**
+ * Fold old entries of a list history
+ * @return {{ value, aggregate, folded, dropped }}
+ */
+function compactList(list, policy, aggregate, now) {
+  if (!Array.isArray(list)) return { value: list, aggregate, folded: 0, dropped: 0 };
+
+  const cutoff = now - policy.maxAgeDays * DAY_MS;
+  const sorted = [...list].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+  const recent = sorted.filter(e => (e.timestamp || 0) > cutoff);
+  const kept = recent.slice(-policy.maxEntries);
+  const keptSet = new Set(kept);
+  const old = sorted.filter(e => !keptSet.has(e));
+
+  const agg = aggregate || { compactedThrough: 0, entries: 0, firstAt: null, lastAt: null, groups: {} };
+  let folded = 0;
+
+  for (const entry of old) {
+    const ts = entry.timestamp || 0;
+    if (ts <= agg.compactedThrough) continue; // Already counted in an earlier run
+
+    const groupKey = String(policy.groupBy(entry) ?? 'unknown');
+    const group = agg.groups[groupKey] || (agg.groups[groupKey] = { count: 0, firstAt: ts, lastAt: ts });
+    group.count++;
+    group.firstAt = Math.min(group.firstAt, ts);
+    group.lastAt = Math.max(group.lastAt, ts);
+    policy.fold(group, entry);
+
+    agg.entries++;
+    agg.firstAt = agg.firstAt === null ? ts : Math.min(agg.firstAt, ts);
+    agg.lastAt = Math.max(agg.lastAt || 0, ts);
+    folded++;
+  }
+
+  if (old.length > 0) {
+    agg.compactedThrough = Math.max(agg.compactedThrough, old[old.length - 1].timestamp || 0);
+  }
+
+  // Keep the engine's own order for what stays
+  return {
+    value: list.filter(e => keptSet.has(e)),
+    aggregate: agg,
+    folded,
+    dropped: old.length - folded
+  };
+}
+
+/**
+ * Keep the newest checkpoints per thread and drop threads that went quiet
+ * Checkpoints are resume points, not history - only counts are kept.
+ */
+function compactCheckpoints(checkpoints, policy, aggregate, now) {
+  if (!checkpoints || typeof checkpoints !== 'object') {
+    return { value: checkpoints, aggregate, folded: 0, dropped: 0 };
+  }
+
+  const cutoff = now - policy.maxAgeDays * DAY_MS;
+  const agg = aggregate || { entries: 0, threads: 0, lastAt: null };
+  const value = {};
+  let removed = 0;
+
+  for (const [threadId, thread] of Object.entries(checkpoints)) {
+    const ids = Object.keys(thread || {}).sort(
+      (a, b) => (thread[b]?.metadata?.timestamp || 0) - (thread[a]?.metadata?.timestamp || 0)
+    );
+    const latest = thread[ids[0]]?.metadata?.timestamp || 0;
+
+    if (ids.length === 0 || latest <= cutoff) {
+      removed += ids.length;
+      agg.threads++;
+      continue;
+    }
+
+    const keep = ids.slice(0, policy.keepPerThread);
+    removed += ids.length - keep.length;
+    value[threadId] = Object.fromEntries(keep.map(id => [id, thread[id]]));
+  }
+
+  agg.entries += removed;
+  if (removed > 0) agg.lastAt = now;
+  return { value, aggregate: agg, folded: removed, dropped: 0 };
+}
+
+/**
+ * Bytes used by one key, or by everything when key is null
+ * Falls back to the JSON length where getBytesInUse isn't available, and for
+ * keys kept in IndexedDB (engine-db.js), which don't count against the quota
+ */
+function bytesInUse(key, value) {
+  const local = chrome.storage.local;
+  if (typeof local.getBytesInUse !== 'function' || (key !== null && engineDb.ownsKey(key))) {
+    return Promise.resolve(key === null ? 0 : key.length + JSON.stringify(value ?? null).length);
+  }
+  return new Promise(res => local.getBytesInUse(key, bytes => res(bytes || 0)));
+}
+
+function readAll() {
+  return new Promise(res => chrome.storage.local.get(null, items => res(items || {})));
+}
+
+/**
+ * The storage budget
+ */
+export const storageBudget = {
+  _listeners: new Map(),
+  _installed: false,
+  _compacting: null,
+  _usage: null,
+  _usageAt: 0,
+  _lastWarningAt: 0,
+
+  get quota() {
+    return chrome.storage.local.QUOTA_BYTES || DEFAULT_QUOTA_BYTES;
+  },
+
+  /**
+   * Check writes in this context (call once from the service worker and the panel)
+   */
+  init() {
+    if (this._installed) return;
+    this._installed = true;
+    setBeforeWrite((key, value) => this._checkWrite(key, value));
+
+    // Warnings raised in another context (e.g. a background agent run)
+    chrome.runtime?.onMessage?.addListener((message) => {
+      if (message?.type === 'STORAGE_PRESSURE') this._emit('warning', message.usage);
+    });
+  },
+
+  /**
+   * Usage per key, largest first
+   * @return {{ bytesInUse, quota, ratio, keys: Array<{ key, bytes, compactable, label }> }}
+   */
+  async getUsage() {
+    const items = await readAll();
+    const keys = await Promise.all(Object.keys(items).map(async key => ({
+      key,
+      bytes: await bytesInUse(key, items[key]),
+      compactable: !!HISTORY_POLICIES[key],
+      label: HISTORY_POLICIES[key]?.label || null
+    })));
+
+    keys.sort((a, b) => b.bytes - a.bytes);
+    const total = (await bytesInUse(null)) || keys.reduce((sum, k) => sum + k.bytes, 0);
+
+    this._usage = total;
+    this._usageAt = Date.now();
+    return { bytesInUse: total, quota: this.quota, ratio: total / this.quota, keys };
+  },
+
+  /**
+   * Fold old history into aggregates
+   * Runs are serialized; a second call while one is running gets the same result.
+   * @param {Object} options - { reason, keys } (keys defaults to every history policy)
+   * @return {{ compactedAt, reason, freedBytes, keys: { key: { folded, dropped, before, after } } }}
+   */
+  async compact(options = {}) {
+    if (!this._compacting) {
+      this._compacting = this._compact(options).finally(() => {
+        this._compacting = null;
+      });
+    }
+    return this._compacting;
+  },
+
+  async _compact({ reason = 'manual', keys = Object.keys(HISTORY_POLICIES) } = {}) {
+    const now = Date.now();
+    const aggregates = await store.get(AGGREGATES_KEY, { updatedAt: null, keys: {} });
+    const report = { compactedAt: now, reason, freedBytes: 0, keys: {} };
+
+    for (const key of keys) {
+      const policy = HISTORY_POLICIES[key];
+      if (!policy) continue;
+
+      const result = engineDb.ownsKey(key)
+        ? await this._compactRows(key, policy, aggregates.keys[key], now)
+        : await this._compactKey(key, policy, aggregates.keys[key], now);
+      if (!result) continue;
+
+      aggregates.keys[key] = result.aggregate;
+      report.keys[key] = { folded: result.folded, dropped: result.dropped, before: result.before, after: result.after };
+      report.freedBytes += Math.max(0, result.before - result.after);
+    }
+
+    aggregates.updatedAt = now;
+    aggregates.lastRun = { at: now, reason, freedBytes: report.freedBytes };
+    await store.set(AGGREGATES_KEY, aggregates);
+
+    this._usageAt = 0;
+    console.log(`[StorageBudget] Compacted ${Object.keys(report.keys).length} histories (${reason}), freed ${report.freedBytes} bytes`);
+    this._emit('compacted', report);
+    return report;
+  },
+
+  /**
+   * Compact a history still kept in chrome.storage
+   * @return {Object|null} { aggregate, folded, dropped, before, after }, null if nothing changed
+   */
+  async _compactKey(key, policy, aggregate, now) {
+    const value = await store.get(key, null);
+    if (value === null) return null;
+
+    const before = await bytesInUse(key, value);
+    const result = (policy.compact || compactList)(value, policy, aggregate, now);
+    if (result.folded === 0 && result.dropped === 0) return null;
+
+    await store.set(key, result.value);
+    const after = await bytesInUse(key, result.value);
+    return { aggregate: result.aggregate, folded: result.folded, dropped: result.dropped, before, after };
+  },
+
+  /**
+   * Compact a history kept in IndexedDB
+   * Reads the rows through the timestamp index and deletes the folded ones in the
+   * same transaction - rewriting the whole store would drop rows added meanwhile.
+   */
+  async _compactRows(key, policy, aggregate, now) {
+    const storeName = engineDb.storeFor(key);
+    const toValue = policy.fromRows || (rows => rows);
+    const rowsOf = policy.rowsOf || (value => value);
+
+    const outcome = await engineDb.transaction(storeName, async (tx) => {
+      const rows = await tx.getAll(storeName, { index: 'timestamp' });
+      if (rows.length === 0) return null;
+
+      const result = (policy.compact || compactList)(toValue(rows), policy, aggregate, now);
+      if (result.folded === 0 && result.dropped === 0) return null;
+
+      const kept = new Set(rowsOf(result.value));
+      const removed = rows.filter(row => !kept.has(row));
+      await Promise.all(removed.map(row => tx.delete(storeName, row.id)));
+      return { result, rows, kept: [...kept] };
+    });
+    if (!outcome) return null;
+
+    const { result, rows, kept } = outcome;
+    return {
+      aggregate: result.aggregate,
+      folded: result.folded,
+      dropped: result.dropped,
+      before: await bytesInUse(key, rows),
+      after: await bytesInUse(key, kept)
+    };
+  },
+
+  /**
+   * Aggregates for one history key (or all of them)
+   */
+  async getAggregates(key = null) {
+    const aggregates = await store.get(AGGREGATES_KEY, { updatedAt: null, keys: {} });
+    return key ? aggregates.keys[key] || null : aggregates;
+  },
+
+  /**
+   * Book the daily compaction alarm (service worker)
+   */
+  async scheduleCompaction() {
+    if (!chrome.alarms) return;
+    const existing = await chrome.alarms.get(COMPACTION_ALARM);
+    if (!existing) {
+      await chrome.alarms.create(COMPACTION_ALARM, { delayInMinutes: 5, periodInMinutes: 24 * 60 });
+    }
+  },
+
+  /**
+   * @return {boolean} Whether the alarm was ours
+   */
+  async handleAlarm(alarm) {
+    if (alarm?.name !== COMPACTION_ALARM) return false;
+    await this.compact({ reason: 'scheduled' });
+    return true;
+  },
+
+  /**
+   * Runs alongside every store.set; the write doesn't wait for it, and compaction
+   * it starts runs in the background
+   */
+  async _checkWrite(key, value) {
+    // Compaction's own writes only shrink storage
+    if (this._compacting && (HISTORY_POLICIES[key] || key === AGGREGATES_KEY)) return;
+
+    try {
+      if (Date.now() - this._usageAt > USAGE_CACHE_MS) {
+        this._usage = await bytesInUse(null);
+        this._usageAt = Date.now();
+      }
+      if (!this._usage || this._usage / this.quota < CHECK_FROM) return;
+
+      const current = await bytesInUse(key, value);
+      const projected = this._usage - current + key.length + JSON.stringify(value ?? null).length;
+      const ratio = projected / this.quota;
+      if (ratio < WARN_AT) return;
+
+      if (Date.now() - this._lastWarningAt < WARNING_INTERVAL_MS) return;
+      this._lastWarningAt = Date.now();
+
+      const usage = { key, bytesInUse: projected, quota: this.quota, ratio };
+      console.warn(`[StorageBudget] Storage ${Math.round(ratio * 100)}% full (writing ${key})`);
+      this._emit('warning', usage);
+      chrome.runtime?.sendMessage?.({ type: 'STORAGE_PRESSURE', usage })?.catch?.(() => {});
+
+      if (ratio >= COMPACT_AT) {
+        this.compact({ reason: 'quota' }).catch(error => {
+          console.warn('[StorageBudget] Compaction failed:', error?.message);
+        });
+      }
+    } catch (error) {
+      console.warn('[StorageBudget] Write check failed:', error?.message);
+    }
+  },
+
+  /**
+   * Listen for budget events
+   * Events: 'warning' ({ key, bytesInUse, quota, ratio }) - storage is nearly full,
+   * 'compacted' (the compact() report)
+   */
+  on(event, listener) {
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, []);
+    }
+    this._listeners.get(event).push(listener);
+  },
+
+  off(event, listener) {
+    if (!this._listeners.has(event)) return;
+    const listeners = this._listeners.get(event);
+    const idx = listeners.indexOf(listener);
+    if (idx >= 0) listeners.splice(idx, 1);
+  },
+
+  _emit(event, data) {
+    if (!this._listeners.has(event)) return;
+    for (const listener of this._listeners.get(event)) {
+      try {
+        listener(data);
+      } catch (e) {
+        console.warn('[StorageBudget] Listener error:', e);
+      }
+    }
+  }
+};
+
+export default storageBudget;
@@ -1,26 +1,33 @@
 // Storage utilities for TrailNote
-// Uses Chrome storage API for persistent data
+// Uses Chrome storage API for persistent data; hot engine state lives in IndexedDB
+// (engine-db.js) and its old keys are read and written here as whole blobs
+
+import { engineDb } from './engine-db.js';
+
+// Called with each write, not awaited; storage-budget.js uses it to warn before the quota is reached
+let beforeWrite = null;
+
+export function setBeforeWrite(hook) {
+  beforeWrite = hook;
+}
 
 export const store = {
   async get(key, def=null) {
+    if (engineDb.ownsKey(key)) {
+      return (await engineDb.readLegacy(key)) ?? def;
+    }
     return new Promise(res => chrome.storage.local.get([key], x => res(x[key] ?? def)));
   },
   async set(key, val) {
-    return new Promise(res => chrome.storage.local.set({[key]: val}, res));
+    if (engineDb.ownsKey(key)) {
+      return engineDb.writeLegacy(key, val);
+    }
+    if (beforeWrite) beforeWrite(key, val);
+    return new Promise(res => chrome.storage.local.set({[key]: val}, () => {
+      if (chrome.runtime?.lastError) {
+        console.warn(`[TrailNote] Could not save ${key}:`, chrome.runtime.lastError.message);
+      }
+      res();
+    }));
   }
 };
-
-// Notes API helpers
-export const notesApi = {
-  async list() {
-    const all = await store.get('notes', []);
-    return all.sort((a,b)=> (b.updatedAt||b.createdAt) - (a.updatedAt||a.createdAt));
-  },
-  async add(note) {
-    const all = await store.get('notes', []);
-    all.push(note);
-    await store.set('notes', all); 
-  },
-  async saveAll(arr){ await store.set('notes', arr); }
-};
-
@@ -4,6 +4,12 @@
  * without being intrusive or giving away answers
  */
 
+import { stateSync } from './state-sync.js';
+
+// Actions that say something about the learner rather than about one panel window,
+// shared with the other open panels
+const SHARED_ACTIONS = ['explain', 'nudge', 'concept', 'success'];
+
 export class StruggleDetector {
   constructor() {
     this.state = {
@@ -19,7 +25,8 @@ export class StruggleDetector {
       currentTestStartTime: Date.now(),
       chatOpenedManually: false,
       lastStruggleLevel: 'none',
-      sessionStartTime: Date.now()
+      sessionStartTime: Date.now(),
+      editor: StruggleDetector.emptyEditorState()
     };
     
     this.thresholds = {
@@ -27,7 +34,11 @@ export class StruggleDetector {
       explainClicksMediumWindow: 3, // 3 clicks in 10 min = active help
       sameTestAttempts: 3,           // Same test fails 3 times
       timeThreshold: 5 * 60 * 1000,  // 5 minutes
-      mediumTimeThreshold: 10 * 60 * 1000 // 10 minutes
+      mediumTimeThreshold: 10 * 60 * 1000, // 10 minutes
+      thrashRuns: 4,                 // 4 test runs within the window...
+      thrashWindow: 3 * 60 * 1000,   // ...of 3 minutes...
+      thrashKeysPerRun: 30,          // ...with under 30 keystrokes between runs
+      largePaste: 200                // characters
     };
     
     this.encouragementMessages = {
@@ -50,6 +61,14 @@ export class StruggleDetector {
         "You're learning! Want me to help you think through this systematically?"
       ]
     };
+    
+    // Clicks and level changes from panels in other windows
+    stateSync.subscribe('struggle:action', ({ actionType, at }) => {
+      this._applyAction(actionType, {}, at);
+    });
+    stateSync.subscribe('struggle:level', ({ level }) => {
+      this.state.lastStruggleLevel = level;
+    });
   }
 
   /**
@@ -57,7 +76,16 @@ export class StruggleDetector {
    */
   trackAction(actionType, context = {}) {
     const now = Date.now();
+    this._applyAction(actionType, context, now);
+    
+    if (SHARED_ACTIONS.includes(actionType)) {
+      stateSync.publish('struggle:action', { actionType, at: now });
+    }
     
+    return this.analyzeStruggleLevel();
+  }
+
+  _applyAction(actionType, context, now) {
     switch(actionType) {
       case 'explain':
         this.state.explainClickCount++;
@@ -80,8 +108,84 @@ export class StruggleDetector {
         this.handleSuccess();
         break;
     }
-    
-    return this.analyzeStruggleLevel();
+  }
+
+  static emptyEditorState() {
+    return {
+      hasTelemetry: false,
+      runs: [],             // { at, keys } per test run
+      keysSinceRun: 0,
+      pastesSinceRun: [],   // pasted sizes since the last run
+      deletionsSinceRun: 0,
+      largePasteAt: 0,
+      activeMsOnTest: 0,    // typing time plus short pauses, not time away
+      lastActivityAt: 0,
+      lastRunAt: 0
+    };
+  }
+
+  /**
+   * Editor events from the content script (editor-telemetry.js)
+   * Test runs, keystrokes, pastes and real time on task replace guesses from button clicks.
+   * @param {Array} events - { type: 'burst'|'paste'|'deletion'|'test_run'|'idle', at, ... }
+   * @return {Object} analyzeStruggleLevel() plus `attempts`: one summary per test run
+   */
+  trackEditorActivity(events = []) {
+    const editor = this.state.editor;
+    editor.hasTelemetry = true;
+    const attempts = [];
+
+    for (const event of events) {
+      // Time between events counts as on task unless it was an idle gap
+      if (editor.lastActivityAt && event.type !== 'idle') {
+        const gap = event.at - editor.lastActivityAt;
+        if (gap > 0 && gap < 60 * 1000) editor.activeMsOnTest += gap;
+      }
+      editor.lastActivityAt = event.at;
+
+      switch (event.type) {
+        case 'burst':
+          editor.keysSinceRun += event.keys || 0;
+          break;
+        case 'paste':
+          editor.pastesSinceRun.push(event.chars || 0);
+          if ((event.chars || 0) >= this.thresholds.largePaste) editor.largePasteAt = event.at;
+          break;
+        case 'deletion':
+          editor.deletionsSinceRun++;
+          break;
+        case 'test_run':
+          attempts.push({
+            at: event.at,
+            trigger: event.trigger,
+            keysTyped: editor.keysSinceRun,
+            pastes: editor.pastesSinceRun.length,
+            pastedChars: editor.pastesSinceRun.reduce((a, b) => a + b, 0),
+            largeDeletions: editor.deletionsSinceRun,
+            secondsSinceLastRun: editor.lastRunAt ? Math.round((event.at - editor.lastRunAt) / 1000) : null,
+            activeMinutesOnTest: Math.round(editor.activeMsOnTest / 60000 * 10) / 10
+          });
+          editor.runs.push({ at: event.at, keys: editor.keysSinceRun });
+          editor.runs = editor.runs.filter(r => event.at - r.at < this.thresholds.mediumTimeThreshold);
+          editor.keysSinceRun = 0;
+          editor.pastesSinceRun = [];
+          editor.deletionsSinceRun = 0;
+          editor.lastRunAt = event.at;
+          break;
+      }
+    }
+
+    return { ...this.analyzeStruggleLevel(), attempts };
+  }
+
+  /**
+   * Rapid test runs with hardly any edits in between - trying things rather than thinking
+   */
+  isThrashing(now = Date.now()) {
+    const recent = this.state.editor.runs.filter(r => now - r.at < this.thresholds.thrashWindow);
+    if (recent.length < this.thresholds.thrashRuns) return false;
+    const avgKeys = recent.reduce((sum, r) => sum + r.keys, 0) / recent.length;
+    return avgKeys < this.thresholds.thrashKeysPerRun;
   }
 
   /**
@@ -101,6 +205,8 @@ export class StruggleDetector {
       this.state.lastTestContent = currentTest;
       this.state.currentTestStartTime = Date.now();
       this.state.timeOnCurrentTest = 0;
+      this.state.editor.activeMsOnTest = 0;
+      this.state.editor.runs = [];
       
       // If concept changed, reset concept-specific counters
       if (currentConceptId !== this.state.lastConceptId) {
@@ -140,8 +246,12 @@ export class StruggleDetector {
     const recentNudgeClicks = this.getRecentClickCount('nudge', this.thresholds.timeThreshold);
     const totalRecentClicks = recentExplainClicks + recentNudgeClicks;
     
-    const timeOnTest = this.state.timeOnCurrentTest;
+    // With editor telemetry, time on a test is time actually spent in the editor
+    const editor = this.state.editor;
+    const timeOnTest = editor.hasTelemetry ? editor.activeMsOnTest : this.state.timeOnCurrentTest;
     const sameTestAttempts = this.state.sameTestAttempts;
+    const thrashing = this.isThrashing(now);
+    const recentLargePaste = now - editor.largePasteAt < this.thresholds.timeThreshold;
     
     // Calculate struggle level
     let level = 'none';
@@ -160,7 +270,8 @@ export class StruggleDetector {
     else if (
       totalRecentClicks >= 3 ||
       sameTestAttempts >= 3 ||
-      (timeOnTest > 5 * 60 * 1000 && totalRecentClicks >= 1)
+      (timeOnTest > 5 * 60 * 1000 && totalRecentClicks >= 1) ||
+      (thrashing && totalRecentClicks >= 1)
     ) {
       level = 'active';
       shouldShowChat = true;
@@ -169,7 +280,9 @@ export class StruggleDetector {
     else if (
       totalRecentClicks >= 2 ||
       sameTestAttempts >= 2 ||
-      timeOnTest > 3 * 60 * 1000
+      timeOnTest > 3 * 60 * 1000 ||
+      thrashing ||
+      recentLargePaste
     ) {
       level = 'gentle';
       shouldShowChat = false; // Don't auto-show, just make available
@@ -187,6 +300,17 @@ export class StruggleDetector {
       import('./intelligence-hub.js').then(({ hub }) => {
         hub.onStruggle(level).catch(() => {});
       }).catch(() => {});
+
+      // Let the background service worker start agents listening for struggle events
+      if (typeof chrome !== 'undefined' && chrome.runtime?.sendMessage) {
+        chrome.runtime.sendMessage({
+          type: 'STRUGGLE_LEVEL_CHANGED',
+          level,
+          previousLevel: this.state.lastStruggleLevel
+        }).catch(() => {});
+      }
+
+      stateSync.publish('struggle:level', { level });
     }
 
     this.state.lastStruggleLevel = level;
@@ -198,7 +322,9 @@ export class StruggleDetector {
       indicators: {
         recentClicks: totalRecentClicks,
         sameTestAttempts,
-        timeOnTest: Math.round(timeOnTest / 1000 / 60) // minutes
+        timeOnTest: Math.round(timeOnTest / 1000 / 60), // minutes
+        thrashing,
+        recentLargePaste
       }
     };
   }
@@ -257,7 +383,8 @@ export class StruggleDetector {
       currentTestStartTime: Date.now(),
       chatOpenedManually: false,
       lastStruggleLevel: 'none',
-      sessionStartTime: Date.now()
+      sessionStartTime: Date.now(),
+      editor: StruggleDetector.emptyEditorState()
     };
   }
 
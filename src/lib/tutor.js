@@ -1,10 +1,12 @@
 // Tutor caller with guardrails for TrailNote
-// OpenAI integration with hint-only system prompts
+// Provider-agnostic LLM integration with hint-only system prompts
 
 import { store } from "./storage.js";
 import { tokens } from "./tokens.js";
 import { bktEngine } from "./bkt-engine.js";
 import { pedagogicalEngine } from "./pedagogical-engine.js";
+import { getProvider } from "./llm-providers.js";
+import { resolveProviderChain, callWithFailover } from "./provider-failover.js";
 
 // Import modules dynamically for browser environment
 let guardrailSystem;
@@ -48,23 +50,6 @@ if (typeof window !== 'undefined') {
   });
 }
 
-const DEFAULT_MODEL = "gpt-4o-mini";
-const SUPPORTED_MODELS = new Set([
-  "gpt-4o-mini",
-  "gpt-4o",
-  "gpt-4.1-mini",
-  "gpt-4.1",
-  "o4-mini",
-  "o4"
-]);
-
-const GROQ_MODELS = new Set([
-  "llama-3.1-8b-instant",
-  "llama-3.3-70b-versatile",
-  "openai/gpt-oss-120b",
-  "openai/gpt-oss-20b"
-]);
-
 const IGNORABLE_RUNTIME_ERRORS = /(Extension context invalidated|Receiving end does not exist)/i;
 
 const SYS_BASE = `
@@ -228,259 +213,121 @@ function parseTutorJson(raw, toolCalls) {
   }
 }
 
-async function callOpenAI(apiKey, model, messages){
-  const body = { model, messages };
-  const res = await fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Content-Type":"application/json",
-      "Authorization":`Bearer ${apiKey}`
-    },
-    body: JSON.stringify(body)
-  });
-  const data = await res.json();
-  
-  // Check for API errors before processing
-  if (data.error) {
-    const error = data.error;
-    const errorType = error.type || error.code || 'unknown';
-    const errorMessage = error.message || 'Unknown API error';
-    
-    if (errorType === 'insufficient_quota' || error.code === 'insufficient_quota') {
-      throw new Error(`OpenAI API quota exceeded. Please check your billing and usage at https://platform.openai.com/usage. You can also enable Mock LLM mode in Settings to test without API calls.`);
+// Read one JSON string starting just after its opening quote.
+// Returns the decoded text so far and whether the closing quote has arrived.
+function scanJsonString(raw, start) {
+  let i = start;
+  while (i < raw.length) {
+    const ch = raw[i];
+    if (ch === '\\') {
+      i += 2;
+      continue;
     }
-    
-    // Handle other common API errors
-    if (errorType === 'invalid_api_key' || error.code === 'invalid_api_key') {
-      throw new Error(`Invalid API key. Please check your OpenAI API key in Settings.`);
+    if (ch === '"') {
+      return { value: decodeJsonString(raw.slice(start, i)), closed: true, end: i + 1 };
     }
-    
-    if (errorType === 'rate_limit_exceeded' || error.code === 'rate_limit_exceeded') {
-      throw new Error(`Rate limit exceeded. Please wait a moment and try again.`);
-    }
-    
-    // Generic API error
-    throw new Error(`OpenAI API error: ${errorMessage} (${errorType})`);
+    i++;
   }
-  
-  // Check HTTP status for non-200 responses
-  if (!res.ok) {
-    const statusText = res.statusText || 'Unknown error';
-    throw new Error(`OpenAI API request failed: ${res.status} ${statusText}. Check your API key and network connection.`);
-  }
-  
-  // token usage if present
-  const used = data?.usage?.total_tokens ??
-    tokens.estimateFromText(messages.map(m=>m.content).join(" ")) +
-    tokens.estimateFromText(data?.choices?.[0]?.message?.content||"");
-  await tokens.bump(used);
-  const rawMessage = data?.choices?.[0]?.message || null;
-  return {
-    content: rawMessage?.content || "",
-    used,
-    model,
-    messages,
-    rawMessage
-  };
+  // Drop a dangling escape so the partial text still decodes
+  const body = raw.slice(start).replace(/\\(u[0-9a-fA-F]{0,3})?$/, '');
+  return { value: decodeJsonString(body), closed: false, end: raw.length };
 }
 
-export async function fetchOllamaModels(ollamaUrl) {
-  const url = (ollamaUrl || 'http://localhost:11434').replace(/\/$/, '');
-  const endpoint = `${url}/api/tags`;
-  
+function decodeJsonString(body) {
   try {
-    const res = await fetch(endpoint, {
-      method: "GET",
-      headers: {
-        "Content-Type":"application/json"
-      }
-    });
-    
-    if (!res.ok) {
-      // For 403 errors, log helpful message but still return empty array
-      // (the actual error will show when user tries to use tutor)
-      if (res.status === 403) {
-        console.warn(
-          '[TrailNote] Ollama CORS error (403). Restart Ollama with:\n' +
-          'Windows: $env:OLLAMA_ORIGINS="chrome-extension://*"; ollama serve\n' +
-          'macOS/Linux: OLLAMA_ORIGINS=chrome-extension://* ollama serve'
-        );
-      }
-      return [];
-    }
-    
-    const data = await res.json();
-    // Ollama returns { models: [{ name: "...", ... }, ...] }
-    // Handle both 'name' and 'model' fields, preserving full names with tags (e.g., "llama3:8b")
-    return (data?.models || []).map(m => {
-      const modelName = m.name || m.model || '';
-      // Preserve the full model name including tags
-      return modelName;
-    }).filter(Boolean);
-  } catch (error) {
-    // Return empty array on error - caller will handle gracefully
-    return [];
+    return JSON.parse(`"${body}"`);
+  } catch (_ignored) {
+    return body;
   }
 }
 
-async function callGroq(apiKey, model, messages) {
-  const body = { model, messages };
-  const res = await fetch("https://api.groq.com/openai/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "Authorization": `Bearer ${apiKey}`
-    },
-    body: JSON.stringify(body)
-  });
-  const data = await res.json();
-  
-  // Check for API errors before processing
-  if (data.error) {
-    const error = data.error;
-    const errorType = error.type || error.code || 'unknown';
-    const errorMessage = error.message || 'Unknown API error';
-    
-    if (errorType === 'insufficient_quota' || error.code === 'insufficient_quota') {
-      throw new Error(`Groq API quota exceeded. Please check your usage at https://console.groq.com/. Groq offers a free tier to get started.`);
-    }
-    
-    // Handle other common API errors
-    if (errorType === 'invalid_api_key' || error.code === 'invalid_api_key') {
-      throw new Error(`Invalid Groq API key. Please check your API key in Settings. Get your key at https://console.groq.com/keys`);
-    }
-    
-    if (errorType === 'rate_limit_exceeded' || error.code === 'rate_limit_exceeded') {
-      throw new Error(`Groq rate limit exceeded. Please wait a moment and try again.`);
-    }
-    
-    // Generic API error
-    throw new Error(`Groq API error: ${errorMessage} (${errorType})`);
-  }
-  
-  // Check HTTP status for non-200 responses
-  if (!res.ok) {
-    const statusText = res.statusText || 'Unknown error';
-    throw new Error(`Groq API request failed: ${res.status} ${statusText}. Check your API key and network connection.`);
-  }
-  
-  // Token usage if present
-  const used = data?.usage?.total_tokens ??
-    tokens.estimateFromText(messages.map(m=>m.content).join(" ")) +
-    tokens.estimateFromText(data?.choices?.[0]?.message?.content||"");
-  await tokens.bump(used);
-  const rawMessage = data?.choices?.[0]?.message || null;
-  return {
-    content: rawMessage?.content || "",
-    used,
-    model,
-    messages,
-    rawMessage
-  };
-}
+/**
+ * Pull the fields that have arrived so far out of an incomplete JSON reply.
+ * The field still being written is included up to its last complete character.
+ */
+function extractPartialTutorJson(raw) {
+  if (!raw) return null;
+  const partial = {};
 
-async function callOllama(ollamaUrl, model, messages){
-  const url = (ollamaUrl || 'http://localhost:11434').replace(/\/$/, '');
-  const endpoint = `${url}/api/chat`;
-  
-  const body = {
-    model: model || 'llama2',
-    messages: messages,
-    stream: false
-  };
-  
-  let res;
-  try {
-    res = await fetch(endpoint, {
-      method: "POST",
-      headers: {
-        "Content-Type":"application/json"
-      },
-      body: JSON.stringify(body)
-    });
-  } catch (networkError) {
-    // Network errors (connection refused, etc.)
-    if (networkError.message?.includes('Failed to fetch') || networkError.message?.includes('NetworkError')) {
-      throw new Error(`Cannot connect to Ollama at ${url}. Make sure Ollama is running (try: ollama serve) and the URL is correct in Settings.`);
+  for (const field of ["diagnosis", "why_it_happens", "self_check"]) {
+    const match = new RegExp(`"${field}"\\s*:\\s*"`).exec(raw);
+    if (match) {
+      partial[field] = scanJsonString(raw, match.index + match[0].length).value;
     }
-    throw new Error(`Network error connecting to Ollama: ${networkError.message}`);
   }
-  
-  // Check HTTP status
-  if (!res.ok) {
-    let errorMessage = `Ollama request failed: ${res.status} ${res.statusText}`;
-    try {
-      const errorData = await res.json();
-      if (errorData.error) {
-        errorMessage = `Ollama error: ${errorData.error}`;
+
+  const stepsMatch = /"steps"\s*:\s*\[/.exec(raw);
+  if (stepsMatch) {
+    partial.steps = [];
+    let i = stepsMatch.index + stepsMatch[0].length;
+    while (i < raw.length) {
+      const ch = raw[i];
+      if (ch === ']') break;
+      if (ch === '"') {
+        const str = scanJsonString(raw, i + 1);
+        partial.steps.push(str.value);
+        if (!str.closed) break;
+        i = str.end;
+        continue;
       }
-    } catch (_) {
-      // If response isn't JSON, use the status message
-    }
-    
-    if (res.status === 404) {
-      throw new Error(`Ollama model "${model}" not found. Install it with: ollama pull ${model}`);
-    }
-    
-    if (res.status === 403) {
-      throw new Error(
-        `Ollama CORS error (403 Forbidden). Click "Get Help Fixing This" below for step-by-step instructions.`
-      );
+      i++;
     }
-    
-    throw new Error(errorMessage);
   }
-  
-  const data = await res.json();
-  
-  // Ollama returns { message: { content: "...", role: "assistant" }, ... }
-  const content = data?.message?.content || "";
-  
-  // Estimate token usage (Ollama doesn't provide usage stats)
-  const used = tokens.estimateFromText(messages.map(m=>m.content).join(" ")) +
-    tokens.estimateFromText(content);
-  await tokens.bump(used);
-  
-  // Create a compatible message object
-  const rawMessage = data?.message || { content, role: 'assistant' };
-  
+
+  return Object.keys(partial).length > 0 ? partial : null;
+}
+
+// Mid-stream text has not been through the guardrail yet, so anything
+// code-like is hidden until the final, sanitized render replaces it.
+function maskPartialText(text) {
+  if (typeof text !== "string") return text;
+  return text
+    .replace(/```[\s\S]*?(```|$)/g, "[code omitted]")
+    .replace(/`[^`]*(`|$)/g, "…")
+    .replace(/<[^>]*(>|$)/g, "…");
+}
+
+function buildStreamingPreview(accumulated, context) {
+  const partial = extractPartialTutorJson(accumulated);
+  if (!partial) return null;
+
+  // Stop updating the preview as soon as the guardrail sees a spoiler
+  if (guardrailSystem && !guardrailSystem.isSafePartial(partial, context)) {
+    return null;
+  }
+
   return {
-    content: content,
-    used,
-    model: model,
-    rawMessage
+    diagnosis: maskPartialText(partial.diagnosis),
+    why_it_happens: maskPartialText(partial.why_it_happens),
+    steps: (partial.steps || []).map(maskPartialText),
+    self_check: maskPartialText(partial.self_check),
+    partial: true
   };
 }
 
-export async function tutorAnswer(mode, context, tone = "nudge") {
-  const provider = await store.get('llmProvider', 'openai');
-  const apiKey = await store.get('apiKey', '');
-  const mockLLM = await store.get('mockLLM', false);
-  const groqApiKey = await store.get('groqApiKey');
-  const ollamaUrl = await store.get('ollamaUrl', 'http://localhost:11434');
-  const ollamaModel = await store.get('ollamaModel', 'llama2');
-  const groqModel = await store.get('groqModel', 'llama-3.1-8b-instant');
-  const storedModel = await store.get('model', DEFAULT_MODEL);
-  const model = SUPPORTED_MODELS.has(storedModel) ? storedModel : DEFAULT_MODEL;
-  if (!SUPPORTED_MODELS.has(storedModel)) {
-    console.warn(`[HintHopper Bunji] Model "${storedModel}" is not in supported list. Falling back to ${DEFAULT_MODEL}.`);
-  }
+export async function fetchOllamaModels(ollamaUrl) {
+  const ollama = getProvider('ollama');
+  return ollama.fetchModels({ baseUrl: ollamaUrl });
+}
+
+/**
+ * Ask Bunji for a structured hint
+ * @param {string} mode - Hint mode (e.g. 'nudge', 'concept')
+ * @param {Object} context - Challenge context from the content script
+ * @param {string} tone - 'nudge' | 'study' | 'exam'
+ * @param {Object} options - { onPartial } streams masked previews while the reply arrives;
+ *   the returned value is always the full guardrail-sanitized response
+ */
+export async function tutorAnswer(mode, context, tone = "nudge", options = {}) {
   const hintMode = await store.get('hintMode', 'strict');
   const mock = await store.get('mockLLM', false);
 
+  // Active provider first, then the configured fallbacks (only those with complete settings)
+  let providerChain = null;
   if (!mock) {
-    if (provider === 'ollama') {
-      if (!ollamaUrl || !ollamaModel) {
-        throw new Error("Set your Ollama URL and model in Settings.");
-      }
-    } else if (provider === 'groq') {
-      if (!groqApiKey) {
-        throw new Error("Set your Groq API key in Settings. Get your free key at https://console.groq.com/keys");
-      }
-    } else {
-      if (!apiKey) {
-        throw new Error("Set your API key in Settings.");
-      }
+    providerChain = await resolveProviderChain();
+    if (providerChain.candidates.length === 0) {
+      throw new Error(providerChain.settingsErrors[0] || "Set up an LLM provider in Settings.");
     }
   }
   if (!context) throw new Error("Context Preview is empty. Open a challenge on a supported platform, then wait a moment before asking again.");
@@ -559,6 +406,7 @@ export async function tutorAnswer(mode, context, tone = "nudge") {
         conceptId,
         userQuery,
         userCode,
+        codeLanguage: context.codeLanguage,
         failingTests,
         challengeId: context.challengeId,
         struggleData: context.struggleData || { struggleLevel: context.struggleLevel || 'none' }
@@ -640,10 +488,16 @@ export async function tutorAnswer(mode, context, tone = "nudge") {
     if (pedagogicalEngine && pedagogicalEngine.detectMisconception) {
       const detected = await pedagogicalEngine.detectMisconception(
         context.userCode || '',
-        context.tests || context.failingTests || []
+        context.tests || context.failingTests || [],
+        context.codeLanguage
       );
       if (detected && detected.id !== 'unknown' && detected.confidence > 0.5) {
         misconceptionHint = `Suspected issue: ${detected.name}. Focus the hint on ${detected.relatedConcepts[0] || detected.id}.`;
+        // Point at the code that shows it, without quoting a fix
+        const evidence = (detected.evidence || []).slice(0, 2).map(e => `line ${e.line}: ${e.note}`);
+        if (evidence.length > 0) {
+          misconceptionHint += ` Seen in the learner's code - ${evidence.join('; ')}.`;
+        }
         console.log(`[TrailNote] Misconception detected: ${detected.name} (confidence: ${detected.confidence})`);
         // Attach to context so the panel can render the misconception chip
         context._detectedMisconception = { name: detected.name, id: detected.id };
@@ -716,7 +570,8 @@ export async function tutorAnswer(mode, context, tone = "nudge") {
           ],
       self_check: "Does the first <p> contain an <a> with the correct text and href?",
       redacted_code_glimpse: '<p> ... <a href="..."></a> ... </p>',
-      concept_key: 'link-inside-p'
+      concept_key: 'link-inside-p',
+      provider: 'mock'
     };
     
     // Track mock hint in outcome data
@@ -732,22 +587,21 @@ export async function tutorAnswer(mode, context, tone = "nudge") {
     if (intelligenceHub && hintId) {
       intelligenceHub.afterHint(hintId, canned, context).catch(() => {});
     }
-    return await sanitizeStructuredResponse(canned, hintMode === 'strict', context);
-  }
-
-  // Route to appropriate provider
-  let result;
-  if (provider === 'ollama') {
-    result = await callOllama(ollamaUrl, ollamaModel, messages);
-  } else if (provider === 'groq') {
-    const validGroqModel = GROQ_MODELS.has(groqModel) ? groqModel : 'llama-3.1-8b-instant';
-    if (!GROQ_MODELS.has(groqModel)) {
-      console.warn(`[HintHopper Bunji] Groq model "${groqModel}" is not in supported list. Falling back to llama-3.1-8b-instant.`);
-    }
-    result = await callGroq(groqApiKey, validGroqModel, messages);
-  } else {
-    result = await callOpenAI(apiKey, model, messages);
-  }
+    const response = await sanitizeStructuredResponse(canned, hintMode === 'strict', context);
+    response.hintId = hintId || null;
+    return response;
+  }
+
+  // Walk the failover chain; previews restart if a later provider takes over
+  const result = await callWithFailover(messages, {
+    candidates: providerChain.candidates,
+    onDelta: typeof options.onPartial === 'function'
+      ? (_delta, accumulated) => {
+          const preview = buildStreamingPreview(accumulated, context);
+          if (preview) options.onPartial(preview);
+        }
+      : undefined
+  });
   
   const parsed = parseTutorJson(result.content, result.rawMessage?.tool_calls);
   const sanitized = await sanitizeStructuredResponse(parsed, hintMode === 'strict', context);
@@ -755,6 +609,9 @@ export async function tutorAnswer(mode, context, tone = "nudge") {
   if (context._detectedMisconception) {
     sanitized.misconception = context._detectedMisconception;
   }
+  // Record which provider answered so outcomes can be split by provider
+  sanitized.provider = result.provider;
+  sanitized.model = result.model;
   
   // Track LLM hint in outcome data
   if (outcomeTracker) {
@@ -778,6 +635,8 @@ export async function tutorAnswer(mode, context, tone = "nudge") {
   if (intelligenceHub && hintId) {
     intelligenceHub.afterHint(hintId, sanitized, context).catch(() => {});
   }
+  // The panel hands this to the content script so test passes are credited to the hint
+  if (sanitized && typeof sanitized === 'object') sanitized.hintId = hintId || null;
 
   // Emit debug info if debug mode is enabled
   const dbg = await store.get('debugMode', false);
@@ -785,6 +644,8 @@ export async function tutorAnswer(mode, context, tone = "nudge") {
     try {
       const debugPayload = {
         model: result.model,
+        provider: result.provider,
+        providerAttempts: result.attempts,
         promptPreview: (messages?.[1]?.content || "").slice(0, 500),
         usedTokens: result.used,
         assistantMessage: {
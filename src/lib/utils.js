@@ -88,8 +88,68 @@ export function formatDuration(minutes) {
   }
 }
 
+/**
+ * Line diff between two versions of some code (longest common subsequence)
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @return {Array<{op: '+'|'-', line: number, text: string}>} - Changed lines only; `line` is 1-based in before ('-') or after ('+')
+ */
+export function diffLines(before, after) {
+  const a = (before || '').split('\n').map(l => l.trimEnd());
+  const b = (after || '').split('\n').map(l => l.trimEnd());
+  
+  // Unchanged lines at either end don't need the table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  
+  const n = endA - start;
+  const m = endB - start;
+  const changes = [];
+  
+  // Too large to compare line by line - report everything in between as replaced
+  if (n * m > 1000000) {
+    for (let i = start; i < endA; i++) changes.push({ op: '-', line: i + 1, text: a[i] });
+    for (let j = start; j < endB; j++) changes.push({ op: '+', line: j + 1, text: b[j] });
+    return changes;
+  }
+  
+  // lcs[i][j] = common lines in a[start+i..endA) and b[start+j..endB)
+  const lcs = Array.from({ length: n + 1 }, () => new Uint16Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[start + i] === b[start + j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && a[start + i] === b[start + j]) {
+      i++;
+      j++;
+    } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      changes.push({ op: '-', line: start + i + 1, text: a[start + i] });
+      i++;
+    } else {
+      changes.push({ op: '+', line: start + j + 1, text: b[start + j] });
+      j++;
+    }
+  }
+  
+  return changes;
+}
+
 export default {
   createHash,
+  diffLines,
   sanitizeText,
   conceptIdFrom,
   generateId,
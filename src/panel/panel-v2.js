@@ -4,13 +4,24 @@
  * Pivoted from learning/note-taking to AI agent creation platform
  */
 
-import { store, notesApi } from '../lib/storage.js';
+import { store } from '../lib/storage.js';
+import { notesRepository } from '../lib/notes-repository.js';
+import { searchIndex } from '../lib/search-index.js';
+import { exportData, importFiles } from '../lib/notes-transfer.js';
 import { initChat } from './v2/chat.js';
 import { initAgentDesigner, renderAgentGallery } from './v2/agent-designer.js';
 import { agentBuilder } from '../lib/agent-builder.js';
 import { hub as intelligenceHub } from '../lib/intelligence-hub.js';
 import { bktEngine } from '../lib/bkt-engine.js';
 import { learningVelocity } from '../lib/learning-velocity.js';
+import { renderProviderSettings, saveProviderSettingsForm } from './v2/provider-settings.js';
+import { renderBackupSettings } from './v2/backup-settings.js';
+import { renderStorageSettings } from './v2/storage-settings.js';
+import { renderSelectorPackSettings } from './v2/selector-pack-settings.js';
+import { storageBudget } from '../lib/storage-budget.js';
+import { tutorAnswer } from '../lib/tutor.js';
+import { struggleDetector } from '../lib/struggle-detector.js';
+import { buildChecks, localRunner } from '../lib/local-runner.js';
 
 // Tone label map (defined locally, not exported from tutor.js)
 const toneLabelMap = {
@@ -19,8 +30,17 @@ const toneLabelMap = {
   exam: 'Exam mode'
 };
 
+// Badge labels for Bunji hint modes
+const MODE_LABELS = {
+  explain: 'Explain tests',
+  nudge: 'Nudge',
+  concept: 'Concept check'
+};
+
 // Global state
 let currentContext = null;
+let activeTabId = null;     // The tab this panel's window is showing; context follows it
+let panelWindowId = null;
 let currentTone = 'nudge';
 let chat = null;
 let lastConceptId = null;   // Tracks the concept for the most recent hint (for BKT wiring)
@@ -81,13 +101,20 @@ if (typeof window !== 'undefined') {
 // Initialize on load
 document.addEventListener('DOMContentLoaded', async () => {
   console.log('[TrailNote] Initializing Agent Builder...');
+  // Warn before writes start failing on the storage quota
+  storageBudget.init();
+  storageBudget.on('warning', ({ ratio }) => {
+    showNotification(`Storage is ${Math.round(ratio * 100)}% full. Old history will be summarized to make room.`, 'warning');
+  });
   await initSettings();
   await initNavigation();
   await initChatInterface();
   await initAgentBuilder();
   await initAgentMemory();
+  await initSearch();
   await initKnowledgeGraph();
   await initAgentActivity();
+  await initTabTracking();
   requestContextRefresh();
 
   // Initialize BKT engine (non-blocking)
@@ -119,62 +146,46 @@ async function initSettings() {
   console.log('[HintHopper] Initializing settings');
   // Load saved settings
   const llmProvider = await store.get('llmProvider', 'openai');
-  const apiKey = await store.get('apiKey', '');
-  const groqApiKey = await store.get('groqApiKey', '');
-  const ollamaUrl = await store.get('ollamaUrl', 'http://localhost:11434');
   const hintMode = await store.get('hintMode', 'strict');
   const tutorTone = await store.get('tutorTone', 'nudge');
-  const model = await store.get('model', 'gpt-4o-mini');
-  const groqModel = await store.get('groqModel', 'llama-3.1-8b-instant');
-  const ollamaModel = await store.get('ollamaModel', 'llama2');
   const debugMode = await store.get('debugMode', false);
   const mockLLM = await store.get('mockLLM', false);
   const improveBunji = await store.get('improve_bunji_enabled', false);
+  const agentMaxConcurrentRuns = await store.get('agentMaxConcurrentRuns', 1);
+  const searchEmbeddings = await store.get('searchEmbeddings', false);
+  const ollamaEmbedModel = await store.get('ollamaEmbedModel', 'nomic-embed-text');
   
   console.log('[HintHopper] Settings loaded:', { llmProvider, hintMode, tutorTone });
   
+  // Provider select and fields come from the provider registry
+  await renderProviderSettings(document.getElementById('providerSettings'), llmProvider);
+  renderBackupSettings(document.getElementById('backupSettings'));
+  renderStorageSettings(document.getElementById('storageSettings')).catch(e => console.warn('[TrailNote] Storage usage unavailable:', e));
+  renderSelectorPackSettings(document.getElementById('selectorPackSettings')).catch(e => console.warn('[TrailNote] Selector packs unavailable:', e));
+  
   // Set form values
-  const providerSelect = document.getElementById('llmProvider');
-  const apiKeyInput = document.getElementById('apiKey');
-  const groqApiKeyInput = document.getElementById('groqApiKey');
-  const ollamaUrlInput = document.getElementById('ollamaUrl');
   const hintModeSelect = document.getElementById('hintMode');
   const bunjiToneSelect = document.getElementById('bunjiTone');
-  const modelSelect = document.getElementById('modelSelect');
-  const groqModelSelect = document.getElementById('groqModel');
-  const ollamaModelSelect = document.getElementById('ollamaModel');
   const debugModeCheckbox = document.getElementById('debugMode');
   const mockLLMCheckbox = document.getElementById('mockLLM');
   const improveBunjiCheckbox = document.getElementById('improveBunji');
   
   // Check if elements exist before setting values
-  if (providerSelect) providerSelect.value = llmProvider;
-  if (apiKeyInput) apiKeyInput.value = apiKey;
-  if (groqApiKeyInput) groqApiKeyInput.value = groqApiKey;
-  if (ollamaUrlInput) ollamaUrlInput.value = ollamaUrl;
   if (hintModeSelect) hintModeSelect.value = hintMode;
   if (bunjiToneSelect) bunjiToneSelect.value = tutorTone;
-  if (modelSelect) modelSelect.value = model;
-  if (groqModelSelect) groqModelSelect.value = groqModel;
-  if (ollamaModelSelect && ollamaModel) ollamaModelSelect.value = ollamaModel;
   if (debugModeCheckbox) debugModeCheckbox.checked = debugMode;
   if (mockLLMCheckbox) mockLLMCheckbox.checked = mockLLM;
   if (improveBunjiCheckbox) improveBunjiCheckbox.checked = improveBunji;
   
-  currentTone = bunjiTone;
+  const concurrencyInput = document.getElementById('agentMaxConcurrentRuns');
+  if (concurrencyInput) concurrencyInput.value = agentMaxConcurrentRuns;
   
-  // Show/hide provider settings
-  toggleProviderSettings(llmProvider);
+  const searchEmbeddingsCheckbox = document.getElementById('searchEmbeddings');
+  const embedModelInput = document.getElementById('ollamaEmbedModel');
+  if (searchEmbeddingsCheckbox) searchEmbeddingsCheckbox.checked = searchEmbeddings;
+  if (embedModelInput) embedModelInput.value = ollamaEmbedModel;
   
-  // Event listeners
-  if (providerSelect) {
-    providerSelect.addEventListener('change', (e) => {
-      console.log('[HintHopper] Provider changed to:', e.target.value);
-      toggleProviderSettings(e.target.value);
-    });
-  } else {
-    console.warn('[HintHopper] Provider select element not found!');
-  }
+  currentTone = bunjiTone;
   
   const saveButton = document.getElementById('savePrefs');
   if (saveButton) {
@@ -191,48 +202,14 @@ async function initSettings() {
       showPrivacyDetailsModal();
     });
   }
-  
-  // Ollama model refresh
-  const refreshButton = document.getElementById('refreshOllamaModels');
-  if (refreshButton) {
-    refreshButton.addEventListener('click', refreshOllamaModels);
-  }
-}
-
-function toggleProviderSettings(provider) {
-  document.getElementById('openaiSettings').style.display = provider === 'openai' ? 'block' : 'none';
-  document.getElementById('groqSettings').style.display = provider === 'groq' ? 'block' : 'none';
-  document.getElementById('ollamaSettings').style.display = provider === 'ollama' ? 'block' : 'none';
 }
 
 async function saveSettings() {
   console.log('[HintHopper] Saving settings...');
-  const provider = document.getElementById('llmProvider')?.value || 'openai';
   
-  // Save provider settings
-  await store.set('llmProvider', provider);
-  await store.set('apiKey', document.getElementById('apiKey')?.value || '');
-  await store.set('groqApiKey', document.getElementById('groqApiKey')?.value || '');
-  await store.set('ollamaUrl', document.getElementById('ollamaUrl')?.value || 'http://localhost:11434');
-  
-  // Save model selections
-  const modelSelect = document.getElementById('modelSelect');
-  if (modelSelect) {
-    console.log('[HintHopper] Saving OpenAI model:', modelSelect.value);
-    await store.set('model', modelSelect.value);
-  }
-  
-  const groqModelSelect = document.getElementById('groqModel');
-  if (groqModelSelect) {
-    console.log('[HintHopper] Saving Groq model:', groqModelSelect.value);
-    await store.set('groqModel', groqModelSelect.value);
-  }
-  
-  const ollamaModelSelect = document.getElementById('ollamaModel');
-  if (ollamaModelSelect) {
-    console.log('[HintHopper] Saving Ollama model:', ollamaModelSelect.value);
-    await store.set('ollamaModel', ollamaModelSelect.value);
-  }
+  // Save provider selection and fields (requests host permission for custom endpoints)
+  const provider = await saveProviderSettingsForm(document.getElementById('providerSettings'));
+  console.log('[HintHopper] Saved LLM provider:', provider);
   
   // Save hint and tone settings
   const hintMode = document.getElementById('hintMode')?.value || 'strict';
@@ -249,6 +226,15 @@ async function saveSettings() {
   await store.set('mockLLM', mockLLM);
   await store.set('improve_bunji_enabled', improveBunji);
   
+  // Background agent concurrency (read by the scheduler in the service worker)
+  const agentMaxConcurrentRuns = Math.min(5, Math.max(1, parseInt(document.getElementById('agentMaxConcurrentRuns')?.value, 10) || 1));
+  await store.set('agentMaxConcurrentRuns', agentMaxConcurrentRuns);
+  
+  // Semantic search (embeddings are built on the next search)
+  await store.set('searchEmbeddings', document.getElementById('searchEmbeddings')?.checked || false);
+  await store.set('ollamaEmbedModel', document.getElementById('ollamaEmbedModel')?.value.trim() || 'nomic-embed-text');
+  searchIndex.resetEmbeddings();
+  
   // If outcome tracking was toggled, update the outcome tracker
   if (typeof outcomeTracker !== 'undefined') {
     outcomeTracker.setEnabled(improveBunji);
@@ -272,35 +258,6 @@ async function saveSettings() {
   console.log('[HintHopper] Settings saved successfully');
 }
 
-async function refreshOllamaModels() {
-  const url = document.getElementById('ollamaUrl').value;
-  const statusEl = document.getElementById('ollamaModelStatus');
-  const btn = document.getElementById('refreshOllamaModels');
-  
-  btn.disabled = true;
-  btn.textContent = 'Loading...';
-  
-  try {
-    const response = await fetch(`${url}/api/tags`);
-    const data = await response.json();
-    const models = data.models || [];
-    
-    const select = document.getElementById('ollamaModel');
-    select.innerHTML = models.map(m => 
-      `<option value="${m.name}">${m.name}</option>`
-    ).join('');
-    
-    statusEl.textContent = `Found ${models.length} model(s)`;
-    statusEl.style.color = 'var(--color-success)';
-  } catch (error) {
-    statusEl.textContent = 'Failed to connect. Check URL and CORS settings.';
-    statusEl.style.color = 'var(--color-error)';
-  }
-  
-  btn.disabled = false;
-  btn.textContent = 'Refresh';
-}
-
 // === Navigation ===
 async function initNavigation() {
   const navItems = document.querySelectorAll('.nav-item[data-view]');
@@ -309,7 +266,8 @@ async function initNavigation() {
     'agent-memory': document.getElementById('agent-memoryView'),
     'knowledge-graph': document.getElementById('knowledge-graphView'),
     'analytics': document.getElementById('analyticsView'),
-    'settings': document.getElementById('settingsView')
+    'settings': document.getElementById('settingsView'),
+    'search': document.getElementById('searchView')
   };
   
   navItems.forEach(item => {
@@ -364,7 +322,7 @@ function toggleAssistant() {
 }
 
 async function updateMemoryCount() {
-  const notes = await notesApi.list();
+  const notes = await notesRepository.list();
   const badge = document.getElementById('memoryCount');
   if (badge) {
     badge.textContent = notes.length;
@@ -398,6 +356,22 @@ async function initAgentBuilder() {
 async function initAgentMemory() {
   console.log('[TrailNote] Initializing Agent Memory...');
   // Memory list will be rendered when view is shown
+  
+  document.getElementById('memorySearch')?.addEventListener('input', (e) => {
+    renderMemoryList(e.target.value);
+  });
+  
+  // Export / import in the chosen format
+  document.getElementById('exportMemory')?.addEventListener('click', () => {
+    exportNotes(document.getElementById('exportFormat')?.value || 'markdown');
+  });
+  
+  const importInput = document.getElementById('importMemoryFiles');
+  document.getElementById('importMemory')?.addEventListener('click', () => importInput?.click());
+  importInput?.addEventListener('change', async () => {
+    await importNotes(importInput.files);
+    importInput.value = '';
+  });
 }
 
 async function initKnowledgeGraph() {
@@ -410,27 +384,101 @@ async function initAgentActivity() {
   // Will use existing analytics-view.js logic
 }
 
-async function renderMemoryList() {
+async function renderMemoryList(filter = '') {
   const listEl = document.getElementById('memoryList');
   if (!listEl) return;
   
-  const notes = await notesApi.list();
+  const notes = await notesRepository.list();
   
   if (notes.length === 0) {
     listEl.innerHTML = '<li class="list-item">No memories yet. Run an agent to create memories.</li>';
     return;
   }
   
+  if (filter.trim()) {
+    const hits = await searchIndex.search(filter, { types: ['note'] });
+    listEl.innerHTML = hits.length === 0
+      ? '<li class="list-item">No memories match your search.</li>'
+      : hits.map(hit => `
+        <li class="list-item search-results">
+          <div class="list-item-content">
+            <strong>${hit.title}</strong>
+            <div class="search-result-snippet">${hit.snippet}</div>
+          </div>
+        </li>
+      `).join('');
+    return;
+  }
+  
   listEl.innerHTML = notes.map(note => `
     <li class="list-item">
       <div class="list-item-content">
-        <strong>${escapeHTML(note.problem || note.insight || 'Memory')}</strong>
+        <strong>${escapeHTML(note.fields.problem || note.fields.insight || note.title)}</strong>
         <small>${new Date(note.createdAt).toLocaleDateString()}</small>
       </div>
     </li>
   `).join('');
 }
 
+// === Search ===
+async function initSearch() {
+  const input = document.getElementById('globalSearch');
+  if (!input) return;
+  
+  // Build or catch up the index in the background
+  searchIndex.init().catch(e => console.warn('[TrailNote] Search index init error:', e));
+  
+  let timer = null;
+  input.addEventListener('input', () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => renderSearchResults(input.value), 150);
+  });
+  
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      input.value = '';
+      renderSearchResults('');
+    }
+  });
+}
+
+async function renderSearchResults(query) {
+  const view = document.getElementById('searchView');
+  const listEl = document.getElementById('searchResults');
+  const summary = document.getElementById('searchSummary');
+  if (!view || !listEl) return;
+  
+  if (!query.trim()) {
+    listEl.innerHTML = '';
+    if (summary) summary.textContent = '';
+    return;
+  }
+  
+  // Show the search view in place of whatever is open
+  document.querySelectorAll('.view-container').forEach(v => { v.style.display = 'none'; });
+  document.querySelectorAll('.nav-item[data-view]').forEach(n => n.classList.remove('active'));
+  view.style.display = 'block';
+  
+  const results = await searchIndex.search(query, { limit: 30 });
+  if (summary) summary.textContent = `${results.length} result${results.length === 1 ? '' : 's'}`;
+  
+  if (results.length === 0) {
+    listEl.innerHTML = `<li class="list-item">Nothing matches "${escapeHTML(query)}" in your notes, flashcards or memories.</li>`;
+    return;
+  }
+  
+  // title and snippet are escaped by the index; only <mark> is added
+  listEl.innerHTML = results.map(result => `
+    <li class="list-item">
+      <div class="search-result-header">
+        <span class="badge badge-secondary">${result.typeLabel}</span>
+        <strong>${result.title || '(untitled)'}</strong>
+      </div>
+      <div class="search-result-snippet">${result.snippet}</div>
+    </li>
+  `).join('');
+}
+
 async function initKnowledgeGraphView() {
   const container = document.getElementById('knowledgeGraphContent');
   if (container && knowledgeGraphView) {
@@ -450,6 +498,13 @@ function escapeHTML(str) {
   return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
 }
 
+// BKT concept id for a page context
+function conceptIdForContext(ctx) {
+  if (!ctx) return null;
+  return ctx.challengeId ||
+    (ctx.title ? ctx.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').substring(0, 30) : null);
+}
+
 async function handleBunjiAction(mode) {
   console.log('[HintHopper] Handling Bunji action:', mode);
   
@@ -460,8 +515,7 @@ async function handleBunjiAction(mode) {
   }
 
   // Derive concept ID from context for BKT tracking
-  const conceptIdForAction = currentContext.challengeId ||
-    (currentContext.title ? currentContext.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').substring(0, 30) : null);
+  const conceptIdForAction = conceptIdForContext(currentContext);
 
   // If we already showed a hint for this concept, record a failure signal (user needed another hint)
   if (lastConceptId && lastConceptId === conceptIdForAction && lastHintRequestTime) {
@@ -510,21 +564,22 @@ async function handleBunjiAction(mode) {
   try {
     console.log('[HintHopper] Calling Bunji for mode:', mode);
     // Use the tutorAnswer function from tutor.js, as renaming it would require deeper code changes
-    const response = await tutorAnswer(mode, currentContext, currentTone);
+    // Partial previews are masked by tutor.js; the final response has passed the guardrail
+    const response = await tutorAnswer(mode, currentContext, currentTone, {
+      onPartial: (preview) => renderBunjiPartial(preview, mode)
+    });
     console.log('[HintHopper] LLM response received:', response);
     renderBunjiAnswer(response, mode);
     
-    // Notify content script of hint shown to track test passes
-    if (window.__hintHopperLastHintId) {
-      chrome.tabs.query({active: true, currentWindow: true}, (tabs) => {
-        if (tabs[0]) {
-          chrome.tabs.sendMessage(tabs[0].id, {
-            type: 'HINT_SHOWN',
-            hintId: window.__hintHopperLastHintId
-          }).catch(err => {
-            console.warn('[HintHopper] Failed to notify content script of hint shown:', err);
-          });
-        }
+    // Notify content script of hint shown so its test passes are credited to this hint
+    const shownHintId = response?.hintId || window.__hintHopperLastHintId;
+    if (shownHintId && activeTabId !== null) {
+      pendingCodeAfterHint = { hintId: shownHintId, tabId: activeTabId };
+      chrome.tabs.sendMessage(activeTabId, {
+        type: 'HINT_SHOWN',
+        hintId: shownHintId
+      }).catch(err => {
+        console.warn('[HintHopper] Failed to notify content script of hint shown:', err);
       });
     }
   } catch (error) {
@@ -559,6 +614,60 @@ async function handleBunjiAction(mode) {
   }
 }
 
+// Streamed preview while Bunji is still answering (no feedback/save controls yet)
+function renderBunjiPartial(preview, mode) {
+  const answerEl = document.getElementById('answer');
+  if (!answerEl || !preview) return;
+  
+  answerEl.innerHTML = `
+    <div class="badge badge-primary" style="margin-bottom: var(--space-3);">${MODE_LABELS[mode] || mode}</div>
+    ${renderAnswerFields(preview)}
+    <div style="font-size: var(--font-size-xs); color: var(--color-gray-400);">Bunji is typing…</div>
+  `;
+}
+
+// Shared field markup for streamed and final answers
+function renderAnswerFields(response) {
+  let html = `<div style="line-height: var(--line-height-relaxed);">`;
+
+  // Misconception chip (shown when pedagogical engine detects a pattern)
+  if (response.misconception && response.misconception.name) {
+    html += `<span class="misconception-tag" style="display:inline-flex; align-items:center; gap:4px; font-size:var(--font-size-xs); color:var(--color-gray-500); background:var(--color-gray-100); border:1px solid var(--color-gray-200); border-radius:12px; padding:2px 8px; margin-bottom:var(--space-3);">🔍 ${escapeHTML(response.misconception.name)}</span>`;
+  }
+  
+  // Diagnosis
+  if (response.diagnosis) {
+    html += `<p><strong>Diagnosis:</strong> ${escapeHTML(response.diagnosis)}</p>`;
+  }
+  
+  // Why it happens
+  if (response.why_it_happens) {
+    html += `<p><strong>Why:</strong> ${escapeHTML(response.why_it_happens)}</p>`;
+  }
+  
+  // Steps to take
+  if (Array.isArray(response.steps) && response.steps.length > 0) {
+    html += `<p><strong>Steps:</strong></p><ul>`;
+    response.steps.forEach(step => {
+      html += `<li>${escapeHTML(step)}</li>`;
+    });
+    html += `</ul>`;
+  }
+  
+  // Self-check
+  if (response.self_check) {
+    html += `<p><strong>Self-check:</strong> ${escapeHTML(response.self_check)}</p>`;
+  }
+  
+  // Code glimpse (if available)
+  if (response.redacted_code_glimpse) {
+    html += `<p><strong>Hint:</strong> <code>${escapeHTML(response.redacted_code_glimpse)}</code></p>`;
+  }
+  
+  html += `</div>`;
+  return html;
+}
+
 // Function to render Bunji's answer in the UI
 async function renderBunjiAnswer(response, mode) {
   console.log('[HintHopper] Rendering Bunji answer:', response);
@@ -615,44 +724,11 @@ async function renderBunjiAnswer(response, mode) {
   
   // Format the response based on the structured data returned by bunjiAnswer
   if (response) {
-    // Create a formatted answer from the structured response
-    html += `<div style="line-height: var(--line-height-relaxed);">`;
-
-    // Misconception chip (shown when pedagogical engine detects a pattern)
-    if (response.misconception && response.misconception.name) {
-      html += `<span class="misconception-tag" style="display:inline-flex; align-items:center; gap:4px; font-size:var(--font-size-xs); color:var(--color-gray-500); background:var(--color-gray-100); border:1px solid var(--color-gray-200); border-radius:12px; padding:2px 8px; margin-bottom:var(--space-3);">🔍 ${escapeHTML(response.misconception.name)}</span>`;
-    }
-    
-    // Diagnosis
-    if (response.diagnosis) {
-      html += `<p><strong>Diagnosis:</strong> ${escapeHTML(response.diagnosis)}</p>`;
-    }
-    
-    // Why it happens
-    if (response.why_it_happens) {
-      html += `<p><strong>Why:</strong> ${escapeHTML(response.why_it_happens)}</p>`;
-    }
-    
-    // Steps to take
-    if (Array.isArray(response.steps) && response.steps.length > 0) {
-      html += `<p><strong>Steps:</strong></p><ul>`;
-      response.steps.forEach(step => {
-        html += `<li>${escapeHTML(step)}</li>`;
-      });
-      html += `</ul>`;
-    }
-    
-    // Self-check
+    html += renderAnswerFields(response);
+    // The self-check is a question; checks from the lesson's tests can answer part of it
     if (response.self_check) {
-      html += `<p><strong>Self-check:</strong> ${escapeHTML(response.self_check)}</p>`;
+      html += `<div id="localChecks" class="local-checks"></div>`;
     }
-    
-    // Code glimpse (if available)
-    if (response.redacted_code_glimpse) {
-      html += `<p><strong>Hint:</strong> <code>${escapeHTML(response.redacted_code_glimpse)}</code></p>`;
-    }
-    
-    html += `</div>`;
   } else {
     html += `<div class="alert alert-warning">
       <div class="alert-content">
@@ -677,6 +753,7 @@ async function renderBunjiAnswer(response, mode) {
   `;
   
   answerEl.innerHTML = html;
+  runLocalChecks();
   
   // Attach save handler
   document.getElementById('saveFromBunji')?.addEventListener('click', () => {
@@ -712,6 +789,75 @@ async function renderBunjiAnswer(response, mode) {
   }, 8000);
 }
 
+let localCheckRun = 0;
+
+/**
+ * Run the checks built from the lesson's test text against the tab's current code
+ * in the sandbox, and summarize them under the hint
+ */
+async function runLocalChecks() {
+  const el = document.getElementById('localChecks');
+  if (!el || !currentContext) return;
+
+  const built = buildChecks(currentContext.tests, currentContext.codeLanguage);
+  if (built.checks.length === 0) {
+    el.style.display = 'none';
+    return;
+  }
+
+  const run = ++localCheckRun;
+  el.innerHTML = `<span class="local-checks-summary">Checking your code locally…</span>`;
+
+  let code = currentContext.userCode || '';
+  if (activeTabId !== null) {
+    try {
+      const response = await chrome.tabs.sendMessage(activeTabId, { type: 'GET_CODE' });
+      if (typeof response?.code === 'string') code = response.code;
+    } catch (_) { /* keep the code from the last context capture */ }
+  }
+
+  try {
+    const summary = await localRunner.run(code, built);
+    if (run !== localCheckRun) return;
+    renderLocalChecks(el, summary, built);
+  } catch (error) {
+    console.warn('[HintHopper] Local checks failed:', error);
+    el.style.display = 'none';
+  }
+}
+
+const LOCAL_CHECK_ICONS = { pass: '✓', fail: '✗', not_run: '–' };
+
+function renderLocalChecks(el, summary, built) {
+  if (summary.total === 0) {
+    const reason = summary.results[0]?.message || 'These tests can only run on the platform.';
+    el.innerHTML = `<span class="local-checks-summary">${escapeHTML(reason)}</span>`;
+    return;
+  }
+
+  const platformOnly = built.unchecked.length;
+  el.innerHTML = `
+    <details>
+      <summary class="local-checks-summary${summary.passed === summary.total ? ' all-pass' : ''}">
+        🧪 ${summary.passed} of ${summary.total} checks pass locally
+      </summary>
+      <ul class="local-checks-list">
+        ${summary.results.map(r => `
+          <li class="local-check ${r.status}">
+            <span class="local-check-icon">${LOCAL_CHECK_ICONS[r.status]}</span>
+            <span>${escapeHTML(r.test)}${r.message && r.status !== 'pass' ? `<span class="local-check-note">${escapeHTML(r.message)}</span>` : ''}</span>
+          </li>
+        `).join('')}
+      </ul>
+      <div class="local-checks-footer">
+        <span>${platformOnly ? `${platformOnly} more ${platformOnly === 1 ? 'test runs' : 'tests run'} on the platform only.` : 'Your code stays on this device.'}</span>
+        <button class="btn-secondary btn-sm" id="rerunLocalChecks">Run again</button>
+      </div>
+    </details>
+  `;
+  document.getElementById('rerunLocalChecks')?.addEventListener('click', runLocalChecks);
+}
+
 // === Notes Integration ===
 async function initNotes() {
   const noteProblem = document.getElementById('noteProblem');
@@ -789,11 +935,9 @@ async function initNotes() {
       }
     }
     
-    const note = {
-      id: crypto.randomUUID(),
+    const note = await notesRepository.create({
       title: currentContext?.title || (currentContext?.platformDisplayName || 'Learning Platform'),
       url: currentContext?.url || location.href,
-      createdAt: Date.now(),
       body: body,
       tags: tags,
       fields: {
@@ -802,10 +946,8 @@ async function initNotes() {
         selfCheck,
         conceptKey // Store the concept key in the note itself
       }
-    };
+    });
     
-    await notesApi.save(note);
-    renderList();
     document.querySelector('.nav-item[data-view="notes-list"]').click();
     
     showNotification('Note saved successfully!', 'success');
@@ -864,14 +1006,22 @@ async function initNotes() {
   });
   
   // Export
-  document.getElementById('exportMd')?.addEventListener('click', exportNotes);
+  document.getElementById('exportMd')?.addEventListener('click', () => exportNotes('markdown'));
+  
+  // Re-render when notes change here, during an agent run or in another panel
+  ['created', 'updated', 'deleted', 'changed'].forEach(event => {
+    notesRepository.on(event, () => {
+      renderList(document.getElementById('noteSearch')?.value || '');
+      updateMemoryCount();
+    });
+  });
   
   // Initial render
   renderList();
 }
 
 async function renderList(filter = '') {
-  const notes = await notesApi.list();
+  const notes = await notesRepository.list();
   const filtered = filter ? notes.filter(n => {
     const searchText = `${n.body} ${n.fields?.insight || ''} ${n.tags.join(' ')}`.toLowerCase();
     return searchText.includes(filter.toLowerCase());
@@ -894,7 +1044,7 @@ async function renderList(filter = '') {
     const insight = n.fields?.insight || n.body || '';
     const problem = n.fields?.problem || '';
     const selfCheck = n.fields?.selfCheck || '';
-    const conceptId = n.conceptId || '';
+    const conceptId = n.fields?.conceptKey || '';
     
     return `
       <li class="list-item">
@@ -1008,23 +1158,42 @@ async function saveNoteFromBunji(bunjiObj, context) {
   }
 }
 
-async function exportNotes() {
-  const notes = await notesApi.list();
-  const md = notes.map(n => {
-    const insight = n.fields?.insight || n.body || '';
-    const problem = n.fields?.problem || '';
-    const selfCheck = n.fields?.selfCheck || '';
+async function exportNotes(format = 'markdown') {
+  try {
+    const { filename, blob, count } = await exportData(format);
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+    showNotification(`Exported ${count} ${format === 'anki' ? 'flashcard' : 'note'}${count === 1 ? '' : 's'}`, 'success');
+  } catch (error) {
+    console.error('[HintHopper] Export failed:', error);
+    showNotification(`Export failed: ${error.message}`, 'error');
+  }
+}
+
+async function importNotes(files) {
+  if (!files?.length) return;
+  
+  try {
+    const result = await importFiles(files);
+    const added = [];
+    if (result.notes.added) added.push(`${result.notes.added} note${result.notes.added === 1 ? '' : 's'}`);
+    if (result.flashcards.added) added.push(`${result.flashcards.added} flashcard${result.flashcards.added === 1 ? '' : 's'}`);
+    const duplicates = result.notes.duplicates + result.flashcards.duplicates;
+    
+    let message = added.length ? `Imported ${added.join(' and ')}` : 'Nothing new to import';
+    if (duplicates) message += ` (${duplicates} already saved)`;
+    if (result.errors.length) message += `. Skipped: ${result.errors.join('; ')}`;
     
-    return `## ${problem || n.title}\n\n${insight}\n\n${selfCheck ? `**Self-check:** ${selfCheck}\n\n` : ''}${n.tags.join(' ')}\n\n---\n`;
-  }).join('\n');
-  
-  const blob = new Blob([md], { type: 'text/markdown' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `trailnote-export-${Date.now()}.md`;
-  a.click();
-  URL.revokeObjectURL(url);
+    showNotification(message, result.errors.length ? 'warning' : 'success');
+    renderMemoryList(document.getElementById('memorySearch')?.value || '');
+  } catch (error) {
+    console.error('[HintHopper] Import failed:', error);
+    showNotification(`Import failed: ${error.message}`, 'error');
+  }
 }
 
 // === Review Due Pill ===
@@ -1070,6 +1239,32 @@ function checkStruggleLevel() {
 }
 
 // === Context Management ===
+
+/**
+ * Follow the active tab of this panel's window, so learners with several
+ * platforms open side by side get hints about the problem they're looking at
+ */
+async function initTabTracking() {
+  try {
+    panelWindowId = (await chrome.windows.getCurrent()).id;
+  } catch (error) {
+    console.warn('[TrailNote] Could not read panel window:', error);
+  }
+
+  chrome.tabs.onActivated.addListener(({ tabId, windowId }) => {
+    if (panelWindowId !== null && windowId !== panelWindowId) return;
+    activeTabId = tabId;
+    requestContextRefresh();
+  });
+
+  // Same tab, new page (e.g. next challenge)
+  chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (tabId === activeTabId && changeInfo.status === 'complete') {
+      requestContextRefresh();
+    }
+  });
+}
+
 function requestContextRefresh() {
   console.log('[HintHopper] Requesting context refresh...');
   document.getElementById('contextPreview').innerHTML = `
@@ -1085,6 +1280,10 @@ function requestContextRefresh() {
       return;
     }
     
+    // Never answer with the previous tab's problem
+    if (tab.id !== activeTabId) currentContext = null;
+    activeTabId = tab.id;
+    
     const url = tab.url || '';
     console.log('[HintHopper] Active tab URL:', url);
     
@@ -1097,7 +1296,7 @@ function requestContextRefresh() {
     }
 
     // 1) Ask background for the latest cached context first
-    chrome.runtime.sendMessage({ type: 'CONTEXT_GET' }, (resp) => {
+    chrome.runtime.sendMessage({ type: 'CONTEXT_GET', tabId: tab.id }, (resp) => {
       const err1 = chrome.runtime.lastError; // safe to read
       if (err1) {
         console.log('[HintHopper] Error in CONTEXT_GET:', err1.message);
@@ -1127,7 +1326,7 @@ function requestContextRefresh() {
         // Retry background get shortly after
         console.log('[HintHopper] Waiting for content script to capture context...');
         setTimeout(() => {
-          chrome.runtime.sendMessage({ type: 'CONTEXT_GET' }, (resp2) => {
+          chrome.runtime.sendMessage({ type: 'CONTEXT_GET', tabId: tab.id }, (resp2) => {
             const ctx2 = resp2?.ctx;
             console.log('[HintHopper] Follow-up context from background:', ctx2);
             
@@ -1172,9 +1371,17 @@ function renderContext(ctx) {
   
   let html = '';
 
-  // Show platform badge if available
-  if (ctx.platform && ctx.platform !== 'unknown') {
-    html += `<div style="margin-bottom: var(--space-2);"><span class="badge badge-info" style="font-size: 11px;">${ctx.platformIcon || '📚'} ${escapeHTML(ctx.platformDisplayName || ctx.platform)}</span></div>`;
+  // Show which tab and platform this context reflects
+  const hasPlatform = ctx.platform && ctx.platform !== 'unknown';
+  if (hasPlatform || ctx.tabTitle) {
+    html += `<div style="margin-bottom: var(--space-2); display: flex; gap: var(--space-2); align-items: center; flex-wrap: wrap;">`;
+    if (hasPlatform) {
+      html += `<span class="badge badge-info" style="font-size: 11px;">${ctx.platformIcon || '📚'} ${escapeHTML(ctx.platformDisplayName || ctx.platform)}</span>`;
+    }
+    if (ctx.tabTitle) {
+      html += `<span style="font-size: var(--font-size-xs); color: var(--color-gray-500);" title="Context follows the active tab in this window">🗂 ${escapeHTML(ctx.tabTitle)}</span>`;
+    }
+    html += `</div>`;
   }
 
   if (ctx.title) html += `<div style="font-weight: 600; margin-bottom: var(--space-2);">📝 ${escapeHTML(ctx.title)}</div>`;
@@ -1219,6 +1426,7 @@ function renderContext(ctx) {
 
 // Render a friendly help message in the Context Preview when content script/context is unavailable
 function showNoContextHelp(msg) {
+  currentContext = null;
   const preview = document.getElementById('contextPreview');
   if (!preview) return;
   preview.innerHTML = `
@@ -1250,10 +1458,10 @@ async function checkForResurfaceableNotes(ctx) {
   const conceptId = conceptIdFrom(ctx.failingTests[0]);
   if (!conceptId || surfacedThisSession.has(conceptId)) return;
   
-  const notes = await notesApi.list();
+  const notes = await notesRepository.list();
   const oneDayAgo = Date.now() - 24 * 60 * 60 * 1000;
   const matchingNotes = notes.filter(n => 
-    n.conceptId === conceptId && n.createdAt < oneDayAgo
+    n.fields?.conceptKey === conceptId && n.createdAt < oneDayAgo
   );
   
   if (matchingNotes.length > 0) {
@@ -1315,71 +1523,119 @@ document.addEventListener('keydown', (e) => {
 });
 
 // Listen for context updates and events from background script
-chrome.runtime.onMessage.addListener((message) => {
+chrome.runtime.onMessage.addListener((message, sender) => {
   if (message.type === 'CONTEXT_PUSH') {
+    // Updates from other tabs (or other windows' tabs) are for other panels
+    if (activeTabId !== null && message.tabId !== undefined && message.tabId !== activeTabId) return;
     console.log('[HintHopper] Received context update:', message.ctx);
     renderContext(message.ctx);
   }
   
-  // Track test pass events in outcome tracker
-  if (message.type === 'TEST_PASSED' && message.hintId) {
-    console.log('[HintHopper] Received test pass event for hint:', message.hintId);
-    
-    // Track outcome in the outcome tracker
-    if (typeof outcomeTracker !== 'undefined') {
-      outcomeTracker.trackTestPass(message.hintId).then(() => {
-        // Show a success notification
-        showNotification('Test passed! Progress tracked.', 'success');
-        console.log('[HintHopper] Test pass tracked successfully');
-      }).catch(error => {
-        console.warn('[HintHopper] Failed to track test pass:', error);
-      });
-    }
+  // Test passes come straight from the content script of the tab that ran them
+  if (message.type === 'TEST_PASSED') {
+    const passTabId = sender?.tab?.id ?? message.tabId;
+    // Passes in other tabs belong to the panel showing them
+    if (activeTabId !== null && passTabId !== undefined && passTabId !== activeTabId) return;
+    // One at a time: tracking reads and writes the same outcome record
+    if (message.batch?.index === 0) trackCodeAfterHint(passTabId, 'test_pass');
+    testPassQueue = testPassQueue.then(() => handleTestPassed(message))
+      .catch(error => console.warn('[HintHopper] Failed to track test pass:', error));
+  }
 
-    // === BKT: Record correct outcome ===
-    if (lastConceptId) {
-      const conceptIdForBkt = lastConceptId;
-      const timeSpent = lastHintRequestTime ? (Date.now() - lastHintRequestTime) / 1000 / 60 : 0;
-      bktEngine.init().then(() => bktEngine.updateMastery(conceptIdForBkt, true)).then(result => {
-        console.log(`[TrailNote] BKT updated for ${conceptIdForBkt}: P(L) = ${result.masteryAfter.toFixed(3)}`);
-        if (result.isMastered) {
-          showNotification(`Concept mastered: ${conceptIdForBkt}`, 'success');
-        }
-      }).catch(e => console.warn('[TrailNote] BKT update error:', e));
-      learningVelocity.init().then(() =>
-        learningVelocity.trackVelocityProgress(conceptIdForBkt, timeSpent, true)
-      ).then(() => updateReviewDuePill())
-       .catch(e => console.warn('[TrailNote] Velocity track error:', e));
-    }
+  // Editor telemetry, also straight from the content script
+  if (message.type === 'EDITOR_ACTIVITY') {
+    const activityTabId = sender?.tab?.id;
+    if (activeTabId !== null && activityTabId !== undefined && activityTabId !== activeTabId) return;
+    handleEditorActivity(message, activityTabId);
+  }
+});
+
+/**
+ * Feed editor events to struggle detection; each test run's summary goes to the
+ * Intelligence Hub so learning memories can pick up editing habits
+ */
+function handleEditorActivity(message, tabId) {
+  const { attempts } = struggleDetector.trackEditorActivity(message.events || []);
+  if (attempts.length === 0) return;
+
+  trackCodeAfterHint(tabId, 'test_run');
+
+  const conceptId = conceptIdForContext(currentContext) || message.conceptId;
+  for (const attempt of attempts) {
+    intelligenceHub.onEditorAttempt(attempt, { conceptId, platform: message.platform });
+  }
+  // Keep the local checks under the hint in step with the code
+  runLocalChecks();
+  // A test run is when a struggle banner is most useful
+  checkStruggleLevel();
+}
+
+let testPassQueue = Promise.resolve();
+let pendingCodeAfterHint = null; // { hintId, tabId } until the next test run or pass in that tab
+
+/**
+ * First test run or pass after a hint: diff the tab's code against the code the hint
+ * was given for. Queued with test passes since both update the hint's outcome record.
+ */
+function trackCodeAfterHint(tabId, trigger) {
+  const pending = pendingCodeAfterHint;
+  if (!pending || !outcomeTracker || (tabId !== undefined && tabId !== pending.tabId)) return;
+  pendingCodeAfterHint = null;
+
+  testPassQueue = testPassQueue.then(async () => {
+    const response = await chrome.tabs.sendMessage(pending.tabId, { type: 'GET_CODE' });
+    if (typeof response?.code !== 'string') return;
+    await outcomeTracker.trackCodeAfterHint(pending.hintId, response.code, trigger);
+  }).catch(error => console.warn('[HintHopper] Failed to track code after hint:', error));
+}
+let lastUntrackedPassBatch = null;
+
+/**
+ * One passing test. With a preceding hint the outcome tracker records it, and the
+ * hint's first pass goes on to the Intelligence Hub (feedback loop, BKT, velocity).
+ * Without one, each test run counts once as a correct BKT observation.
+ */
+async function handleTestPassed(message) {
+  const { hintId, test, batch } = message;
+  console.log('[HintHopper] Test passed:', test?.text || '(unnamed)', 'hint:', hintId || 'none');
+
+  const tracked = hintId && outcomeTracker ? await outcomeTracker.trackTestPass(hintId, test) : null;
+
+  if (tracked?.firstPass) {
+    showNotification('Test passed! Progress tracked.', 'success');
+    setTimeout(() => {
+      renderIntelligenceStatus();
+      updateReviewDuePill();
+    }, 1500);
 
-    // Notify Intelligence Hub (handled inside outcome-tracker too, but belt-and-suspenders here)
-    intelligenceHub.onOutcome(message.hintId, 'passed', null, currentContext?.challengeId || null).catch(() => {});
-    // Refresh intelligence status after outcome
-    setTimeout(() => renderIntelligenceStatus(), 1500);
-    
     // If we have A/B testing data, record the outcome
-    if (message.abTesting && typeof window !== 'undefined') {
-      try {
-        // Import the A/B testing module dynamically
+    if (message.abTesting) {
+      const { variantId, patternId } = message.abTesting;
+      if (variantId && patternId) {
         import('../lib/ab-testing.js').then(async module => {
-          if (module.default) {
-            const abTesting = module.default;
-            const { variantId, patternId } = message.abTesting;
-            
-            if (variantId && patternId) {
-              // Record successful outcome for this variant
-              const timeToPass = (Date.now() - message.hintId) / (1000 * 60); // Convert to minutes
-              await abTesting.recordOutcome(variantId, true, timeToPass);
-              console.log(`[HintHopper] A/B testing outcome recorded for ${patternId}/${variantId}`);
-            }
-          }
-        });
-      } catch (error) {
-        console.warn('[HintHopper] Failed to record A/B testing outcome:', error);
+          const timeToPass = (Date.now() - hintId) / (1000 * 60); // Convert to minutes
+          await module.default.recordOutcome(variantId, true, timeToPass);
+          console.log(`[HintHopper] A/B testing outcome recorded for ${patternId}/${variantId}`);
+        }).catch(error => console.warn('[HintHopper] Failed to record A/B testing outcome:', error));
       }
     }
+    return;
   }
-});
+  if (tracked) return; // Another test for a hint that already has its outcome
+
+  // No hint to credit (or outcome tracking is off)
+  const batchId = batch?.id ?? Date.now();
+  if (batchId === lastUntrackedPassBatch) return;
+  lastUntrackedPassBatch = batchId;
+
+  const conceptIdForBkt = conceptIdForContext(currentContext) || lastConceptId;
+  if (!conceptIdForBkt) return;
+  const result = await bktEngine.init().then(() => bktEngine.updateMastery(conceptIdForBkt, true));
+  console.log(`[TrailNote] BKT updated for ${conceptIdForBkt}: P(L) = ${result.masteryAfter.toFixed(3)}`);
+  if (result.isMastered) {
+    showNotification(`Concept mastered: ${conceptIdForBkt}`, 'success');
+  }
+}
 
 // Auto-refresh context every minute
 setInterval(requestContextRefresh, 60000);
@@ -4,14 +4,19 @@
  */
 
 import { agentBuilder } from '../../lib/agent-builder.js';
-import { getAllActions, getActionsByCategory } from '../../lib/action-definitions.js';
+import { getAction, getAllActions, getActionsByCategory, FLOW_STEPS, CONDITION_OPERATORS } from '../../lib/action-definitions.js';
 import { getTemplate, getAllTemplates } from '../../lib/agent-templates.js';
+import { AGENT_EVENTS, SCHEDULE_FREQUENCIES } from '../../lib/agent-scheduler.js';
+import { agentExecutor } from '../../lib/agent-executor.js';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
 // UI State
-let currentView = 'gallery'; // 'gallery', 'designer', 'runner'
+let currentView = 'gallery'; // 'gallery', 'designer', 'runner', 'import'
 let selectedAgent = null;
 let selectedTemplate = null;
 let isEditing = false;
+let replay = null; // { run, position } while stepping through a saved run
 
 /**
  * Initialize the Agent Designer
@@ -51,6 +56,7 @@ export async function renderAgentGallery(container) {
   
   const agents = await agentBuilder.getAllAgents();
   const templates = getAllTemplates();
+  const interrupted = await agentBuilder.getInterruptedRun();
   
   // Separate deployed agents and templates
   const deployedAgents = agents.filter(a => a.isDeployed);
@@ -58,6 +64,23 @@ export async function renderAgentGallery(container) {
   
   container.innerHTML = `
     <div class="agent-gallery">
+      ${interrupted ? `
+        <!-- Interrupted Run -->
+        <div class="alert alert-warning interrupted-run" style="margin-bottom: var(--space-4);">
+          <div class="alert-content">
+            <div class="alert-title">${escapeAttr(interrupted.agentName)} didn't finish</div>
+            <div class="alert-message">
+              The run stopped at step ${interrupted.resumeIndex + 1} of ${interrupted.totalActions} (${new Date(interrupted.savedAt).toLocaleString()}).
+              Resuming keeps the results from earlier steps and won't save anything twice.
+            </div>
+            <div class="interrupted-run-actions">
+              <button class="btn-primary btn-sm" id="resumeInterruptedRun">Resume from step ${interrupted.resumeIndex + 1}</button>
+              <button class="btn-secondary btn-sm" id="discardInterruptedRun">Discard</button>
+            </div>
+          </div>
+        </div>
+      ` : ''}
+      
       <!-- Quick Start Section -->
       <div class="content-card">
         <div class="card-header">
@@ -90,9 +113,18 @@ export async function renderAgentGallery(container) {
       <div class="content-card" style="margin-top: var(--space-4);">
         <div class="card-header">
           <h3 class="card-title">📦 My Agents</h3>
-          <button class="btn-secondary btn-sm" id="createCustomAgent">
-            <span>+</span> Create Custom
-          </button>
+          <div class="agent-list-header-actions">
+            <button class="btn-secondary btn-sm" id="importAgents" title="Import agents from a bundle file">
+              Import
+            </button>
+            <button class="btn-secondary btn-sm" id="exportAgents" title="Export all your agents as one file"${agents.length === 0 ? ' disabled' : ''}>
+              Export
+            </button>
+            <button class="btn-secondary btn-sm" id="createCustomAgent">
+              <span>+</span> Create Custom
+            </button>
+          </div>
+          <input type="file" id="importAgentsFile" accept=".json,application/json" hidden>
         </div>
         <div class="card-body">
           ${deployedAgents.length > 0 ? `
@@ -113,6 +145,9 @@ export async function renderAgentGallery(container) {
                     <button class="btn-secondary btn-sm agent-edit-btn" data-agent-id="${agent.id}">
                       Edit
                     </button>
+                    <button class="btn-secondary btn-sm agent-export-btn" data-agent-id="${agent.id}" title="Export this agent">
+                      ⬇
+                    </button>
                   </div>
                 </div>
               `).join('')}
@@ -172,7 +207,15 @@ export async function renderAgentDesigner(container, templateId = null, agentId
     isEditing = false;
   }
   
-  const actions = getActionsByCategory();
+  const behavior = agent?.behavior || template?.behavior || {};
+  const schedule = behavior.schedule || { frequency: 'weekly', dayOfWeek: 0, hour: 9, minute: 0 };
+  const scheduleTime = `${String(schedule.hour ?? 9).padStart(2, '0')}:${String(schedule.minute ?? 0).padStart(2, '0')}`;
+  
+  const actions = {
+    input: getActionsByCategory('input'),
+    process: getActionsByCategory('process'),
+    output: getActionsByCategory('output')
+  };
   
   container.innerHTML = `
     <div class="agent-designer">
@@ -249,21 +292,24 @@ export async function renderAgentDesigner(container, templateId = null, agentId
                   `).join('')}
                 </div>
               </div>
+              
+              <div class="palette-section">
+                <h4 class="palette-title">🔀 Flow Control</h4>
+                <div class="palette-actions">
+                  ${Object.values(FLOW_STEPS).map(f => `
+                    <div class="palette-action" data-flow-type="${f.type}">
+                      <span class="action-name">${f.name}</span>
+                      <span class="action-desc">${f.description}</span>
+                    </div>
+                  `).join('')}
+                </div>
+              </div>
             </div>
             
             <div class="action-canvas">
               <h4 class="canvas-title">Agent Flow</h4>
               <div id="actionFlow" class="action-flow">
-                ${(agent?.actions || template?.actions || []).map((a, i) => `
-                  <div class="flow-action" data-index="${i}">
-                    <span class="flow-number">${i + 1}</span>
-                    <div class="flow-content">
-                      <span class="flow-name">${a.actionId}</span>
-                      <span class="flow-desc">${a.description || ''}</span>
-                    </div>
-                    <button class="flow-remove" data-index="${i}">×</button>
-                  </div>
-                `).join('') || '<p class="empty-flow">Drag actions here or click to add</p>'}
+                ${renderFlowSteps(agent?.actions || template?.actions || []) || '<p class="empty-flow">Drag actions here or click to add</p>'}
               </div>
               <button class="btn-secondary btn-sm" id="addActionBtn">+ Add Step</button>
             </div>
@@ -290,6 +336,34 @@ export async function renderAgentDesigner(container, templateId = null, agentId
               <input type="checkbox" id="retryFailure" ${agent?.behavior?.retryOnFailure ? 'checked' : ''}>
               <label for="retryFailure">Retry automatically if agent fails</label>
             </div>
+            
+            <div class="form-group" style="margin-top: var(--space-3);">
+              <label class="form-label" for="agentTrigger">When should it run?</label>
+              <select class="form-select" id="agentTrigger">
+                <option value="manual" ${!behavior.trigger || behavior.trigger === 'manual' ? 'selected' : ''}>Only when I click Run</option>
+                <option value="scheduled" ${behavior.trigger === 'scheduled' ? 'selected' : ''}>On a schedule</option>
+                <option value="event" ${behavior.trigger === 'event' ? 'selected' : ''}>When something happens</option>
+              </select>
+              <small class="form-hint">Scheduled and event agents run in the background once deployed</small>
+            </div>
+            
+            <div class="form-group trigger-options" data-trigger="scheduled" style="display:${behavior.trigger === 'scheduled' ? 'block' : 'none'};">
+              <div style="display:flex;gap:var(--space-2);">
+                <select class="form-select" id="scheduleFrequency">
+                  ${Object.values(SCHEDULE_FREQUENCIES).map(f => `<option value="${f.id}" ${schedule.frequency === f.id ? 'selected' : ''}>${f.label}</option>`).join('')}
+                </select>
+                <select class="form-select" id="scheduleDay" style="display:${schedule.frequency === 'weekly' ? 'block' : 'none'};">
+                  ${WEEKDAYS.map((day, i) => `<option value="${i}" ${(schedule.dayOfWeek ?? 0) === i ? 'selected' : ''}>on ${day}</option>`).join('')}
+                </select>
+                <input class="form-input" id="scheduleTime" type="time" value="${scheduleTime}">
+              </div>
+            </div>
+            
+            <div class="form-group trigger-options" data-trigger="event" style="display:${behavior.trigger === 'event' ? 'block' : 'none'};">
+              <select class="form-select" id="triggerEvent">
+                ${Object.values(AGENT_EVENTS).map(e => `<option value="${e.id}" ${behavior.event === e.id ? 'selected' : ''}>${e.label}</option>`).join('')}
+              </select>
+            </div>
           </div>
         </div>
         
@@ -355,9 +429,23 @@ export async function renderAgentRunner(container, agentId, input = {}) {
           <div class="card-body">
             <div class="form-group">
               <label class="form-label" for="agentInput">What would you like the agent to focus on?</label>
-              <input class="form-input" id="agentInput" type="text" 
+              <input class="form-input" id="agentInput" type="text" value="${escapeAttr(input.topic || '')}"
                 placeholder="e.g., 'organize my notes about CSS layout'">
             </div>
+            
+            <details class="runner-debug">
+              <summary>🐞 Breakpoints</summary>
+              <p class="form-hint">Pause before these steps to inspect what the agent has so far.</p>
+              <div class="breakpoint-list">
+                ${flattenSteps(agent.actions).map(({ key, depth, step }) => `
+                  <label class="breakpoint-item" style="padding-left: ${depth * 16}px;">
+                    <input type="checkbox" class="breakpoint-toggle" data-key="${key}">
+                    <span class="trace-key">${formatStepKey(key)}</span>
+                    <span>${escapeAttr(stepName(step))}</span>
+                  </label>
+                `).join('')}
+              </div>
+            </details>
           </div>
         </div>
         
@@ -376,7 +464,7 @@ export async function renderAgentRunner(container, agentId, input = {}) {
               ${agent.actions.map((a, i) => `
                 <div class="action-step" data-index="${i}">
                   <span class="step-number">${i + 1}</span>
-                  <span class="step-name">${a.description || a.actionId}</span>
+                  <span class="step-name">${a.description || a.actionId || FLOW_STEPS[a.type]?.name}</span>
                   <span class="step-status">⏳</span>
                 </div>
               `).join('')}
@@ -394,21 +482,217 @@ export async function renderAgentRunner(container, agentId, input = {}) {
           </div>
         </div>
         
+        <!-- Trace Section -->
+        <div class="content-card" style="margin-top: var(--space-4); display: none;" id="traceSection">
+          <div class="card-header">
+            <h3 class="card-title">Trace</h3>
+            <span class="card-subtitle" id="traceSummary"></span>
+          </div>
+          <div class="card-body">
+            <div class="replay-controls" id="replayControls" style="display: none;">
+              <button class="btn-secondary btn-sm" id="replayPrev">◀ Prev</button>
+              <span id="replayPosition"></span>
+              <button class="btn-secondary btn-sm" id="replayNext">Next ▶</button>
+              <button class="btn-secondary btn-sm" id="replayUseInput">Use this input</button>
+            </div>
+            <div class="trace-list" id="traceList"></div>
+          </div>
+        </div>
+        
         <!-- Run Button -->
         <div class="runner-actions">
           <button class="btn-primary btn-lg" id="runAgentBtn">
             ▶️ Run Agent
           </button>
+          <button class="btn-secondary" id="pauseAgentBtn" style="display: none;">
+            ⏸️ Pause
+          </button>
+          <button class="btn-primary" id="continueAgentBtn" style="display: none;">
+            ▶️ Continue
+          </button>
+          <button class="btn-secondary" id="stepAgentBtn" style="display: none;">
+            ⏭️ Step
+          </button>
           <button class="btn-secondary" id="stopAgentBtn" style="display: none;">
             ⏹️ Stop
           </button>
         </div>
+        
+        <!-- Past Runs -->
+        <div class="content-card" style="margin-top: var(--space-4);">
+          <div class="card-header">
+            <h3 class="card-title">Past Runs</h3>
+          </div>
+          <div class="card-body" id="runHistory"></div>
+        </div>
       </div>
     </div>
   `;
   
   // Bind runner events
   bindRunnerEvents(container, agent);
+  await renderRunHistory(container, agent);
+}
+
+/**
+ * Download agents as a bundle file
+ * @param {Array|null} agentIds - Agents to export (all when null)
+ */
+async function exportAgentBundle(agentIds) {
+  try {
+    const json = await agentBuilder.exportAgents(agentIds);
+    const name = agentIds?.length === 1 ? agentIds[0] : 'agents';
+    
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `trailnote-${name}-${Date.now()}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+    
+    showNotification('Agents exported', 'success');
+  } catch (error) {
+    showNotification(error.message, 'error');
+  }
+}
+
+/**
+ * Review an import: validation errors and an action-by-action diff per agent
+ * Nothing is saved until "Import selected"
+ */
+async function renderImportReview(container, preview, fileName) {
+  currentView = 'import';
+  
+  const statusLabels = {
+    new: 'New',
+    update: 'Replaces existing',
+    identical: 'Already up to date',
+    invalid: 'Cannot import'
+  };
+  
+  container.innerHTML = `
+    <div class="agent-import">
+      <div class="runner-header">
+        <button class="btn-secondary btn-sm" id="backToGallery">
+          ← Back
+        </button>
+        <h2 class="runner-title">Import Agents</h2>
+      </div>
+      
+      <div class="content-card">
+        <div class="card-body">
+          <p class="import-source">${escapeAttr(fileName)} · ${preview.entries.length} agent${preview.entries.length === 1 ? '' : 's'}${preview.exportedAt ? ` · exported ${new Date(preview.exportedAt).toLocaleDateString()}` : ''}</p>
+          ${preview.migratedFrom ? `
+            <p class="import-note">This file uses an older format (v${preview.migratedFrom}) and was upgraded to v${preview.version}. Check the changes below before importing.</p>
+          ` : ''}
+        </div>
+      </div>
+      
+      ${preview.entries.map((entry, i) => {
+        const importable = entry.status === 'new' || entry.status === 'update';
+        return `
+        <div class="content-card import-entry import-${entry.status}" style="margin-top: var(--space-4);">
+          <div class="card-header">
+            <label class="import-entry-title">
+              <input type="checkbox" class="import-select" data-index="${i}"${importable ? ' checked' : ' disabled'}>
+              <span class="agent-icon-small">${getAgentIcon(entry.agent?.id)}</span>
+              <span>${escapeAttr(entry.agent?.name || entry.agent?.id || `Agent ${i + 1}`)}</span>
+            </label>
+            <span class="import-status">${statusLabels[entry.status]}</span>
+          </div>
+          <div class="card-body">
+            ${entry.errors.length > 0 ? `
+              <ul class="import-errors">
+                ${entry.errors.map(err => `<li>${escapeAttr(err)}</li>`).join('')}
+              </ul>
+            ` : ''}
+            ${entry.rewritten.length > 0 ? `
+              <p class="import-note">Older references rewritten for this version:</p>
+              <ul class="import-field-changes">
+                ${entry.rewritten.map(change => `<li><del>${escapeAttr(change.before)}</del> → <ins>${escapeAttr(change.after)}</ins></li>`).join('')}
+              </ul>
+            ` : ''}
+            ${entry.status === 'update' ? renderImportDiff(entry.diff) : ''}
+            ${entry.status === 'new' ? `
+              <div class="import-diff">
+                ${(entry.agent.actions || []).map(step => renderDiffLine('added', step)).join('')}
+              </div>
+            ` : ''}
+          </div>
+        </div>
+      `;
+      }).join('')}
+      
+      <div class="designer-actions" style="margin-top: var(--space-4);">
+        <button class="btn-primary" id="confirmImport">Import selected</button>
+      </div>
+    </div>
+  `;
+  
+  container.querySelector('#backToGallery').addEventListener('click', async () => {
+    await renderAgentGallery(container);
+  });
+  
+  container.querySelector('#confirmImport').addEventListener('click', async () => {
+    const selected = [...container.querySelectorAll('.import-select:checked')]
+      .map(box => preview.entries[parseInt(box.dataset.index, 10)]);
+    
+    if (selected.length === 0) {
+      showNotification('Select at least one agent to import', 'error');
+      return;
+    }
+    
+    try {
+      const imported = await agentBuilder.importAgents(selected);
+      showNotification(`Imported ${imported.length} agent${imported.length === 1 ? '' : 's'}`, 'success');
+      await renderAgentGallery(container);
+    } catch (error) {
+      showNotification(error.message, 'error');
+    }
+  });
+}
+
+/**
+ * Field and action changes for an agent that already exists
+ */
+function renderImportDiff(diff) {
+  const formatValue = (value) => escapeAttr(typeof value === 'string' ? value : JSON.stringify(value ?? null));
+  
+  return `
+    ${diff.fields.length > 0 ? `
+      <ul class="import-field-changes">
+        ${diff.fields.map(change => `
+          <li><strong>${escapeAttr(change.field)}</strong>: <del>${formatValue(change.before)}</del> → <ins>${formatValue(change.after)}</ins></li>
+        `).join('')}
+      </ul>
+    ` : ''}
+    <div class="import-diff">
+      ${diff.actions.map(item => {
+        if (item.status === 'removed') return renderDiffLine('removed', item.before);
+        if (item.status !== 'changed') return renderDiffLine(item.status, item.after);
+        return renderDiffLine('changed', item.after, item.changes.map(change =>
+          `${escapeAttr(change.field)}: <del>${formatValue(change.before)}</del> → <ins>${formatValue(change.after)}</ins>`
+        ));
+      }).join('')}
+    </div>
+  `;
+}
+
+function renderDiffLine(status, step, details = []) {
+  const markers = { added: '+', removed: '−', changed: '~', unchanged: ' ' };
+  const name = step.type && step.type !== 'action'
+    ? FLOW_STEPS[step.type]?.name || step.type
+    : getAction(step.actionId)?.name || step.actionId;
+  const description = describeFlowStep(step);
+  
+  return `
+    <div class="diff-line diff-${status}">
+      <span class="diff-marker">${markers[status]}</span>
+      <span class="diff-step">${escapeAttr(name)}${description ? ` <span class="diff-step-desc">${step.type && step.type !== 'action' ? description : escapeAttr(description)}</span>` : ''}</span>
+      ${details.length > 0 ? `<ul class="diff-details">${details.map(d => `<li>${d}</li>`).join('')}</ul>` : ''}
+    </div>
+  `;
 }
 
 /**
@@ -442,6 +726,56 @@ function bindGalleryEvents(container) {
     });
   });
   
+  // Export buttons (one agent, or all of them)
+  container.querySelectorAll('.agent-export-btn').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      await exportAgentBundle([btn.dataset.agentId]);
+    });
+  });
+  
+  const exportBtn = container.querySelector('#exportAgents');
+  if (exportBtn) {
+    exportBtn.addEventListener('click', async () => {
+      await exportAgentBundle(null);
+    });
+  }
+  
+  // Import: pick a file, then review before anything is saved
+  const importBtn = container.querySelector('#importAgents');
+  const importFile = container.querySelector('#importAgentsFile');
+  if (importBtn && importFile) {
+    importBtn.addEventListener('click', () => importFile.click());
+    importFile.addEventListener('change', async () => {
+      const file = importFile.files[0];
+      importFile.value = '';
+      if (!file) return;
+      
+      const preview = await agentBuilder.previewImport(await file.text());
+      if (!preview.ok) {
+        showNotification(preview.errors[0], 'error');
+        return;
+      }
+      await renderImportReview(container, preview, file.name);
+    });
+  }
+  
+  // Interrupted run: resume it in the runner, or forget it
+  container.querySelector('#resumeInterruptedRun')?.addEventListener('click', async () => {
+    const run = await agentBuilder.getInterruptedRun();
+    if (!run) {
+      await renderAgentGallery(container);
+      return;
+    }
+    await renderAgentRunner(container, run.agentId, run.userInput || {});
+    await executeAgent(container, await agentBuilder.getAgent(run.agentId), { resume: true });
+  });
+  
+  container.querySelector('#discardInterruptedRun')?.addEventListener('click', async () => {
+    await agentBuilder.discardInterruptedRun();
+    await renderAgentGallery(container);
+  });
+  
   // Create custom button
   const createBtn = container.querySelector('#createCustomAgent');
   if (createBtn) {
@@ -488,6 +822,16 @@ function bindDesignerEvents(container, agent, template) {
     });
   }
   
+  // Trigger options follow the selected trigger
+  container.querySelector('#agentTrigger')?.addEventListener('change', (e) => {
+    container.querySelectorAll('.trigger-options').forEach(el => {
+      el.style.display = el.dataset.trigger === e.target.value ? 'block' : 'none';
+    });
+  });
+  container.querySelector('#scheduleFrequency')?.addEventListener('change', (e) => {
+    container.querySelector('#scheduleDay').style.display = e.target.value === 'weekly' ? 'block' : 'none';
+  });
+  
   // Add action button
   const addBtn = container.querySelector('#addActionBtn');
   if (addBtn) {
@@ -499,9 +843,31 @@ function bindDesignerEvents(container, agent, template) {
   // Palette action clicks
   container.querySelectorAll('.palette-action').forEach(action => {
     action.addEventListener('click', () => {
-      addActionToFlow(container, action.dataset.actionId);
+      if (action.dataset.flowType) {
+        addFlowBlockToFlow(container, action.dataset.flowType);
+      } else {
+        addActionToFlow(container, action.dataset.actionId);
+      }
     });
   });
+  
+  // Remove steps and add steps inside blocks (delegated, so nested blocks work too)
+  const flow = container.querySelector('#actionFlow');
+  flow?.addEventListener('click', (e) => {
+    const removeBtn = e.target.closest('.flow-remove');
+    if (removeBtn) {
+      removeBtn.closest('.flow-action, .flow-block')?.remove();
+      reindexActions(flow);
+      return;
+    }
+    
+    const addBtn = e.target.closest('.flow-block-add');
+    if (addBtn) {
+      const body = addBtn.closest('.flow-block-section').querySelector('.flow-block-body');
+      body.querySelector('.empty-block')?.remove();
+      body.insertAdjacentHTML('beforeend', renderFlowStep({ actionId: 'read_memory', description: 'Click to configure' }, body.children.length + 1));
+    }
+  });
 }
 
 /**
@@ -512,6 +878,10 @@ function bindRunnerEvents(container, agent) {
   const backBtn = container.querySelector('#backToGallery');
   if (backBtn) {
     backBtn.addEventListener('click', async () => {
+      // Don't leave a run waiting at a breakpoint nobody can see
+      if (agentExecutor.getState().state === 'paused') {
+        await agentExecutor.stop();
+      }
       await renderAgentGallery(container);
     });
   }
@@ -531,6 +901,36 @@ function bindRunnerEvents(container, agent) {
       await stopAgent(container);
     });
   }
+  
+  // Debugger controls
+  container.querySelector('#pauseAgentBtn')?.addEventListener('click', async () => {
+    await agentExecutor.pause();
+  });
+  container.querySelector('#continueAgentBtn')?.addEventListener('click', async () => {
+    await agentExecutor.resume();
+  });
+  container.querySelector('#stepAgentBtn')?.addEventListener('click', async () => {
+    await agentExecutor.resume({ step: true });
+  });
+  
+  // Replay controls
+  container.querySelector('#replayPrev')?.addEventListener('click', () => {
+    if (replay) showReplayStep(container, agent, replay.position - 1);
+  });
+  container.querySelector('#replayNext')?.addEventListener('click', () => {
+    if (replay) showReplayStep(container, agent, replay.position + 1);
+  });
+  container.querySelector('#replayUseInput')?.addEventListener('click', () => {
+    const inputEl = container.querySelector('#agentInput');
+    if (replay && inputEl) inputEl.value = replay.run.input?.topic || '';
+  });
+  
+  // Breakpoints can change while a run is paused
+  container.querySelectorAll('.breakpoint-toggle').forEach(box => {
+    box.addEventListener('change', () => {
+      agentExecutor.setBreakpoints(getBreakpoints(container));
+    });
+  });
 }
 
 /**
@@ -564,43 +964,93 @@ async function quickDeployAgent(templateId, container) {
 async function saveAgentConfig(container, existingId = null) {
   const name = container.querySelector('#agentName')?.value;
   const purpose = container.querySelector('#agentPurpose')?.value;
+  const flow = container.querySelector('#actionFlow');
+  const actions = flow ? collectFlowSteps(flow) : [];
+  const behavior = collectBehavior(container);
   
   if (!name) {
     showNotification('Please enter an agent name', 'error');
-    return;
+    return null;
   }
   
   try {
+    let saved;
     if (existingId) {
-      await agentBuilder.updateAgent(existingId, { name, purpose });
+      const existing = await agentBuilder.getAgent(existingId);
+      saved = await agentBuilder.updateAgent(existingId, {
+        name,
+        purpose,
+        behavior: { ...existing?.behavior, ...behavior },
+        ...(actions.length > 0 && { actions })
+      });
     } else {
-      await agentBuilder.createCustomAgent({
+      saved = await agentBuilder.createCustomAgent({
         name,
         purpose,
-        actions: [{ actionId: 'read_memory', description: 'Read notes' }] // Default
+        behavior,
+        actions: actions.length > 0 ? actions : [{ actionId: 'read_memory', description: 'Read notes' }] // Default
       });
     }
     
     showNotification('Agent saved!', 'success');
+    return saved;
   } catch (error) {
     showNotification(`Error: ${error.message}`, 'error');
+    return null;
   }
 }
 
+/**
+ * Read the Behavior card (including trigger settings)
+ */
+function collectBehavior(container) {
+  const trigger = container.querySelector('#agentTrigger')?.value || 'manual';
+  const behavior = {
+    showProgress: container.querySelector('#showProgress')?.checked ?? true,
+    notifyOnComplete: container.querySelector('#notifyComplete')?.checked ?? true,
+    retryOnFailure: container.querySelector('#retryFailure')?.checked ?? false,
+    trigger,
+    schedule: null,
+    event: null
+  };
+  
+  if (trigger === 'scheduled') {
+    const [hour, minute] = (container.querySelector('#scheduleTime')?.value || '09:00').split(':').map(Number);
+    behavior.schedule = {
+      frequency: container.querySelector('#scheduleFrequency')?.value || 'weekly',
+      dayOfWeek: parseInt(container.querySelector('#scheduleDay')?.value || '0', 10),
+      hour,
+      minute
+    };
+  } else if (trigger === 'event') {
+    behavior.event = container.querySelector('#triggerEvent')?.value || null;
+  }
+  
+  return behavior;
+}
+
 /**
  * Save and deploy agent
  */
 async function saveAndDeployAgent(container, existingId = null) {
-  await saveAgentConfig(container, existingId);
-  // Then deploy logic...
+  const saved = await saveAgentConfig(container, existingId);
+  if (!saved) return;
+  
+  try {
+    // Deploying also lets the background scheduler pick up scheduled / event triggers
+    await agentBuilder.deployAgent(saved.id);
+    showNotification(`${saved.name} deployed!`, 'success');
+  } catch (error) {
+    showNotification(`Error: ${error.message}`, 'error');
+  }
 }
 
 /**
  * Execute an agent
  */
-async function executeAgent(container, agent) {
+async function executeAgent(container, agent, options = {}) {
   const inputEl = container.querySelector('#agentInput');
-  const input = inputEl?.value || {};
+  const input = inputEl?.value || '';
   
   // Show progress section
   const progressSection = container.querySelector('#progressSection');
@@ -613,11 +1063,14 @@ async function executeAgent(container, agent) {
   if (runBtn) runBtn.style.display = 'none';
   if (stopBtn) stopBtn.style.display = 'inline-flex';
   if (statusEl) statusEl.textContent = 'Running...';
+  setDebugControls(container, 'running');
   
   try {
-    const result = await agentBuilder.runAgent(agent.id, { topic: input }, {
+    const callbacks = {
+      breakpoints: getBreakpoints(container),
       onProgress: (progress) => {
         updateProgress(container, progress);
+        renderLiveTrace(container, agent, progress);
       },
       onComplete: (result) => {
         showResults(container, result);
@@ -631,12 +1084,23 @@ async function executeAgent(container, agent) {
         if (runBtn) runBtn.style.display = 'inline-flex';
         if (stopBtn) stopBtn.style.display = 'none';
       }
-    });
+    };
     
+    // Resuming picks up the interrupted run with its saved input and results
+    const result = options.resume
+      ? await agentBuilder.resumeRun(callbacks)
+      : await agentBuilder.runAgent(agent.id, { topic: input }, callbacks);
+    
+    renderTrace(container, agent, result.trace || [], { summary: describeRun(result) });
+    if (runBtn) runBtn.style.display = 'inline-flex';
+    if (stopBtn) stopBtn.style.display = 'none';
   } catch (error) {
     console.error('[AgentDesigner] Error running agent:', error);
     showError(container, error);
   }
+  
+  setDebugControls(container, 'idle');
+  await renderRunHistory(container, agent);
 }
 
 /**
@@ -694,6 +1158,13 @@ function showResults(container, result) {
           ${formatOutput(displayAction.result.output)}
         </div>
       `;
+    } else if (result.exit) {
+      // Stopped early by a Stop step
+      resultsContent.innerHTML = `
+        <div class="result-output">
+          ${formatOutput({ message: result.exit.message, format: 'text' })}
+        </div>
+      `;
     } else {
       resultsContent.innerHTML = `
         <p>Agent completed ${result.actionsExecuted} actions.</p>
@@ -734,6 +1205,216 @@ function formatOutput(output) {
   return `<p>${output.message}</p>`;
 }
 
+/**
+ * Every step in a flow with its execution key ("2", "2_then_0", "3_do_1")
+ */
+function flattenSteps(steps, keyPrefix = '', depth = 0) {
+  const flat = [];
+  
+  (steps || []).forEach((step, i) => {
+    const key = keyPrefix ? `${keyPrefix}_${i}` : String(i);
+    flat.push({ key, depth, step });
+    
+    if (step.type === 'if') {
+      flat.push(...flattenSteps(step.then, `${key}_then`, depth + 1));
+      flat.push(...flattenSteps(step.else, `${key}_else`, depth + 1));
+    } else if (step.type === 'for_each') {
+      flat.push(...flattenSteps(step.actions, `${key}_do`, depth + 1));
+    }
+  });
+  
+  return flat;
+}
+
+function stepName(step) {
+  if (!step) return '';
+  if (step.type && step.type !== 'action') {
+    return step.description || FLOW_STEPS[step.type]?.name || step.type;
+  }
+  return step.description || getAction(step.actionId)?.name || step.actionId;
+}
+
+/**
+ * "2_then_0" -> "3 › then › 1", loop iterations as "each #2"
+ */
+function formatStepKey(key, iteration = null) {
+  return key.split('_').map(part => {
+    if (part === 'do') return iteration === null ? 'each' : `each #${iteration + 1}`;
+    if (part === 'then' || part === 'else') return part;
+    return String(parseInt(part, 10) + 1);
+  }).join(' › ');
+}
+
+function getBreakpoints(container) {
+  return [...container.querySelectorAll('.breakpoint-toggle:checked')].map(box => box.dataset.key);
+}
+
+/**
+ * Show the debugger buttons for the current run state
+ * @param {string} mode - 'running', 'paused' or 'idle'
+ */
+function setDebugControls(container, mode) {
+  const show = (id, visible) => {
+    const el = container.querySelector(id);
+    if (el) el.style.display = visible ? 'inline-flex' : 'none';
+  };
+  
+  show('#pauseAgentBtn', mode === 'running');
+  show('#continueAgentBtn', mode === 'paused');
+  show('#stepAgentBtn', mode === 'paused');
+}
+
+/**
+ * Keep the trace up to date while the agent runs
+ */
+function renderLiveTrace(container, agent, progress) {
+  const statusEl = container.querySelector('#runnerStatus');
+  
+  if (progress.type === 'breakpoint' || progress.type === 'paused') {
+    setDebugControls(container, 'paused');
+    if (statusEl) statusEl.textContent = 'Paused';
+  } else if (progress.type === 'resumed') {
+    setDebugControls(container, 'running');
+    if (statusEl) statusEl.textContent = 'Running...';
+  }
+  
+  replay = null;
+  renderTrace(container, agent, agentExecutor.trace, {
+    pausedAt: progress.state?.pausedAt,
+    summary: `${agentExecutor.trace.length} step${agentExecutor.trace.length === 1 ? '' : 's'} so far`
+  });
+}
+
+/**
+ * Render a run trace: each step's resolved params, raw output, duration and error
+ * @param {Object} options - { pausedAt, summary, position } - position highlights one entry (replay)
+ */
+function renderTrace(container, agent, trace, options = {}) {
+  const section = container.querySelector('#traceSection');
+  const list = container.querySelector('#traceList');
+  const summaryEl = container.querySelector('#traceSummary');
+  if (!section || !list) return;
+  
+  section.style.display = 'block';
+  if (summaryEl) summaryEl.textContent = options.summary || '';
+  container.querySelector('#replayControls').style.display = replay ? 'flex' : 'none';
+  
+  const steps = flattenSteps(agent.actions);
+  const nextStep = options.pausedAt ? steps.find(s => s.key === options.pausedAt) : null;
+  
+  list.innerHTML = trace.length === 0 && !nextStep
+    ? '<p class="form-hint">No steps ran.</p>'
+    : trace.map((entry, i) => renderTraceEntry(entry, steps, i, options.position)).join('') +
+      (nextStep ? `
+        <div class="trace-entry trace-paused">
+          <div class="trace-summary">
+            <span class="trace-status">⏸️</span>
+            <span class="trace-key">${formatStepKey(nextStep.key)}</span>
+            <span class="trace-name">Next: ${escapeAttr(stepName(nextStep.step))}</span>
+          </div>
+        </div>
+      ` : '');
+}
+
+function renderTraceEntry(entry, steps, i, position) {
+  const step = steps.find(s => s.key === entry.key)?.step;
+  const statusIcons = { running: '🔄', done: '✅', error: '❌' };
+  const depth = entry.key.split('_').filter(part => /^\d+$/.test(part)).length - 1;
+  
+  let replayClass = '';
+  if (position !== undefined) {
+    replayClass = i === position ? ' trace-current' : i > position ? ' trace-future' : '';
+  }
+  
+  return `
+    <details class="trace-entry trace-status-${entry.status || 'done'}${replayClass}" style="margin-left: ${depth * 16}px;"${entry.status === 'error' || i === position ? ' open' : ''}>
+      <summary class="trace-summary">
+        <span class="trace-status">${statusIcons[entry.status] || '✅'}</span>
+        <span class="trace-key">${formatStepKey(entry.key, entry.iteration)}</span>
+        <span class="trace-name">${escapeAttr(stepName(step) || entry.description || entry.actionId || entry.type)}</span>
+        <span class="trace-duration">${entry.status === 'running' ? '…' : `${entry.duration}ms`}</span>
+      </summary>
+      <div class="trace-body">
+        ${entry.params !== null ? `<div class="trace-label">Params</div>${formatTraceValue(entry.params)}` : ''}
+        ${entry.output !== null ? `<div class="trace-label">Output</div>${formatTraceValue(entry.output)}` : ''}
+        ${entry.error ? `<div class="trace-error">${escapeAttr(entry.error)}</div>` : ''}
+      </div>
+    </details>
+  `;
+}
+
+function formatTraceValue(value) {
+  return `<pre class="trace-value">${escapeAttr(JSON.stringify(value, null, 2))}</pre>`;
+}
+
+function describeRun(run) {
+  const when = run.timestamp || run.completedAt;
+  const parts = [
+    run.status,
+    `${run.actionsExecuted} action${run.actionsExecuted === 1 ? '' : 's'}`,
+    `${((run.elapsed || 0) / 1000).toFixed(1)}s`
+  ];
+  return `${when ? `${new Date(when).toLocaleString()} · ` : ''}${parts.join(' · ')}`;
+}
+
+/**
+ * Recent runs of this agent; runs with a saved trace can be replayed
+ */
+async function renderRunHistory(container, agent) {
+  const historyEl = container.querySelector('#runHistory');
+  if (!historyEl) return;
+  
+  const history = (await agentBuilder.getExecutionHistory(agent.id, 10)).reverse();
+  
+  if (history.length === 0) {
+    historyEl.innerHTML = '<p class="form-hint">No runs yet.</p>';
+    return;
+  }
+  
+  historyEl.innerHTML = `
+    <div class="run-history-list">
+      ${history.map((run, i) => `
+        <div class="run-history-item run-${run.status}">
+          <div>
+            <div class="run-history-title">${escapeAttr(describeRun(run))}</div>
+            <div class="form-hint">
+              ${escapeAttr(run.trigger || 'manual')}${run.input?.topic ? ` · "${escapeAttr(run.input.topic)}"` : ''}
+              ${run.errors?.length ? ` · ${escapeAttr(run.errors[run.errors.length - 1])}` : ''}
+            </div>
+          </div>
+          ${run.trace ? `<button class="btn-secondary btn-sm run-replay-btn" data-index="${i}">Replay</button>` : ''}
+        </div>
+      `).join('')}
+    </div>
+  `;
+  
+  historyEl.querySelectorAll('.run-replay-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      replay = { run: history[parseInt(btn.dataset.index, 10)], position: 0 };
+      showReplayStep(container, agent, 0);
+      container.querySelector('#traceSection')?.scrollIntoView({ behavior: 'smooth' });
+    });
+  });
+}
+
+/**
+ * Step through a saved run one trace entry at a time
+ */
+function showReplayStep(container, agent, position) {
+  const trace = replay.run.trace || [];
+  replay.position = Math.max(0, Math.min(position, trace.length - 1));
+  
+  renderTrace(container, agent, trace, {
+    position: replay.position,
+    summary: `Replay: ${describeRun(replay.run)}`
+  });
+  
+  const positionEl = container.querySelector('#replayPosition');
+  if (positionEl) positionEl.textContent = `Step ${replay.position + 1} of ${trace.length}`;
+  container.querySelector('#replayPrev').disabled = replay.position === 0;
+  container.querySelector('#replayNext').disabled = replay.position >= trace.length - 1;
+}
+
 /**
  * Show action picker modal
  */
@@ -754,38 +1435,140 @@ function addActionToFlow(container, actionId) {
   const emptyFlow = flow.querySelector('.empty-flow');
   if (emptyFlow) emptyFlow.remove();
   
-  const index = flow.querySelectorAll('.flow-action').length;
+  const index = flow.querySelectorAll(':scope > .flow-action, :scope > .flow-block').length;
+  flow.insertAdjacentHTML('beforeend', renderFlowStep({ actionId, description: 'Click to configure' }, index + 1));
+}
+
+/**
+ * Add an If / For Each / Stop block to the flow
+ */
+function addFlowBlockToFlow(container, type) {
+  const flow = container.querySelector('#actionFlow');
+  const emptyFlow = flow.querySelector('.empty-flow');
+  if (emptyFlow) emptyFlow.remove();
+  
+  const defaults = {
+    if: { type: 'if', condition: { left: '${previous.result.count}', operator: 'gt', right: 0 }, then: [], else: [] },
+    for_each: { type: 'for_each', items: '${previous.result.found_items}', as: 'item', actions: [] },
+    exit: { type: 'exit', message: 'Finished early' }
+  };
+  
+  const index = flow.querySelectorAll(':scope > .flow-action, :scope > .flow-block').length;
+  flow.insertAdjacentHTML('beforeend', renderFlowStep(defaults[type], index + 1));
+}
+
+/**
+ * Render a list of steps; if / for_each steps become nested blocks
+ */
+function renderFlowSteps(steps) {
+  return steps.map((step, i) => renderFlowStep(step, i + 1)).join('');
+}
+
+function renderFlowStep(step, number) {
+  const type = step.type || 'action';
+  // Each element carries its own config (without nested steps) so the flow can be saved from the DOM
+  const { then: _then, else: _else, actions: _actions, ...config } = step;
+  const data = escapeAttr(JSON.stringify(config));
   
-  const actionEl = document.createElement('div');
-  actionEl.className = 'flow-action';
-  actionEl.dataset.index = index;
-  actionEl.innerHTML = `
-    <span class="flow-number">${index + 1}</span>
-    <div class="flow-content">
-      <span class="flow-name">${actionId}</span>
-      <span class="flow-desc">Click to configure</span>
+  if (type === 'action') {
+    return `
+      <div class="flow-action" data-step="${data}">
+        <span class="flow-number">${number}</span>
+        <div class="flow-content">
+          <span class="flow-name">${step.actionId}</span>
+          <span class="flow-desc">${step.description || ''}</span>
+        </div>
+        <button class="flow-remove">×</button>
+      </div>
+    `;
+  }
+  
+  const blocks = {
+    if: [['then', 'Then'], ['else', 'Otherwise']],
+    for_each: [['actions', 'Repeat']],
+    exit: []
+  }[type] || [];
+  
+  return `
+    <div class="flow-block flow-block-${type}" data-step="${data}">
+      <div class="flow-block-header">
+        <span class="flow-number">${number}</span>
+        <div class="flow-content">
+          <span class="flow-name">${FLOW_STEPS[type]?.name || type}</span>
+          <span class="flow-desc">${describeFlowStep(step)}</span>
+        </div>
+        <button class="flow-remove">×</button>
+      </div>
+      ${blocks.map(([key, label]) => `
+        <div class="flow-block-section" data-block="${key}">
+          <span class="flow-block-label">${label}</span>
+          <div class="flow-block-body">
+            ${renderFlowSteps(step[key] || []) || '<p class="empty-block">No steps yet</p>'}
+          </div>
+          <button class="btn-secondary btn-sm flow-block-add">+ Add Step</button>
+        </div>
+      `).join('')}
     </div>
-    <button class="flow-remove" data-index="${index}">×</button>
   `;
+}
+
+/**
+ * Plain-language summary of a flow-control step
+ */
+function describeFlowStep(step) {
+  const describeCondition = (c) => {
+    if (!c) return '';
+    const op = CONDITION_OPERATORS[c.operator];
+    return `${escapeAttr(c.left)} ${op?.label || c.operator}${op?.needsRight ? ` ${escapeAttr(c.right)}` : ''}`;
+  };
   
-  flow.appendChild(actionEl);
+  if (step.type === 'if') return `If ${describeCondition(step.condition)}`;
+  if (step.type === 'for_each') return `For each ${escapeAttr(step.as || 'item')} in ${escapeAttr(step.items)}`;
+  if (step.type === 'exit') {
+    return step.condition ? `Stop if ${describeCondition(step.condition)}` : 'Stop here';
+  }
+  return step.description || '';
+}
+
+/**
+ * Rebuild the step tree from the rendered flow
+ */
+function collectFlowSteps(listEl) {
+  const steps = [];
   
-  // Bind remove
-  actionEl.querySelector('.flow-remove').addEventListener('click', () => {
-    actionEl.remove();
-    reindexActions(flow);
+  listEl.querySelectorAll(':scope > .flow-action, :scope > .flow-block').forEach(el => {
+    let step;
+    try {
+      step = JSON.parse(el.dataset.step || '{}');
+    } catch (e) {
+      return;
+    }
+    
+    el.querySelectorAll(':scope > .flow-block-section').forEach(section => {
+      step[section.dataset.block] = collectFlowSteps(section.querySelector('.flow-block-body'));
+    });
+    
+    steps.push(step);
   });
+  
+  return steps;
 }
 
 /**
  * Reindex actions after removal
  */
 function reindexActions(flow) {
-  const actions = flow.querySelectorAll('.flow-action');
-  actions.forEach((action, i) => {
-    action.dataset.index = i;
-    action.querySelector('.flow-number').textContent = i + 1;
-  });
+  const numberList = (listEl) => {
+    listEl.querySelectorAll(':scope > .flow-action, :scope > .flow-block').forEach((el, i) => {
+      el.querySelector('.flow-number').textContent = i + 1;
+    });
+    listEl.querySelectorAll(':scope > .flow-block > .flow-block-section > .flow-block-body').forEach(numberList);
+  };
+  numberList(flow);
+}
+
+function escapeAttr(value) {
+  return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
 }
 
 /**
@@ -36,6 +36,8 @@ export async function renderAnalyticsView(container) {
     // Get statistics for visualization
     const overallStats = await outcomeTracker.getOverallStats();
     const conceptStats = await outcomeTracker.getAllConceptStats();
+    const providerStats = await outcomeTracker.getProviderStats();
+    const codeChanges = await outcomeTracker.getCodeChangesByConcept();
     const masteryData = await conceptGraph.getAllMastery();
     
     // Render the dashboard
@@ -78,6 +80,16 @@ export async function renderAnalyticsView(container) {
           <h3 class="analytics-title">Top Concepts</h3>
           <div id="topConcepts" class="top-concepts"></div>
         </div>
+        
+        <div class="analytics-section">
+          <h3 class="analytics-title">Hint Quality by Provider</h3>
+          <div id="providerBreakdown" class="top-concepts"></div>
+        </div>
+        
+        <div class="analytics-section">
+          <h3 class="analytics-title">What Changed After the Hint</h3>
+          <div id="codeChanges" class="top-concepts"></div>
+        </div>
       </div>
     `;
     
@@ -86,6 +98,8 @@ export async function renderAnalyticsView(container) {
       renderPassRateChart(conceptStats);
       renderMasteryChart(masteryData);
       renderTopConcepts(conceptStats, masteryData);
+      renderProviderBreakdown(providerStats);
+      renderCodeChanges(codeChanges);
     }, 100);
     
   } catch (error) {
@@ -320,6 +334,114 @@ async function renderTopConcepts(conceptStats, masteryData) {
   topConceptsContainer.innerHTML = html || '<div class="empty-state">No concept data yet</div>';
 }
 
+/**
+ * Renders pass statistics per LLM provider
+ * @param {Object} providerStats - Statistics by provider id
+ */
+async function renderProviderBreakdown(providerStats) {
+  const breakdownContainer = document.getElementById('providerBreakdown');
+  if (!breakdownContainer) return;
+  
+  const { getProvider } = await import('../../lib/llm-providers.js');
+  
+  const rows = Object.entries(providerStats)
+    .sort(([_, statsA], [__, statsB]) => statsB.totalHints - statsA.totalHints);
+  
+  let html = '';
+  for (const [providerId, stats] of rows) {
+    const name = providerId === 'unknown'
+      ? 'Not recorded'
+      : (getProvider(providerId)?.name || formatConceptName(providerId));
+    
+    html += `
+      <div class="top-concept-item">
+        <div class="top-concept-header">
+          <div class="top-concept-name">${name}</div>
+          <div class="top-concept-badge">${stats.totalHints} hints</div>
+        </div>
+        <div class="top-concept-stats">
+          <div class="top-concept-stat">
+            <div class="stat-value">${formatPercent(stats.passRate)}</div>
+            <div class="stat-label">Pass Rate</div>
+          </div>
+          <div class="top-concept-stat">
+            <div class="stat-value">${formatPercent(stats.passWithin10Rate)}</div>
+            <div class="stat-label">Quick Pass</div>
+          </div>
+          <div class="top-concept-stat">
+            <div class="stat-value">${formatMinutes(stats.avgTimeToPass)}</div>
+            <div class="stat-label">Avg Time</div>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+  
+  breakdownContainer.innerHTML = html || '<div class="empty-state">No provider data yet</div>';
+}
+
+const FOLLOW_THROUGH_LABELS = {
+  followed: 'Followed the steps',
+  partial: 'Followed some steps',
+  not_followed: 'Went another way',
+  no_change: 'No changes',
+  unknown: 'Changed code'
+};
+
+/**
+ * Renders the line diff between each hint and the learner's next attempt
+ * @param {Object} codeChanges - Recent code changes by concept
+ */
+async function renderCodeChanges(codeChanges) {
+  const changesContainer = document.getElementById('codeChanges');
+  if (!changesContainer) return;
+  
+  const conceptGraph = (await import('../../lib/concept-graph.js')).default;
+  
+  const concepts = Object.entries(codeChanges)
+    .sort(([_, a], [__, b]) => b[0].at - a[0].at)
+    .slice(0, 5);
+  
+  let html = '';
+  for (const [conceptId, changes] of concepts) {
+    const conceptData = await conceptGraph.getConcept(conceptId);
+    
+    html += `
+      <div class="top-concept-item">
+        <div class="top-concept-header">
+          <div class="top-concept-name">${escapeHTML(conceptData?.name || formatConceptName(conceptId))}</div>
+        </div>
+        ${changes.map(change => `
+          <div class="code-change">
+            <div class="code-change-summary">
+              <span class="top-concept-badge">${FOLLOW_THROUGH_LABELS[change.followedSteps] || FOLLOW_THROUGH_LABELS.unknown}</span>
+              <span>+${change.linesAdded} / −${change.linesRemoved} lines by the next ${change.trigger === 'test_pass' ? 'pass' : 'test run'}</span>
+              <span>${new Date(change.at).toLocaleDateString()}</span>
+            </div>
+            ${change.diff.length > 0 ? `
+              <pre class="code-change-diff">${change.diff.map(line =>
+                `<span class="${line.op === '+' ? 'diff-added' : 'diff-removed'}">${line.op} ${escapeHTML(line.text)}</span>`
+              ).join('\n')}${change.truncated ? '\n…' : ''}</pre>
+            ` : ''}
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+  
+  changesContainer.innerHTML = html || '<div class="empty-state">No code changes after hints yet</div>';
+}
+
+/**
+ * Escape text for HTML output
+ * @param {string} str - Text to escape
+ * @return {string} Escaped text
+ */
+function escapeHTML(str) {
+  if (str === null || str === undefined) return '';
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
 /**
  * Format a number as a percentage
  * @param {number} value - Value to format (0-1)
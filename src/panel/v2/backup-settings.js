@@ -0,0 +1,158 @@
+/**
+ * Backup Settings - the Backup & Restore card in Settings
+ * Archives come from backup-manager.js; restore shows what's inside before anything is written.
+ */
+
+import { createBackup, inspectBackup, restoreBackup } from '../../lib/backup-manager.js';
+
+let pendingFileText = null;
+
+/**
+ * Render the card body
+ * @param {HTMLElement} container - The settings card body
+ */
+export function renderBackupSettings(container) {
+  if (!container) return;
+
+  container.innerHTML = `
+    <div class="form-group">
+      <label class="form-label" for="backupPassphrase">Back up everything</label>
+      <input class="form-input" id="backupPassphrase" type="password" placeholder="Passphrase (optional)" autocomplete="new-password">
+      <small class="form-hint">Mastery, learning history, notes, flashcards, memories, agents and settings. API keys are not included. With a passphrase the file is encrypted, and a forgotten passphrase cannot be recovered.</small>
+      <button class="btn-secondary btn-sm" id="downloadBackup" style="margin-top:var(--space-2);">
+        <span>💾</span>
+        Download backup
+      </button>
+    </div>
+    <div class="form-group">
+      <label class="form-label">Restore</label>
+      <button class="btn-secondary btn-sm" id="chooseBackupFile">
+        <span>📂</span>
+        Choose backup file…
+      </button>
+      <input type="file" id="backupFile" accept=".json" hidden>
+      <div id="restorePreview" style="margin-top:var(--space-3);"></div>
+    </div>
+  `;
+
+  container.querySelector('#downloadBackup').addEventListener('click', () => downloadBackup(container));
+
+  const fileInput = container.querySelector('#backupFile');
+  container.querySelector('#chooseBackupFile').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+    pendingFileText = await file.text();
+    await renderRestorePreview(container, '');
+  });
+}
+
+async function downloadBackup(container) {
+  const button = container.querySelector('#downloadBackup');
+  const passphrase = container.querySelector('#backupPassphrase').value;
+  button.disabled = true;
+
+  try {
+    const archive = await createBackup({ passphrase });
+    const blob = new Blob([JSON.stringify(archive)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `trailnote-backup-${new Date().toISOString().slice(0, 10)}${archive.encrypted ? '-encrypted' : ''}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('[TrailNote] Backup failed:', error);
+    alert(`Backup failed: ${error.message}`);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * What's in the chosen file, with passphrase prompt, mode and group choices
+ */
+async function renderRestorePreview(container, passphrase) {
+  const preview = container.querySelector('#restorePreview');
+  const inspection = await inspectBackup(pendingFileText, passphrase);
+
+  if (!inspection.ok) {
+    preview.innerHTML = `
+      <div class="alert alert-${inspection.needsPassphrase ? 'info' : 'error'}">
+        <div class="alert-content">${escapeHTML(inspection.errors[0])}</div>
+      </div>
+      ${inspection.needsPassphrase ? `
+        <div style="display:flex;gap:var(--space-2);margin-top:var(--space-2);">
+          <input class="form-input" id="restorePassphrase" type="password" placeholder="Backup passphrase" autocomplete="off">
+          <button class="btn-secondary btn-sm" id="unlockBackup">Unlock</button>
+        </div>
+      ` : ''}
+    `;
+    const unlock = () => renderRestorePreview(container, preview.querySelector('#restorePassphrase').value);
+    preview.querySelector('#unlockBackup')?.addEventListener('click', unlock);
+    preview.querySelector('#restorePassphrase')?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') unlock();
+    });
+    return;
+  }
+
+  const created = inspection.createdAt ? new Date(inspection.createdAt).toLocaleString() : 'unknown date';
+
+  preview.innerHTML = `
+    <p class="form-hint">Backup from ${escapeHTML(created)}${inspection.extensionVersion ? ` (TrailNote ${escapeHTML(inspection.extensionVersion)})` : ''}</p>
+    ${inspection.warnings.map(w => `
+      <div class="alert alert-warning"><div class="alert-content">${escapeHTML(w)}</div></div>
+    `).join('')}
+    ${Object.entries(inspection.groups).map(([id, group]) => `
+      <div class="form-checkbox">
+        <input type="checkbox" class="restore-group" id="restoreGroup-${id}" value="${id}" checked>
+        <label for="restoreGroup-${id}">${escapeHTML(group.label)} <small class="form-hint">(${group.keys.length} item${group.keys.length === 1 ? '' : 's'})</small></label>
+      </div>
+    `).join('')}
+    <div class="form-group" style="margin-top:var(--space-2);">
+      <label class="form-label" for="restoreMode">How to restore</label>
+      <select class="form-select" id="restoreMode">
+        <option value="merge">Merge with what's on this device (newer entries win)</option>
+        <option value="replace">Replace what's on this device</option>
+      </select>
+    </div>
+    <button class="btn-primary btn-sm" id="confirmRestore">Restore</button>
+  `;
+
+  preview.querySelector('#confirmRestore').addEventListener('click', async () => {
+    const mode = preview.querySelector('#restoreMode').value;
+    const groups = [...preview.querySelectorAll('.restore-group:checked')].map(cb => cb.value);
+    if (groups.length === 0) return;
+
+    if (mode === 'replace' && !confirm('Replace the selected data on this device with the backup? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      const result = await restoreBackup(pendingFileText, { passphrase, mode, groups });
+      pendingFileText = null;
+      preview.innerHTML = `
+        <div class="alert alert-success">
+          <div class="alert-content">Restored ${result.restored} item${result.restored === 1 ? '' : 's'}. Reloading…</div>
+        </div>
+      `;
+      // Engines read storage at startup - reload so the panel picks up the restored state
+      setTimeout(() => location.reload(), 1200);
+    } catch (error) {
+      console.error('[TrailNote] Restore failed:', error);
+      preview.insertAdjacentHTML('beforeend', `
+        <div class="alert alert-error"><div class="alert-content">Restore failed: ${escapeHTML(error.message)}</div></div>
+      `);
+    }
+  });
+}
+
+function escapeHTML(str) {
+  if (str === null || str === undefined) return '';
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+export default {
+  renderBackupSettings
+};
@@ -1,6 +1,7 @@
 /**
  * Chat Interface - TrailNote v2.0
  * Manages the continuous learning assistant chat
+ * Replies stream in token by token when the provider supports it
  */
 
 import { struggleDetector } from '../../lib/struggle-detector.js';
@@ -157,10 +158,14 @@ export class ChatInterface {
     // Show typing indicator
     this.showTyping();
     
-    // Get assistant response
+    // Get assistant response, rendering streamed text as it arrives
     try {
-      const response = await this.getAssistantResponse(message);
+      const response = await this.getAssistantResponse(message, (partialText) => {
+        this.hideTyping();
+        this.renderStreamingMessage(partialText);
+      });
       this.hideTyping();
+      this.removeStreamingMessage();
       this.addMessage({
         role: 'assistant',
         content: response,
@@ -168,6 +173,7 @@ export class ChatInterface {
       });
     } catch (error) {
       this.hideTyping();
+      this.removeStreamingMessage();
       this.addMessage({
         role: 'assistant',
         content: "I'm having trouble connecting right now. Please try again!",
@@ -176,7 +182,12 @@ export class ChatInterface {
     }
   }
 
-  async getAssistantResponse(userMessage) {
+  /**
+   * Ask the tutor for a reply
+   * @param {string} userMessage - What the learner typed
+   * @param {Function} onPartialText - Optional, called with the masked text streamed so far
+   */
+  async getAssistantResponse(userMessage, onPartialText = null) {
     // Use the tutor system with chat context
     const chatContext = {
       ...this.currentContext,
@@ -186,15 +197,35 @@ export class ChatInterface {
     };
     
     try {
-      // tutorAnswer(mode, context, tone)
-      const response = await tutorAnswer('nudge', chatContext, 'nudge');
-      return response.answer || "I'm here to help! Can you tell me more about what you're working on?";
+      // tutorAnswer(mode, context, tone, options)
+      const response = await tutorAnswer('nudge', chatContext, 'nudge', {
+        onPartial: onPartialText ? (preview) => onPartialText(this.formatTutorResponse(preview)) : undefined
+      });
+      return response.answer || this.formatTutorResponse(response) ||
+        "I'm here to help! Can you tell me more about what you're working on?";
     } catch (error) {
       console.error('Chat error:', error);
       return this.getFallbackResponse(userMessage);
     }
   }
 
+  /**
+   * Turn a structured tutor response into chat text
+   */
+  formatTutorResponse(response) {
+    if (!response) return '';
+    
+    const parts = [];
+    if (response.diagnosis) parts.push(response.diagnosis);
+    if (response.why_it_happens) parts.push(`*${response.why_it_happens}*`);
+    if (Array.isArray(response.steps) && response.steps.length > 0) {
+      parts.push(response.steps.map((step, i) => `${i + 1}. ${step}`).join('\n'));
+    }
+    if (response.self_check) parts.push(`**Self-check:** ${response.self_check}`);
+    
+    return parts.join('\n\n');
+  }
+
   getFallbackResponse(message) {
     // Simple pattern matching for common questions when API is unavailable
     const lower = message.toLowerCase();
@@ -265,8 +296,14 @@ export class ChatInterface {
   }
 
   formatMessage(content) {
+    // Escape first - replies are model output and must not inject markup
+    const escaped = String(content ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+    
     // Basic markdown-like formatting
-    return content
+    return escaped
       .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
       .replace(/\*(.*?)\*/g, '<em>$1</em>')
       .replace(/`(.*?)`/g, '<code class="code-inline">$1</code>')
@@ -291,6 +328,38 @@ export class ChatInterface {
     this.isTyping = true;
   }
 
+  /**
+   * Show (or update) the assistant bubble that is still being streamed
+   */
+  renderStreamingMessage(text) {
+    if (!text) return;
+    
+    const messagesContainer = document.getElementById('chatMessages');
+    let streaming = document.getElementById('streamingMessage');
+    
+    if (!streaming) {
+      // First chunk replaces the empty state if this is a fresh conversation
+      messagesContainer.querySelector('.chat-empty-state')?.remove();
+      streaming = document.createElement('div');
+      streaming.className = 'chat-message assistant streaming';
+      streaming.id = 'streamingMessage';
+      streaming.innerHTML = `
+        <div class="message-avatar">🤖</div>
+        <div class="message-content">
+          <div class="message-bubble"></div>
+        </div>
+      `;
+      messagesContainer.appendChild(streaming);
+    }
+    
+    streaming.querySelector('.message-bubble').innerHTML = this.formatMessage(text);
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+  }
+
+  removeStreamingMessage() {
+    document.getElementById('streamingMessage')?.remove();
+  }
+
   hideTyping() {
     const indicator = document.getElementById('typingIndicator');
     indicator?.remove();
@@ -19,6 +19,7 @@ export async function initFlashcards(container) {
   if (!container) return;
   
   try {
+    flashcards.watchNotes();
     await updateFlashcardStats();
     await renderFlashcardsList();
     setupEventListeners();
@@ -0,0 +1,265 @@
+/**
+ * Provider Settings - renders the LLM provider card from the provider registry
+ * Each provider's fields come from its settings schema in llm-providers.js
+ */
+
+import {
+  getAllProviders,
+  getProvider,
+  loadProviderSettings,
+  saveProviderSettings,
+  setActiveProvider,
+  getProviderOrigins
+} from '../../lib/llm-providers.js';
+import { providerHealth, getFallbackChain, setFallbackChain } from '../../lib/provider-failover.js';
+
+const MAX_FALLBACKS = 3;
+
+/**
+ * Render the provider select and every provider's settings block
+ * @param {HTMLElement} container - The settings card body
+ * @param {string} activeProviderId - Provider to show first
+ */
+export async function renderProviderSettings(container, activeProviderId) {
+  if (!container) return;
+
+  const providers = getAllProviders();
+  const blocks = [];
+
+  for (const provider of providers) {
+    const values = await loadProviderSettings(provider);
+    blocks.push(`
+      <div class="provider-settings" data-provider="${provider.id}" style="display:${provider.id === activeProviderId ? 'block' : 'none'};">
+        ${provider.settings.map(field => renderField(provider, field, values[field.id])).join('')}
+      </div>
+    `);
+  }
+
+  container.innerHTML = `
+    <div class="form-group">
+      <label class="form-label" for="llmProvider">Provider</label>
+      <select class="form-select" id="llmProvider">
+        ${providers.map(p => `<option value="${p.id}" ${p.id === activeProviderId ? 'selected' : ''}>${escapeHTML(p.description || p.name)}</option>`).join('')}
+      </select>
+    </div>
+    ${blocks.join('')}
+    <div class="form-group">
+      <label class="form-label">Fallback providers</label>
+      ${await renderFallbackSelects(providers)}
+      <small class="form-hint">Tried in order when the main provider times out, is rate limited, or is down</small>
+    </div>
+    <div class="form-group">
+      <label class="form-label">Provider health</label>
+      <div id="providerHealth">${await renderProviderHealth()}</div>
+    </div>
+  `;
+
+  container.querySelector('#llmProvider')?.addEventListener('change', (e) => {
+    console.log('[TrailNote] Provider changed to:', e.target.value);
+    toggleProviderSettings(container, e.target.value);
+  });
+
+  container.querySelectorAll('.provider-refresh-models').forEach(btn => {
+    btn.addEventListener('click', () => refreshModels(container, btn.dataset.provider));
+  });
+
+  container.querySelector('#resetProviderHealth')?.addEventListener('click', async () => {
+    await providerHealth.reset();
+    container.querySelector('#providerHealth').innerHTML = await renderProviderHealth();
+  });
+}
+
+async function renderFallbackSelects(providers) {
+  const chain = await getFallbackChain();
+  const selects = [];
+
+  for (let i = 0; i < MAX_FALLBACKS; i++) {
+    selects.push(`
+      <select class="form-select provider-fallback" data-index="${i}" aria-label="Fallback ${i + 1}" style="margin-bottom:var(--space-2);">
+        <option value="">Fallback ${i + 1}: (none)</option>
+        ${providers.map(p => `<option value="${p.id}" ${chain[i] === p.id ? 'selected' : ''}>Fallback ${i + 1}: ${escapeHTML(p.name)}</option>`).join('')}
+      </select>
+    `);
+  }
+  return selects.join('');
+}
+
+/**
+ * Health table: circuit state, recent error rate and average latency per provider
+ */
+async function renderProviderHealth() {
+  const snapshot = await providerHealth.getSnapshot();
+  const rows = Object.entries(snapshot);
+
+  if (rows.length === 0) {
+    return '<small class="form-hint">No requests recorded yet</small>';
+  }
+
+  const stateLabels = { closed: 'Healthy', half_open: 'Recovering', open: 'Paused' };
+
+  return `
+    <table style="width:100%;font-size:var(--text-xs);border-collapse:collapse;">
+      <thead>
+        <tr style="text-align:left;color:var(--color-text-secondary);">
+          <th>Provider</th><th>Status</th><th>Errors</th><th>Avg latency</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows.map(([id, h]) => `
+          <tr title="${escapeHTML(h.lastError?.message || '')}">
+            <td>${escapeHTML(getProvider(id)?.name || id)}</td>
+            <td>${h.needsSettings ? 'Check settings' : stateLabels[h.state] || h.state}${h.retryAt ? ` (retry ${new Date(h.retryAt).toLocaleTimeString()})` : ''}</td>
+            <td>${Math.round(h.errorRate * 100)}% of ${h.sampleSize}</td>
+            <td>${h.avgLatency != null ? `${(h.avgLatency / 1000).toFixed(1)}s` : '—'}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+    <button class="btn-secondary btn-sm" id="resetProviderHealth" style="margin-top:var(--space-2);">Reset health</button>
+  `;
+}
+
+/**
+ * Show only the selected provider's block
+ */
+export function toggleProviderSettings(container, providerId) {
+  container.querySelectorAll('.provider-settings').forEach(block => {
+    block.style.display = block.dataset.provider === providerId ? 'block' : 'none';
+  });
+}
+
+/**
+ * Read the selected provider and every provider's field values from the form
+ * @returns {Object} { providerId, values: { [providerId]: { [fieldId]: value } }, fallbacks: [providerId] }
+ */
+export function collectProviderSettings(container) {
+  const providerId = container.querySelector('#llmProvider')?.value || 'openai';
+  const values = {};
+  const fallbacks = [...container.querySelectorAll('.provider-fallback')]
+    .map(select => select.value)
+    .filter(id => id && id !== providerId);
+
+  container.querySelectorAll('.provider-settings').forEach(block => {
+    const entry = {};
+    block.querySelectorAll('[data-field]').forEach(input => {
+      entry[input.dataset.field] = input.value;
+    });
+    values[block.dataset.provider] = entry;
+  });
+
+  return { providerId, values, fallbacks };
+}
+
+/**
+ * Persist the form: selected provider plus every provider's fields
+ * Host permission for custom endpoints is requested first, while the click gesture is still active
+ */
+export async function saveProviderSettingsForm(container) {
+  const { providerId, values, fallbacks } = collectProviderSettings(container);
+
+  const origins = [providerId, ...fallbacks]
+    .map(id => getProvider(id))
+    .filter(Boolean)
+    .flatMap(p => getProviderOrigins(p, values[p.id] || {}));
+  if (origins.length > 0 && chrome.permissions?.request) {
+    try {
+      const granted = await chrome.permissions.request({ origins });
+      if (!granted) {
+        console.warn('[TrailNote] Host permission not granted for', origins);
+      }
+    } catch (error) {
+      // Origins already covered by host_permissions are rejected as optional - safe to ignore
+      console.warn('[TrailNote] Host permission request failed:', error.message);
+    }
+  }
+
+  await setActiveProvider(providerId);
+  await setFallbackChain(fallbacks);
+  for (const p of getAllProviders()) {
+    if (values[p.id]) {
+      await saveProviderSettings(p, values[p.id]);
+    }
+  }
+
+  return providerId;
+}
+
+function renderField(provider, field, value) {
+  const inputId = `provider-${provider.id}-${field.id}`;
+  const current = value ?? field.default ?? '';
+  let control;
+
+  if (field.type === 'model' && !provider.allowCustomModel) {
+    control = `
+      <select class="form-select" id="${inputId}" data-field="${field.id}">
+        ${provider.models.map(m => `<option value="${escapeHTML(m.id)}" ${m.id === current ? 'selected' : ''}>${escapeHTML(m.label || m.id)}</option>`).join('')}
+      </select>
+    `;
+  } else if (field.type === 'model') {
+    // Free-form model name, with known/detected models offered as suggestions
+    control = `
+      <div style="display:flex;gap:var(--space-2);">
+        <input class="form-input" id="${inputId}" data-field="${field.id}" type="text" list="${inputId}-options" placeholder="${escapeHTML(field.placeholder || '')}" value="${escapeHTML(current)}" style="flex:1;">
+        <datalist id="${inputId}-options">
+          ${provider.models.map(m => `<option value="${escapeHTML(m.id)}">${escapeHTML(m.label || m.id)}</option>`).join('')}
+        </datalist>
+        ${provider.fetchModels ? `<button class="btn-secondary btn-sm provider-refresh-models" data-provider="${provider.id}">Refresh</button>` : ''}
+      </div>
+      ${provider.fetchModels ? `<small class="form-hint" id="provider-${provider.id}-modelStatus">Click Refresh to detect installed models</small>` : ''}
+    `;
+  } else {
+    const inputType = field.type === 'password' ? 'password' : 'text';
+    control = `<input class="form-input" id="${inputId}" data-field="${field.id}" type="${inputType}" placeholder="${escapeHTML(field.placeholder || '')}" value="${escapeHTML(current)}">`;
+  }
+
+  return `
+    <div class="form-group">
+      <label class="form-label" for="${inputId}">${escapeHTML(field.label)}</label>
+      ${control}
+      ${field.hint ? `<small class="form-hint">${field.hint}</small>` : ''}
+    </div>
+  `;
+}
+
+async function refreshModels(container, providerId) {
+  const provider = getProvider(providerId);
+  if (!provider?.fetchModels) return;
+
+  const block = container.querySelector(`.provider-settings[data-provider="${providerId}"]`);
+  const btn = block.querySelector('.provider-refresh-models');
+  const statusEl = block.querySelector(`#provider-${providerId}-modelStatus`);
+  const datalist = block.querySelector('datalist');
+
+  const settings = {};
+  block.querySelectorAll('[data-field]').forEach(input => {
+    settings[input.dataset.field] = input.value;
+  });
+
+  btn.disabled = true;
+  btn.textContent = 'Loading...';
+
+  const models = await provider.fetchModels(settings);
+  if (models.length > 0) {
+    datalist.innerHTML = models.map(m => `<option value="${escapeHTML(m)}"></option>`).join('');
+    statusEl.textContent = `Found ${models.length} model(s)`;
+    statusEl.style.color = 'var(--color-success)';
+  } else {
+    statusEl.textContent = 'Failed to connect. Check URL and CORS settings.';
+    statusEl.style.color = 'var(--color-error)';
+  }
+
+  btn.disabled = false;
+  btn.textContent = 'Refresh';
+}
+
+function escapeHTML(str) {
+  if (str === null || str === undefined) return '';
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+export default {
+  renderProviderSettings,
+  toggleProviderSettings,
+  collectProviderSettings,
+  saveProviderSettingsForm
+};
@@ -0,0 +1,216 @@
+/**
+ * Selector Pack Settings - the Site Selectors card in Settings
+ * Imports pack files through selector-packs.js and shows which selectors match on the current tab.
+ */
+
+import { selectorPacks } from '../../lib/selector-packs.js';
+import { store } from '../../lib/storage.js';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  code: 'Code',
+  tests: 'Tests',
+  instruction: 'Instruction',
+  ruleHints: 'Rule hints',
+  language: 'Language',
+  testResults: 'Test results'
+};
+
+/**
+ * Render the card body
+ * @param {HTMLElement} container - The settings card body
+ */
+export async function renderSelectorPackSettings(container) {
+  if (!container) return;
+
+  const [packs, debugMode] = await Promise.all([
+    selectorPacks.list(),
+    store.get('debugMode', false)
+  ]);
+
+  container.innerHTML = `
+    <div class="form-group">
+      <label class="form-label">Selector packs</label>
+      <small class="form-hint">When a learning site changes its page layout, a selector pack tells TrailNote where to find the title, code and tests without waiting for an update.</small>
+      <div style="margin-top:var(--space-2);">
+        <div style="display:flex;justify-content:space-between;gap:var(--space-2);font-size:var(--font-size-sm);">
+          <span>Built-in selectors</span>
+          <span class="badge badge-gray">built-in</span>
+        </div>
+        ${packs.map(p => `
+          <div style="display:flex;justify-content:space-between;align-items:center;gap:var(--space-2);font-size:var(--font-size-sm);">
+            <span>${escapeHTML(p.name || p.id)} <small class="form-hint">${escapeHTML(p.version)} · ${Object.keys(p.platforms).length} site${Object.keys(p.platforms).length === 1 ? '' : 's'}</small></span>
+            <button class="btn-secondary btn-sm remove-pack" data-id="${escapeHTML(p.id)}">Remove</button>
+          </div>
+        `).join('')}
+      </div>
+      <button class="btn-secondary btn-sm" id="chooseSelectorPack" style="margin-top:var(--space-2);">
+        <span>📂</span>
+        Import selector pack…
+      </button>
+      <input type="file" id="selectorPackFile" accept=".json" hidden>
+      <div id="selectorPackResult" style="margin-top:var(--space-2);"></div>
+    </div>
+    <div class="form-group">
+      <label class="form-label">Diagnostics</label>
+      <button class="btn-secondary btn-sm" id="diagnoseSelectors">
+        <span>🔍</span>
+        Check selectors on this tab
+      </button>
+      <button class="btn-secondary btn-sm" id="captureFixture" style="${debugMode ? '' : 'display:none;'}">
+        <span>📸</span>
+        Capture fixture
+      </button>
+      <div id="selectorDiagnostics" style="margin-top:var(--space-2);"></div>
+    </div>
+  `;
+
+  container.querySelectorAll('.remove-pack').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      await selectorPacks.remove(btn.dataset.id);
+      await renderSelectorPackSettings(container);
+    });
+  });
+
+  const fileInput = container.querySelector('#selectorPackFile');
+  container.querySelector('#chooseSelectorPack').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+
+    const result = await selectorPacks.import(await file.text());
+    if (result.ok) await renderSelectorPackSettings(container);
+    renderImportResult(container.querySelector('#selectorPackResult'), result);
+  });
+
+  container.querySelector('#diagnoseSelectors').addEventListener('click', () => {
+    renderDiagnostics(container.querySelector('#selectorDiagnostics'));
+  });
+
+  // Fixture capture is a debug-mode tool; follow the checkbox without waiting for Save
+  const captureButton = container.querySelector('#captureFixture');
+  captureButton.addEventListener('click', () => downloadFixture(container.querySelector('#selectorDiagnostics')));
+  document.getElementById('debugMode')?.addEventListener('change', (e) => {
+    captureButton.style.display = e.target.checked ? '' : 'none';
+  });
+}
+
+function renderImportResult(el, result) {
+  if (!result.ok) {
+    el.innerHTML = `
+      <div class="alert alert-error">
+        <div class="alert-content">
+          <div class="alert-title">Pack not imported</div>
+          ${result.errors.slice(0, 8).map(e => `<div class="alert-message">${escapeHTML(e)}</div>`).join('')}
+          ${result.errors.length > 8 ? `<div class="alert-message">and ${result.errors.length - 8} more</div>` : ''}
+        </div>
+      </div>
+    `;
+    return;
+  }
+
+  el.innerHTML = `
+    <div class="alert alert-success">
+      <div class="alert-content">
+        ${escapeHTML(result.pack.name || result.pack.id)} ${escapeHTML(result.pack.version)} imported${result.replaced ? ` (replaces ${escapeHTML(result.replaced)})` : ''} for ${escapeHTML(result.platforms.join(', '))}. Open tabs pick it up right away.
+      </div>
+    </div>
+    ${result.warnings.map(w => `<div class="alert alert-warning"><div class="alert-content">${escapeHTML(w)}</div></div>`).join('')}
+  `;
+}
+
+async function renderDiagnostics(el) {
+  el.innerHTML = '<div class="spinner"></div>';
+
+  let diagnostics = null;
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (tab?.id !== undefined) diagnostics = await selectorPacks.diagnose(tab.id);
+  } catch (error) {
+    console.warn('[TrailNote] Selector diagnostics unavailable:', error?.message);
+  }
+
+  if (!diagnostics) {
+    el.innerHTML = `
+      <div class="alert alert-info">
+        <div class="alert-content">Open a lesson on a supported site in this window, then check again. Reload the page if TrailNote was just installed or updated.</div>
+      </div>
+    `;
+    return;
+  }
+
+  const rows = Object.entries(diagnostics.fields).map(([field, d]) => {
+    const matched = Array.isArray(d.matched) ? d.matched : (d.matched ? [d.matched] : []);
+    const detail = field === 'code' ? `${d.method}, ${d.length} chars`
+      : field === 'tests' ? `${d.count} found`
+      : field === 'testResults' ? `${d.count} tests, ${d.passing} passing, ${d.failing} failing`
+      : field === 'title' || field === 'language' ? d.value
+      : `${d.length} chars`;
+    return `
+      <tr>
+        <td style="vertical-align:top;padding-right:var(--space-2);">${matched.length ? '✅' : '⚠️'} ${FIELD_LABELS[field] || field}</td>
+        <td style="vertical-align:top;">
+          <code style="word-break:break-all;">${matched.length ? matched.map(escapeHTML).join('<br>') : 'no match'}</code>
+          <div class="form-hint">${escapeHTML(detail)}${d.source ? ` · ${escapeHTML(d.source)}` : ''}</div>
+        </td>
+      </tr>
+    `;
+  }).join('');
+
+  el.innerHTML = `
+    <p class="form-hint">${diagnostics.platform.icon} ${escapeHTML(diagnostics.platform.displayName)} · ${escapeHTML(diagnostics.url)}</p>
+    <table style="width:100%;font-size:var(--font-size-sm);border-collapse:collapse;">${rows}</table>
+    ${diagnostics.invalidSelectors.length ? `
+      <div class="alert alert-warning" style="margin-top:var(--space-2);">
+        <div class="alert-content">Invalid selectors skipped: ${diagnostics.invalidSelectors.map(s => `<code>${escapeHTML(s)}</code>`).join(', ')}</div>
+      </div>
+    ` : ''}
+  `;
+}
+
+async function downloadFixture(el) {
+  let fixture = null;
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (tab?.id !== undefined) fixture = await selectorPacks.captureFixture(tab.id);
+  } catch (error) {
+    console.warn('[TrailNote] Fixture capture failed:', error?.message);
+  }
+
+  if (!fixture) {
+    el.innerHTML = `
+      <div class="alert alert-info">
+        <div class="alert-content">Open a lesson on a supported site in this window, then capture again.</div>
+      </div>
+    `;
+    return;
+  }
+
+  const slug = (fixture.expected.conceptId || 'page').replace(/[^a-z0-9-]+/gi, '-');
+  const blob = new Blob([JSON.stringify(fixture, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${fixture.platform}-${slug}.fixture.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+
+  el.innerHTML = `
+    <div class="alert alert-success">
+      <div class="alert-content">
+        Saved ${escapeHTML(a.download)}: ${Math.round(fixture.html.length / 1024)} KB of page with scripts, form values and tokens removed.
+        Check the expected title, code and tests in the file before adding it as a fixture.
+      </div>
+    </div>
+  `;
+}
+
+function escapeHTML(str) {
+  if (str === null || str === undefined) return '';
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+export default {
+  renderSelectorPackSettings
+};
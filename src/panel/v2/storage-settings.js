@@ -0,0 +1,87 @@
+/**
+ * Storage Settings - the Storage card in Settings
+ * Usage per key and compaction come from storage-budget.js.
+ */
+
+import { storageBudget } from '../../lib/storage-budget.js';
+
+const SHOWN_KEYS = 12;
+
+/**
+ * Render the card body
+ * @param {HTMLElement} container - The settings card body
+ */
+export async function renderStorageSettings(container) {
+  if (!container) return;
+
+  const [usage, aggregates] = await Promise.all([
+    storageBudget.getUsage(),
+    storageBudget.getAggregates()
+  ]);
+  const percent = Math.min(100, Math.round(usage.ratio * 100));
+  const level = usage.ratio >= 0.95 ? 'error' : usage.ratio >= 0.8 ? 'warning' : 'success';
+  const lastRun = aggregates.lastRun;
+
+  container.innerHTML = `
+    <div class="form-group">
+      <label class="form-label">${formatBytes(usage.bytesInUse)} of ${formatBytes(usage.quota)} used (${percent}%)</label>
+      <div class="progress progress-${level}">
+        <div class="progress-bar" style="width:${percent}%;"></div>
+      </div>
+    </div>
+    <div class="form-group">
+      ${usage.keys.slice(0, SHOWN_KEYS).map(k => `
+        <div style="display:flex;justify-content:space-between;gap:var(--space-2);font-size:var(--font-size-sm);">
+          <span>${escapeHTML(k.label || k.key)}${k.compactable ? ' <span class="badge badge-gray">history</span>' : ''}</span>
+          <span>${formatBytes(k.bytes)}</span>
+        </div>
+      `).join('')}
+      ${usage.keys.length > SHOWN_KEYS ? `<small class="form-hint">and ${usage.keys.length - SHOWN_KEYS} smaller items</small>` : ''}
+    </div>
+    <div class="form-group">
+      <small class="form-hint">
+        Old history is summarized per concept once a day, and sooner when storage is nearly full.
+        ${lastRun ? `Last run ${escapeHTML(new Date(lastRun.at).toLocaleString())}, freed ${formatBytes(lastRun.freedBytes)}.` : ''}
+      </small>
+      <button class="btn-secondary btn-sm" id="compactHistory" style="margin-top:var(--space-2);">
+        <span>🧹</span>
+        Compact old history now
+      </button>
+      <div id="compactResult" style="margin-top:var(--space-2);"></div>
+    </div>
+  `;
+
+  container.querySelector('#compactHistory').addEventListener('click', async (e) => {
+    e.currentTarget.disabled = true;
+    try {
+      const report = await storageBudget.compact({ reason: 'manual' });
+      await renderStorageSettings(container);
+      const folded = Object.values(report.keys).reduce((sum, k) => sum + k.folded, 0);
+      container.querySelector('#compactResult').innerHTML = `
+        <div class="alert alert-success">
+          <div class="alert-content">Summarized ${folded} old entr${folded === 1 ? 'y' : 'ies'} and freed ${formatBytes(report.freedBytes)}.</div>
+        </div>
+      `;
+    } catch (error) {
+      console.error('[TrailNote] Compaction failed:', error);
+      container.querySelector('#compactResult').innerHTML = `
+        <div class="alert alert-error"><div class="alert-content">Compaction failed: ${escapeHTML(error.message)}</div></div>
+      `;
+    }
+  });
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function escapeHTML(str) {
+  if (str === null || str === undefined) return '';
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+export default {
+  renderStorageSettings
+};
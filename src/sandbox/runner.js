@@ -0,0 +1,408 @@
+/**
+ * TrailNote Local Checks (Sandbox Page)
+ *
+ * Runs the checks from buildChecks() (src/lib/local-runner.js) against the
+ * learner's code. Listed under "sandbox" in the manifest, so it has no extension
+ * APIs and is the only page whose CSP allows eval; the panel talks to it with
+ * postMessage only. Plain JS like the content scripts.
+ *
+ *   js      - a worker built from jsWorkerMain, terminated after JS_TIMEOUT_MS
+ *   python  - a worker that loads Pyodide from src/sandbox/pyodide/ when it is there
+ *   html    - parsed with DOMParser (scripts never run), <style> blocks as constructed stylesheets
+ *   css     - the stylesheet alone; checks that need elements are not run
+ *
+ * Message in:  { type: 'RUN_CHECKS', runId, code, language, checks, pyodideUrl }
+ * Message out: { type: 'CHECK_RESULTS', runId, results: [{ id, status, message }], error }
+ *   status is 'pass', 'fail' or 'not_run'
+ */
+
+(function() {
+  'use strict';
+
+  const JS_TIMEOUT_MS = 2000;
+  const PYTHON_LOAD_TIMEOUT_MS = 30000;
+  const PYTHON_TIMEOUT_MS = 3000;
+
+  let pythonWorker = null;
+
+  window.addEventListener('message', async (event) => {
+    const msg = event.data;
+    if (msg?.type !== 'RUN_CHECKS' || !Array.isArray(msg.checks)) return;
+
+    let results = [];
+    let error = null;
+    try {
+      if (msg.language === 'js') {
+        results = await runInWorker(newWorker(jsWorkerMain), msg, JS_TIMEOUT_MS, true);
+      } else if (msg.language === 'python') {
+        results = await runPython(msg);
+      } else if (msg.language === 'html' || msg.language === 'css') {
+        results = runDomChecks(msg);
+      } else {
+        error = `No local runner for ${msg.language}.`;
+      }
+    } catch (e) {
+      error = e?.message || String(e);
+    }
+
+    event.source.postMessage({ type: 'CHECK_RESULTS', runId: msg.runId, results, error }, event.origin);
+  });
+
+  function newWorker(main) {
+    const source = `(${main.toString()})();`;
+    const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+    const worker = new Worker(url);
+    URL.revokeObjectURL(url);
+    return worker;
+  }
+
+  /**
+   * Post one run to a worker and collect per-check results until it says done.
+   * On timeout the worker is stopped and checks without a result fail.
+   */
+  function runInWorker(worker, msg, timeoutMs, terminateAfter) {
+    return new Promise((resolve) => {
+      const results = new Map();
+      const finish = (fallback) => {
+        clearTimeout(timer);
+        worker.onmessage = null;
+        worker.onerror = null;
+        if (terminateAfter || fallback) worker.terminate();
+        resolve(msg.checks.map(check => results.get(check.id) || { id: check.id, ...fallback }));
+      };
+      const timer = setTimeout(() => {
+        finish({ status: 'fail', message: `Didn't finish within ${timeoutMs / 1000}s - look for a loop that never ends.` });
+        if (worker === pythonWorker) pythonWorker = null;
+      }, timeoutMs);
+
+      worker.onmessage = (event) => {
+        const data = event.data;
+        if (data.result) results.set(data.result.id, data.result);
+        if (data.unavailable) finish({ status: 'not_run', message: data.unavailable });
+        else if (data.done) finish(null);
+      };
+      worker.onerror = (event) => {
+        event.preventDefault();
+        finish({ status: 'not_run', message: event.message || 'The runner failed.' });
+        if (worker === pythonWorker) pythonWorker = null;
+      };
+      worker.postMessage({ code: msg.code, checks: msg.checks, pyodideUrl: msg.pyodideUrl });
+    });
+  }
+
+  // Pyodide takes seconds to load, so its worker is kept between runs
+  function runPython(msg) {
+    const loading = !pythonWorker;
+    if (loading) pythonWorker = newWorker(pythonWorkerMain);
+    return runInWorker(pythonWorker, msg, loading ? PYTHON_LOAD_TIMEOUT_MS : PYTHON_TIMEOUT_MS, false)
+      .then(results => {
+        if (results.every(r => r.status === 'not_run')) pythonWorker = null;
+        return results;
+      });
+  }
+
+  // === JavaScript (runs inside the worker; no closure over this file) ===
+  function jsWorkerMain() {
+    const noop = () => undefined;
+    self.alert = noop;
+    self.prompt = noop;
+    self.confirm = noop;
+    for (const level of ['log', 'info', 'warn', 'error', 'debug', 'table']) console[level] = noop;
+
+    self.onmessage = (event) => {
+      const { code, checks } = event.data;
+      const send = (id, status, message = '') => self.postMessage({ result: { id, status, message } });
+
+      if (/^\s*(?:import|export)\s/m.test(code)) {
+        checks.forEach(c => send(c.id, 'not_run', 'Modules are only checked on the platform'));
+        self.postMessage({ done: true });
+        return;
+      }
+
+      // The probe is declared after the learner's code in the same function body,
+      // so eval inside it sees their top-level let/const/function declarations
+      let probe;
+      try {
+        probe = new Function(`${code}\n;return (__trailnoteExpr) => eval(__trailnoteExpr);`)();
+      } catch (e) {
+        const where = e instanceof SyntaxError ? 'has a syntax error' : 'throws before the check';
+        checks.forEach(c => send(c.id, 'fail', `Your code ${where}: ${e.message}`));
+        self.postMessage({ done: true });
+        return;
+      }
+
+      for (const check of checks) {
+        try {
+          const [status, message] = runCheck(check, probe);
+          send(check.id, status, message);
+        } catch (e) {
+          send(check.id, 'fail', `${e.name}: ${e.message}`);
+        }
+      }
+      self.postMessage({ done: true });
+    };
+
+    function runCheck(check, probe) {
+      switch (check.kind) {
+        case 'defined': {
+          const type = probe(`typeof ${check.name}`);
+          return type === 'undefined' ? ['fail', `${check.name} isn't defined`] : ['pass'];
+        }
+        case 'type': {
+          const actual = probe(check.expr);
+          return isType(actual, check.type) ? ['pass'] : ['fail', `${check.expr} is ${describe(actual)}`];
+        }
+        case 'returns':
+        case 'value': {
+          const actual = probe(check.expr);
+          if (actual && typeof actual.then === 'function') return ['not_run', 'Returns a Promise'];
+          const expected = expectedValue(check.expected, probe);
+          const same = expected.literal ? equal(actual, expected.value) : String(actual) === check.expected;
+          return same
+            ? ['pass']
+            : ['fail', `${check.expr} ${check.kind === 'returns' ? 'returned' : 'is'} ${preview(actual)}`];
+        }
+        default:
+          return ['not_run', `Not a ${check.kind} check`];
+      }
+    }
+
+    // Expected values are JS literals in test text; anything else compares as text
+    function expectedValue(raw, probe) {
+      try {
+        return { literal: true, value: probe(`(${raw})`) };
+      } catch (_) {
+        return { literal: false, value: raw };
+      }
+    }
+
+    function isType(value, type) {
+      switch (type) {
+        case 'number': case 'float': return typeof value === 'number' && !Number.isNaN(value);
+        case 'integer': return Number.isInteger(value);
+        case 'string': return typeof value === 'string';
+        case 'boolean': return typeof value === 'boolean';
+        case 'array': case 'list': return Array.isArray(value);
+        case 'function': return typeof value === 'function';
+        case 'object': case 'dict': case 'dictionary':
+          return value !== null && typeof value === 'object' && !Array.isArray(value);
+        default: return false;
+      }
+    }
+
+    function equal(a, b) {
+      if (Object.is(a, b)) return true;
+      if (typeof a !== 'object' || typeof b !== 'object' || !a || !b) return false;
+      if (Array.isArray(a) !== Array.isArray(b)) return false;
+      const keys = Object.keys(a);
+      if (keys.length !== Object.keys(b).length) return false;
+      return keys.every(k => equal(a[k], b[k]));
+    }
+
+    function describe(value) {
+      if (value === null) return 'null';
+      if (Array.isArray(value)) return 'an array';
+      return `a ${typeof value}`;
+    }
+
+    function preview(value) {
+      try {
+        const text = typeof value === 'function' ? 'a function' : JSON.stringify(value) ?? String(value);
+        return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+      } catch (_) {
+        return String(value);
+      }
+    }
+  }
+
+  // === Python (runs inside the worker) ===
+  function pythonWorkerMain() {
+    let pyodide = null;
+
+    const HELPERS = `
+import ast
+
+def __trailnote_check(kind, expr, expected, type_name, name, ns):
+    types = {'number': (int, float), 'integer': int, 'float': float, 'string': str,
+             'boolean': bool, 'list': list, 'array': list, 'dict': dict, 'dictionary': dict,
+             'object': object, 'function': None}
+    if kind == 'defined':
+        return 'pass' if name in ns else 'fail:' + name + ' is not defined'
+    actual = eval(expr, ns)
+    if kind == 'type':
+        if type_name == 'function':
+            ok = callable(actual)
+        else:
+            ok = isinstance(actual, types.get(type_name, ())) and not (type_name in ('number', 'integer') and isinstance(actual, bool))
+        return 'pass' if ok else 'fail:' + expr + ' is a ' + type(actual).__name__
+    try:
+        ok = actual == ast.literal_eval(expected)
+    except (ValueError, SyntaxError):
+        ok = str(actual) == expected
+    if ok:
+        return 'pass'
+    shown = repr(actual)
+    return 'fail:' + expr + (' returned ' if kind == 'returns' else ' is ') + (shown if len(shown) <= 60 else shown[:57] + '...')
+`;
+
+    self.onmessage = async (event) => {
+      const { code, checks, pyodideUrl } = event.data;
+      const send = (id, status, message = '') => self.postMessage({ result: { id, status, message } });
+
+      if (!pyodide) {
+        try {
+          importScripts(`${pyodideUrl}pyodide.js`);
+          pyodide = await self.loadPyodide({ indexURL: pyodideUrl, stdout: () => {}, stderr: () => {} });
+          pyodide.runPython(HELPERS);
+        } catch (_) {
+          self.postMessage({ unavailable: 'Python checks need Pyodide, which isn\'t bundled with this build.' });
+          return;
+        }
+      }
+
+      const ns = pyodide.globals.get('dict')();
+      try {
+        pyodide.runPython(code, { globals: ns });
+      } catch (e) {
+        const lastLine = String(e.message || e).trim().split('\n').pop();
+        checks.forEach(c => send(c.id, 'fail', `Your code raises: ${lastLine}`));
+        ns.destroy();
+        self.postMessage({ done: true });
+        return;
+      }
+
+      const check = pyodide.globals.get('__trailnote_check');
+      for (const c of checks) {
+        if (!['defined', 'type', 'returns', 'value'].includes(c.kind)) {
+          send(c.id, 'not_run', `Not a ${c.kind} check`);
+          continue;
+        }
+        try {
+          const outcome = check(c.kind, c.expr || '', c.expected || '', c.type || '', c.name || '', ns);
+          if (outcome === 'pass') send(c.id, 'pass');
+          else send(c.id, 'fail', outcome.slice('fail:'.length));
+        } catch (e) {
+          send(c.id, 'fail', String(e.message || e).trim().split('\n').pop());
+        }
+      }
+      check.destroy();
+      ns.destroy();
+      self.postMessage({ done: true });
+    };
+  }
+
+  // === HTML / CSS ===
+  // Not a frame: frames inherit this page's sandbox, get their own opaque origin and
+  // can't be read from here. DOMParser documents never run scripts or load anything.
+  function runDomChecks(msg) {
+    const cssOnly = msg.language === 'css';
+    const doc = new DOMParser().parseFromString(cssOnly ? '' : msg.code, 'text/html');
+    const cssTexts = cssOnly ? [msg.code] : [...doc.querySelectorAll('style')].map(style => style.textContent);
+    const sheets = cssTexts.map(text => {
+      const sheet = new CSSStyleSheet();
+      try { sheet.replaceSync(text); } catch (_) { /* rules that parse are kept */ }
+      return sheet;
+    });
+    const page = { doc, sheets, cssOnly, code: msg.code };
+
+    return msg.checks.map(check => {
+      try {
+        const [status, message = ''] = domCheck(check, page);
+        return { id: check.id, status, message };
+      } catch (e) {
+        return { id: check.id, status: 'not_run', message: e.message };
+      }
+    });
+  }
+
+  function domCheck(check, page) {
+    const { doc } = page;
+    if (page.cssOnly && check.kind !== 'style') return ['not_run', 'Needs the HTML file'];
+
+    switch (check.kind) {
+      case 'element': {
+        const found = doc.querySelectorAll(check.selector).length;
+        return found >= check.count ? ['pass'] : ['fail', `Found ${found} ${check.selector}, expected ${check.count}`];
+      }
+      case 'text': {
+        const want = squash(check.text);
+        const els = [...doc.querySelectorAll(check.selector)];
+        if (els.length === 0) return ['fail', `No ${check.selector} element`];
+        return els.some(el => check.contains ? squash(el.textContent).includes(want) : squash(el.textContent) === want)
+          ? ['pass']
+          : ['fail', `${check.selector} text is "${squash(els[0].textContent).slice(0, 60)}"`];
+      }
+      case 'attribute': {
+        const els = [...doc.querySelectorAll(check.selector)];
+        if (els.length === 0) return ['fail', `No ${check.selector} element`];
+        const withAttr = els.filter(el => el.hasAttribute(check.name));
+        if (withAttr.length === 0) return ['fail', `${check.selector} has no ${check.name} attribute`];
+        if (check.value === null) return ['pass'];
+        return withAttr.some(el => el.getAttribute(check.name).trim() === check.value.trim())
+          ? ['pass']
+          : ['fail', `${check.name} is "${withAttr[0].getAttribute(check.name)}"`];
+      }
+      case 'nested':
+        return doc.querySelector(check.selector) ? ['pass'] : ['fail', `Nothing matches ${check.selector}`];
+      case 'closing': {
+        // The parser closes tags itself, so this one reads the source
+        const opens = (page.code.match(new RegExp(`<${check.tag}(?=[\\s>/])`, 'gi')) || []).length;
+        const closes = (page.code.match(new RegExp(`</${check.tag}\\s*>`, 'gi')) || []).length;
+        if (opens === 0) return ['fail', `No <${check.tag}> tag`];
+        return closes >= opens ? ['pass'] : ['fail', `${opens} <${check.tag}> but ${closes} </${check.tag}>`];
+      }
+      case 'style':
+        return styleCheck(check, page);
+      default:
+        return ['not_run', `Not a ${check.kind} check`];
+    }
+  }
+
+  // The last rule for the selector decides; without one, a matching element's style attribute
+  function styleCheck(check, page) {
+    const { selector, property } = check;
+    const want = normalizedValue(property, check.value);
+    const declared = declaredValue(page.sheets, selector, property);
+    if (declared !== null) {
+      return normalizedValue(property, declared) === want ? ['pass'] : ['fail', `${selector} sets ${property}: ${declared}`];
+    }
+    const el = page.cssOnly ? null : [...page.doc.querySelectorAll(selector)].find(e => e.style?.getPropertyValue(property));
+    if (!el) return ['fail', `No ${selector} rule sets ${property}`];
+    const inline = el.style.getPropertyValue(property);
+    return normalizedValue(property, inline) === want ? ['pass'] : ['fail', `${selector} has ${property}: ${inline}`];
+  }
+
+  function declaredValue(sheets, selector, property) {
+    const target = squash(selector);
+    let value = null;
+    const visit = (rules) => {
+      for (const rule of rules) {
+        if (rule.cssRules && !rule.selectorText) {
+          visit(rule.cssRules);
+          continue;
+        }
+        if (!rule.selectorText || !rule.style) continue;
+        const v = rule.style.getPropertyValue(property);
+        if (v && rule.selectorText.split(',').map(squash).includes(target)) value = v.trim();
+      }
+    };
+    sheets.forEach(sheet => visit(sheet.cssRules));
+    return value;
+  }
+
+  // Both sides through one element here, so `red`, `#f00` and `rgb(255, 0, 0)` compare equal
+  function normalizedValue(property, value) {
+    const probe = document.createElement('div');
+    document.body.appendChild(probe);
+    probe.style.setProperty(property, value);
+    const normalized = probe.style.getPropertyValue(property)
+      ? getComputedStyle(probe).getPropertyValue(property).trim()
+      : String(value).trim().toLowerCase();
+    probe.remove();
+    return normalized;
+  }
+
+  function squash(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+  }
+})();
@@ -0,0 +1,66 @@
+/**
+ * Agent bundles - which imports are migrated, and what the import screen is told
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+globalThis.chrome = {
+  storage: {
+    local: { get: (keys, callback) => callback({}), set: (items, callback) => callback?.() },
+    onChanged: { addListener() {} }
+  },
+  runtime: {}
+};
+
+const { parseBundle, previewImport, BUNDLE_VERSION } = await import('../src/lib/agent-bundle.js');
+
+const currentAgent = {
+  id: 'copy_1',
+  name: 'Topic quiz',
+  actions: [
+    { actionId: 'generate_questions', params: { topic: "${userInput.topic | default('flexbox')}", count: 3 } }
+  ],
+  behavior: { trigger: 'schedule', schedule: { everyMinutes: 60 } }
+};
+
+const oldAgent = {
+  id: 'old_1',
+  name: 'Old quiz',
+  actions: [
+    { actionId: 'generate_questions', params: { topic: '${context.topic}', count: 3 } },
+    { actionId: 'display_result', params: { message: 'About ${context.topic}', format: 'text' } }
+  ]
+};
+
+test('an agent pasted from storage is imported as it is', () => {
+  const { bundle, migratedFrom, rewritten } = parseBundle(JSON.stringify(currentAgent));
+  assert.equal(bundle.version, BUNDLE_VERSION);
+  assert.equal(migratedFrom, null);
+  assert.deepEqual(bundle.agents, [currentAgent]);
+  assert.deepEqual(rewritten, [[]]);
+});
+
+test('old references in unversioned agents are rewritten and listed', () => {
+  const preview = previewImport(JSON.stringify([currentAgent, oldAgent]));
+  const [current, old] = preview.entries;
+
+  assert.deepEqual(current.rewritten, []);
+  assert.deepEqual(current.agent.behavior, currentAgent.behavior);
+
+  assert.equal(old.agent.actions[0].params.topic, '${userInput.topic}');
+  assert.equal(old.agent.behavior, undefined);
+  assert.deepEqual(old.rewritten, [{ before: '${context.topic}', after: '${userInput.topic}' }]);
+});
+
+test('only a bundle that declares version 1 is migrated from v1', () => {
+  const v1 = parseBundle(JSON.stringify({ format: 'trailnote-agent-bundle', version: 1, agents: [oldAgent] }));
+  assert.equal(v1.migratedFrom, 1);
+  assert.equal(v1.bundle.agents[0].behavior.trigger, 'manual');
+  assert.equal(v1.rewritten[0].length, 1);
+
+  const v2 = parseBundle(JSON.stringify({ format: 'trailnote-agent-bundle', version: 2, agents: [oldAgent] }));
+  assert.equal(v2.migratedFrom, null);
+  assert.equal(v2.bundle.agents[0].actions[0].params.topic, '${context.topic}');
+  assert.deepEqual(v2.rewritten, [[]]);
+});
@@ -0,0 +1,71 @@
+/**
+ * Agent expressions - ${...} references, and flows saved before typed references
+ *
+ * chrome.storage.local is an in-memory map.
+ */
+
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const local = new Map();
+globalThis.chrome = {
+  storage: {
+    local: {
+      get(keys, callback) {
+        callback(Object.fromEntries([].concat(keys).filter(key => local.has(key)).map(key => [key, structuredClone(local.get(key))])));
+      },
+      set(items, callback) {
+        for (const [key, value] of Object.entries(items)) local.set(key, structuredClone(value));
+        callback?.();
+      }
+    },
+    onChanged: { addListener() {} }
+  },
+  runtime: {}
+};
+
+const { resolveValue, findReferences, validateFlowReferences } = await import('../src/lib/agent-expressions.js');
+const { agentBuilder } = await import('../src/lib/agent-builder.js');
+
+// A custom agent duplicated from the Learning Companion template before ${userInput.x}
+const OLD_COMPANION_ACTIONS = [
+  { actionId: 'get_current_context', params: {} },
+  { actionId: 'read_knowledge_graph', params: { concept: '${context.topic}' } },
+  { actionId: 'generate_questions', params: { topic: '${context.topic}', count: 5 } },
+  {
+    actionId: 'display_result',
+    params: { message: "Let's deepen your understanding of **${context.topic}**:\n\n${previous.questions}", format: 'list' }
+  }
+];
+
+test('stored agents with ${context.x} references are migrated when loaded', async () => {
+  local.set('agent_builder_agents', {
+    copy_1: { id: 'copy_1', name: 'My companion', isDeployed: true, actions: OLD_COMPANION_ACTIONS }
+  });
+
+  const agent = await agentBuilder.getAgent('copy_1');
+  assert.equal(agent.actions[1].params.concept, '${userInput.topic}');
+  assert.match(agent.actions[3].params.message, /\*\*\$\{userInput\.topic\}\*\*/);
+  assert.deepEqual(validateFlowReferences(agent.actions, { userInput: { topic: 'flexbox' } }), []);
+
+  // Saved, so the service worker's scheduler sees the same flow
+  assert.equal(local.get('agent_builder_agents').copy_1.actions[2].params.topic, '${userInput.topic}');
+});
+
+test('a } inside a quoted filter argument does not end the reference', () => {
+  const scope = { userInput: { tags: ['a', 'b'] } };
+  assert.equal(resolveValue("${userInput.missing | default('}')}", scope), '}');
+  assert.equal(resolveValue("Tags: ${userInput.tags | join('} {')}!", scope), 'Tags: a} {b!');
+  assert.deepEqual(resolveValue("${userInput.tags | default('}')}", scope), ['a', 'b']);
+  assert.deepEqual(findReferences({ text: "${a | default(\"}\")} and ${b}" }), ['a | default("}")', 'b']);
+
+  const steps = [{ actionId: 'display_result', params: { message: "${userInput.name | default('{x}')}" } }];
+  assert.deepEqual(validateFlowReferences(steps, { userInput: {} }), []);
+});
+
+test('an unclosed quote is reported on its reference', () => {
+  const steps = [{ actionId: 'display_result', params: { message: "${userInput.name | default('x} done" } }];
+  const [error] = validateFlowReferences(steps, { userInput: {} });
+  assert.match(error, /^Step 1: \$\{userInput\.name \| default\('x\} - /);
+});
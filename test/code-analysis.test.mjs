@@ -0,0 +1,138 @@
+/**
+ * analyzeCode() - misconception indicators and where they point
+ *
+ * HTML runs twice: as in the service worker (no DOMParser) and as in the panel,
+ * with jsdom's DOMParser standing in for the browser's.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { analyzeCode } from '../src/lib/code-analysis.js';
+
+const indicators = (code, language) => analyzeCode(code, language).indicators.sort();
+const evidence = (code, language, indicator) => analyzeCode(code, language).evidence.filter(e => e.indicator === indicator);
+
+test('javascript: block-scoped names used outside their block', () => {
+  const code = [
+    'function total(items) {',
+    '  if (items) {',
+    '    let sum = 0;',
+    '  }',
+    '  return sum;',
+    '}'
+  ].join('\n');
+  const [found] = evidence(code, 'javascript', 'undefined_variable');
+  assert.equal(found.line, 5);
+  assert.match(found.note, /sum was declared with let .* on line 3/);
+
+  assert.deepEqual(indicators('let sum = 0;\nfor (const x of xs) { sum += x; }\nconsole.log(sum);', 'javascript'), []);
+});
+
+test('javascript: template and regex literals are read as literals', () => {
+  const code = [
+    'const re = /["{]/g;',
+    'const label = `${items.map(i => `{${i}}`).join(", ")} "`;',
+    'function check(a) {',
+    '  return a === 1;',
+    '}'
+  ].join('\n');
+  assert.deepEqual(indicators(code, 'javascript'), []);
+});
+
+test('javascript: loops, closures and lookups', () => {
+  const code = [
+    'for (var i = 0; i < 3; i++) {',
+    '  setTimeout(() => console.log(i));',
+    '}',
+    'for (const a of list) {',
+    '  for (const b of list) {',
+    '    if (seen.includes(b)) continue;',
+    '  }',
+    '}'
+  ].join('\n');
+  assert.deepEqual(indicators(code, 'javascript'), ['linear_lookup', 'nested_loops', 'stale_closure']);
+  assert.equal(evidence(code, 'javascript', 'nested_loops')[0].line, 5);
+  assert.equal(evidence(code, 'javascript', 'stale_closure')[0].snippet, 'var i');
+
+  // A closure with its own i doesn't capture the loop's
+  assert.deepEqual(indicators('for (var i = 0; i < 3; i++) { setTimeout(function (i) { log(i); }, 0, i); }', 'javascript'), []);
+});
+
+test('javascript: coercion and async flow', () => {
+  assert.deepEqual(indicators('if (count == "5") {}\nif (value == null) {}', 'javascript'), ['equality_confusion']);
+  assert.deepEqual(indicators('const total = "5" + 3;', 'javascript'), ['string_concat']);
+  assert.deepEqual(indicators('const sum = a.value + b.value;', 'javascript'), ['string_concat']);
+
+  assert.deepEqual(indicators('const res = fetch(url);', 'javascript'), ['callback_timing']);
+  assert.deepEqual(indicators('async function load() { const res = await fetch(url); return res.json(); }', 'javascript'), []);
+  assert.deepEqual(indicators('ids.forEach(async (id) => { await save(id); });', 'javascript'), ['callback_timing']);
+
+  assert.deepEqual(indicators('load().then(show);', 'javascript'), ['promise_unhandled']);
+  assert.deepEqual(indicators('load().then(show).catch(report);', 'javascript'), []);
+});
+
+test('javascript: first and last element read without an empty check', () => {
+  assert.deepEqual(indicators('function first(arr) { return arr[0]; }', 'javascript'), ['empty_input']);
+  assert.deepEqual(indicators('const last = (arr) => arr[arr.length - 1];', 'javascript'), ['empty_input']);
+  assert.deepEqual(indicators('function first(arr) { if (!arr.length) return null; return arr[0]; }', 'javascript'), []);
+  assert.deepEqual(indicators('function first(arr) { return arr.length > 0 ? arr[0] : null; }', 'javascript'), []);
+});
+
+test('javascript: code that does not parse yet is still checked', () => {
+  const code = [
+    'function first(arr) {',
+    '  if (arr == 1 {',
+    '  return arr[0]',
+    '}'
+  ].join('\n');
+  const result = analyzeCode(code, 'javascript');
+  assert.ok(result.indicators.includes('equality_confusion'));
+});
+
+for (const withDomParser of [false, true]) {
+  test(`html ${withDomParser ? 'with' : 'without'} DOMParser`, () => {
+    if (withDomParser) globalThis.DOMParser = new JSDOM('').window.DOMParser;
+    try {
+      const code = [
+        '<div><div><div>',
+        '<p>See <a>our gallery</a> and <img src="cat.jpg"></p>',
+        '<a herf="www.example.com">link</a>',
+        '<center>Hi</center>',
+        '<ul><li>One</ul></li>',
+        '</div></div></div>'
+      ].join('\n');
+      assert.deepEqual(indicators(code, 'html'), [
+        'accessibility_ignore', 'deprecated_tag', 'div_everything', 'extra_wrapper', 'missing_href', 'wrong_attr_name'
+      ]);
+      assert.equal(evidence(code, 'html', 'accessibility_ignore')[0].snippet, '<img src="cat.jpg">');
+      assert.equal(evidence(code, 'html', 'wrong_attr_name')[0].line, 3);
+
+      assert.deepEqual(indicators('<p>Intro <div>box</div></p>', 'html'), ['extra_wrapper', 'wrong_container']);
+      assert.deepEqual(indicators('<td>1</td>', 'html'), ['missing_wrapper']);
+
+      // An attribute value with > in it is one tag
+      assert.deepEqual(indicators('<main><a href="/?a>b" title="x > y">ok</a></main>', 'html'), []);
+    } finally {
+      delete globalThis.DOMParser;
+    }
+  });
+}
+
+test('html: embedded style and script are checked as CSS and JS', () => {
+  const code = '<style>\np { width: 10; }\n</style>\n<script>\nif (a == "1") {}\n</script>';
+  const result = analyzeCode(code, 'html');
+  assert.deepEqual(result.indicators.sort(), ['equality_confusion', 'missing_unit']);
+  assert.deepEqual(result.evidence.map(e => e.line), [2, 5]);
+});
+
+test('python: indentation and mutable defaults', () => {
+  const code = [
+    'def add(item, items=[]):',
+    '    items.append(item)',
+    '      return items',
+    'if True:',
+    'print("x")'
+  ].join('\n');
+  assert.deepEqual(indicators(code, 'python'), ['default_mutable_arg', 'indent_error', 'unexpected_indent']);
+});
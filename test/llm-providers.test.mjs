@@ -0,0 +1,108 @@
+/**
+ * Streaming provider calls - a stalled body and errors reported mid-stream
+ *
+ * fetch is replaced per test with a response whose body is fed by hand.
+ */
+
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+const local = new Map();
+globalThis.chrome = {
+  storage: {
+    local: {
+      get(keys, callback) {
+        callback(Object.fromEntries([].concat(keys).filter(key => local.has(key)).map(key => [key, local.get(key)])));
+      },
+      set(items, callback) {
+        for (const [key, value] of Object.entries(items)) local.set(key, value);
+        callback?.();
+      }
+    },
+    onChanged: { addListener() {} }
+  },
+  runtime: {}
+};
+
+const { getProvider, callProviderStream } = await import('../src/lib/llm-providers.js');
+
+const realFetch = globalThis.fetch;
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  mock.timers.reset();
+});
+
+/**
+ * Answer the next fetch with a 200 whose body sends `lines` and then stays open
+ * @return {Object} { aborted } - whether the request's signal fired
+ */
+function streamThenStall(lines) {
+  const request = { aborted: false };
+  globalThis.fetch = async (url, init) => {
+    const encoder = new TextEncoder();
+    const body = new ReadableStream({
+      start(controller) {
+        for (const line of lines) controller.enqueue(encoder.encode(`${line}\n`));
+        init.signal.addEventListener('abort', () => {
+          request.aborted = true;
+          controller.error(new DOMException('The operation was aborted.', 'AbortError'));
+        });
+      }
+    });
+    return new Response(body, { status: 200 });
+  };
+  return request;
+}
+
+const anthropic = getProvider('anthropic');
+const settings = { apiKey: 'sk-ant-test', model: 'claude-3-5-haiku-latest' };
+const messages = [{ role: 'user', content: 'Hint please' }];
+
+test('a stream that goes quiet is aborted with a retryable error', async () => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  const request = streamThenStall([
+    'event: content_block_delta',
+    'data: {"type":"content_block_delta","delta":{"type":"text_delta","text":"Try a "}}'
+  ]);
+
+  const deltas = [];
+  const call = callProviderStream(anthropic, settings, messages, delta => deltas.push(delta));
+  const outcome = assert.rejects(call, error => {
+    assert.equal(error.retryable, true);
+    assert.equal(error.provider, 'anthropic');
+    assert.match(error.message, /stopped responding/);
+    return true;
+  });
+
+  // Let the headers and the first chunk through, then let the idle timer run out
+  for (let i = 0; i < 10; i++) await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(deltas, ['Try a ']);
+  mock.timers.tick(30000);
+
+  await outcome;
+  assert.equal(request.aborted, true);
+});
+
+test('an Anthropic error event fails the call', async () => {
+  streamThenStall([
+    'event: content_block_delta',
+    'data: {"type":"content_block_delta","delta":{"type":"text_delta","text":"Try"}}',
+    'event: error',
+    'data: {"type":"error","error":{"type":"overloaded_error","message":"Overloaded"}}'
+  ]);
+
+  await assert.rejects(callProviderStream(anthropic, settings, messages, () => {}), error => {
+    assert.match(error.message, /Overloaded \(overloaded_error\)/);
+    assert.equal(error.retryable, true);
+    return true;
+  });
+});
+
+test('an invalid request reported mid-stream is not retried', async () => {
+  streamThenStall([
+    'event: error',
+    'data: {"type":"error","error":{"type":"invalid_request_error","message":"Bad input"}}'
+  ]);
+
+  await assert.rejects(callProviderStream(anthropic, settings, messages, () => {}), error => error.retryable === false);
+});
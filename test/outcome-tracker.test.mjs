@@ -0,0 +1,60 @@
+/**
+ * Code snapshots kept between a hint and the learner's next attempt
+ *
+ * chrome.storage.local is an in-memory map, with outcome tracking switched on.
+ */
+
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+const local = new Map([['improve_bunji_enabled', true]]);
+globalThis.chrome = {
+  storage: {
+    local: {
+      get(keys, callback) {
+        callback(Object.fromEntries([].concat(keys).filter(key => local.has(key)).map(key => [key, structuredClone(local.get(key))])));
+      },
+      set(items, callback) {
+        for (const [key, value] of Object.entries(items)) local.set(key, structuredClone(value));
+        callback?.();
+      }
+    },
+    onChanged: { addListener() {} }
+  },
+  runtime: {}
+};
+
+const { outcomeTracker } = await import('../src/lib/outcome-tracker.js');
+
+const HOUR = 60 * 60 * 1000;
+
+test('a snapshot with no attempt within the hour is dropped', async () => {
+  const start = Date.now();
+  mock.method(Date, 'now', () => start);
+  try {
+    await outcomeTracker._saveCodeSnapshot(start, 'let a = 1;', []);
+    await outcomeTracker._saveCodeSnapshot(start + 1, 'let b = 2;', []);
+
+    Date.now.mock.mockImplementation(() => start + HOUR + 1);
+    assert.equal(await outcomeTracker.trackCodeAfterHint(start + 1, 'let b = 3;'), null);
+    assert.deepEqual(local.get('hint_code_snapshots'), {});
+  } finally {
+    mock.restoreAll();
+  }
+});
+
+test('snapshots saved before they were dated expire by their hint time', async () => {
+  const old = Date.now() - 2 * HOUR;
+  local.set('hint_code_snapshots', { [old]: { code: 'let a = 1;', steps: [] } });
+
+  const hintId = Date.now();
+  await outcomeTracker._saveCodeSnapshot(hintId, 'let c = 3;', []);
+  assert.deepEqual(Object.keys(local.get('hint_code_snapshots')), [String(hintId)]);
+});
+
+test('the privacy receipt lists code snapshots as collected', async () => {
+  const receipt = await outcomeTracker.getPrivacyReceipt();
+  assert.ok(receipt.dataCollected.some(item => /copy of your code/.test(item)));
+  assert.ok(receipt.dataCollected.some(item => /lines of code you changed/.test(item)));
+  assert.ok(!receipt.notCollected.some(item => /code/i.test(item)));
+});
@@ -0,0 +1,89 @@
+/**
+ * Provider circuit breaker - the HALF_OPEN trial request and how it settles
+ *
+ * chrome.storage.local is an in-memory map; Date.now is moved past the cooldown by hand.
+ */
+
+import 'fake-indexeddb/auto';
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+const local = new Map();
+globalThis.chrome = {
+  storage: {
+    local: {
+      get(keys, callback) {
+        callback(Object.fromEntries([].concat(keys).filter(key => local.has(key)).map(key => [key, structuredClone(local.get(key))])));
+      },
+      set(items, callback) {
+        for (const [key, value] of Object.entries(items)) local.set(key, structuredClone(value));
+        callback?.();
+      }
+    },
+    onChanged: { addListener() {} }
+  },
+  runtime: {}
+};
+
+const { providerHealth } = await import('../src/lib/provider-failover.js');
+
+const PROVIDER = 'anthropic';
+let now;
+
+beforeEach(async () => {
+  now = Date.now();
+  mock.method(Date, 'now', () => now);
+  mock.method(console, 'warn', () => {});
+  await providerHealth.reset();
+
+  // Trip the breaker, then let the first cooldown run out
+  for (let i = 0; i < 3; i++) {
+    await providerHealth.recordFailure(PROVIDER, 100, { message: 'Overloaded', status: 529 });
+  }
+  assert.equal(await providerHealth.canRequest(PROVIDER), false);
+  now += 60 * 1000;
+});
+
+afterEach(() => mock.restoreAll());
+
+async function state() {
+  return (await providerHealth.getSnapshot())[PROVIDER].state;
+}
+
+test('only one request is let through a half-open circuit', async () => {
+  assert.equal(await providerHealth.canRequest(PROVIDER), true);
+  assert.equal(await state(), 'half_open');
+  assert.equal(await providerHealth.trialInFlight(PROVIDER), true);
+  assert.equal(await providerHealth.canRequest(PROVIDER), false);
+
+  await providerHealth.recordSuccess(PROVIDER, 100);
+  assert.equal(await state(), 'closed');
+  assert.equal(await providerHealth.canRequest(PROVIDER), true);
+});
+
+test('a trial that never reports back stops blocking after two minutes', async () => {
+  assert.equal(await providerHealth.canRequest(PROVIDER), true);
+  now += 2 * 60 * 1000;
+  assert.equal(await providerHealth.trialInFlight(PROVIDER), false);
+  assert.equal(await providerHealth.canRequest(PROVIDER), true);
+});
+
+test('a failed trial re-opens the circuit with a longer cooldown', async () => {
+  assert.equal(await providerHealth.canRequest(PROVIDER), true);
+  await providerHealth.recordFailure(PROVIDER, 100, { message: 'Overloaded', status: 529 });
+
+  assert.equal(await state(), 'open');
+  assert.equal(await providerHealth.trialInFlight(PROVIDER), false);
+  now += 60 * 1000;
+  assert.equal(await providerHealth.canRequest(PROVIDER), false);
+  now += 60 * 1000;
+  assert.equal(await providerHealth.canRequest(PROVIDER), true);
+});
+
+test('a trial that fails on settings closes the circuit', async () => {
+  assert.equal(await providerHealth.canRequest(PROVIDER), true);
+  await providerHealth.recordFailure(PROVIDER, 100, { message: 'Invalid API key', status: 401 }, { tripBreaker: false });
+
+  assert.equal(await state(), 'closed');
+  assert.equal(await providerHealth.canRequest(PROVIDER), true);
+});
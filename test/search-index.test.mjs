@@ -0,0 +1,84 @@
+/**
+ * searchIndex - incremental updates of the BM25 index
+ *
+ * IndexedDB comes from fake-indexeddb and chrome.storage.local is an in-memory map.
+ */
+
+import 'fake-indexeddb/auto';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+const local = new Map();
+globalThis.chrome = {
+  storage: {
+    local: {
+      get(keys, callback) {
+        const wanted = keys === null ? [...local.keys()] : [].concat(keys);
+        callback(Object.fromEntries(wanted.filter(key => local.has(key)).map(key => [key, structuredClone(local.get(key))])));
+      },
+      set(items, callback) {
+        for (const [key, value] of Object.entries(items)) local.set(key, structuredClone(value));
+        callback?.();
+      },
+      async remove(keys) {
+        for (const key of [].concat(keys)) local.delete(key);
+      }
+    },
+    onChanged: { addListener() {} }
+  },
+  runtime: {}
+};
+
+const { engineDb } = await import('../src/lib/engine-db.js');
+const { normalizeNote, NOTES_SCHEMA_VERSION } = await import('../src/lib/notes-repository.js');
+const { searchIndex } = await import('../src/lib/search-index.js');
+
+after(() => {
+  clearTimeout(searchIndex._syncTimer);
+  engineDb._channel?.close();
+});
+
+// Past the text a document keeps for snippets
+const LONG_BODY = `${'filler words about arrays '.repeat(100)} zebra`;
+
+function saveNotes(notes) {
+  local.set('notes_schema_version', NOTES_SCHEMA_VERSION);
+  local.set('notes', notes.map(note => normalizeNote(note)));
+}
+
+test('terms past the snippet text are removed with their note', async () => {
+  local.set('search_index', { version: 1, docs: {}, postings: {}, totalLength: 0 });
+  saveNotes([
+    { id: 'long', title: 'Long note', body: LONG_BODY },
+    { id: 'short', title: 'Short note', body: 'flexbox gap' }
+  ]);
+  await searchIndex.init();
+  assert.deepEqual((await searchIndex.search('zebra')).map(hit => hit.sourceId), ['long']);
+
+  saveNotes([{ id: 'short', title: 'Short note', body: 'flexbox gap' }]);
+  assert.deepEqual(await searchIndex.sync(['note']), { added: 0, updated: 0, removed: 1 });
+
+  assert.deepEqual(await searchIndex.search('zebra'), []);
+  assert.equal(searchIndex.index.postings.zebra, undefined);
+  assert.equal(local.has('search_index'), false);
+  assert.deepEqual((await searchIndex.search('flexbox')).map(hit => hit.sourceId), ['short']);
+});
+
+test('the index is read back from IndexedDB', async () => {
+  saveNotes([{ id: 'edited', title: 'Edited note', body: LONG_BODY }]);
+  await searchIndex.sync(['note']);
+  saveNotes([{ id: 'edited', title: 'Edited note', body: 'now about grid' }]);
+  await searchIndex.sync(['note']);
+
+  searchIndex._ready = null;
+  await searchIndex.init();
+
+  assert.equal(searchIndex.index.postings.zebra, undefined);
+  assert.deepEqual((await searchIndex.search('grid')).map(hit => hit.sourceId), ['edited']);
+});
+
+test('postings whose document is gone are skipped', async () => {
+  await searchIndex.init();
+  searchIndex.index.postings.orphan = { 'note:missing': 3 };
+  assert.deepEqual(await searchIndex.search('orphan'), []);
+});
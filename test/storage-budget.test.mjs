@@ -0,0 +1,64 @@
+/**
+ * Storage budget - the quota check next to store.set
+ *
+ * chrome.storage.local is an in-memory map whose getBytesInUse answers only when told to.
+ */
+
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+const local = new Map();
+const pendingUsage = [];
+globalThis.chrome = {
+  storage: {
+    local: {
+      QUOTA_BYTES: 1000,
+      get(keys, callback) {
+        callback(Object.fromEntries([].concat(keys).filter(key => local.has(key)).map(key => [key, local.get(key)])));
+      },
+      set(items, callback) {
+        for (const [key, value] of Object.entries(items)) local.set(key, value);
+        callback?.();
+      },
+      getBytesInUse(key, callback) {
+        pendingUsage.push(() => callback(key === null ? 960 : 10));
+      }
+    },
+    onChanged: { addListener() {} }
+  },
+  runtime: { sendMessage: async () => {} }
+};
+
+const { store } = await import('../src/lib/storage.js');
+const { storageBudget } = await import('../src/lib/storage-budget.js');
+storageBudget.init();
+
+test('a write near the quota neither waits for usage nor for compaction', async () => {
+  let finishCompaction;
+  const compact = mock.method(storageBudget, 'compact', () => new Promise(resolve => {
+    finishCompaction = resolve;
+  }));
+  const warnings = [];
+  storageBudget.on('warning', usage => warnings.push(usage));
+  mock.method(console, 'warn', () => {});
+
+  try {
+    await store.set('notes', ['a']);
+    assert.deepEqual(local.get('notes'), ['a']);
+
+    // The check carries on after the write: usage for everything, then for the key
+    while (pendingUsage.length > 0) {
+      pendingUsage.shift()();
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    assert.equal(warnings.length, 1);
+    assert.equal(compact.mock.callCount(), 1);
+    assert.deepEqual(compact.mock.calls[0].arguments, [{ reason: 'quota' }]);
+
+    await store.set('notes', ['a', 'b']);
+    assert.deepEqual(local.get('notes'), ['a', 'b']);
+    finishCompaction();
+  } finally {
+    mock.restoreAll();
+  }
+});